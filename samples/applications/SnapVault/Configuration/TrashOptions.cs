@@ -0,0 +1,10 @@
+namespace SnapVault.Configuration;
+
+/// <summary>
+/// Trash configuration bound from appsettings.json (SnapVault:Trash).
+/// </summary>
+public class TrashOptions
+{
+    /// <summary>How long a deleted photo or collection stays restorable before it is purged for good.</summary>
+    public TimeSpan Retention { get; set; } = TimeSpan.FromDays(30);
+}
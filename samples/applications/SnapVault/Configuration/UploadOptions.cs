@@ -0,0 +1,16 @@
+namespace SnapVault.Configuration;
+
+/// <summary>
+/// Resumable upload configuration bound from appsettings.json (SnapVault:Uploads).
+/// </summary>
+public class UploadOptions
+{
+    /// <summary>Largest file accepted through the resumable endpoint (the one-shot batch endpoint stays at 25 MB).</summary>
+    public long MaxFileBytes { get; set; } = 200L * 1024 * 1024;
+
+    /// <summary>Chunk size advertised to the browser (at most 16 MB); a PATCH body larger than this is refused.</summary>
+    public int ChunkBytes { get; set; } = 8 * 1024 * 1024;
+
+    /// <summary>How long an unfinished upload can sit idle before its session and chunks are discarded.</summary>
+    public TimeSpan SessionTtl { get; set; } = TimeSpan.FromDays(2);
+}
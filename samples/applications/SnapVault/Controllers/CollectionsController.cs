@@ -6,12 +6,14 @@ using Microsoft.Extensions.Options;
 using SnapVault.Configuration;
 using SnapVault.Initialization;
 using SnapVault.Models;
+using SnapVault.Services;
 
 namespace SnapVault.Controllers;
 
 /// <summary>
 /// Operator-managed photo collections. EntityController supplies ordinary CRUD; custom actions rename a collection
-/// and maintain its ordered photo membership. Pagination is off because the sidebar consumes the complete list.
+/// and maintain its ordered photo membership. A delete moves the collection to the trash, from which <c>restore</c>
+/// brings it back. Pagination is off because the sidebar consumes the complete list.
 ///
 /// <para>The capacity error includes <c>limit</c>, which is part of the UI error contract.</para>
 /// </summary>
@@ -21,8 +23,31 @@ namespace SnapVault.Controllers;
 public sealed class CollectionsController : EntityController<Collection>
 {
     private readonly CollectionOptions _options;
+    private readonly TrashService _trash;
 
-    public CollectionsController(IOptions<CollectionOptions> options) => _options = options.Value;
+    public CollectionsController(IOptions<CollectionOptions> options, TrashService trash)
+    {
+        _options = options.Value;
+        _trash = trash;
+    }
+
+    /// <summary>Sidebar covers: each non-empty collection's cover photo, with its placeholder for the first paint.</summary>
+    [HttpGet("covers")]
+    public async Task<ActionResult<IReadOnlyList<CollectionCover>>> Covers(CancellationToken ct = default)
+    {
+        var covers = new List<CollectionCover>();
+        foreach (var collection in await Collection.All(ct))
+        {
+            // A deleted cover photo falls back to the first photo, as an unset one does
+            var photo = collection.CoverPhotoId is { } coverId ? await PhotoAsset.Get(coverId, ct) : null;
+            if (photo is null && collection.PhotoIds.Count > 0)
+                photo = await PhotoAsset.Get(collection.PhotoIds[0], ct);
+            if (photo is null) continue;
+
+            covers.Add(new CollectionCover(collection.Id, photo.Id, photo.BlurHash));
+        }
+        return Ok(covers);
+    }
 
     /// <summary>Rename a collection.</summary>
     [HttpPut("{id}")]
@@ -41,7 +66,32 @@ public sealed class CollectionsController : EntityController<Collection>
         return Ok(new { collection.Id, collection.Name, photoCount = collection.PhotoCount });
     }
 
-    /// <summary>Add existing photos, deduplicated and bounded by collection capacity.</summary>
+    /// <summary>Move a collection to the trash; its photos are not deleted.</summary>
+    public override async Task<IActionResult> Delete(string id, CancellationToken ct)
+    {
+        var collection = await Collection.Get(id, ct);
+        if (collection is null)
+            return NotFound(new { error = $"Collection '{id}' not found" });
+
+        await _trash.TrashCollection(collection, ct);
+        return Ok(new { collection.Id, collection.Name, photoCount = collection.PhotoCount });
+    }
+
+    /// <summary>Bring a deleted collection back from the trash.</summary>
+    [HttpPost("{id}/restore")]
+    public async Task<IActionResult> Restore(string id, CancellationToken ct = default)
+    {
+        var collection = await _trash.RestoreCollection(id, ct);
+        if (collection is null)
+            return NotFound(new { error = $"Collection '{id}' is not in the trash" });
+
+        return Ok(new { collection.Id, collection.Name, photoCount = collection.PhotoCount });
+    }
+
+    /// <summary>
+    /// Add existing photos, deduplicated and bounded by collection capacity. Photos with a requested position are
+    /// inserted there (lowest first, so a removed run returns in order); the rest are appended.
+    /// </summary>
     [HttpPost("{id}/photos")]
     public async Task<IActionResult> AddPhotos(string id, [FromBody] CollectionPhotosRequest request, CancellationToken ct = default)
     {
@@ -71,7 +121,13 @@ public sealed class CollectionsController : EntityController<Collection>
 
         if (toAdd.Count > 0)
         {
-            collection.PhotoIds.AddRange(toAdd);
+            var positions = (request.Positions ?? new())
+                .Where(p => toAdd.Contains(p.PhotoId))
+                .GroupBy(p => p.PhotoId)
+                .ToDictionary(g => g.Key, g => g.First().Position);
+            foreach (var photoId in toAdd.Where(positions.ContainsKey).OrderBy(pid => positions[pid]))
+                collection.PhotoIds.Insert(Math.Clamp(positions[photoId], 0, collection.PhotoIds.Count), photoId);
+            collection.PhotoIds.AddRange(toAdd.Where(pid => !positions.ContainsKey(pid)));
             collection.UpdatedAt = DateTime.UtcNow;
             await collection.Save(ct);
         }
@@ -79,7 +135,9 @@ public sealed class CollectionsController : EntityController<Collection>
         return Ok(new { collectionId = collection.Id, added = toAdd.Count, totalPhotos = collection.PhotoCount, limit = _options.MaxPhotosPerCollection });
     }
 
-    /// <summary>Remove photo references without deleting the photos.</summary>
+    /// <summary>
+    /// Remove photo references without deleting the photos. <c>positions</c> reports where each one was, for an undo.
+    /// </summary>
     [HttpPost("{id}/photos/remove")]
     public async Task<IActionResult> RemovePhotos(string id, [FromBody] CollectionPhotosRequest request, CancellationToken ct = default)
     {
@@ -90,6 +148,10 @@ public sealed class CollectionsController : EntityController<Collection>
             return BadRequest(new { error = "photoIds is required." });
 
         var toRemove = new HashSet<string>(request.PhotoIds);
+        var positions = collection.PhotoIds
+            .Select((photoId, position) => new PhotoPosition { PhotoId = photoId, Position = position })
+            .Where(p => toRemove.Contains(p.PhotoId))
+            .ToList();
         var removed = collection.PhotoIds.RemoveAll(pid => toRemove.Contains(pid));
         if (removed > 0)
         {
@@ -97,6 +159,6 @@ public sealed class CollectionsController : EntityController<Collection>
             await collection.Save(ct);
         }
 
-        return Ok(new { collectionId = collection.Id, removed, remainingPhotos = collection.PhotoCount });
+        return Ok(new { collectionId = collection.Id, removed, remainingPhotos = collection.PhotoCount, positions });
     }
 }
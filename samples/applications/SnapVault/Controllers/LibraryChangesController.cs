@@ -0,0 +1,26 @@
+using Koan.Web.Sse;
+using Microsoft.AspNetCore.Mvc;
+using SnapVault.Initialization;
+using SnapVault.Progress;
+
+namespace SnapVault.Controllers;
+
+/// <summary>
+/// Live library change stream for the studio grid: photo and collection created/updated/deleted frames, projected
+/// from the tenant-scoped <c>LibraryChange</c> log (<see cref="LibraryChangeProjection"/>). The browser holds one
+/// <c>EventSource("/api/library/changes")</c>; on a dropped connection it reconnects with <c>Last-Event-ID</c> and
+/// resumes where it left off. <c>?since=</c> carries the same cursor for a freshly opened source.
+///
+/// <para>Studio-only: a gallery guest must not watch the studio's library, so unlike the upload progress stream this
+/// one carries <see cref="OperatorOnlyAttribute"/>. Tenant isolation is still structural — the log is read through
+/// the data layer in the request's ambient tenant.</para>
+/// </summary>
+[ApiController]
+[Route("api/library")]
+[OperatorOnly]
+public sealed class LibraryChangesController : ControllerBase
+{
+    [HttpGet("changes")]
+    public IActionResult Changes([FromHeader(Name = "Last-Event-ID")] string? lastEventId = null, [FromQuery] string? since = null)
+        => Sse.Stream(LibraryChangeProjection.StreamAsync(lastEventId ?? since, HttpContext.RequestAborted));
+}
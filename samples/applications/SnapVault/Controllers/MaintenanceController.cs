@@ -1,4 +1,5 @@
 using Koan.Data.Core;
+using Koan.Data.SoftDelete;
 using Koan.Media.Web.Routing;
 using Koan.Tenancy;
 using Microsoft.AspNetCore.Mvc;
@@ -28,12 +29,15 @@ public sealed class MaintenanceController : ControllerBase
     /// tenant-scoped and provider-agnostic — no filesystem walk, no assumption of the Local connector's on-disk
     /// layout. The response maps <c>coldTierGB</c> to stored originals,
     /// <c>warmTierGB</c> = the <see cref="MediaDerivation"/> render cache, <c>hotTierGB</c> = 0. <c>cacheEntries</c>
-    /// / <c>cacheSizeMB</c> report that render cache.
+    /// / <c>cacheSizeMB</c> report that render cache. Trashed originals count toward storage (they are kept until
+    /// purged) but not toward <c>photoCount</c>.
     /// </summary>
     [HttpGet("stats")]
     public async Task<ActionResult<StorageStats>> GetStats(CancellationToken ct = default)
     {
-        var photos = await PhotoAsset.All(ct);
+        List<PhotoAsset> photos;
+        using (PhotoAsset.WithDeleted())
+            photos = await PhotoAsset.All(ct);
         var derivations = await MediaDerivation.All(ct);
 
         var originalBytes = photos.Sum(p => p.Size);
@@ -45,7 +49,7 @@ public sealed class MaintenanceController : ControllerBase
             WarmTierGB = Math.Round(derivationBytes / BytesPerGB, 2),        // the on-demand render cache
             ColdTierGB = Math.Round(originalBytes / BytesPerGB, 2),          // the stored originals
             TotalGB = Math.Round((originalBytes + derivationBytes) / BytesPerGB, 2),
-            PhotoCount = photos.Count,
+            PhotoCount = photos.Count(p => p.DeletedAt is null),
             CacheEntries = derivations.Count,
             CacheSizeMB = (int)Math.Round(derivationBytes / BytesPerMB),
         });
@@ -54,8 +58,8 @@ public sealed class MaintenanceController : ControllerBase
     /// <summary>
     /// Wipe the studio's repository — DESTRUCTIVE. Streams NDJSON progress (<c>{ percentage, message }</c> per line;
     /// the SPA reads <c>percentage</c>/<c>message</c>). Deletes the current tenant's entities in dependency order,
-    /// each photo record via <c>Remove</c> — the per-photo AfterRemove hook reclaims the original blob, evicts
-    /// cached renders, and prunes collections (the deleted derivative types no longer exist). Per-item failures are logged
+    /// trash included, each photo record via <c>HardDelete</c> — the per-photo AfterRemove hook reclaims the original
+    /// blob, evicts cached renders, and prunes collections (the deleted derivative types no longer exist). Per-item failures are logged
     /// and skipped, never fatal. Errors are reported as a generic message (never raw exception text on the wire).
     /// </summary>
     [HttpPost("wipe-repository")]
@@ -76,25 +80,29 @@ public sealed class MaintenanceController : ControllerBase
 
             // 1. Collections FIRST (0→5%). Deleting them before the photos means the per-photo AfterRemove hook's
             // collection-prune scan (Collection.All) finds an empty set — no O(photos × collections) save storm.
-            var collections = await Collection.All(ct);
+            List<Collection> collections;
+            using (Collection.WithDeleted())
+                collections = await Collection.All(ct);
             foreach (var collection in collections)
             {
-                try { await collection.Remove(ct); } catch (Exception ex) { _logger.LogWarning(ex, "Wipe: failed to delete collection {CollectionId}", collection.Id); }
+                try { await collection.HardDelete(ct); } catch (Exception ex) { _logger.LogWarning(ex, "Wipe: failed to delete collection {CollectionId}", collection.Id); }
             }
             await Progress(5, $"Deleted {collections.Count} collection(s)");
 
-            // 2. Photos (5→60%). Just Remove the record — the AfterRemove hook now reclaims the original blob (plus
-            // evicts cached renders + prunes collections) on every delete path, so the wipe no longer needs its own
-            // blob delete. This is the whole point of the unique-key fix: blob reclamation is one structural home,
-            // not a per-caller step remembered here.
-            var photos = await PhotoAsset.All(ct);
+            // 2. Photos (5→60%), the trashed ones too. Just HardDelete the record — the AfterRemove hook reclaims the
+            // original blob (plus evicts cached renders + prunes collections) on every purge path, so the wipe no longer
+            // needs its own blob delete. This is the whole point of the unique-key fix: blob reclamation is one
+            // structural home, not a per-caller step remembered here. (A plain Remove would only move it to the trash.)
+            List<PhotoAsset> photos;
+            using (PhotoAsset.WithDeleted())
+                photos = await PhotoAsset.All(ct);
             var totalPhotos = photos.Count;
             var deletedPhotos = 0;
             foreach (var photo in photos)
             {
                 try
                 {
-                    await photo.Remove(ct);     // record → AfterRemove cleanup (original blob + render eviction + collection pruning)
+                    await photo.HardDelete(ct);     // record → AfterRemove cleanup (original blob + render eviction + collection pruning)
                     deletedPhotos++;
                 }
                 catch (Exception ex) { _logger.LogWarning(ex, "Wipe: failed to delete photo {PhotoId}", photo.Id); }
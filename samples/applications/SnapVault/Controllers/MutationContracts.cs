@@ -10,13 +10,32 @@ public sealed class RateRequest
     public int Rating { get; set; }
 }
 
-/// <summary>Apply one favorite state to a set of photos.</summary>
+/// <summary>Set a photo's favorite state; omitted (or no body) toggles it.</summary>
+public sealed class FavoriteRequest
+{
+    public bool? IsFavorite { get; set; }
+}
+
+/// <summary>Apply one favorite state to a set of photos; also the photo set a delete, restore or purge acts on.</summary>
 public sealed class BulkPhotoRequest
 {
     public List<string> PhotoIds { get; set; } = new();
     public bool IsFavorite { get; set; }
 }
 
+/// <summary>Reject or un-reject a set of photos while culling.</summary>
+public sealed class BulkRejectRequest
+{
+    public List<string> PhotoIds { get; set; } = new();
+    public bool IsRejected { get; set; }
+}
+
+/// <summary>Pick a photo as its burst stack's cover; <c>false</c> clears the stack's pick.</summary>
+public sealed class StackPickRequest
+{
+    public bool IsPick { get; set; } = true;
+}
+
 /// <summary>Request another analysis, optionally with a named style.</summary>
 public sealed class RegenerateAIAnalysisRequest
 {
@@ -29,10 +48,21 @@ public sealed class RenameCollectionRequest
     public string? Name { get; set; }
 }
 
-/// <summary>Add or remove a set of photos from a collection.</summary>
+/// <summary>
+/// Add or remove a set of photos from a collection. An add may give photos their positions back (undoing a remove);
+/// photos without one are appended.
+/// </summary>
 public sealed class CollectionPhotosRequest
 {
     public List<string> PhotoIds { get; set; } = new();
+    public List<PhotoPosition>? Positions { get; set; }
+}
+
+/// <summary>A photo's index in a collection's ordered membership.</summary>
+public sealed class PhotoPosition
+{
+    public string PhotoId { get; set; } = "";
+    public int Position { get; set; }
 }
 
 /// <summary>A guest's proofing mark on one photo; null values preserve existing choices.</summary>
@@ -51,3 +81,29 @@ public sealed class GalleryGrantRequest
     public string IdentityId { get; set; } = "";
     public string? Role { get; set; }
 }
+
+/// <summary>Declare a file for resumable upload; files of one upload share a <c>batchId</c> (null mints one).</summary>
+public sealed class BeginUploadRequest
+{
+    public string FileName { get; set; } = "";
+    public string? ContentType { get; set; }
+    public long Length { get; set; }
+    public string? EventId { get; set; }
+    public string? CollectionId { get; set; }
+    public string? BatchId { get; set; }
+    /// <summary>Library photo the ingested file replaces: it moves to the trash, its metadata and collections carried over.</summary>
+    public string? ReplacesPhotoId { get; set; }
+}
+
+/// <summary>Fingerprints of files the browser is about to upload; <c>Key</c> is echoed back on each match.</summary>
+public sealed class DuplicateCheckRequest
+{
+    public List<FileFingerprint> Files { get; set; } = new();
+}
+
+public sealed class FileFingerprint
+{
+    public string Key { get; set; } = "";
+    public string? Sha256 { get; set; }
+    public string? PerceptualHash { get; set; }
+}
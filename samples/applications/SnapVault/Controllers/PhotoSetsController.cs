@@ -37,8 +37,8 @@ public sealed class PhotoSetsController : ControllerBase
         if (session == null)
             return BadRequest(new { error = "Must provide sessionId or definition" });
 
-        var photoAssets = await _service.ExecuteQuery(session, request.StartIndex, request.Count, ct);
-        var photos = photoAssets.Select(PhotoMetadata.From).ToList();
+        var entries = await _service.ExecuteEntries(session, request.StartIndex, request.Count, ct);
+        var photos = entries.Select(PhotoMetadata.From).ToList();
 
         return Ok(new PhotoSetQueryResponse
         {
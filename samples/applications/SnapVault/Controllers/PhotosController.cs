@@ -5,7 +5,11 @@ using Koan.Web.Attributes;
 using Koan.Web.Controllers;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.ModelBinding;
+using Newtonsoft.Json;
+using SnapVault.Infrastructure;
 using SnapVault.Initialization;
+using SnapVault.Media;
 using SnapVault.Models;
 using SnapVault.Services;
 
@@ -22,16 +26,19 @@ public sealed class PhotosController : EntityController<PhotoAsset>
 {
     private const int MaxFilesPerBatch = 10;
     private const long MaxFileBytes = 25L * 1024 * 1024;
-    private static readonly HashSet<string> AllowedExtensions =
-        new(StringComparer.OrdinalIgnoreCase) { ".jpg", ".jpeg", ".png" };
+    private const int MaxDuplicateChecks = 500;
 
     private readonly PhotoSetService _photoSets;
     private readonly PhotoProcessingService _processing;
+    private readonly TrashService _trash;
+    private readonly PhotoHashIndex _hashes;
 
-    public PhotosController(PhotoSetService photoSets, PhotoProcessingService processing)
+    public PhotosController(PhotoSetService photoSets, PhotoProcessingService processing, TrashService trash, PhotoHashIndex hashes)
     {
         _photoSets = photoSets;
         _processing = processing;
+        _trash = trash;
+        _hashes = hashes;
     }
 
     /// <summary>Library totals independent of the current page.</summary>
@@ -54,8 +61,14 @@ public sealed class PhotosController : EntityController<PhotoAsset>
         [FromQuery] double searchAlpha = 0.5,
         [FromQuery] string sortBy = "capturedAt",
         [FromQuery] string sortOrder = "desc",
+        [FromQuery] string? filters = null,
+        [FromQuery] bool stacked = false,
+        [FromQuery] string? expandedStacks = null,
         CancellationToken ct = default)
     {
+        if (!TryParseFilters(filters, out var parsedFilters))
+            return BadRequest(new { error = "filters must be the filter panel state as JSON" });
+
         var def = new PhotoSetDefinition
         {
             Context = context,
@@ -64,21 +77,93 @@ public sealed class PhotosController : EntityController<PhotoAsset>
             SearchAlpha = searchAlpha,
             SortBy = sortBy,
             SortOrder = sortOrder,
+            Filters = parsedFilters,
+            Stacked = stacked,
+            ExpandedStacks = ParseIds(expandedStacks),
         };
-        var photos = await _photoSets.MaterializeContext(def, ct);
-        var index = photos.FindIndex(p => p.Id == id);
+        var entries = await _photoSets.MaterializeEntries(def, ct);
+        var index = entries.FindIndex(e => e.Photo.Id == id);
+        // Folded into a collapsed stack: the stack's place is the photo's.
+        if (index < 0)
+            index = entries.FindIndex(e => e.Stack is { } stack && !e.Expanded && stack.MemberIds.Contains(id));
         if (index < 0)
             return NotFound(new { error = "Photo not found in current context" });
 
         return Ok(new PhotoIndexResponse
         {
             Index = index,
-            TotalCount = photos.Count,
-            HasNext = index < photos.Count - 1,
+            TotalCount = entries.Count,
+            HasNext = index < entries.Count - 1,
             HasPrevious = index > 0,
         });
     }
 
+    /// <summary>Month buckets of the same sorted context the gallery shows, for the grid's date rail.</summary>
+    [HttpGet("date-histogram")]
+    public async Task<ActionResult<DateHistogramResponse>> GetDateHistogram(
+        [FromQuery] string context = "all-photos",
+        [FromQuery] string? collectionId = null,
+        [FromQuery] string? eventId = null,
+        [FromQuery] string? searchQuery = null,
+        [FromQuery] double searchAlpha = 0.5,
+        [FromQuery] string sortBy = "capturedAt",
+        [FromQuery] string sortOrder = "desc",
+        [FromQuery] string? filters = null,
+        [FromQuery] bool stacked = false,
+        [FromQuery] string? expandedStacks = null,
+        CancellationToken ct = default)
+    {
+        if (!TryParseFilters(filters, out var parsedFilters))
+            return BadRequest(new { error = "filters must be the filter panel state as JSON" });
+
+        return Ok(await _photoSets.DateHistogram(new PhotoSetDefinition
+        {
+            Context = context,
+            CollectionId = collectionId,
+            EventId = eventId,
+            SearchQuery = searchQuery,
+            SearchAlpha = searchAlpha,
+            SortBy = sortBy,
+            SortOrder = sortOrder,
+            Filters = parsedFilters,
+            Stacked = stacked,
+            ExpandedStacks = ParseIds(expandedStacks),
+        }, ct));
+    }
+
+    /// <summary>Aspect ratios of the same sorted context the gallery shows, for justified and masonry layouts.</summary>
+    [HttpGet("aspect-ratios")]
+    public async Task<ActionResult<AspectRatiosResponse>> GetAspectRatios(
+        [FromQuery] string context = "all-photos",
+        [FromQuery] string? collectionId = null,
+        [FromQuery] string? eventId = null,
+        [FromQuery] string? searchQuery = null,
+        [FromQuery] double searchAlpha = 0.5,
+        [FromQuery] string sortBy = "capturedAt",
+        [FromQuery] string sortOrder = "desc",
+        [FromQuery] string? filters = null,
+        [FromQuery] bool stacked = false,
+        [FromQuery] string? expandedStacks = null,
+        CancellationToken ct = default)
+    {
+        if (!TryParseFilters(filters, out var parsedFilters))
+            return BadRequest(new { error = "filters must be the filter panel state as JSON" });
+
+        return Ok(await _photoSets.AspectRatios(new PhotoSetDefinition
+        {
+            Context = context,
+            CollectionId = collectionId,
+            EventId = eventId,
+            SearchQuery = searchQuery,
+            SearchAlpha = searchAlpha,
+            SortBy = sortBy,
+            SortOrder = sortOrder,
+            Filters = parsedFilters,
+            Stacked = stacked,
+            ExpandedStacks = ParseIds(expandedStacks),
+        }, ct));
+    }
+
     /// <summary>One event's photos, newest capture first and paginated.</summary>
     [HttpGet("by-event/{eventId}")]
     public async Task<ActionResult<EventPhotosResponse>> GetByEvent(
@@ -116,6 +201,68 @@ public sealed class PhotosController : EntityController<PhotoAsset>
         });
     }
 
+    /// <summary>
+    /// Which files the browser is about to upload already exist in the library: a SHA-256 match is an exact duplicate,
+    /// otherwise the closest perceptual hash within <see cref="PerceptualHash.NearThreshold"/> bits is a near-duplicate.
+    /// Exact matches are one query by content hash; near ones scan the in-memory <see cref="PhotoHashIndex"/>, so a
+    /// check never loads the library. Photos ingested before fingerprinting carry no hashes and never match.
+    /// </summary>
+    [HttpPost("duplicates")]
+    public async Task<ActionResult<DuplicateCheckResponse>> CheckDuplicates([FromBody] DuplicateCheckRequest request, CancellationToken ct = default)
+    {
+        if (request?.Files is not { Count: > 0 })
+            return BadRequest(new { error = "No fingerprints provided." });
+        if (request.Files.Count > MaxDuplicateChecks)
+            return BadRequest(new { error = $"Check at most {MaxDuplicateChecks} files per request." });
+
+        // Content hashes are stored as lowercase hex.
+        var shas = request.Files
+            .Where(f => !string.IsNullOrEmpty(f.Sha256))
+            .Select(f => f.Sha256!.ToLowerInvariant())
+            .Distinct()
+            .ToList();
+        var byContent = shas.Count == 0
+            ? new Dictionary<string, PhotoAsset>()
+            : (await PhotoAsset.Query(p => shas.Contains(p.ContentHash!), ct))
+                .GroupBy(p => p.ContentHash!)
+                .ToDictionary(g => g.Key, g => g.First());
+
+        // Near candidates (nearest first) for the files without an exact match, then every candidate in one read
+        var near = new IReadOnlyList<(string PhotoId, int Distance)>[request.Files.Count];
+        for (var i = 0; i < request.Files.Count; i++)
+        {
+            var file = request.Files[i];
+            near[i] = !string.IsNullOrEmpty(file.Sha256) && byContent.ContainsKey(file.Sha256.ToLowerInvariant())
+                ? []
+                : await _hashes.Near(file.PerceptualHash, PerceptualHash.NearThreshold, ct);
+        }
+        var candidateIds = near.SelectMany(c => c.Select(m => m.PhotoId)).Distinct().ToList();
+        var candidates = candidateIds.Count == 0
+            ? new Dictionary<string, PhotoAsset>()
+            : (await PhotoAsset.Query(p => candidateIds.Contains(p.Id), ct)).ToDictionary(p => p.Id);
+
+        var matches = new List<DuplicateMatch>();
+        for (var i = 0; i < request.Files.Count; i++)
+        {
+            var file = request.Files[i];
+            if (!string.IsNullOrEmpty(file.Sha256) && byContent.TryGetValue(file.Sha256.ToLowerInvariant(), out var exact))
+            {
+                matches.Add(new DuplicateMatch(file.Key, "exact", 0, exact.Id, exact.OriginalFileName, exact.CapturedAt));
+                continue;
+            }
+
+            // A candidate trashed since the index saw it isn't read back
+            foreach (var (photoId, distance) in near[i])
+            {
+                if (!candidates.TryGetValue(photoId, out var nearest)) continue;
+                matches.Add(new DuplicateMatch(file.Key, "near", distance, nearest.Id, nearest.OriginalFileName, nearest.CapturedAt));
+                break;
+            }
+        }
+
+        return Ok(new DuplicateCheckResponse { Matches = matches });
+    }
+
     /// <summary>
     /// Streams each raw file to crash-safe staging, then submits one
     /// durable, tenant-carried <see cref="PhotoProcessingJob"/> per file sharing a <c>batchId</c>. Returns immediately
@@ -144,7 +291,7 @@ public sealed class PhotosController : EntityController<PhotoAsset>
         foreach (var file in form.Files)
         {
             var ext = Path.GetExtension(file.FileName);
-            if (string.IsNullOrEmpty(ext) || !AllowedExtensions.Contains(ext) || file.Length <= 0 || file.Length > MaxFileBytes)
+            if (string.IsNullOrEmpty(ext) || !Constants.Uploads.AllowedExtensions.Contains(ext) || file.Length <= 0 || file.Length > MaxFileBytes)
             {
                 failed.Add(file.FileName);
                 continue;
@@ -183,18 +330,22 @@ public sealed class PhotosController : EntityController<PhotoAsset>
     }
 
     // ------------------------------------------------------------------------------------------------------------
-    // Studio mutations remain thin actions over the entity: deletes
+    // Studio mutations remain thin actions over the entity: deletes move photos to the trash (TrashService) and
     // fire the structural AfterRemove cleanup (PhotoAssetCleanup), regeneration rides the durable tenant-carrying
     // job, and lock keys honour INV-1 (lowercase). Isolation is inherited from the ambient axes (no [Authorize]).
     // ------------------------------------------------------------------------------------------------------------
 
-    /// <summary>Toggle favorite and return the new state.</summary>
+    /// <summary>
+    /// Toggle favorite and return the new state. A body with <c>isFavorite</c> sets that state instead, so a
+    /// replayed offline change is idempotent.
+    /// </summary>
     [HttpPost("{id}/favorite")]
-    public async Task<IActionResult> ToggleFavorite(string id, CancellationToken ct = default)
+    public async Task<IActionResult> ToggleFavorite(string id,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] FavoriteRequest? request = null, CancellationToken ct = default)
     {
         var photo = await PhotoAsset.Get(id, ct);
         if (photo is null) return NotFound();
-        photo.IsFavorite = !photo.IsFavorite;
+        photo.IsFavorite = request?.IsFavorite ?? !photo.IsFavorite;
         await photo.Save(ct);
         return Ok(new { photo.IsFavorite });
     }
@@ -213,7 +364,10 @@ public sealed class PhotosController : EntityController<PhotoAsset>
         return Ok(new { photo.Rating });
     }
 
-    /// <summary>Favorite or unfavorite a set; collect per-item failures.</summary>
+    /// <summary>
+    /// Favorite or unfavorite a set; collect per-item failures. <c>changed</c> lists the photos whose state this
+    /// flipped, so an undo puts back exactly those.
+    /// </summary>
     [HttpPost("bulk/favorite")]
     public async Task<IActionResult> BulkFavorite([FromBody] BulkPhotoRequest request, CancellationToken ct = default)
     {
@@ -221,6 +375,7 @@ public sealed class PhotosController : EntityController<PhotoAsset>
             return BadRequest(new { error = "photoIds is required." });
 
         var updated = 0;
+        var changed = new List<string>();
         var errors = new List<string>();
         foreach (var photoId in request.PhotoIds)
         {
@@ -228,6 +383,7 @@ public sealed class PhotosController : EntityController<PhotoAsset>
             {
                 var photo = await PhotoAsset.Get(photoId, ct);
                 if (photo is null) { errors.Add($"Photo {photoId} not found"); continue; }
+                if (photo.IsFavorite != request.IsFavorite) changed.Add(photoId);
                 photo.IsFavorite = request.IsFavorite;
                 await photo.Save(ct);
                 updated++;
@@ -235,14 +391,75 @@ public sealed class PhotosController : EntityController<PhotoAsset>
             catch (Exception ex) { errors.Add($"Photo {photoId}: {ex.Message}"); }
         }
 
-        return Ok(new { updated, failed = errors.Count, errors, request.IsFavorite });
+        return Ok(new { updated, failed = errors.Count, errors, request.IsFavorite, changed });
     }
 
     /// <summary>
-    /// Bulk delete is the only delete path; raw EntityController write verbs are sealed. Each
-    /// <c>Remove</c> fires the structural AfterRemove hook (cached-render eviction + collection dead-id pruning),
-    /// so the controller stays a thin loop. Returns { deleted, errors } — the SPA reads <c>deleted</c> and
-    /// <c>errors[0]</c>.
+    /// Reject or un-reject a set while culling (compare mode's "keep this, reject others"). A rejected photo stays in
+    /// the library and its collections; <c>changed</c> lists the photos whose state this flipped, as for favorites.
+    /// </summary>
+    [HttpPost("bulk/reject")]
+    public async Task<IActionResult> BulkReject([FromBody] BulkRejectRequest request, CancellationToken ct = default)
+    {
+        if (request?.PhotoIds is null || request.PhotoIds.Count == 0)
+            return BadRequest(new { error = "photoIds is required." });
+
+        var updated = 0;
+        var changed = new List<string>();
+        var errors = new List<string>();
+        foreach (var photoId in request.PhotoIds)
+        {
+            try
+            {
+                var photo = await PhotoAsset.Get(photoId, ct);
+                if (photo is null) { errors.Add($"Photo {photoId} not found"); continue; }
+                if (photo.IsRejected != request.IsRejected) changed.Add(photoId);
+                photo.IsRejected = request.IsRejected;
+                await photo.Save(ct);
+                updated++;
+            }
+            catch (Exception ex) { errors.Add($"Photo {photoId}: {ex.Message}"); }
+        }
+
+        return Ok(new { updated, failed = errors.Count, errors, request.IsRejected, changed });
+    }
+
+    /// <summary>
+    /// Make a photo its burst stack's pick: the cover the grid shows for the stack while it is collapsed. The stack is
+    /// found in the whole library and the other members' picks are cleared; <c>isPick: false</c> clears the stack's
+    /// pick instead (its first-captured photo covers it again). <c>previousPickId</c> is what an undo puts back.
+    /// </summary>
+    [HttpPost("{id}/stack-pick")]
+    public async Task<IActionResult> SetStackPick(string id,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] StackPickRequest? request = null, CancellationToken ct = default)
+    {
+        var photo = await PhotoAsset.Get(id, ct);
+        if (photo is null) return NotFound();
+
+        var library = await _photoSets.MaterializeContext(new PhotoSetDefinition { Context = "all-photos" }, ct);
+        var stack = PhotoStacks.Detect(library).FirstOrDefault(s => s.MemberIds.Contains(id));
+        if (stack is null)
+            return BadRequest(new { error = "This photo isn't part of a burst stack." });
+
+        var isPick = request?.IsPick ?? true;
+        var members = library.Where(p => stack.MemberIds.Contains(p.Id)).ToList();
+        var previousPickId = members.FirstOrDefault(p => p.IsStackPick)?.Id;
+        foreach (var member in members)
+        {
+            var pick = isPick && member.Id == id;
+            if (member.IsStackPick == pick) continue;
+            member.IsStackPick = pick;
+            await member.Save(ct);
+        }
+
+        return Ok(new { StackId = stack.Id, PickId = isPick ? id : null, PreviousPickId = previousPickId });
+    }
+
+    /// <summary>
+    /// Bulk delete is the only delete path; raw EntityController write verbs are sealed. Each photo moves to the
+    /// trash (<see cref="TrashService.TrashPhoto"/>): hidden from reads and pruned from its collections by the
+    /// AfterRemove hook, restorable through <c>/api/trash</c> until the retention window purges it. Returns
+    /// { deleted, errors } — the SPA reads <c>deleted</c> and <c>errors[0]</c>.
     /// </summary>
     [HttpPost("bulk/delete")]
     public async Task<IActionResult> BulkDelete([FromBody] BulkPhotoRequest request, CancellationToken ct = default)
@@ -252,18 +469,20 @@ public sealed class PhotosController : EntityController<PhotoAsset>
 
         var deleted = 0;
         var errors = new List<string>();
+        var collections = await Collection.All(ct);   // once for the batch, not per photo
         foreach (var photoId in request.PhotoIds)
         {
             try
             {
                 var photo = await PhotoAsset.Get(photoId, ct);
                 if (photo is null) { errors.Add($"Photo {photoId} not found"); continue; }
-                await photo.Remove(ct);   // → AfterRemove: evict cached renders + prune collections
+                await _trash.TrashPhoto(photo, collections, ct);   // soft delete → AfterRemove: prune collections
                 deleted++;
             }
             catch (Exception ex) { errors.Add($"Photo {photoId}: {ex.Message}"); }
         }
 
+        await _trash.SweepExpired(ct);
         return Ok(new { deleted, failed = errors.Count, errors });
     }
 
@@ -377,10 +596,23 @@ public sealed class PhotosController : EntityController<PhotoAsset>
         return Ok(new { summaryLocked = photo.AiAnalysis.SummaryLocked, lockedFactKeys = photo.AiAnalysis.LockedFactKeys.ToList() });
     }
 
+    /// <summary>A comma-separated id list a photo-set read carries (<c>?expandedStacks=</c>); absent is none.</summary>
+    private static List<string> ParseIds(string? ids)
+        => string.IsNullOrEmpty(ids) ? new() : ids.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList();
+
+    /// <summary>The filter panel state a photo-set read carries as <c>?filters=</c> JSON; absent is unfiltered.</summary>
+    private static bool TryParseFilters(string? json, out PhotoSetFilters? filters)
+    {
+        filters = null;
+        if (string.IsNullOrEmpty(json)) return true;
+        try { filters = JsonConvert.DeserializeObject<PhotoSetFilters>(json); return true; }
+        catch (JsonException) { return false; }
+    }
+
     // ------------------------------------------------------------------------------------------------------------
     // §9.7 tripwire — seal the raw EntityController write/delete verbs (405). Photos enter ONLY via /upload (the
     // ingest pipeline that stores the original + extracts EXIF/AI); a raw Upsert would mint a blob-less PhotoAsset.
-    // Photos leave ONLY via bulk/delete (which fires the AfterRemove cleanup). These overrides inherit the base
+    // Photos leave ONLY via bulk/delete (into the trash) and /api/trash purges. These overrides inherit the base
     // route attributes ([HttpPost("")], [HttpPost("bulk")], [HttpDelete("{id}")], …), so the routes still exist —
     // they just refuse.
     // ------------------------------------------------------------------------------------------------------------
@@ -0,0 +1,85 @@
+using Koan.Web.Attributes;
+using Koan.Web.Controllers;
+using Microsoft.AspNetCore.Mvc;
+using SnapVault.Initialization;
+using SnapVault.Models;
+using SnapVault.Services;
+
+namespace SnapVault.Controllers;
+
+/// <summary>
+/// Saved searches ("smart collections"). EntityController supplies CRUD; a save is validated and stamped, and the
+/// sidebar reads every smart collection's live count from <c>counts</c>. Browsing one is an ordinary photo-set query
+/// with context <c>smart</c>. A delete goes to the trash, so the sidebar can undo it. Pagination is off because the
+/// sidebar consumes the complete list.
+/// </summary>
+[Route("api/smart-collections")]
+[Pagination(Mode = PaginationMode.Off)]
+[OperatorOnly]
+public sealed class SmartCollectionsController : EntityController<SmartCollection>
+{
+    private readonly PhotoSetService _photoSets;
+    private readonly TrashService _trash;
+
+    public SmartCollectionsController(PhotoSetService photoSets, TrashService trash)
+    {
+        _photoSets = photoSets;
+        _trash = trash;
+    }
+
+    /// <summary>Sidebar badges: how many photos each smart collection holds right now.</summary>
+    [HttpGet("counts")]
+    public async Task<ActionResult<IReadOnlyList<SmartCollectionCount>>> Counts(CancellationToken ct = default)
+    {
+        var counts = new List<SmartCollectionCount>();
+        foreach (var smart in await SmartCollection.All(ct))
+        {
+            var photos = await _photoSets.MaterializeContext(new PhotoSetDefinition { Context = "smart", CollectionId = smart.Id }, ct);
+            counts.Add(new SmartCollectionCount(smart.Id, photos.Count));
+        }
+        return Ok(counts);
+    }
+
+    /// <summary>Create or update a smart collection: a name and a search or filter are required.</summary>
+    public override async Task<IActionResult> Upsert(SmartCollection model, CancellationToken ct)
+    {
+        if (model is null || string.IsNullOrWhiteSpace(model.Name))
+            return BadRequest(new { error = "Smart collection name is required." });
+
+        model.Name = model.Name.Trim();
+        model.SearchQuery = string.IsNullOrWhiteSpace(model.SearchQuery) ? null : model.SearchQuery.Trim();
+        model.SearchAlpha = Math.Clamp(model.SearchAlpha, 0, 1);
+        if (model.Filters is { IsActive: false }) model.Filters = null;
+        if (!model.IsDefined)
+            return BadRequest(new { error = "A smart collection needs a search query or at least one filter." });
+
+        // An update keeps its creation time; every save moves the revision the browser caches on
+        var existing = string.IsNullOrEmpty(model.Id) ? null : await SmartCollection.Get(model.Id, ct);
+        model.CreatedAt = existing?.CreatedAt ?? DateTime.UtcNow;
+        model.UpdatedAt = DateTime.UtcNow;
+
+        return await base.Upsert(model, ct);
+    }
+
+    /// <summary>Move a smart collection to the trash; no photo is touched.</summary>
+    public override async Task<IActionResult> Delete(string id, CancellationToken ct)
+    {
+        var smart = await SmartCollection.Get(id, ct);
+        if (smart is null)
+            return NotFound(new { error = $"Smart collection '{id}' not found" });
+
+        await _trash.TrashSmartCollection(smart, ct);
+        return Ok(new { smart.Id, smart.Name });
+    }
+
+    /// <summary>Bring a deleted smart collection back from the trash.</summary>
+    [HttpPost("{id}/restore")]
+    public async Task<IActionResult> Restore(string id, CancellationToken ct = default)
+    {
+        var smart = await _trash.RestoreSmartCollection(id, ct);
+        if (smart is null)
+            return NotFound(new { error = $"Smart collection '{id}' is not in the trash" });
+
+        return Ok(new { smart.Id, smart.Name });
+    }
+}
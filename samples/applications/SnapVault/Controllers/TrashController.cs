@@ -0,0 +1,64 @@
+using Microsoft.AspNetCore.Mvc;
+using SnapVault.Initialization;
+using SnapVault.Services;
+
+namespace SnapVault.Controllers;
+
+/// <summary>
+/// The studio trash: photos deleted through <c>POST /api/photos/bulk/delete</c> stay here, hidden from every library
+/// read, until they are restored, purged, or outlive the retention window. Only a purge reclaims the original.
+/// Inherits ambient tenant isolation like every studio surface.
+/// </summary>
+[ApiController]
+[Route("api/trash")]
+[OperatorOnly]
+public sealed class TrashController : ControllerBase
+{
+    private readonly TrashService _trash;
+
+    public TrashController(TrashService trash) => _trash = trash;
+
+    /// <summary>Trashed photos, most recently deleted first, each with the time it will be purged.</summary>
+    [HttpGet("")]
+    public async Task<ActionResult<TrashResponse>> List(CancellationToken ct = default)
+    {
+        var photos = await _trash.TrashedPhotos(ct);
+        return Ok(new TrashResponse
+        {
+            RetentionDays = _trash.Retention.TotalDays,
+            Photos = photos.Select(p => new TrashedPhoto(p.Id, p.OriginalFileName, p.BlurHash, p.Width, p.Height,
+                p.CapturedAt, p.DeletedAt!.Value, p.DeletedAt!.Value + _trash.Retention)).ToList(),
+        });
+    }
+
+    /// <summary>Put photos back in the library and the collections they were deleted from.</summary>
+    [HttpPost("restore")]
+    public async Task<IActionResult> Restore([FromBody] BulkPhotoRequest request, CancellationToken ct = default)
+    {
+        if (request?.PhotoIds is null || request.PhotoIds.Count == 0)
+            return BadRequest(new { error = "photoIds is required." });
+
+        var outcome = await _trash.RestorePhotos(request.PhotoIds, ct);
+        return Ok(new { restored = outcome.Count, failed = outcome.Errors.Count, errors = outcome.Errors });
+    }
+
+    /// <summary>Permanently delete photos from the trash.</summary>
+    [HttpPost("purge")]
+    public async Task<IActionResult> Purge([FromBody] BulkPhotoRequest request, CancellationToken ct = default)
+    {
+        if (request?.PhotoIds is null || request.PhotoIds.Count == 0)
+            return BadRequest(new { error = "photoIds is required." });
+
+        var outcome = await _trash.PurgePhotos(request.PhotoIds, ct);
+        return Ok(new { purged = outcome.Count, failed = outcome.Errors.Count, errors = outcome.Errors });
+    }
+
+    /// <summary>Permanently delete every photo in the trash.</summary>
+    [HttpPost("empty")]
+    public async Task<IActionResult> Empty(CancellationToken ct = default)
+    {
+        var photos = await _trash.TrashedPhotos(ct);
+        var outcome = await _trash.PurgePhotos(photos.Select(p => p.Id).ToList(), ct);
+        return Ok(new { purged = outcome.Count, failed = outcome.Errors.Count, errors = outcome.Errors });
+    }
+}
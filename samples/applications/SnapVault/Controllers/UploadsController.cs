@@ -0,0 +1,100 @@
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using SnapVault.Initialization;
+using SnapVault.Models;
+using SnapVault.Services;
+
+namespace SnapVault.Controllers;
+
+/// <summary>
+/// Resumable, chunked uploads for large files and unreliable connections. <c>POST</c> declares a file and returns
+/// an upload id plus the chunk size; <c>PATCH</c> appends raw bytes at the <c>Upload-Offset</c> header; <c>GET</c>
+/// reports the offset to resume from; <c>DELETE</c> abandons. A PATCH at the wrong offset is a 409 carrying the
+/// server's offset, so a client that lost a response realigns instead of duplicating bytes. The completing PATCH
+/// hands the file to the durable ingest job; progress then flows through the batch SSE stream as usual.
+/// </summary>
+[ApiController]
+[Route("api/uploads")]
+[OperatorOnly]
+public sealed class UploadsController : ControllerBase
+{
+    // Request ceiling for one PATCH: the largest configurable chunk plus headroom.
+    private const long MaxChunkRequestBytes = 17L * 1024 * 1024;
+
+    private readonly ResumableUploadService _uploads;
+
+    public UploadsController(ResumableUploadService uploads) => _uploads = uploads;
+
+    /// <summary>Open a session for one file.</summary>
+    [HttpPost]
+    public async Task<IActionResult> Begin([FromBody] BeginUploadRequest request, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(request?.FileName))
+            return BadRequest(new { error = "fileName is required." });
+
+        try
+        {
+            var session = await _uploads.Begin(request.FileName, request.ContentType, request.Length, request.EventId, request.BatchId, request.CollectionId,
+                request.ReplacesPhotoId, ct);
+            return StatusCode(StatusCodes.Status201Created, Describe(session));
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(new { error = ex.Message, maxFileBytes = _uploads.Limits.MaxFileBytes });
+        }
+    }
+
+    /// <summary>The offset to resume from.</summary>
+    [HttpGet("{id}")]
+    public async Task<IActionResult> Status(string id, CancellationToken ct = default)
+    {
+        var session = await _uploads.Find(id, ct);
+        return session is null ? NotFound(new { error = $"Upload '{id}' not found or expired." }) : Ok(Describe(session));
+    }
+
+    /// <summary>Append the request body at <c>Upload-Offset</c>.</summary>
+    [HttpPatch("{id}")]
+    [RequestSizeLimit(MaxChunkRequestBytes)]
+    public async Task<IActionResult> Append(string id, [FromHeader(Name = "Upload-Offset")] long? offset, CancellationToken ct = default)
+    {
+        if (offset is null)
+            return BadRequest(new { error = "Upload-Offset header is required." });
+
+        try
+        {
+            var session = await _uploads.Append(id, offset.Value, Request.Body, ct);
+            return session is null ? NotFound(new { error = $"Upload '{id}' not found or expired." }) : Ok(Describe(session));
+        }
+        catch (UploadOffsetException ex)
+        {
+            return Conflict(new { error = "Upload offset mismatch.", offset = ex.Offset, completed = ex.Completed });
+        }
+        catch (ArgumentException ex)
+        {
+            // A refused chunk leaves the offset where it was
+            return BadRequest(new { error = ex.Message, offset = offset.Value });
+        }
+    }
+
+    /// <summary>Abandon an upload and discard its chunks.</summary>
+    [HttpDelete("{id}")]
+    public async Task<IActionResult> Cancel(string id, CancellationToken ct = default)
+    {
+        var session = await _uploads.Find(id, ct);
+        if (session is null) return NotFound();
+        if (session.CompletedAt is null) await _uploads.Discard(session, ct);
+        return NoContent();
+    }
+
+    // Shape read by ResumableUploader.js.
+    private object Describe(UploadSession s) => new
+    {
+        uploadId = s.Id,
+        offset = s.Offset,
+        length = s.Length,
+        chunkSize = _uploads.Limits.ChunkBytes,
+        batchId = s.BatchId,
+        completed = s.CompletedAt is not null,
+        jobId = s.JobId,
+    };
+}
@@ -14,6 +14,13 @@ internal static class Constants
         public const string Media = "/media";
     }
 
+    internal static class Uploads
+    {
+        /// <summary>Extensions the ingest pipeline decodes; shared by the batch and resumable endpoints.</summary>
+        public static readonly HashSet<string> AllowedExtensions =
+            new(StringComparer.OrdinalIgnoreCase) { ".jpg", ".jpeg", ".png" };
+    }
+
     internal static class RequestItems
     {
         public static readonly object GalleryGrant = new();
@@ -0,0 +1,82 @@
+using System.Collections.Concurrent;
+using Koan.Core.Hosting.App;
+using Koan.Data.Core.Model;
+using Koan.Tenancy;
+using Microsoft.Extensions.Logging;
+using SnapVault.Models;
+using SnapVault.Progress;
+
+namespace SnapVault.Initialization;
+
+/// <summary>
+/// Records the library change log (<see cref="LibraryChange"/>) that feeds the live grid. Registered once at boot as
+/// data-layer lifecycle hooks on <see cref="PhotoAsset"/> and <see cref="Collection"/>, so every write path — ingest,
+/// favorite/rate, bulk delete, the delete-cleanup's collection pruning — is recorded without a per-controller
+/// "remember to publish". <see cref="LibraryChange"/> itself is not hooked, so appending never recurses.
+///
+/// <para>Best-effort relative to the write it records: a failed append is logged and never fails the user's
+/// mutation. A client that misses a change still converges on its next reload or background refresh.</para>
+///
+/// <para>Rows live for <see cref="LibraryChangeProjection.Retention"/>; the append path prunes older rows at most
+/// once per half-window per tenant (the hook runs in the tenant of the triggering write, like
+/// <see cref="PhotoAssetCleanup"/>).</para>
+/// </summary>
+internal static class LibraryChangeHooks
+{
+    private const string ExistedKey = "__snapvault_library_change_existed";
+
+    private static readonly ConcurrentDictionary<string, DateTime> LastPrune = new(StringComparer.Ordinal);
+
+    public static void Register()
+    {
+        Hook<PhotoAsset>(LibraryChangeKinds.Photo);
+        Hook<Collection>(LibraryChangeKinds.Collection);
+    }
+
+    private static void Hook<TEntity>(string kind) where TEntity : Entity<TEntity>
+    {
+        // Before/After share one context; a prior value means the row already existed.
+        Entity<TEntity>.Lifecycle.BeforeUpsert(ctx =>
+        {
+            ctx.Items[ExistedKey] = ctx.Prior is not null;
+            return ctx.Proceed();
+        });
+
+        Entity<TEntity>.Lifecycle.AfterUpsert(async ctx =>
+        {
+            var existed = ctx.Items.TryGetValue(ExistedKey, out var e) && e is true;
+            await AppendAsync(kind, existed ? LibraryChangeActions.Updated : LibraryChangeActions.Created, ctx.Current.Id, ctx.CancellationToken);
+        });
+
+        Entity<TEntity>.Lifecycle.AfterRemove(async ctx =>
+            await AppendAsync(kind, LibraryChangeActions.Deleted, ctx.Current.Id, ctx.CancellationToken));
+    }
+
+    private static async Task AppendAsync(string kind, string action, string entityId, CancellationToken ct)
+    {
+        try
+        {
+            await new LibraryChange { Kind = kind, Action = action, EntityId = entityId }.Save(ct);
+            await PruneAsync(ct);
+        }
+        catch (Exception ex)
+        {
+            AppHost.GetRequiredService<ILoggerFactory>("SnapVault library changes")
+                .CreateLogger("SnapVault.LibraryChangeHooks")
+                .LogWarning(ex, "Failed to record {Kind} {Action} for {EntityId}", kind, action, entityId);
+        }
+    }
+
+    private static async Task PruneAsync(CancellationToken ct)
+    {
+        var now = DateTime.UtcNow;
+        var tenant = Tenant.Current?.Id ?? "";
+        if (LastPrune.TryGetValue(tenant, out var last) && now - last < LibraryChangeProjection.Retention / 2) return;
+        LastPrune[tenant] = now;
+
+        var cutoff = now - LibraryChangeProjection.Retention;
+        var expired = await LibraryChange.Query(c => c.At < cutoff, ct);
+        if (expired.Count > 0)
+            await LibraryChange.Remove(expired.Select(c => c.Id), ct);
+    }
+}
@@ -1,3 +1,4 @@
+using Koan.Data.Abstractions.Pipeline;
 using Koan.Data.Core;
 using Koan.Core.Hosting.App;
 using Koan.Media.Web.Routing;
@@ -9,14 +10,18 @@ namespace SnapVault.Initialization;
 /// <summary>
 /// Structural delete cleanup for <see cref="PhotoAsset"/>. Registered once at boot as a
 /// data-layer <c>AfterRemove</c> lifecycle hook, so it fires on EVERY delete path — bulk delete today, client
-/// deprovisioning tomorrow — instead of being remembered per-controller (conformity-by-design). Two best-effort
+/// deprovisioning tomorrow — instead of being remembered per-controller (conformity-by-design).
+///
+/// <para><see cref="PhotoAsset"/> is <c>[SoftDelete]</c>: an ordinary <c>Remove</c> moves the photo to the trash, and
+/// only the collection pruning runs — the photo may be restored, so its original and renders stay. A purge
+/// (<c>HardDelete</c>, which bypasses the soft-delete override for exactly that photo) runs every leg. Two best-effort
 /// cleanups, both "storage cleanliness, never a serving leak": the access gate precedes the derivation
 /// cache (<see cref="MediaEntitySource{TEntity}"/> resolves the source before any cached render), so an
 /// un-evicted render is already unreachable.
 /// <list type="number">
-/// <item>Reclaim this photo's own stored original blob. Only safe because ingest keys each blob by a fresh
+/// <item>Purge only: reclaim this photo's own stored original blob. Only safe because ingest keys each blob by a fresh
 /// <c>StringId</c> rather than the file name, so no sibling can share the key.</item>
-/// <item>Evict this source's cached recipe renders (<see cref="MediaDerivation"/>) — record <b>and</b> blob.
+/// <item>Purge only: evict this source's cached recipe renders (<see cref="MediaDerivation"/>) — record <b>and</b> blob.
 /// Targeted by <c>SourceMediaId</c>, not the framework's probe-if-orphaned sweep (which the default
 /// <c>MediaEntitySource</c> leaves a no-op); targeting also cannot false-positive a still-live but access-gated
 /// source into deletion.</item>
@@ -40,12 +45,13 @@ internal static class PhotoAssetCleanup
                 .CreateLogger("SnapVault.PhotoAssetCleanup");
             var photoId = ctx.Current.Id;
             var ct = ctx.CancellationToken;
+            var purged = OperationOverrideBypass.IsBypassedFor(typeof(PhotoAsset), photoId);   // else it went to the trash
 
             // 0. Reclaim this photo's own stored original blob. Safe now that ingest keys each photo's blob uniquely
-            // (a fresh StringId, not the fileName) — no sibling can share the key, so this runs on EVERY delete path
-            // (bulk delete, client deprovisioning) instead of leaking the original bytes (§9.7 tripwire). Best-effort:
+            // (a fresh StringId, not the fileName) — no sibling can share the key, so this runs on EVERY purge path
+            // (trash purge, retention sweep, repository wipe) instead of leaking the original bytes (§9.7 tripwire). Best-effort:
             // the record is already gone, and a missing/absent blob must never fail the user's delete.
-            if (!string.IsNullOrEmpty(ctx.Current.Key))
+            if (purged && !string.IsNullOrEmpty(ctx.Current.Key))
             {
                 try { await ctx.Current.Delete(ct); }
                 catch (Exception ex) { logger.LogWarning(ex, "Failed to delete original blob for removed photo {PhotoId}", photoId); }
@@ -54,27 +60,30 @@ internal static class PhotoAssetCleanup
             // 1. Evict cached recipe renders whose source is this photo (blob first, then the record). Guard EACH
             // derivation independently so one failed eviction can't strand the rest (the outer guard is only for the
             // Query itself, which is genuinely whole-leg).
-            try
+            if (purged)
             {
-                var derivations = await MediaDerivation.Query(d => d.SourceMediaId == photoId, ct);
-                foreach (var derivation in derivations)
+                try
                 {
-                    try
-                    {
-                        try { await derivation.Delete(ct); } catch { /* blob may already be gone — the record removal is what matters */ }
-                        await derivation.Remove(ct);
-                    }
-                    catch (Exception ex)
+                    var derivations = await MediaDerivation.Query(d => d.SourceMediaId == photoId, ct);
+                    foreach (var derivation in derivations)
                     {
-                        logger.LogWarning(ex, "Failed to evict cached render {DerivationId} for deleted photo {PhotoId}", derivation.Id, photoId);
+                        try
+                        {
+                            try { await derivation.Delete(ct); } catch { /* blob may already be gone — the record removal is what matters */ }
+                            await derivation.Remove(ct);
+                        }
+                        catch (Exception ex)
+                        {
+                            logger.LogWarning(ex, "Failed to evict cached render {DerivationId} for deleted photo {PhotoId}", derivation.Id, photoId);
+                        }
                     }
+                    if (derivations.Count > 0)
+                        logger.LogInformation("Evicted cached render(s) for deleted photo {PhotoId} ({Count} candidate(s))", photoId, derivations.Count);
+                }
+                catch (Exception ex)
+                {
+                    logger.LogWarning(ex, "Failed to enumerate cached renders for deleted photo {PhotoId}", photoId);
                 }
-                if (derivations.Count > 0)
-                    logger.LogInformation("Evicted cached render(s) for deleted photo {PhotoId} ({Count} candidate(s))", photoId, derivations.Count);
-            }
-            catch (Exception ex)
-            {
-                logger.LogWarning(ex, "Failed to enumerate cached renders for deleted photo {PhotoId}", photoId);
             }
 
             // 2. Prune the dead id from any collection's manual membership so counts stay honest. Guard EACH
@@ -21,6 +21,8 @@ public sealed class SnapVaultModule : KoanModule
     public override void Register(IServiceCollection services)
     {
         services.AddKoanOptions<CollectionOptions>("SnapVault:Collections");
+        services.AddKoanOptions<UploadOptions>("SnapVault:Uploads");
+        services.AddKoanOptions<TrashOptions>("SnapVault:Trash");
 
         // Studio-to-client lifecycle: explicit grant, proof, and integrity-checked deprovisioning.
         services.AddSingleton<GalleryGrantService>();
@@ -30,15 +32,23 @@ public sealed class SnapVaultModule : KoanModule
         // Durable ingest and optional enrichment.
         services.AddSingleton<Services.AI.AnalysisPromptFactory>();
         services.AddSingleton<PhotoProcessingService>();
+        services.AddSingleton<ResumableUploadService>();
+        services.AddSingleton<PhotoHashIndex>();
 
         // Session-windowed gallery queries.
         services.AddSingleton<PhotoSetService>();
 
+        // Soft-deleted photos and collections: restore, purge, and the retention sweep.
+        services.AddSingleton<TrashService>();
+
         // One request contributor validates gallery links and contributes their tenant/read context.
         services.TryAddEnumerable(ServiceDescriptor.Scoped<IWebContextContributor, SnapVaultContextContributor>());
 
         // Structural blob cleanup belongs to host composition, not mutable process state.
         PhotoAssetCleanup.Register();
+
+        // Every photo/collection write lands in the change log behind the live library stream.
+        LibraryChangeHooks.Register();
     }
 
     public override async Task Start(IServiceProvider services, CancellationToken ct)
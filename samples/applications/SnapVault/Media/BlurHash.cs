@@ -0,0 +1,128 @@
+using System.Text;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using SixLabors.ImageSharp.Processing;
+
+namespace SnapVault.Media;
+
+/// <summary>
+/// BlurHash (blurha.sh) placeholder: a few cosine components of the auto-oriented photo, in about 30 ASCII
+/// characters. It travels in the grid's photo metadata, and the browser (<c>wwwroot/js/utils/blurhash.js</c>) paints it
+/// as a blurred, correctly coloured preview while the masonry or gallery recipe loads.
+///
+/// <para>4×3 components for landscape photos, 3×4 for portrait, computed from a 32px thumbnail — the components are
+/// the low frequencies of the picture, so the full resolution adds nothing but decode time.</para>
+/// </summary>
+public static class BlurHash
+{
+    private const string Alphabet = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+    private const int SampleSize = 32;
+
+    /// <summary>Hash an encoded image.</summary>
+    public static async Task<string> Compute(Stream stream, CancellationToken ct = default)
+    {
+        using var image = await Image.LoadAsync<Rgb24>(stream, ct);
+        image.Mutate(x => x.AutoOrient().Resize(new ResizeOptions { Size = new Size(SampleSize, SampleSize), Mode = ResizeMode.Max }));
+
+        var landscape = image.Width >= image.Height;
+        return Encode(image, landscape ? 4 : 3, landscape ? 3 : 4);
+    }
+
+    private static string Encode(Image<Rgb24> image, int componentsX, int componentsY)
+    {
+        int width = image.Width, height = image.Height;
+
+        // Linear-light pixels, row-major
+        var linear = new float[width * height, 3];
+        image.ProcessPixelRows(rows =>
+        {
+            for (var y = 0; y < rows.Height; y++)
+            {
+                var row = rows.GetRowSpan(y);
+                for (var x = 0; x < row.Length; x++)
+                {
+                    linear[y * width + x, 0] = SrgbToLinear(row[x].R);
+                    linear[y * width + x, 1] = SrgbToLinear(row[x].G);
+                    linear[y * width + x, 2] = SrgbToLinear(row[x].B);
+                }
+            }
+        });
+
+        // factors[0] is the average colour (DC); the rest are the AC components, row-major
+        var factors = new float[componentsX * componentsY][];
+        for (var j = 0; j < componentsY; j++)
+        {
+            for (var i = 0; i < componentsX; i++)
+            {
+                var normalisation = i == 0 && j == 0 ? 1f : 2f;
+                float r = 0, g = 0, b = 0;
+                for (var y = 0; y < height; y++)
+                {
+                    for (var x = 0; x < width; x++)
+                    {
+                        var basis = normalisation * MathF.Cos(MathF.PI * i * x / width) * MathF.Cos(MathF.PI * j * y / height);
+                        r += basis * linear[y * width + x, 0];
+                        g += basis * linear[y * width + x, 1];
+                        b += basis * linear[y * width + x, 2];
+                    }
+                }
+
+                var scale = 1f / (width * height);
+                factors[j * componentsX + i] = [r * scale, g * scale, b * scale];
+            }
+        }
+
+        var hash = new StringBuilder();
+        Append(hash, componentsX - 1 + (componentsY - 1) * 9, 1);
+
+        var maximum = 1f;
+        if (factors.Length > 1)
+        {
+            var actualMaximum = factors.Skip(1).SelectMany(f => f).Max(MathF.Abs);
+            var quantisedMaximum = Math.Clamp((int)MathF.Floor(actualMaximum * 166 - 0.5f), 0, 82);
+            maximum = (quantisedMaximum + 1) / 166f;
+            Append(hash, quantisedMaximum, 1);
+        }
+        else
+        {
+            Append(hash, 0, 1);
+        }
+
+        var dc = factors[0];
+        Append(hash, (LinearToSrgb(dc[0]) << 16) + (LinearToSrgb(dc[1]) << 8) + LinearToSrgb(dc[2]), 4);
+
+        foreach (var ac in factors.Skip(1))
+        {
+            int Quantise(float value) =>
+                Math.Clamp((int)MathF.Floor(SignPow(value / maximum, 0.5f) * 9 + 9.5f), 0, 18);
+            Append(hash, Quantise(ac[0]) * 19 * 19 + Quantise(ac[1]) * 19 + Quantise(ac[2]), 2);
+        }
+
+        return hash.ToString();
+    }
+
+    private static void Append(StringBuilder hash, int value, int length)
+    {
+        for (var i = 1; i <= length; i++)
+        {
+            var digit = value / (int)Math.Pow(83, length - i) % 83;
+            hash.Append(Alphabet[digit]);
+        }
+    }
+
+    private static float SrgbToLinear(byte value)
+    {
+        var v = value / 255f;
+        return v <= 0.04045f ? v / 12.92f : MathF.Pow((v + 0.055f) / 1.055f, 2.4f);
+    }
+
+    private static int LinearToSrgb(float value)
+    {
+        var v = Math.Clamp(value, 0f, 1f);
+        return v <= 0.0031308f
+            ? (int)(v * 12.92f * 255 + 0.5f)
+            : (int)((1.055f * MathF.Pow(v, 1 / 2.4f) - 0.055f) * 255 + 0.5f);
+    }
+
+    private static float SignPow(float value, float exponent) => MathF.CopySign(MathF.Pow(MathF.Abs(value), exponent), value);
+}
@@ -0,0 +1,59 @@
+using System.Globalization;
+using System.Numerics;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using SixLabors.ImageSharp.Processing;
+
+namespace SnapVault.Media;
+
+/// <summary>
+/// 64-bit difference hash (dHash) used to spot near-duplicates before upload. The image is auto-oriented and shrunk
+/// to 9×8 luminance; each bit records whether a pixel is brighter than its right-hand neighbour (row-major, most
+/// significant bit first), serialized as 16 lowercase hex digits.
+///
+/// <para>The upload modal's hash worker computes the same hash in the browser. The two engines resample differently,
+/// so hashes of the same picture may differ by a bit or two — comparisons go through <see cref="Distance"/>, never
+/// string equality.</para>
+/// </summary>
+public static class PerceptualHash
+{
+    /// <summary>Largest Hamming distance still reported as a near-duplicate (re-encodes, resizes, light edits).</summary>
+    public const int NearThreshold = 6;
+
+    /// <summary>Hash an encoded image.</summary>
+    public static async Task<string> Compute(Stream stream, CancellationToken ct = default)
+    {
+        using var image = await Image.LoadAsync<L8>(stream, ct);
+        image.Mutate(x => x.AutoOrient().Resize(9, 8));
+
+        ulong bits = 0;
+        image.ProcessPixelRows(rows =>
+        {
+            for (var y = 0; y < rows.Height; y++)
+            {
+                var row = rows.GetRowSpan(y);
+                for (var x = 0; x < 8; x++)
+                    bits = (bits << 1) | (row[x].PackedValue > row[x + 1].PackedValue ? 1UL : 0UL);
+            }
+        });
+
+        return bits.ToString("x16", CultureInfo.InvariantCulture);
+    }
+
+    /// <summary>Hamming distance between two hashes; null when either is not a 16-digit hex hash.</summary>
+    public static int? Distance(string? a, string? b)
+    {
+        if (!TryParse(a, out var x) || !TryParse(b, out var y)) return null;
+        return Distance(x, y);
+    }
+
+    /// <summary>Hamming distance between two parsed hashes.</summary>
+    public static int Distance(ulong a, ulong b) => BitOperations.PopCount(a ^ b);
+
+    /// <summary>Parse a 16-digit hex hash.</summary>
+    public static bool TryParse(string? hash, out ulong value)
+    {
+        value = 0;
+        return hash is { Length: 16 } && ulong.TryParse(hash, NumberStyles.AllowHexSpecifier, CultureInfo.InvariantCulture, out value);
+    }
+}
@@ -9,20 +9,31 @@ namespace SnapVault.Media;
 ///
 /// <para>Recipes are discovered automatically. Their names are global slugs and avoid the reserved
 /// format shortcuts (<c>jpeg/png/webp/gif/...</c>). The engine auto-orients by default (no orient step
-/// needed). <c>EncodeAs("jpeg")</c> pins JPEG at <c>Quality.Web</c> (80).</para>
+/// needed). <c>EncodeAs("jpeg")</c> pins JPEG at <c>Quality.Web</c> (80) for server-side renders.</para>
+///
+/// <para>Over HTTP each tier negotiates its format from the request's <c>Accept</c> header against
+/// <see cref="WebFormats"/> (with <c>Vary: Accept</c>): the SPA emits one URL per tier in <c>srcset</c>, and a browser
+/// gets the first format its <c>Accept</c> names - AVIF or WebP. JPEG leads the list, so a client without an
+/// <c>Accept</c> preference still gets JPEG. AVIF is listed ahead of its encoder and is skipped until one is wired.</para>
 /// </summary>
 public static class PhotoRecipes
 {
-    /// <summary>1200px web view — the lightbox's first frame and the AI vision source. Aspect-preserved JPEG.</summary>
-    [MediaRecipe("gallery", Description = "1200px web view, JPEG")]
-    public static MediaRecipe Gallery() => MediaRecipe.New().ResizeFit(1200, 1200).EncodeAs("jpeg");
+    private static readonly string[] WebFormats = { "jpeg", "webp", "avif" };
+
+    /// <summary>1200px web view — the lightbox's first frame and the AI vision source. Aspect-preserved.</summary>
+    [MediaRecipe("gallery", Description = "1200px web view, AVIF/WebP/JPEG by Accept")]
+    public static MediaRecipe Gallery() => MediaRecipe.New().ResizeFit(1200, 1200).EncodeAs("jpeg").AllowFormats(WebFormats);
+
+    /// <summary>300px grid tile — the hot masonry path. Aspect-preserved.</summary>
+    [MediaRecipe("masonry", Description = "300px masonry grid tile, AVIF/WebP/JPEG by Accept")]
+    public static MediaRecipe Masonry() => MediaRecipe.New().ResizeFit(300, 300).EncodeAs("jpeg").AllowFormats(WebFormats);
 
-    /// <summary>300px grid tile — the hot masonry path. Aspect-preserved JPEG.</summary>
-    [MediaRecipe("masonry", Description = "300px masonry grid tile, JPEG")]
-    public static MediaRecipe Masonry() => MediaRecipe.New().ResizeFit(300, 300).EncodeAs("jpeg");
+    /// <summary>600px grid tile for retina / 4K displays. Aspect-preserved.</summary>
+    [MediaRecipe("retina", Description = "600px retina/4K grid tile, AVIF/WebP/JPEG by Accept")]
+    public static MediaRecipe Retina() => MediaRecipe.New().ResizeFit(600, 600).EncodeAs("jpeg").AllowFormats(WebFormats);
 
-    /// <summary>600px grid tile for retina / 4K displays. Aspect-preserved JPEG.</summary>
-    [MediaRecipe("retina", Description = "600px retina/4K grid tile, JPEG")]
-    public static MediaRecipe Retina() => MediaRecipe.New().ResizeFit(600, 600).EncodeAs("jpeg");
+    /// <summary>2400px lightbox view for large and high-DPR screens, short of the full original. Aspect-preserved.</summary>
+    [MediaRecipe("display", Description = "2400px lightbox view, AVIF/WebP/JPEG by Accept")]
+    public static MediaRecipe Display() => MediaRecipe.New().ResizeFit(2400, 2400).EncodeAs("jpeg").AllowFormats(WebFormats);
 
 }
@@ -1,4 +1,5 @@
 using Koan.Data.Core.Model;
+using Koan.Data.SoftDelete;
 
 namespace SnapVault.Models;
 
@@ -9,7 +10,10 @@ namespace SnapVault.Models;
 /// Multi-tenant: this entity carries no owner/tenant field. Referencing Koan.Tenancy isolates it
 /// automatically by the ambient tenant via the invisible <c>__koan_tenant</c> discriminator — one
 /// studio's collections are unreachable from another's (proven by the SnapVault tenancy spec).
+///
+/// Soft-deleted: a deleted collection stays restorable until the trash retention window purges it.
 /// </summary>
+[SoftDelete]
 public class Collection : Entity<Collection>
 {
     /// <summary>
@@ -48,6 +52,12 @@ public class Collection : Entity<Collection>
     /// </summary>
     public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
 
+    /// <summary>
+    /// When the collection was deleted (null while it is live)
+    /// The trash purges it once this is older than the retention window
+    /// </summary>
+    public DateTime? DeletedAt { get; set; }
+
     /// <summary>
     /// Get photo count without loading all entities
     /// </summary>
@@ -0,0 +1,34 @@
+using Koan.Data.Core.Model;
+
+namespace SnapVault.Models;
+
+/// <summary>
+/// One row of the library change log: a photo or collection was created, updated, or deleted.
+/// Written by <c>LibraryChangeHooks</c> on every save/remove path and read by the library change stream
+/// (<c>GET /api/library/changes</c>). Short-lived — rows older than the retention window are pruned.
+///
+/// Multi-tenant like every SnapVault entity: the ambient tenant of the triggering write scopes the row, so a
+/// studio's stream only ever sees its own changes.
+/// </summary>
+public class LibraryChange : Entity<LibraryChange>
+{
+    /// <summary>
+    /// What changed: photo, collection
+    /// </summary>
+    public string Kind { get; set; } = "";
+
+    /// <summary>
+    /// created, updated, deleted
+    /// </summary>
+    public string Action { get; set; } = "";
+
+    /// <summary>
+    /// Id of the changed photo or collection
+    /// </summary>
+    public string EntityId { get; set; } = "";
+
+    /// <summary>
+    /// When the change was recorded (UTC). Its ticks are the stream cursor (the SSE event id).
+    /// </summary>
+    public DateTime At { get; set; } = DateTime.UtcNow;
+}
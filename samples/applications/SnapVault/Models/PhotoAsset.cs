@@ -3,13 +3,16 @@ using Koan.Storage;
 using Koan.Data.Vector.Abstractions;
 using Koan.Data.AI.Attributes;
 using Koan.Data.Core.Relationships;
+using Koan.Data.SoftDelete;
 
 namespace SnapVault.Models;
 
 /// <summary>
 /// One stored photo original plus its capture, organization, enrichment, and studio-interaction metadata.
+/// Deleting one moves it to the trash (<see cref="Services.TrashService"/>): reads hide it until it is restored or purged.
 /// </summary>
 [StorageBinding(Profile = "cold", Container = "photos")]
+[SoftDelete]
 // Stored and query embeddings must use the same vector space.
 [Embedding(
     Policy = EmbeddingPolicy.AllStrings,
@@ -17,7 +20,7 @@ namespace SnapVault.Models;
     MaxTokens = 8191,
     Version = 2,
     Model = "nomic-embed-text",
-    Exclude = ["EventId", "InferredStyleId"])]
+    Exclude = ["EventId", "InferredStyleId", "ContentHash", "PerceptualHash", "BlurHash", "TrashedFrom"])]
 public class PhotoAsset : MediaEntity<PhotoAsset>
 {
     // Event relationship
@@ -31,6 +34,13 @@ public class PhotoAsset : MediaEntity<PhotoAsset>
     public int Width { get; set; }
     public int Height { get; set; }
 
+    // Content fingerprints for duplicate detection (null on photos ingested before hashing)
+    public string? ContentHash { get; set; } // SHA-256 of the original bytes, lowercase hex
+    public string? PerceptualHash { get; set; } // 64-bit dHash, see SnapVault.Media.PerceptualHash
+
+    // Blurred preview shown while a recipe loads (null on photos ingested before placeholders)
+    public string? BlurHash { get; set; } // see SnapVault.Media.BlurHash
+
     // EXIF metadata
     public string? CameraModel { get; set; }
     public string? LensModel { get; set; }
@@ -58,10 +68,22 @@ public class PhotoAsset : MediaEntity<PhotoAsset>
     public int ViewCount { get; set; }
     public bool IsFavorite { get; set; }
     public int Rating { get; set; } // 0-5 stars
+    public bool IsRejected { get; set; } // culled: set aside while picking, still in the library
+    public bool IsStackPick { get; set; } // the cover of its burst stack, see Services.PhotoStacks
 
     // Processing
     public ProcessingStatus ProcessingStatus { get; set; } = ProcessingStatus.Pending;
 
+    // Trash: when the photo was deleted (null in the library) and the collection places a restore puts it back in
+    public DateTime? DeletedAt { get; set; }
+    public List<CollectionPlacement> TrashedFrom { get; set; } = new();
+}
+
+/// <summary>A photo's position in a collection's ordered membership.</summary>
+public class CollectionPlacement
+{
+    public string CollectionId { get; set; } = "";
+    public int Position { get; set; }
 }
 
 public class GpsCoordinates
@@ -26,6 +26,10 @@ public sealed class PhotoProcessingJob : Entity<PhotoProcessingJob>, IKoanJob<Ph
     // --- Ingest inputs ---
     /// <summary>Target event id, or null to auto-assign a daily album from EXIF capture date.</summary>
     public string? EventId { get; set; }
+    /// <summary>Collection the new photo joins (folder import), or null.</summary>
+    public string? CollectionId { get; set; }
+    /// <summary>Library photo the new one replaces, trashed only once the ingest has succeeded; or null.</summary>
+    public string? ReplacesPhotoId { get; set; }
     public string OriginalFileName { get; set; } = "";
     public string ContentType { get; set; } = "application/octet-stream";
     /// <summary>Storage key of the staged raw upload (see <see cref="UploadStaging"/>).</summary>
@@ -54,6 +58,12 @@ public sealed class PhotoProcessingJob : Entity<PhotoProcessingJob>, IKoanJob<Ph
                     job.PhotoId = photo.Id;
                 }
 
+                if (!string.IsNullOrEmpty(job.CollectionId))
+                    await service.AddToCollection(job.PhotoId, job.CollectionId, ct);
+
+                if (!string.IsNullOrEmpty(job.ReplacesPhotoId) && !string.IsNullOrEmpty(job.PhotoId))
+                    await ctx.Services.GetRequiredService<TrashService>().Supersede(job.ReplacesPhotoId, job.PhotoId, ct);
+
                 // Delete staging only after success so retries can reread the original bytes.
                 try { await UploadStaging.Get(job.StagingKey).Delete(ct); }
                 catch { /* best-effort cleanup */ }
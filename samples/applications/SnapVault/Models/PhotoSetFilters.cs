@@ -0,0 +1,88 @@
+namespace SnapVault.Models;
+
+/// <summary>
+/// The grid's filter panel state (<c>Filters.state</c> in the SPA), carried on a photo-set definition so the
+/// grid window, the lightbox's next/previous and the photo index lookup all walk the same filtered set.
+/// Mirrors the JSON filter the panel sends to <c>GET /api/photos</c>; an empty instance filters nothing. The search bar's
+/// query language (<c>camera:… -tag:… rating&gt;=4</c>) parses to the same shape, adding the exclusions.
+/// </summary>
+public class PhotoSetFilters
+{
+    /// <summary>Camera models to include (any of).</summary>
+    public List<string> Cameras { get; set; } = new();
+
+    /// <summary>Camera models to leave out (<c>-camera:</c>).</summary>
+    public List<string> ExcludedCameras { get; set; } = new();
+
+    /// <summary>Capture date range, inclusive. Photos without a capture date are excluded while it is set.</summary>
+    public DateRangeFilter? DateRange { get; set; }
+
+    /// <summary>Minimum star rating (1-5); null for any rating.</summary>
+    public int? Rating { get; set; }
+
+    /// <summary>With <see cref="Rating"/>: also include unrated (0-star) photos.</summary>
+    public bool IncludeUnrated { get; set; }
+
+    /// <summary>Auto tags to match; see <see cref="TagMatchMode"/>.</summary>
+    public List<string> Tags { get; set; } = new();
+
+    /// <summary><c>all</c> (every tag) or <c>any</c> (at least one).</summary>
+    public string TagMatchMode { get; set; } = "all";
+
+    /// <summary>Auto tags none of which may be present (<c>-tag:</c>).</summary>
+    public List<string> ExcludedTags { get; set; } = new();
+
+    /// <summary>Favorites only.</summary>
+    public bool Favorites { get; set; }
+
+    /// <summary>Rejected (culled) photos only.</summary>
+    public bool Rejected { get; set; }
+
+    /// <summary>One event's photos only.</summary>
+    public string? EventId { get; set; }
+
+    public bool IsActive =>
+        Cameras.Count > 0 || ExcludedCameras.Count > 0 || DateRange is not null || Rating is not null || Tags.Count > 0
+        || ExcludedTags.Count > 0 || Favorites || Rejected || !string.IsNullOrEmpty(EventId);
+
+    public bool Matches(PhotoAsset photo)
+    {
+        if (Cameras.Count > 0 && (photo.CameraModel is null || !Cameras.Contains(photo.CameraModel)))
+            return false;
+
+        if (photo.CameraModel is not null && ExcludedCameras.Contains(photo.CameraModel))
+            return false;
+
+        if (DateRange is { } range
+            && (photo.CapturedAt is not { } captured || captured < range.From || captured > range.To))
+            return false;
+
+        if (Rating is { } min && photo.Rating < min && !(IncludeUnrated && photo.Rating == 0))
+            return false;
+
+        if (Tags.Count > 0)
+        {
+            var matched = TagMatchMode == "any"
+                ? Tags.Any(photo.AutoTags.Contains)
+                : Tags.All(photo.AutoTags.Contains);
+            if (!matched) return false;
+        }
+
+        if (ExcludedTags.Any(photo.AutoTags.Contains))
+            return false;
+
+        if (Favorites && !photo.IsFavorite)
+            return false;
+
+        if (Rejected && !photo.IsRejected)
+            return false;
+
+        return string.IsNullOrEmpty(EventId) || photo.EventId == EventId;
+    }
+}
+
+public class DateRangeFilter
+{
+    public DateTime From { get; set; }
+    public DateTime To { get; set; }
+}
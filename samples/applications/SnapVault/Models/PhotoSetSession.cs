@@ -10,7 +10,7 @@ namespace SnapVault.Models;
 public class PhotoSetSession : Entity<PhotoSetSession>
 {
     /// <summary>
-    /// Context type: all-photos, search, collection, favorites
+    /// Context type: all-photos, search, collection, favorites, event, smart
     /// </summary>
     public string Context { get; set; } = "all-photos";
 
@@ -25,7 +25,7 @@ public class PhotoSetSession : Entity<PhotoSetSession>
     public double? SearchAlpha { get; set; }
 
     /// <summary>
-    /// Collection ID (for context=collection)
+    /// Collection ID (for context=collection), or smart collection ID (for context=smart)
     /// </summary>
     public string? CollectionId { get; set; }
 
@@ -44,6 +44,17 @@ public class PhotoSetSession : Entity<PhotoSetSession>
     /// </summary>
     public string SortOrder { get; set; } = "desc";
 
+    /// <summary>
+    /// Filter panel state applied within the context (null when unfiltered)
+    /// </summary>
+    public PhotoSetFilters? Filters { get; set; }
+
+    /// <summary>
+    /// Bursts folded into stacks (capture-date sorts only), and the stacks shown expanded
+    /// </summary>
+    public bool Stacked { get; set; }
+    public List<string> ExpandedStacks { get; set; } = new();
+
     /// <summary>
     /// Total count (computed once and cached)
     /// </summary>
@@ -0,0 +1,57 @@
+using Koan.Data.Core.Model;
+using Koan.Data.SoftDelete;
+
+namespace SnapVault.Models;
+
+/// <summary>
+/// A saved search: a search query and/or filter-panel state, resolved against the library every time it is browsed
+/// (photo-set context <c>smart</c>), so its membership follows the photos rather than being a stored id list.
+///
+/// Multi-tenant like <see cref="Collection"/>: isolated by the ambient tenant, no owner field.
+///
+/// Soft-deleted like <see cref="Collection"/>: a deleted smart collection stays restorable until the trash purges it.
+/// </summary>
+[SoftDelete]
+public class SmartCollection : Entity<SmartCollection>
+{
+    /// <summary>
+    /// Display name (user-editable)
+    /// </summary>
+    public string Name { get; set; } = "";
+
+    /// <summary>
+    /// Search query; null browses the whole library (date-sorted) instead of ranking search hits
+    /// </summary>
+    public string? SearchQuery { get; set; }
+
+    /// <summary>
+    /// Search alpha: 0.0 = exact, 1.0 = semantic (with <see cref="SearchQuery"/>)
+    /// </summary>
+    public double SearchAlpha { get; set; } = 0.5;
+
+    /// <summary>
+    /// Filter panel state applied to the library or the search hits (null when unfiltered)
+    /// </summary>
+    public PhotoSetFilters? Filters { get; set; }
+
+    /// <summary>
+    /// Timestamp when the smart collection was created
+    /// </summary>
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Timestamp of the last save. The browser keys its cached photo sets on it, so an edited definition
+    /// never shows the previous definition's photos.
+    /// </summary>
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// When the smart collection was deleted (null while it is live)
+    /// </summary>
+    public DateTime? DeletedAt { get; set; }
+
+    /// <summary>
+    /// Does this define a set narrower than the library? (a smart collection of everything is just All Photos)
+    /// </summary>
+    public bool IsDefined => !string.IsNullOrWhiteSpace(SearchQuery) || Filters is { IsActive: true };
+}
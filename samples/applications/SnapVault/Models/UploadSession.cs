@@ -0,0 +1,44 @@
+using Koan.Data.Core.Model;
+
+namespace SnapVault.Models;
+
+/// <summary>
+/// One in-flight resumable upload. The browser declares the file up front, then appends chunks at
+/// <see cref="Offset"/>; each chunk is staged as its own <see cref="UploadStaging"/> blob so a dropped connection
+/// loses at most the chunk in flight. When <see cref="Offset"/> reaches <see cref="Length"/> the chunks are
+/// assembled into one staged file and handed to the same durable <see cref="PhotoProcessingJob"/> the batch
+/// endpoint uses.
+/// </summary>
+public sealed class UploadSession : Entity<UploadSession>
+{
+    public string FileName { get; set; } = "";
+    public string ContentType { get; set; } = "application/octet-stream";
+
+    /// <summary>Declared total size in bytes.</summary>
+    public long Length { get; set; }
+
+    /// <summary>Bytes received so far; the only offset a PATCH may append at.</summary>
+    public long Offset { get; set; }
+
+    /// <summary>Staging keys of the received chunks, in order.</summary>
+    public List<string> ChunkKeys { get; set; } = new();
+
+    /// <summary>Target event id, or null to auto-organize by capture date.</summary>
+    public string? EventId { get; set; }
+
+    /// <summary>Collection the photo joins once ingested (folder import), or null.</summary>
+    public string? CollectionId { get; set; }
+
+    /// <summary>Library photo this upload replaces once ingested (a duplicate the user chose to replace), or null.</summary>
+    public string? ReplacesPhotoId { get; set; }
+
+    /// <summary>Progress batch shared by the files of one upload (the SSE stream subscribes to it).</summary>
+    public string BatchId { get; set; } = "";
+
+    /// <summary>Ingest work-item id once the file is complete and submitted.</summary>
+    public string? JobId { get; set; }
+
+    public DateTimeOffset CreatedAt { get; set; } = DateTimeOffset.UtcNow;
+    public DateTimeOffset UpdatedAt { get; set; } = DateTimeOffset.UtcNow;
+    public DateTimeOffset? CompletedAt { get; set; }
+}
@@ -0,0 +1,56 @@
+using SnapVault.Services;
+
+namespace SnapVault.Progress;
+
+/// <summary>
+/// Server-Sent Event payload for <c>GET /api/library/changes</c>: one photo or collection change, coalesced per entity
+/// and carrying the entity's current shape so the grid can apply it without a refetch.
+/// </summary>
+public sealed record LibraryChangeEvent
+{
+    /// <summary><c>photo</c> · <c>collection</c> (see <see cref="LibraryChangeKinds"/>).</summary>
+    public string Kind { get; init; } = "";
+
+    /// <summary><c>created</c> · <c>updated</c> · <c>deleted</c> (see <see cref="LibraryChangeActions"/>).</summary>
+    public string Action { get; init; } = "";
+
+    /// <summary>The photo or collection id.</summary>
+    public string Id { get; init; } = "";
+
+    /// <summary>When the latest change to this entity was recorded (UTC).</summary>
+    public DateTime At { get; init; }
+
+    /// <summary>The photo in its grid shape; null for deletes and collection changes.</summary>
+    public PhotoMetadata? Photo { get; init; }
+
+    /// <summary>The collection's sidebar shape; null for deletes and photo changes.</summary>
+    public LibraryCollectionSummary? Collection { get; init; }
+}
+
+/// <summary>The collection fields the sidebar shows.</summary>
+public sealed record LibraryCollectionSummary
+{
+    public string Id { get; init; } = "";
+    public string Name { get; init; } = "";
+    public int PhotoCount { get; init; }
+    public int SortOrder { get; init; }
+}
+
+/// <summary>Terminal-less control frame: the client's cursor is older than the retained log, so it must reload.</summary>
+public sealed record LibraryResetEvent
+{
+    public string Reason { get; init; } = "";
+}
+
+public static class LibraryChangeKinds
+{
+    public const string Photo = "photo";
+    public const string Collection = "collection";
+}
+
+public static class LibraryChangeActions
+{
+    public const string Created = "created";
+    public const string Updated = "updated";
+    public const string Deleted = "deleted";
+}
@@ -0,0 +1,209 @@
+using System.Globalization;
+using System.Runtime.CompilerServices;
+using Koan.Web.Sse;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Serialization;
+using SnapVault.Models;
+using SnapVault.Services;
+
+namespace SnapVault.Progress;
+
+/// <summary>
+/// The library-wide change stream as a read-projection of the <see cref="LibraryChange"/> log — the same shape as
+/// <see cref="UploadProgressProjection"/>: no hub, no groups, no in-process fan-out. Lifecycle hooks append a row per
+/// photo/collection write (<c>LibraryChangeHooks</c>), and each open stream polls the log past its cursor.
+///
+/// <para><see cref="SnapshotAsync"/> reads the rows after a cursor (tenant-scoped, for free), coalesces them per
+/// entity (a photo saved five times during ingest is one frame; one created then updated is still <c>created</c>,
+/// since the client never saw it) and joins each to the entity's current grid shape. Split out from the streaming
+/// glue so the meaningful logic is asserted directly.</para>
+///
+/// <para>The cursor is the <c>At</c> ticks of the latest row sent (or of the connect, on the opening <c>LibraryReady</c>
+/// frame), carried as the SSE event id, so a browser <c>EventSource</c> that reconnects resumes with
+/// <c>Last-Event-ID</c>. <c>At</c> is stamped before the row is saved, so two writes can commit out of order: each read
+/// reaches back <see cref="CommitSkew"/> behind the cursor and skips the rows the stream has already sent. A resumed
+/// stream doesn't know those, so it may repeat a change from that window; a frame carries the entity's current state,
+/// so applying it twice is harmless. A cursor older than <see cref="Retention"/> may have missed pruned rows: the
+/// stream sends <c>LibraryReset</c> and the client reloads.</para>
+/// </summary>
+public static class LibraryChangeProjection
+{
+    /// <summary>How often an open stream re-reads the log.</summary>
+    public static readonly TimeSpan PollInterval = TimeSpan.FromSeconds(2);
+
+    /// <summary>How long change rows are kept. Longer than <see cref="MaxStreamDuration"/>, so a quiet stream that is
+    /// closed by the cap can always resume from its cursor.</summary>
+    public static readonly TimeSpan Retention = TimeSpan.FromHours(1);
+
+    /// <summary>Cap on a single connection's lifetime; the browser reconnects (with its cursor) on its own.</summary>
+    public static readonly TimeSpan MaxStreamDuration = TimeSpan.FromMinutes(30);
+
+    /// <summary>A comment frame after this much silence keeps proxies from closing an idle stream.</summary>
+    public static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(20);
+
+    /// <summary>How long after its <c>At</c> a change row may still commit: the overlap every read re-covers.</summary>
+    public static readonly TimeSpan CommitSkew = TimeSpan.FromSeconds(10);
+
+    private static readonly JsonSerializerSettings Wire = new()
+    {
+        ContractResolver = new CamelCasePropertyNamesContractResolver(),
+        NullValueHandling = NullValueHandling.Ignore,
+    };
+
+    /// <summary>
+    /// The coalesced changes after a cursor, oldest first, the cursor to continue from, and the rows read within
+    /// <see cref="CommitSkew"/> of it (row id → <c>At</c>) for the next read to skip.
+    /// </summary>
+    public sealed record Snapshot(IReadOnlyList<LibraryChangeEvent> Changes, DateTime Cursor, IReadOnlyDictionary<string, DateTime> Seen);
+
+    /// <summary>
+    /// Read the changes recorded after <paramref name="since"/>, or committed late within <see cref="CommitSkew"/>
+    /// before it, one per entity, joined to the entity's current state. Rows in <paramref name="seen"/> (the previous
+    /// snapshot's) were read already and are skipped. Pure read — safe to call repeatedly.
+    /// </summary>
+    public static async Task<Snapshot> SnapshotAsync(DateTime since, IReadOnlyDictionary<string, DateTime>? seen = null,
+        CancellationToken ct = default)
+    {
+        var from = since - CommitSkew;
+        var rows = (await LibraryChange.Query(c => c.At > from, ct))
+            .Where(r => seen is null || !seen.ContainsKey(r.Id))
+            .ToList();
+
+        var latestAt = rows.Count == 0 ? since : rows.Max(r => r.At);
+        var cursor = latestAt > since ? latestAt : since;
+        var window = cursor - CommitSkew;
+        var stillSeen = (seen ?? new Dictionary<string, DateTime>())
+            .Concat(rows.Select(r => KeyValuePair.Create(r.Id, r.At)))
+            .Where(entry => entry.Value > window)
+            .ToDictionary(entry => entry.Key, entry => entry.Value, StringComparer.Ordinal);
+        if (rows.Count == 0) return new Snapshot(Array.Empty<LibraryChangeEvent>(), cursor, stillSeen);
+
+        var latest = rows
+            .OrderBy(r => r.At)
+            .GroupBy(r => (r.Kind, r.EntityId))
+            .Select(g =>
+            {
+                var last = g.Last();
+                var action = last.Action != LibraryChangeActions.Deleted && g.Any(r => r.Action == LibraryChangeActions.Created)
+                    ? LibraryChangeActions.Created
+                    : last.Action;
+                return (last.Kind, last.EntityId, Action: action, last.At);
+            })
+            .OrderBy(c => c.At)
+            .ToList();
+
+        var photoIds = Live(latest, LibraryChangeKinds.Photo);
+        var photos = photoIds.Count == 0
+            ? new Dictionary<string, PhotoAsset>()
+            : (await PhotoAsset.Query(p => photoIds.Contains(p.Id), ct)).ToDictionary(p => p.Id);
+
+        var collectionIds = Live(latest, LibraryChangeKinds.Collection);
+        var collections = collectionIds.Count == 0
+            ? new Dictionary<string, Collection>()
+            : (await Collection.Query(c => collectionIds.Contains(c.Id), ct)).ToDictionary(c => c.Id);
+
+        var changes = new List<LibraryChangeEvent>(latest.Count);
+        foreach (var (kind, id, action, at) in latest)
+        {
+            var change = new LibraryChangeEvent { Kind = kind, Action = action, Id = id, At = at };
+            if (action != LibraryChangeActions.Deleted)
+            {
+                // Removed between the write and this read: its own delete row follows, so skip the stale upsert.
+                if (kind == LibraryChangeKinds.Photo)
+                {
+                    if (!photos.TryGetValue(id, out var photo)) continue;
+                    change = change with { Photo = PhotoMetadata.From(photo) };
+                }
+                else
+                {
+                    if (!collections.TryGetValue(id, out var collection)) continue;
+                    change = change with
+                    {
+                        Collection = new LibraryCollectionSummary
+                        {
+                            Id = collection.Id,
+                            Name = collection.Name,
+                            PhotoCount = collection.PhotoCount,
+                            SortOrder = collection.SortOrder,
+                        }
+                    };
+                }
+            }
+            changes.Add(change);
+        }
+
+        return new Snapshot(changes, cursor, stillSeen);
+    }
+
+    /// <summary>
+    /// Stream library changes as SSE: a <c>LibraryChanged</c> frame per coalesced change, each carrying its cursor as
+    /// the event id. <paramref name="lastEventId"/> resumes after a reconnect; without one the stream starts now.
+    /// </summary>
+    public static async IAsyncEnumerable<SseEnvelope> StreamAsync(
+        string? lastEventId, [EnumeratorCancellation] CancellationToken ct = default)
+    {
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        cts.CancelAfter(MaxStreamDuration);
+        var token = cts.Token;
+
+        var now = DateTime.UtcNow;
+        var resumed = ParseCursor(lastEventId);
+        var cursor = resumed ?? now;
+
+        if (cursor < now - Retention)
+        {
+            cursor = now;
+            yield return new SseEnvelope("LibraryReset",
+                JsonConvert.SerializeObject(new LibraryResetEvent { Reason = "Missed changes are no longer retained" }, Wire),
+                Id: FormatCursor(cursor));
+        }
+        else if (resumed is null)
+        {
+            // Hand the starting cursor to the browser, so a reconnect before the first change still resumes from here.
+            yield return new SseEnvelope("LibraryReady", "{}", Id: FormatCursor(cursor));
+        }
+
+        var quietSince = DateTime.UtcNow;
+        IReadOnlyDictionary<string, DateTime>? seen = null;
+
+        while (true)
+        {
+            Snapshot snap;
+            try { snap = await SnapshotAsync(cursor, seen, token); }
+            catch (OperationCanceledException) { yield break; }
+
+            // A late-committed change is older than the cursor: its frame must not move the browser's cursor back
+            var sent = cursor;
+            foreach (var change in snap.Changes)
+            {
+                if (change.At > sent) sent = change.At;
+                yield return new SseEnvelope("LibraryChanged", JsonConvert.SerializeObject(change, Wire), Id: FormatCursor(sent));
+            }
+            cursor = snap.Cursor;
+            seen = snap.Seen;
+
+            if (snap.Changes.Count > 0)
+            {
+                quietSince = DateTime.UtcNow;
+            }
+            else if (DateTime.UtcNow - quietSince >= HeartbeatInterval)
+            {
+                quietSince = DateTime.UtcNow;
+                yield return new SseEnvelope(null, "", Comment: "keep-alive");
+            }
+
+            try { await Task.Delay(PollInterval, token); }
+            catch (OperationCanceledException) { yield break; }
+        }
+    }
+
+    private static List<string> Live(IEnumerable<(string Kind, string EntityId, string Action, DateTime At)> changes, string kind)
+        => changes.Where(c => c.Kind == kind && c.Action != LibraryChangeActions.Deleted).Select(c => c.EntityId).ToList();
+
+    private static string FormatCursor(DateTime at) => at.Ticks.ToString(CultureInfo.InvariantCulture);
+
+    private static DateTime? ParseCursor(string? value)
+        => long.TryParse(value, NumberStyles.None, CultureInfo.InvariantCulture, out var ticks) && ticks > 0 && ticks <= DateTime.MaxValue.Ticks
+            ? new DateTime(ticks, DateTimeKind.Utc)
+            : null;
+}
@@ -0,0 +1,64 @@
+using System.Collections.Concurrent;
+using Koan.Tenancy;
+using SnapVault.Media;
+using SnapVault.Models;
+
+namespace SnapVault.Services;
+
+/// <summary>
+/// A studio's perceptual hashes held in memory, so the pre-upload duplicate check compares 8-byte hashes instead of
+/// loading the library for every dropped batch. Built per tenant on first use and rebuilt once it is older than
+/// <see cref="Lifetime"/>; ingest adds each photo as it lands. Entries are never removed: callers resolve a match
+/// through a read, which hides trashed and purged photos, so a stale index can only miss a photo stored by another
+/// path (or node) until its next rebuild.
+/// </summary>
+public sealed class PhotoHashIndex
+{
+    public static readonly TimeSpan Lifetime = TimeSpan.FromMinutes(10);
+
+    private readonly ConcurrentDictionary<string, Snapshot> _byTenant = new(StringComparer.Ordinal);
+
+    private sealed record Snapshot(DateTime BuiltAt, ConcurrentDictionary<string, ulong> Hashes);
+
+    /// <summary>
+    /// Photos whose perceptual hash is within <paramref name="threshold"/> bits of <paramref name="hash"/>, nearest
+    /// first. Empty when the hash is malformed.
+    /// </summary>
+    public async Task<IReadOnlyList<(string PhotoId, int Distance)>> Near(string? hash, int threshold, CancellationToken ct = default)
+    {
+        if (!PerceptualHash.TryParse(hash, out var value)) return [];
+
+        var snapshot = await Current(ct);
+        return snapshot.Hashes
+            .Select(entry => (PhotoId: entry.Key, Distance: PerceptualHash.Distance(value, entry.Value)))
+            .Where(match => match.Distance <= threshold)
+            .OrderBy(match => match.Distance)
+            .ToList();
+    }
+
+    /// <summary>Index a photo just stored; a no-op until the tenant's index is first built, or without a hash.</summary>
+    public void Add(PhotoAsset photo)
+    {
+        if (_byTenant.TryGetValue(TenantKey, out var snapshot) && PerceptualHash.TryParse(photo.PerceptualHash, out var value))
+            snapshot.Hashes[photo.Id] = value;
+    }
+
+    private async Task<Snapshot> Current(CancellationToken ct)
+    {
+        var tenant = TenantKey;
+        var now = DateTime.UtcNow;
+        if (_byTenant.TryGetValue(tenant, out var snapshot) && now - snapshot.BuiltAt < Lifetime) return snapshot;
+
+        var hashes = new ConcurrentDictionary<string, ulong>(StringComparer.Ordinal);
+        foreach (var photo in await PhotoAsset.All(ct))
+        {
+            if (PerceptualHash.TryParse(photo.PerceptualHash, out var value)) hashes[photo.Id] = value;
+        }
+
+        snapshot = new Snapshot(now, hashes);
+        _byTenant[tenant] = snapshot;
+        return snapshot;
+    }
+
+    private static string TenantKey => Tenant.Current?.Id ?? "";
+}
@@ -1,4 +1,5 @@
 using System.Diagnostics;
+using System.Security.Cryptography;
 using System.Text.RegularExpressions;
 using Koan.AI;
 using Koan.Core;
@@ -10,7 +11,9 @@ using Koan.Media.Core.Extensions;
 using Koan.Media.Core.Pipeline;
 using Koan.Tenancy;
 using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
 using Newtonsoft.Json.Linq;
+using SnapVault.Configuration;
 using SnapVault.Media;
 using SnapVault.Models;
 using SnapVault.Progress;
@@ -29,11 +32,16 @@ public sealed class PhotoProcessingService
 {
     private readonly ILogger<PhotoProcessingService> _logger;
     private readonly AnalysisPromptFactory _promptFactory;
+    private readonly CollectionOptions _collections;
+    private readonly PhotoHashIndex _hashes;
 
-    public PhotoProcessingService(ILogger<PhotoProcessingService> logger, AnalysisPromptFactory promptFactory)
+    public PhotoProcessingService(ILogger<PhotoProcessingService> logger, AnalysisPromptFactory promptFactory,
+        IOptions<CollectionOptions> collections, PhotoHashIndex hashes)
     {
         _logger = logger;
         _promptFactory = promptFactory;
+        _collections = collections.Value;
+        _hashes = hashes;
     }
 
     public async Task<PhotoAsset> ProcessUpload(
@@ -69,6 +77,33 @@ public sealed class PhotoProcessingService
             height = info.Height;
         }
 
+        // Fingerprints for pre-upload duplicate detection. The perceptual hash needs a full decode; an image the
+        // decoder rejects simply stays unhashed (exact-match detection still works).
+        var contentHash = Convert.ToHexStringLower(await SHA256.HashDataAsync(sourceStream, ct));
+        sourceStream.Position = 0;
+        string? perceptualHash = null;
+        try
+        {
+            perceptualHash = await PerceptualHash.Compute(sourceStream, ct);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogWarning(ex, "Perceptual hash failed for {FileName}; stored without it", fileName);
+        }
+        sourceStream.Position = 0;
+
+        // Placeholder for the grid and lightbox while recipes load; likewise optional.
+        string? blurHash = null;
+        try
+        {
+            blurHash = await BlurHash.Compute(sourceStream, ct);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogWarning(ex, "Blurhash failed for {FileName}; stored without a placeholder", fileName);
+        }
+        sourceStream.Position = 0;
+
         await Progress(0.25, PhotoProcessingStage.Exif);
 
         // EXIF (camera, capture date, GPS) — read into a scratch entity, then applied to the stored photo below.
@@ -103,6 +138,9 @@ public sealed class PhotoProcessingService
         photo.UploadedAt = DateTime.UtcNow;
         photo.Width = width;
         photo.Height = height;
+        photo.ContentHash = contentHash;
+        photo.PerceptualHash = perceptualHash;
+        photo.BlurHash = blurHash;
         photo.CameraModel = scratch.CameraModel;
         photo.LensModel = scratch.LensModel;
         photo.FocalLength = scratch.FocalLength;
@@ -113,6 +151,7 @@ public sealed class PhotoProcessingService
         photo.Location = scratch.Location;
         photo.ProcessingStatus = ProcessingStatus.InProgress;
         await photo.Save(ct);
+        _hashes.Add(photo);
 
         _logger.LogInformation("Photo stored: {PhotoId} ({Width}x{Height})", photo.Id, photo.Width, photo.Height);
 
@@ -634,6 +673,33 @@ public sealed class PhotoProcessingService
         }
     }
 
+    /// <summary>
+    /// Add a freshly ingested photo to the collection its folder was mapped to. Idempotent (job retries re-run it);
+    /// a missing or full collection leaves the photo uploaded but uncollected rather than failing ingest.
+    /// </summary>
+    public async Task AddToCollection(string? photoId, string collectionId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrEmpty(photoId)) return;
+
+        var collection = await Collection.Get(collectionId, ct);
+        if (collection is null)
+        {
+            _logger.LogWarning("Collection {CollectionId} no longer exists; photo {PhotoId} not added", collectionId, photoId);
+            return;
+        }
+        if (collection.PhotoIds.Contains(photoId)) return;
+        if (collection.PhotoIds.Count >= _collections.MaxPhotosPerCollection)
+        {
+            _logger.LogWarning("Collection {CollectionId} is full ({Limit} photos); photo {PhotoId} not added",
+                collectionId, _collections.MaxPhotosPerCollection, photoId);
+            return;
+        }
+
+        collection.PhotoIds.Add(photoId);
+        collection.UpdatedAt = DateTime.UtcNow;
+        await collection.Save(ct);
+    }
+
     /// <summary>Regenerate AI analysis while preserving locked facts + summary ("reroll with holds").</summary>
     public async Task<PhotoAsset> RegenerateAIAnalysis(string photoId, string? analysisStyle = null, CancellationToken ct = default)
     {
@@ -37,3 +37,49 @@ public sealed record FilterMetadata
 }
 
 public sealed record TagInfo(string Tag, int Count);
+
+/// <summary>Month density of a date-sorted photo set, for the grid's date rail; empty buckets when not date-sorted.</summary>
+public sealed record DateHistogramResponse
+{
+    public int TotalCount { get; init; }
+    public IReadOnlyList<DateBucket> Buckets { get; init; } = Array.Empty<DateBucket>();
+}
+
+/// <summary>One month of the set: its photo count and the set index of its first photo.</summary>
+public sealed record DateBucket(int Year, int Month, int Count, int StartIndex);
+
+/// <summary>Aspect ratio (width / height) of each photo of a set, in set order, for the grid's layout engine.</summary>
+public sealed record AspectRatiosResponse
+{
+    public int TotalCount { get; init; }
+    public IReadOnlyList<double> Ratios { get; init; } = Array.Empty<double>();
+}
+
+/// <summary>Library photos matching pre-upload fingerprints; files without a match are omitted.</summary>
+public sealed record DuplicateCheckResponse
+{
+    public IReadOnlyList<DuplicateMatch> Matches { get; init; } = Array.Empty<DuplicateMatch>();
+}
+
+/// <summary>
+/// One file's closest library match: <c>exact</c> (same bytes, distance 0) or <c>near</c> (perceptual hash within
+/// the threshold).
+/// </summary>
+public sealed record DuplicateMatch(string Key, string Kind, int Distance, string PhotoId, string FileName, DateTime? CapturedAt);
+
+/// <summary>A collection's cover photo (the chosen cover, else its first photo) and that photo's blurhash.</summary>
+public sealed record CollectionCover(string CollectionId, string PhotoId, string? BlurHash);
+
+/// <summary>A smart collection's current size: its saved search and filters applied to the library now.</summary>
+public sealed record SmartCollectionCount(string SmartCollectionId, int PhotoCount);
+
+/// <summary>The trash: deleted photos, most recent first, and how long each stays restorable.</summary>
+public sealed record TrashResponse
+{
+    public double RetentionDays { get; init; }
+    public IReadOnlyList<TrashedPhoto> Photos { get; init; } = Array.Empty<TrashedPhoto>();
+}
+
+/// <summary>One trashed photo. Its media is no longer served, so the trash shows its blurhash.</summary>
+public sealed record TrashedPhoto(string Id, string FileName, string? BlurHash, int Width, int Height,
+    DateTime? CapturedAt, DateTime DeletedAt, DateTime PurgesAt);
@@ -5,20 +5,30 @@ namespace SnapVault.Services;
 /// <summary>
 /// The <c>POST /api/photosets/query</c> contracts for the windowed grid and lightbox navigation.
 /// A session is a STATELESS query definition (not an id snapshot): the first call sends a <see cref="PhotoSetDefinition"/>
-/// and gets a <c>sessionId</c>; later calls reuse it to window on demand. Search / favorites / collection / all-photos
-/// all flow through here via <see cref="PhotoSetDefinition.Context"/> — there is no separate /search call.
+/// and gets a <c>sessionId</c>; later calls reuse it to window on demand. Search / favorites / collection / smart
+/// collection / all-photos all flow through here via <see cref="PhotoSetDefinition.Context"/> — there is no separate /search call.
 /// </summary>
 public sealed record PhotoSetDefinition
 {
-    /// <summary>all-photos · favorites · collection · search · event.</summary>
+    /// <summary>all-photos · favorites · collection · search · event · smart.</summary>
     public string Context { get; init; } = "all-photos";
     public string? SearchQuery { get; init; }
     public double? SearchAlpha { get; init; }
+    /// <summary>The collection id, or for the smart context the <see cref="SmartCollection"/> id.</summary>
     public string? CollectionId { get; init; }
     /// <summary>The event id for a request-context-scoped event browse.</summary>
     public string? EventId { get; init; }
     public string SortBy { get; init; } = "capturedAt";     // capturedAt · createdAt · rating · fileName
     public string SortOrder { get; init; } = "desc";        // asc · desc
+    /// <summary>The filter panel's state, applied within the context; null (or empty) for the whole context.</summary>
+    public PhotoSetFilters? Filters { get; init; }
+    /// <summary>
+    /// Fold bursts into stacks (<see cref="PhotoStacks"/>). Only a capture-date sort keeps a burst together, so other
+    /// sorts, collections and search ignore it.
+    /// </summary>
+    public bool Stacked { get; init; }
+    /// <summary>The stacks shown with every member in place rather than as their cover.</summary>
+    public List<string> ExpandedStacks { get; init; } = new();
 }
 
 public sealed record PhotoSetQueryRequest
@@ -50,8 +60,13 @@ public sealed record PhotoMetadata
     public DateTime CreatedAt { get; init; }
     public int Rating { get; init; }
     public bool IsFavorite { get; init; }
+    public bool IsRejected { get; init; }
+    public bool IsStackPick { get; init; }
     public int Width { get; init; }
     public int Height { get; init; }
+    public string? BlurHash { get; init; }
+    /// <summary>The burst stack this entry stands for (collapsed) or belongs to (expanded); null outside stacked sets.</summary>
+    public StackMetadata? Stack { get; init; }
 
     /// <summary>Project a stored photo to the lightweight grid shape.</summary>
     public static PhotoMetadata From(PhotoAsset p) => new()
@@ -62,7 +77,34 @@ public sealed record PhotoMetadata
         CreatedAt = p.CreatedAt.UtcDateTime,
         Rating = p.Rating,
         IsFavorite = p.IsFavorite,
+        IsRejected = p.IsRejected,
+        IsStackPick = p.IsStackPick,
         Width = p.Width,
         Height = p.Height,
+        BlurHash = p.BlurHash,
     };
+
+    /// <summary>Project a photo-set entry, with its stack.</summary>
+    public static PhotoMetadata From(PhotoSetEntry entry) => From(entry.Photo) with
+    {
+        Stack = entry.Stack is not { } stack ? null : new StackMetadata
+        {
+            Id = stack.Id,
+            CoverId = stack.CoverId,
+            Count = stack.MemberIds.Count,
+            Position = stack.MemberIds.ToList().IndexOf(entry.Photo.Id),
+            Expanded = entry.Expanded,
+        },
+    };
+}
+
+/// <summary>A grid entry's place in a burst stack.</summary>
+public sealed record StackMetadata
+{
+    public string Id { get; init; } = "";
+    public string CoverId { get; init; } = "";
+    public int Count { get; init; }
+    /// <summary>The photo's place among the members, in set order.</summary>
+    public int Position { get; init; }
+    public bool Expanded { get; init; }
 }
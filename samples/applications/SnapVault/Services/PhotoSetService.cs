@@ -1,18 +1,31 @@
+using System.Collections.Concurrent;
 using Koan.Data.Abstractions;
 using Koan.Data.Core;
 using Microsoft.Extensions.Logging;
 using SnapVault.Models;
+using SnapVault.Progress;
 
 namespace SnapVault.Services;
 
 /// <summary>
 /// On-demand photo-set sessions store a query definition rather than an id snapshot. Reads inherit tenant and
 /// access isolation: an operator is unconstrained within one studio, while a guest is event-scoped.
+///
+/// A stacked session's windows share one fold of its set, held in memory per session: refolded once the library has
+/// changed since (its change log has a row the fold didn't know of, late commits included, within
+/// <see cref="LibraryChangeProjection.CommitSkew"/>), when the session's expanded stacks differ, or after
+/// <see cref="FoldLifetime"/>. At most <see cref="MaxFoldedSessions"/> are held; the oldest goes first.
 /// </summary>
 public sealed class PhotoSetService
 {
+    public static readonly TimeSpan FoldLifetime = TimeSpan.FromMinutes(10);
+    public const int MaxFoldedSessions = 32;
+
     private readonly PhotoProcessingService _processingService;
     private readonly ILogger<PhotoSetService> _logger;
+    private readonly ConcurrentDictionary<string, FoldedSet> _folded = new(StringComparer.Ordinal);
+
+    private sealed record FoldedSet(DateTime FoldedAt, string ExpandedStacks, List<PhotoSetEntry> Entries, HashSet<string> KnownChanges);
 
     public PhotoSetService(PhotoProcessingService processingService, ILogger<PhotoSetService> logger)
     {
@@ -23,7 +36,11 @@ public sealed class PhotoSetService
     /// <summary>Create a session from a definition: compute the total count once, store the query params.</summary>
     public async Task<PhotoSetSession> CreateSession(PhotoSetDefinition definition, CancellationToken ct = default)
     {
-        var totalCount = await ComputeTotalCount(definition, ct);
+        // A stacked set is counted by folding it, and that fold serves the session's first windows
+        var foldedAt = DateTime.UtcNow;
+        var known = await IsStacked(definition, ct) ? await RecentChanges(foldedAt, ct) : null;
+        var folded = known is null ? null : await Fold(definition, ct);
+        var totalCount = folded?.Count ?? await ComputeTotalCount(definition, ct);
         var session = new PhotoSetSession
         {
             Context = definition.Context,
@@ -33,26 +50,167 @@ public sealed class PhotoSetService
             EventId = definition.EventId,
             SortBy = definition.SortBy,
             SortOrder = definition.SortOrder,
+            Filters = definition.Filters is { IsActive: true } ? definition.Filters : null,
+            Stacked = definition.Stacked,
+            ExpandedStacks = definition.ExpandedStacks,
             TotalCount = totalCount,
             CreatedAt = DateTimeOffset.UtcNow
         };
         await session.Save(ct);
+        if (folded is not null) Remember(session, new FoldedSet(foldedAt, string.Join(',', session.ExpandedStacks), folded, known!));
         _logger.LogInformation("[PhotoSetService] Created session {SessionId} ({Context}, {TotalCount} photos)", session.Id, session.Context, totalCount);
         return session;
     }
 
     /// <summary>Materialize a specific range using the session's stored query definition.</summary>
-    public Task<List<PhotoAsset>> ExecuteQuery(PhotoSetSession session, int startIndex, int count, CancellationToken ct = default)
-        => ExecuteQueryWithPagination(session.Context, session.CollectionId, session.EventId, session.SearchQuery,
-            session.SearchAlpha ?? 0.5, session.SortBy, session.SortOrder, startIndex, count, ct);
+    public async Task<List<PhotoAsset>> ExecuteQuery(PhotoSetSession session, int startIndex, int count, CancellationToken ct = default)
+        => (await ExecuteEntries(session, startIndex, count, ct)).Select(e => e.Photo).ToList();
+
+    /// <summary>A range of the session's set with the burst stacks its entries stand for (the grid's window).</summary>
+    public async Task<List<PhotoSetEntry>> ExecuteEntries(PhotoSetSession session, int startIndex, int count, CancellationToken ct = default)
+    {
+        var def = DefinitionOf(session);
+        if (!await IsStacked(def, ct)) return await Entries(def, startIndex, count, ct);
+        return (await FoldedFor(session, def, ct)).Skip(startIndex).Take(count).ToList();
+    }
 
     /// <summary>Materialize the full ordered context used to locate a photo for lightbox navigation.</summary>
-    public Task<List<PhotoAsset>> MaterializeContext(PhotoSetDefinition def, CancellationToken ct = default)
-        => ExecuteQueryWithPagination(def.Context, def.CollectionId, def.EventId, def.SearchQuery,
-            def.SearchAlpha ?? 0.5, def.SortBy, def.SortOrder, 0, int.MaxValue, ct);
+    public async Task<List<PhotoAsset>> MaterializeContext(PhotoSetDefinition def, CancellationToken ct = default)
+        => (await MaterializeEntries(def, ct)).Select(e => e.Photo).ToList();
+
+    /// <summary>The full ordered context with its burst stacks; a photo folded into a collapsed stack is found through it.</summary>
+    public Task<List<PhotoSetEntry>> MaterializeEntries(PhotoSetDefinition def, CancellationToken ct = default)
+        => Entries(def, 0, int.MaxValue, ct);
+
+    /// <summary>
+    /// A window of the set. Stacking folds whole bursts, and that moves every later index: a stacked set is folded in
+    /// full, then windowed.
+    /// </summary>
+    private async Task<List<PhotoSetEntry>> Entries(PhotoSetDefinition def, int skip, int take, CancellationToken ct)
+    {
+        if (!await IsStacked(def, ct))
+        {
+            var photos = await ExecuteQueryWithPagination(def.Context, def.CollectionId, def.EventId, def.SearchQuery,
+                def.SearchAlpha ?? 0.5, def.SortBy, def.SortOrder, def.Filters, skip, take, ct);
+            return photos.Select(p => new PhotoSetEntry(p)).ToList();
+        }
+
+        return (await Fold(def, ct)).Skip(skip).Take(take).ToList();
+    }
+
+    private async Task<List<PhotoSetEntry>> Fold(PhotoSetDefinition def, CancellationToken ct)
+    {
+        var ordered = await ExecuteQueryWithPagination(def.Context, def.CollectionId, def.EventId, def.SearchQuery,
+            def.SearchAlpha ?? 0.5, def.SortBy, def.SortOrder, def.Filters, 0, int.MaxValue, ct);
+        return PhotoStacks.Fold(ordered, def.ExpandedStacks);
+    }
+
+    /// <summary>The session's folded set, folded again only when the held one is stale.</summary>
+    private async Task<List<PhotoSetEntry>> FoldedFor(PhotoSetSession session, PhotoSetDefinition def, CancellationToken ct)
+    {
+        var expanded = string.Join(',', session.ExpandedStacks);
+        var now = DateTime.UtcNow;
+        if (_folded.TryGetValue(session.Id, out var held) && held.ExpandedStacks == expanded && now - held.FoldedAt < FoldLifetime
+            && (await RecentChanges(held.FoldedAt, ct)).IsSubsetOf(held.KnownChanges))
+            return held.Entries;
+
+        // Read before folding: a change that lands meanwhile is unknown to the fold, so the next window refolds
+        var known = await RecentChanges(now, ct);
+        var entries = await Fold(def, ct);
+        Remember(session, new FoldedSet(now, expanded, entries, known));
+        return entries;
+    }
+
+    /// <summary>Change-log rows from <paramref name="since"/> on, or stamped up to the commit skew before it.</summary>
+    private static async Task<HashSet<string>> RecentChanges(DateTime since, CancellationToken ct)
+    {
+        var from = since - LibraryChangeProjection.CommitSkew;
+        return (await LibraryChange.Query(c => c.At > from, ct)).Select(c => c.Id).ToHashSet(StringComparer.Ordinal);
+    }
+
+    private void Remember(PhotoSetSession session, FoldedSet folded)
+    {
+        _folded[session.Id] = folded;
+        while (_folded.Count > MaxFoldedSessions)
+        {
+            var oldest = _folded.MinBy(entry => entry.Value.FoldedAt).Key;
+            _folded.TryRemove(oldest, out _);
+        }
+    }
+
+    /// <summary>
+    /// Whether a set shows its bursts stacked: asked for, and in capture order, the only order that keeps a burst
+    /// together. Collections keep their manual order and search (or a searching smart collection) ranks by relevance.
+    /// </summary>
+    private static async Task<bool> IsStacked(PhotoSetDefinition def, CancellationToken ct)
+    {
+        if (!def.Stacked || def.SortBy != "capturedAt" || def.Context is "collection" or "search") return false;
+        return def.Context != "smart" || (await LoadSmart(def.CollectionId, ct)).SearchQuery is null;
+    }
+
+    private static PhotoSetDefinition DefinitionOf(PhotoSetSession session) => new()
+    {
+        Context = session.Context,
+        SearchQuery = session.SearchQuery,
+        SearchAlpha = session.SearchAlpha,
+        CollectionId = session.CollectionId,
+        EventId = session.EventId,
+        SortBy = session.SortBy,
+        SortOrder = session.SortOrder,
+        Filters = session.Filters,
+        Stacked = session.Stacked,
+        ExpandedStacks = session.ExpandedStacks,
+    };
+
+    /// <summary>
+    /// Month buckets of a date-sorted set, in set order, each with the index of its first photo: the grid's date
+    /// rail reads density from the counts and jumps straight to <see cref="DateBucket.StartIndex"/>. The month is
+    /// taken from the sort key (capture date, else upload date), so the buckets tile the set exactly. Sets not in
+    /// date order (collections keep their manual order, search and searching smart collections rank by relevance, or a
+    /// rating/file-name sort)
+    /// have no date rail: the buckets come back empty.
+    /// </summary>
+    public async Task<DateHistogramResponse> DateHistogram(PhotoSetDefinition definition, CancellationToken ct = default)
+    {
+        var photos = await MaterializeContext(definition, ct);
+        var ranked = definition.Context == "smart" && (await LoadSmart(definition.CollectionId, ct)).SearchQuery is not null;
+        if (definition.Context is "collection" or "search" || ranked || definition.SortBy is not ("capturedAt" or "createdAt"))
+            return new DateHistogramResponse { TotalCount = photos.Count };
+
+        var buckets = new List<DateBucket>();
+        for (var i = 0; i < photos.Count; i++)
+        {
+            var key = definition.SortBy == "createdAt" ? photos[i].CreatedAt : photos[i].CapturedAt ?? photos[i].CreatedAt;
+            if (buckets.Count > 0 && buckets[^1].Year == key.Year && buckets[^1].Month == key.Month)
+                buckets[^1] = buckets[^1] with { Count = buckets[^1].Count + 1 };
+            else
+                buckets.Add(new DateBucket(key.Year, key.Month, 1, i));
+        }
+
+        return new DateHistogramResponse { TotalCount = photos.Count, Buckets = buckets };
+    }
+
+    /// <summary>
+    /// Width / height of every photo in the set, in set order, so the grid can lay out justified rows or masonry
+    /// columns for the whole set before its photos are fetched (the scrollbar and every position are known up
+    /// front, and stay put as windows load). 0 where the dimensions aren't known yet.
+    /// </summary>
+    public async Task<AspectRatiosResponse> AspectRatios(PhotoSetDefinition definition, CancellationToken ct = default)
+    {
+        var photos = await MaterializeContext(definition, ct);
+        return new AspectRatiosResponse
+        {
+            TotalCount = photos.Count,
+            Ratios = photos.Select(p => p.Width > 0 && p.Height > 0 ? Math.Round((double)p.Width / p.Height, 3) : 0).ToList(),
+        };
+    }
 
     private async Task<int> ComputeTotalCount(PhotoSetDefinition definition, CancellationToken ct)
     {
+        // A filtered set has no count pushdown here: count what the filter keeps. (A stacked one is counted by its fold.)
+        if (definition.Filters is { IsActive: true })
+            return (await MaterializeContext(definition, ct)).Count;
+
         switch (definition.Context)
         {
             case "all-photos":
@@ -79,6 +237,10 @@ public sealed class PhotoSetService
                 var searchResults = await _processingService.SemanticSearch(definition.SearchQuery, null, definition.SearchAlpha ?? 0.5, int.MaxValue, ct);
                 return searchResults.Count;
 
+            case "smart":
+                // Membership is the saved search/filters applied now: count what they keep.
+                return (await MaterializeContext(definition, ct)).Count;
+
             case "event":
                 if (string.IsNullOrEmpty(definition.EventId))
                     throw new ArgumentException("EventId required for event context");
@@ -92,25 +254,29 @@ public sealed class PhotoSetService
 
     private async Task<List<PhotoAsset>> ExecuteQueryWithPagination(
         string context, string? collectionId, string? eventId, string? searchQuery, double searchAlpha,
-        string sortBy, string sortOrder, int skip, int take, CancellationToken ct)
+        string sortBy, string sortOrder, PhotoSetFilters? filters, int skip, int take, CancellationToken ct)
     {
+        // Filters apply in memory within the context (like the sort below), before windowing.
+        var filter = filters is { IsActive: true } ? filters : null;
+        IEnumerable<PhotoAsset> Keep(IEnumerable<PhotoAsset> items) => filter is null ? items : items.Where(filter.Matches);
+
         switch (context)
         {
             // Fetch the tenant- and request-context-scoped set, sort globally, then window. Sample-scale fetch-then-sort is
             // correct and simple; a production version would push the sort into the query (the
             // default capturedAt??createdAt coalesce is what makes that non-trivial).
             case "all-photos":
-                var allItems = (await PhotoAsset.All(ct)).ToList();
+                var allItems = Keep(await PhotoAsset.All(ct)).ToList();
                 return ApplySorting(allItems, sortBy, sortOrder).Skip(skip).Take(take).ToList();
 
             case "favorites":
-                var favItems = (await PhotoAsset.Query(p => p.IsFavorite, ct)).ToList();
+                var favItems = Keep(await PhotoAsset.Query(p => p.IsFavorite, ct)).ToList();
                 return ApplySorting(favItems, sortBy, sortOrder).Skip(skip).Take(take).ToList();
 
             case "event":
                 if (string.IsNullOrEmpty(eventId))
                     throw new ArgumentException("EventId required for event context");
-                var eventItems = (await PhotoAsset.Query(p => p.EventId == eventId, ct)).ToList();
+                var eventItems = Keep(await PhotoAsset.Query(p => p.EventId == eventId, ct)).ToList();
                 return ApplySorting(eventItems, sortBy, sortOrder).Skip(skip).Take(take).ToList();
 
             case "collection":
@@ -119,6 +285,12 @@ public sealed class PhotoSetService
                 var collection = await Collection.Get(collectionId, ct);
                 if (collection == null || collection.PhotoIds.Count == 0)
                     return new List<PhotoAsset>();
+                if (filter is not null)
+                {
+                    // Filtered: fetch the whole membership (manual order kept), filter, then window.
+                    var members = await PhotoAsset.Get(collection.PhotoIds, ct);
+                    return Keep(members.Where(p => p != null).Select(p => p!)).Skip(skip).Take(take).ToList();
+                }
                 // Page the id list in memory, batch-fetch, drop nulls (deleted-but-still-in-collection).
                 var pageIds = collection.PhotoIds.Skip(skip).Take(take).ToList();
                 if (pageIds.Count == 0) return new List<PhotoAsset>();
@@ -130,16 +302,34 @@ public sealed class PhotoSetService
                 if (string.IsNullOrEmpty(searchQuery))
                     throw new ArgumentException("SearchQuery required for search context");
                 // Overflow-safe topK (skip+take can exceed int.MaxValue when MaterializeContext passes take=MaxValue).
-                var topK = (int)Math.Min((long)skip + take, int.MaxValue);
+                // Filtered: the filter can drop any hit, so rank them all and window what it keeps.
+                var topK = filter is null ? (int)Math.Min((long)skip + take, int.MaxValue) : int.MaxValue;
                 var searchResults = await _processingService.SemanticSearch(searchQuery, null, searchAlpha, topK, ct);
                 // Search is already relevance-sorted.
-                return searchResults.Skip(skip).Take(take).ToList();
+                return Keep(searchResults).Skip(skip).Take(take).ToList();
+
+            case "smart":
+                // The saved definition picks the base set (its search hits, else the sorted library); the panel's
+                // filters then narrow it like any other context.
+                var smart = await LoadSmart(collectionId, ct);
+                var members = await ExecuteQueryWithPagination(smart.SearchQuery is null ? "all-photos" : "search",
+                    null, null, smart.SearchQuery, smart.SearchAlpha, sortBy, sortOrder, smart.Filters, 0, int.MaxValue, ct);
+                return Keep(members).Skip(skip).Take(take).ToList();
 
             default:
                 throw new ArgumentException($"Unknown context: {context}");
         }
     }
 
+    /// <summary>The smart collection a <c>smart</c> context names (its id travels as the definition's CollectionId).</summary>
+    private static async Task<SmartCollection> LoadSmart(string? smartCollectionId, CancellationToken ct)
+    {
+        if (string.IsNullOrEmpty(smartCollectionId))
+            throw new ArgumentException("CollectionId required for smart context");
+        return await SmartCollection.Get(smartCollectionId, ct)
+            ?? throw new KeyNotFoundException($"Smart collection {smartCollectionId} not found");
+    }
+
     private static List<PhotoAsset> ApplySorting(List<PhotoAsset> photos, string sortBy, string sortOrder)
     {
         var asc = sortOrder == "asc";
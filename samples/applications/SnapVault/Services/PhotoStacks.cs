@@ -0,0 +1,91 @@
+using SnapVault.Media;
+using SnapVault.Models;
+
+namespace SnapVault.Services;
+
+/// <summary>
+/// Bursts and near-duplicates folded into stacks: photos shot moments apart on one camera that look alike. Detection
+/// walks a capture-ordered list and chains neighbours, so a burst of any length is one stack even when its first and
+/// last frames have drifted apart. A stack's id is its first-captured photo's; its cover is the member picked with
+/// <see cref="PhotoAsset.IsStackPick"/>, else that first photo.
+/// </summary>
+public static class PhotoStacks
+{
+    /// <summary>Longest gap between consecutive frames of one burst.</summary>
+    public static readonly TimeSpan BurstGap = TimeSpan.FromSeconds(3);
+
+    /// <summary>
+    /// Largest perceptual-hash distance between consecutive frames. Looser than <see cref="PerceptualHash.NearThreshold"/>:
+    /// the subject moves between frames of a burst.
+    /// </summary>
+    public const int SimilarityThreshold = 12;
+
+    /// <summary>Whether two photos, neighbours in capture order, are frames of the same burst.</summary>
+    public static bool Continues(PhotoAsset previous, PhotoAsset next)
+    {
+        if (previous.CapturedAt is not { } a || next.CapturedAt is not { } b) return false;
+        if ((a - b).Duration() > BurstGap) return false;
+        if (previous.CameraModel is not null && next.CameraModel is not null && previous.CameraModel != next.CameraModel) return false;
+
+        // Photos ingested before hashing have no hash: the timing alone decides.
+        var distance = PerceptualHash.Distance(previous.PerceptualHash, next.PerceptualHash);
+        return distance is null || distance <= SimilarityThreshold;
+    }
+
+    /// <summary>The stacks of a capture-ordered list (either direction), members in list order.</summary>
+    public static List<PhotoStack> Detect(IReadOnlyList<PhotoAsset> ordered)
+        => Runs(ordered).Where(run => run.Count > 1).Select(PhotoStack.Of).ToList();
+
+    /// <summary>
+    /// A capture-ordered set as the grid shows it stacked: a collapsed stack is its cover, at its first member's
+    /// place; an expanded one keeps every member in place. Entries in a stack carry it.
+    /// </summary>
+    public static List<PhotoSetEntry> Fold(IReadOnlyList<PhotoAsset> ordered, IReadOnlyCollection<string> expanded)
+    {
+        var entries = new List<PhotoSetEntry>(ordered.Count);
+        foreach (var run in Runs(ordered))
+        {
+            if (run.Count == 1)
+            {
+                entries.Add(new PhotoSetEntry(run[0]));
+                continue;
+            }
+
+            var stack = PhotoStack.Of(run);
+            if (expanded.Contains(stack.Id))
+                entries.AddRange(run.Select(photo => new PhotoSetEntry(photo, stack, Expanded: true)));
+            else
+                entries.Add(new PhotoSetEntry(run.First(photo => photo.Id == stack.CoverId), stack));
+        }
+        return entries;
+    }
+
+    private static IEnumerable<List<PhotoAsset>> Runs(IReadOnlyList<PhotoAsset> ordered)
+    {
+        var run = new List<PhotoAsset>();
+        foreach (var photo in ordered)
+        {
+            if (run.Count > 0 && !Continues(run[^1], photo))
+            {
+                yield return run;
+                run = new List<PhotoAsset>();
+            }
+            run.Add(photo);
+        }
+        if (run.Count > 0) yield return run;
+    }
+}
+
+/// <summary>A burst stack: its members in set order, and the one shown for it while collapsed.</summary>
+public sealed record PhotoStack(string Id, string CoverId, IReadOnlyList<string> MemberIds)
+{
+    public static PhotoStack Of(IReadOnlyList<PhotoAsset> members)
+    {
+        var first = members.OrderBy(p => p.CapturedAt).ThenBy(p => p.Id, StringComparer.Ordinal).First();
+        var cover = members.FirstOrDefault(p => p.IsStackPick) ?? first;
+        return new PhotoStack(first.Id, cover.Id, members.Select(p => p.Id).ToList());
+    }
+}
+
+/// <summary>One position of a photo set: the photo shown there and, in a stacked set, the stack it stands for or belongs to.</summary>
+public sealed record PhotoSetEntry(PhotoAsset Photo, PhotoStack? Stack = null, bool Expanded = false);
@@ -0,0 +1,246 @@
+using System.Collections.Concurrent;
+using Koan.Tenancy;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SnapVault.Configuration;
+using SnapVault.Infrastructure;
+using SnapVault.Models;
+
+namespace SnapVault.Services;
+
+/// <summary>
+/// Offset-based resumable uploads (tus-style, JSON-shaped). The browser declares a file, appends chunks strictly at
+/// the session's current offset, and asks for that offset after a reconnect. Chunks are staged one blob each, so the
+/// server never holds a whole file in a request; the completing append assembles them into a single staged file and
+/// submits the same durable ingest job as the batch endpoint. Sessions are tenant-scoped like every other entity.
+///
+/// <para>Appends to one session run one at a time: a chunk the browser re-sends after timing out can arrive while the
+/// original is still being written, and only the first may land (and complete the upload); the other is refused at
+/// the offset it no longer matches.</para>
+///
+/// <para>Sessions idle past <see cref="UploadOptions.SessionTtl"/> are swept with their staged chunks at most once per
+/// <see cref="SweepInterval"/> per tenant, when the studio opens its next upload: an abandoned upload's bytes are
+/// reclaimed even if its id is never asked for again.</para>
+/// </summary>
+public sealed class ResumableUploadService
+{
+    public static readonly TimeSpan SweepInterval = TimeSpan.FromHours(1);
+
+    private readonly UploadOptions _options;
+    private readonly ILogger<ResumableUploadService> _logger;
+    private readonly ConcurrentDictionary<string, SemaphoreSlim> _appending = new(StringComparer.Ordinal);
+    private readonly ConcurrentDictionary<string, DateTime> _lastSweep = new(StringComparer.Ordinal);
+
+    public ResumableUploadService(IOptions<UploadOptions> options, ILogger<ResumableUploadService> logger)
+    {
+        _options = options.Value;
+        _logger = logger;
+    }
+
+    /// <summary>The configured size limits, advertised to the browser when a session opens.</summary>
+    public UploadOptions Limits => _options;
+
+    /// <summary>
+    /// Open a session for one file. A null <paramref name="batchId"/> mints a new progress batch; a
+    /// <paramref name="collectionId"/> adds the ingested photo to that collection; a <paramref name="replacesPhotoId"/>
+    /// trashes that photo in favour of the ingested one (<see cref="TrashService.Supersede"/>).
+    /// </summary>
+    /// <exception cref="ArgumentException">Unsupported extension, a size outside (0, MaxFileBytes], or an unknown collection or photo.</exception>
+    public async Task<UploadSession> Begin(string fileName, string? contentType, long length, string? eventId, string? batchId,
+        string? collectionId = null, string? replacesPhotoId = null, CancellationToken ct = default)
+    {
+        var ext = Path.GetExtension(fileName);
+        if (string.IsNullOrEmpty(ext) || !Constants.Uploads.AllowedExtensions.Contains(ext))
+            throw new ArgumentException($"Unsupported file type: {fileName}");
+        if (length <= 0 || length > _options.MaxFileBytes)
+            throw new ArgumentException($"File size must be between 1 byte and {_options.MaxFileBytes / (1024 * 1024)} MB.");
+        if (!string.IsNullOrEmpty(collectionId) && await Collection.Get(collectionId, ct) is null)
+            throw new ArgumentException($"Collection '{collectionId}' not found.");
+        if (!string.IsNullOrEmpty(replacesPhotoId) && await PhotoAsset.Get(replacesPhotoId, ct) is null)
+            throw new ArgumentException($"Photo '{replacesPhotoId}' not found.");
+
+        await SweepExpired(ct);
+
+        var session = new UploadSession
+        {
+            FileName = Path.GetFileName(fileName),
+            ContentType = string.IsNullOrEmpty(contentType) ? "application/octet-stream" : contentType,
+            Length = length,
+            // "auto" (or omitted) means auto-organize by EXIF capture date, as on the batch endpoint.
+            EventId = string.IsNullOrEmpty(eventId) || eventId == "auto" ? null : eventId,
+            CollectionId = string.IsNullOrEmpty(collectionId) ? null : collectionId,
+            ReplacesPhotoId = string.IsNullOrEmpty(replacesPhotoId) ? null : replacesPhotoId,
+            BatchId = string.IsNullOrEmpty(batchId) ? Guid.NewGuid().ToString("n") : batchId,
+        };
+        await session.Save(ct);
+        _logger.LogInformation("[Uploads] Opened {UploadId} for {FileName} ({Length} bytes, batch {BatchId})",
+            session.Id, session.FileName, length, session.BatchId);
+        return session;
+    }
+
+    /// <summary>Load a live session; an idle-expired one is discarded (with its chunks) and reported missing.</summary>
+    public async Task<UploadSession?> Find(string uploadId, CancellationToken ct = default)
+    {
+        var session = await UploadSession.Get(uploadId, ct);
+        if (session is null) return null;
+
+        if (session.CompletedAt is null && DateTimeOffset.UtcNow - session.UpdatedAt > _options.SessionTtl)
+        {
+            await Discard(session, ct);
+            return null;
+        }
+        return session;
+    }
+
+    /// <summary>
+    /// Append one chunk at <paramref name="offset"/>, after any append to the same upload in flight. A chunk that would
+    /// overrun the declared length is dropped and refused. The append that reaches the declared length completes the
+    /// upload, once. Null when the session is missing or expired.
+    /// </summary>
+    /// <exception cref="UploadOffsetException">The upload is complete, or the offset is not the session's current offset.</exception>
+    /// <exception cref="ArgumentException">The chunk is empty, oversized, or overruns the declared length.</exception>
+    public async Task<UploadSession?> Append(string uploadId, long offset, Stream body, CancellationToken ct = default)
+    {
+        var gate = _appending.GetOrAdd(uploadId, _ => new SemaphoreSlim(1, 1));
+        await gate.WaitAsync(ct);
+        try
+        {
+            // Read under the gate: the session as the previous append left it
+            var session = await Find(uploadId, ct);
+            return session is null ? null : await Append(session, offset, body, ct);
+        }
+        finally { gate.Release(); }
+    }
+
+    private async Task<UploadSession> Append(UploadSession session, long offset, Stream body, CancellationToken ct)
+    {
+        if (session.CompletedAt is not null || offset != session.Offset)
+            throw new UploadOffsetException(session);
+
+        var key = $"uploads/{session.Id}/{session.ChunkKeys.Count:D6}";
+        var chunk = await UploadStaging.Onboard(key, body, "application/offset+octet-stream", ct);
+
+        if (chunk.Size <= 0 || chunk.Size > _options.ChunkBytes || session.Offset + chunk.Size > session.Length)
+        {
+            try { await chunk.Delete(ct); }
+            catch { /* best-effort cleanup */ }
+            throw new ArgumentException(chunk.Size <= 0
+                ? "Empty chunk."
+                : $"Chunk of {chunk.Size} bytes exceeds the chunk size or the declared file length.");
+        }
+
+        session.ChunkKeys.Add(chunk.Key);
+        session.Offset += chunk.Size;
+        session.UpdatedAt = DateTimeOffset.UtcNow;
+
+        if (session.Offset == session.Length)
+        {
+            await Complete(session, ct);
+            _appending.TryRemove(session.Id, out _);   // a late duplicate still finds the session complete
+        }
+
+        await session.Save(ct);
+        return session;
+    }
+
+    /// <summary>Abandon a session and delete its staged chunks.</summary>
+    public async Task Discard(UploadSession session, CancellationToken ct = default)
+    {
+        await DeleteChunks(session, ct);
+        await session.Remove(ct);
+        _appending.TryRemove(session.Id, out _);
+        _logger.LogInformation("[Uploads] Discarded {UploadId} ({FileName})", session.Id, session.FileName);
+    }
+
+    /// <summary>
+    /// Discard unfinished sessions idle past the TTL, and drop completed ones as old, at most once per
+    /// <see cref="SweepInterval"/> per tenant. Per-session failures are logged and skipped.
+    /// </summary>
+    public async Task SweepExpired(CancellationToken ct = default)
+    {
+        var now = DateTime.UtcNow;
+        var tenant = Tenant.Current?.Id ?? "";
+        if (_lastSweep.TryGetValue(tenant, out var last) && now - last < SweepInterval) return;
+        _lastSweep[tenant] = now;
+
+        try
+        {
+            var cutoff = DateTimeOffset.UtcNow - _options.SessionTtl;
+            foreach (var session in await UploadSession.Query(s => s.UpdatedAt < cutoff, ct))
+            {
+                try
+                {
+                    if (session.CompletedAt is null) await Discard(session, ct);
+                    else await session.Remove(ct);   // its chunks went when it completed
+                }
+                catch (Exception ex) { _logger.LogWarning(ex, "[Uploads] Failed to sweep {UploadId}", session.Id); }
+            }
+        }
+        catch (Exception ex) { _logger.LogWarning(ex, "[Uploads] Idle session sweep failed"); }
+    }
+
+    // Assemble the chunks through a temp file (bounded memory for large files), stage the whole file, and submit
+    // the ingest job. Chunks are deleted only after the job is submitted so a failure here can be retried. Runs under
+    // the session's append gate, on the one append that moves it to complete.
+    private async Task Complete(UploadSession session, CancellationToken ct)
+    {
+        if (session.CompletedAt is not null) return;
+
+        UploadStaging staged;
+        var tempPath = Path.GetTempFileName();
+        await using (var assembled = new FileStream(tempPath, FileMode.Create, FileAccess.ReadWrite, FileShare.None,
+                         81920, FileOptions.DeleteOnClose | FileOptions.Asynchronous))
+        {
+            foreach (var key in session.ChunkKeys)
+            {
+                await using var chunk = await UploadStaging.OpenRead(key, ct);
+                await chunk.CopyToAsync(assembled, ct);
+            }
+
+            assembled.Position = 0;
+            staged = await UploadStaging.Onboard($"uploads/{session.Id}/{session.FileName}", assembled, session.ContentType, ct);
+        }
+
+        var job = new PhotoProcessingJob
+        {
+            EventId = session.EventId,
+            CollectionId = session.CollectionId,
+            ReplacesPhotoId = session.ReplacesPhotoId,
+            OriginalFileName = session.FileName,
+            ContentType = session.ContentType,
+            StagingKey = staged.Key,
+            BatchJobId = session.BatchId,
+        };
+        await job.Job.Submit(PhotoProcessingJob.Ingest, ct);
+
+        session.JobId = job.Id;
+        session.CompletedAt = DateTimeOffset.UtcNow;
+        await DeleteChunks(session, ct);
+        _logger.LogInformation("[Uploads] Completed {UploadId} ({FileName}, {Length} bytes) → job {JobId}",
+            session.Id, session.FileName, session.Length, job.Id);
+    }
+
+    private static async Task DeleteChunks(UploadSession session, CancellationToken ct)
+    {
+        foreach (var key in session.ChunkKeys)
+        {
+            try { await UploadStaging.Get(key).Delete(ct); }
+            catch { /* best-effort cleanup */ }
+        }
+        session.ChunkKeys.Clear();
+    }
+}
+
+/// <summary>A chunk at an offset the session is no longer at (or after it completed), with where the session is.</summary>
+public sealed class UploadOffsetException : InvalidOperationException
+{
+    public UploadOffsetException(UploadSession session)
+        : base(session.CompletedAt is not null ? "The upload is already complete." : $"Offset does not match the session offset {session.Offset}.")
+    {
+        Offset = session.Offset;
+        Completed = session.CompletedAt is not null;
+    }
+
+    public long Offset { get; }
+    public bool Completed { get; }
+}
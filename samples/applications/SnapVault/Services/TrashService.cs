@@ -0,0 +1,295 @@
+using System.Collections.Concurrent;
+using Koan.Data.SoftDelete;
+using Koan.Tenancy;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SnapVault.Configuration;
+using SnapVault.Models;
+
+namespace SnapVault.Services;
+
+/// <summary>
+/// The studio trash. <see cref="PhotoAsset"/> and <see cref="Collection"/> are <c>[SoftDelete]</c>, so a delete hides
+/// the row instead of removing it; this service stamps <c>DeletedAt</c> first, records where a photo sat in each
+/// collection so a restore can put it back, and purges (hard-deletes) what the retention window has let go of. A purge
+/// is the only path that reclaims a photo's original and renders (<see cref="Initialization.PhotoAssetCleanup"/>).
+///
+/// <para>Expired items are purged lazily, at most once per <see cref="SweepInterval"/> per tenant, from the trash's own
+/// reads and writes. Like the change-log prune this runs in the ambient tenant of the request that triggered it, so a
+/// sweep only ever touches that studio's rows.</para>
+/// </summary>
+public sealed class TrashService
+{
+    public static readonly TimeSpan SweepInterval = TimeSpan.FromHours(1);
+
+    private readonly TrashOptions _options;
+    private readonly CollectionOptions _collections;
+    private readonly ILogger<TrashService> _logger;
+    private readonly ConcurrentDictionary<string, DateTime> _lastSweep = new(StringComparer.Ordinal);
+
+    public TrashService(IOptions<TrashOptions> options, IOptions<CollectionOptions> collections, ILogger<TrashService> logger)
+    {
+        _options = options.Value;
+        _collections = collections.Value;
+        _logger = logger;
+    }
+
+    /// <summary>How long a deleted photo or collection stays restorable.</summary>
+    public TimeSpan Retention => _options.Retention;
+
+    /// <summary>
+    /// Move a photo to the trash. Its collection positions are recorded before the delete prunes it from them.
+    /// </summary>
+    public async Task TrashPhoto(PhotoAsset photo, CancellationToken ct = default)
+        => await TrashPhoto(photo, await Collection.All(ct), ct);
+
+    /// <summary>
+    /// Move a photo to the trash, reading its collection positions from <paramref name="collections"/>: the studio's
+    /// collections, loaded once for a bulk delete. The photo leaves those loaded copies as the delete prunes it from
+    /// the stored ones, so the next photo's positions are read as a restore will find them.
+    /// </summary>
+    public async Task TrashPhoto(PhotoAsset photo, IReadOnlyList<Collection> collections, CancellationToken ct = default)
+    {
+        var placements = new List<CollectionPlacement>();
+        foreach (var collection in collections)
+        {
+            var position = collection.PhotoIds.IndexOf(photo.Id);
+            if (position < 0) continue;
+            placements.Add(new CollectionPlacement { CollectionId = collection.Id, Position = position });
+            collection.PhotoIds.RemoveAt(position);
+        }
+
+        photo.DeletedAt = DateTime.UtcNow;
+        photo.TrashedFrom = placements;
+        await photo.Save(ct);
+        await photo.Remove(ct);   // soft: hidden from reads → AfterRemove prunes it from its collections
+    }
+
+    /// <summary>
+    /// Trash a photo in favour of the upload that replaced it, once that upload has been ingested: the replacement takes
+    /// the original's rating, favourite and reject flags, its tags, and its place in each of its collections. Restoring
+    /// the original puts it back beside the replacement. A no-op when the original is already gone (a retried job).
+    /// </summary>
+    public async Task Supersede(string originalId, string replacementId, CancellationToken ct = default)
+    {
+        var original = await PhotoAsset.Get(originalId, ct);
+        var replacement = await PhotoAsset.Get(replacementId, ct);
+        if (original is null || replacement is null || original.Id == replacement.Id) return;
+
+        replacement.Rating = original.Rating;
+        replacement.IsFavorite = original.IsFavorite;
+        replacement.IsRejected = original.IsRejected;
+        replacement.AutoTags = replacement.AutoTags.Union(original.AutoTags).ToList();
+        await replacement.Save(ct);
+
+        var collections = await Collection.All(ct);
+        foreach (var collection in collections)
+        {
+            if (!collection.PhotoIds.Contains(original.Id)) continue;
+
+            // Already in it (a folder import into the same collection): move it to the original's place instead
+            collection.PhotoIds.Remove(replacement.Id);
+            collection.PhotoIds.Insert(collection.PhotoIds.IndexOf(original.Id), replacement.Id);
+            collection.UpdatedAt = DateTime.UtcNow;
+            await collection.Save(ct);
+        }
+
+        await TrashPhoto(original, collections, ct);
+        _logger.LogInformation("[Trash] Photo {OriginalId} replaced by {ReplacementId}", original.Id, replacement.Id);
+    }
+
+    /// <summary>Trashed photos, most recently deleted first.</summary>
+    public async Task<List<PhotoAsset>> TrashedPhotos(CancellationToken ct = default)
+    {
+        await SweepExpired(ct);
+
+        using (PhotoAsset.WithDeleted())
+        {
+            var trashed = await PhotoAsset.Query(p => p.DeletedAt != null, ct);
+            return trashed.OrderByDescending(p => p.DeletedAt).ToList();
+        }
+    }
+
+    /// <summary>
+    /// Put trashed photos back in the library and in the collections they left, at their old positions where those
+    /// collections still exist and have room. The last one deleted is restored first, so photos deleted together
+    /// from one collection return in their original order. Ids that aren't in the trash are reported as errors.
+    /// </summary>
+    public async Task<TrashOutcome> RestorePhotos(IReadOnlyList<string> photoIds, CancellationToken ct = default)
+    {
+        var errors = new List<string>();
+        var trashed = new List<(PhotoAsset Photo, int Order)>();
+        using (PhotoAsset.WithDeleted())
+        {
+            for (var i = 0; i < photoIds.Count; i++)
+            {
+                var photo = await PhotoAsset.Get(photoIds[i], ct);
+                if (photo?.DeletedAt is null) { errors.Add($"Photo {photoIds[i]} is not in the trash"); continue; }
+                trashed.Add((photo, i));
+            }
+        }
+
+        var restored = 0;
+        foreach (var (photo, _) in trashed.OrderByDescending(t => t.Photo.DeletedAt).ThenByDescending(t => t.Order))
+        {
+            try
+            {
+                var placements = photo.TrashedFrom;
+                photo.DeletedAt = null;
+                photo.TrashedFrom = new();
+                await photo.Restore(ct);
+                await ReturnToCollections(photo.Id, placements, ct);
+                restored++;
+            }
+            catch (Exception ex) { errors.Add($"Photo {photo.Id}: {ex.Message}"); }
+        }
+
+        return new TrashOutcome(restored, errors);
+    }
+
+    /// <summary>
+    /// Permanently delete trashed photos. Only photos already in the trash are purged; the library is untouched.
+    /// </summary>
+    public async Task<TrashOutcome> PurgePhotos(IReadOnlyList<string> photoIds, CancellationToken ct = default)
+    {
+        var purged = 0;
+        var errors = new List<string>();
+        foreach (var photoId in photoIds)
+        {
+            try
+            {
+                PhotoAsset? photo;
+                using (PhotoAsset.WithDeleted())
+                    photo = await PhotoAsset.Get(photoId, ct);
+                if (photo?.DeletedAt is null) { errors.Add($"Photo {photoId} is not in the trash"); continue; }
+
+                if (await photo.HardDelete(ct)) purged++;   // → AfterRemove: reclaim the original + evict renders
+            }
+            catch (Exception ex) { errors.Add($"Photo {photoId}: {ex.Message}"); }
+        }
+
+        return new TrashOutcome(purged, errors);
+    }
+
+    /// <summary>Move a collection to the trash; its photos are untouched.</summary>
+    public async Task TrashCollection(Collection collection, CancellationToken ct = default)
+    {
+        collection.DeletedAt = DateTime.UtcNow;
+        await collection.Save(ct);
+        await collection.Remove(ct);
+        await SweepExpired(ct);
+    }
+
+    /// <summary>
+    /// Bring a trashed collection back. Photos deleted while it was in the trash are dropped from it. Null when no
+    /// trashed collection has that id.
+    /// </summary>
+    public async Task<Collection?> RestoreCollection(string collectionId, CancellationToken ct = default)
+    {
+        Collection? collection;
+        using (Collection.WithDeleted())
+            collection = await Collection.Get(collectionId, ct);
+        if (collection?.DeletedAt is null) return null;
+
+        collection.PhotoIds = (await collection.GetPhotos(ct)).Select(p => p.Id).ToList();
+        collection.DeletedAt = null;
+        collection.UpdatedAt = DateTime.UtcNow;
+        return await collection.Restore(ct);
+    }
+
+    /// <summary>Move a smart collection to the trash. It holds no photos, so nothing else changes.</summary>
+    public async Task TrashSmartCollection(SmartCollection smart, CancellationToken ct = default)
+    {
+        smart.DeletedAt = DateTime.UtcNow;
+        await smart.Save(ct);
+        await smart.Remove(ct);
+        await SweepExpired(ct);
+    }
+
+    /// <summary>Bring a trashed smart collection back. Null when no trashed smart collection has that id.</summary>
+    public async Task<SmartCollection?> RestoreSmartCollection(string smartId, CancellationToken ct = default)
+    {
+        SmartCollection? smart;
+        using (SmartCollection.WithDeleted())
+            smart = await SmartCollection.Get(smartId, ct);
+        if (smart?.DeletedAt is null) return null;
+
+        // A new revision, so the browser doesn't key the restored set on the cache entry it dropped at the delete
+        smart.DeletedAt = null;
+        smart.UpdatedAt = DateTime.UtcNow;
+        return await smart.Restore(ct);
+    }
+
+    /// <summary>
+    /// Purge photos, collections and smart collections deleted before <paramref name="cutoff"/>. Per-item failures are logged and skipped.
+    /// </summary>
+    /// <returns>How many were purged.</returns>
+    public async Task<int> PurgeDeletedBefore(DateTime cutoff, CancellationToken ct = default)
+    {
+        List<PhotoAsset> photos;
+        using (PhotoAsset.WithDeleted())
+            photos = await PhotoAsset.Query(p => p.DeletedAt != null && p.DeletedAt < cutoff, ct);
+
+        List<Collection> collections;
+        using (Collection.WithDeleted())
+            collections = await Collection.Query(c => c.DeletedAt != null && c.DeletedAt < cutoff, ct);
+
+        List<SmartCollection> smarts;
+        using (SmartCollection.WithDeleted())
+            smarts = await SmartCollection.Query(s => s.DeletedAt != null && s.DeletedAt < cutoff, ct);
+
+        var purged = 0;
+        foreach (var photo in photos)
+        {
+            try { if (await photo.HardDelete(ct)) purged++; }
+            catch (Exception ex) { _logger.LogWarning(ex, "Failed to purge trashed photo {PhotoId}", photo.Id); }
+        }
+        foreach (var collection in collections)
+        {
+            try { if (await collection.HardDelete(ct)) purged++; }
+            catch (Exception ex) { _logger.LogWarning(ex, "Failed to purge trashed collection {CollectionId}", collection.Id); }
+        }
+        foreach (var smart in smarts)
+        {
+            try { if (await smart.HardDelete(ct)) purged++; }
+            catch (Exception ex) { _logger.LogWarning(ex, "Failed to purge trashed smart collection {SmartCollectionId}", smart.Id); }
+        }
+
+        if (purged > 0)
+            _logger.LogInformation("[Trash] Purged {Count} item(s) deleted before {Cutoff:u}", purged, cutoff);
+        return purged;
+    }
+
+    /// <summary>Purge what has outlived the retention window, at most once per <see cref="SweepInterval"/> per tenant.</summary>
+    public async Task SweepExpired(CancellationToken ct = default)
+    {
+        var now = DateTime.UtcNow;
+        var tenant = Tenant.Current?.Id ?? "";
+        if (_lastSweep.TryGetValue(tenant, out var last) && now - last < SweepInterval) return;
+        _lastSweep[tenant] = now;
+
+        try { await PurgeDeletedBefore(now - _options.Retention, ct); }
+        catch (Exception ex) { _logger.LogWarning(ex, "[Trash] Retention sweep failed"); }
+    }
+
+    private async Task ReturnToCollections(string photoId, List<CollectionPlacement> placements, CancellationToken ct)
+    {
+        foreach (var placement in placements)
+        {
+            var collection = await Collection.Get(placement.CollectionId, ct);
+            if (collection is null || collection.PhotoIds.Contains(photoId)) continue;
+            if (collection.PhotoIds.Count >= _collections.MaxPhotosPerCollection)
+            {
+                _logger.LogInformation("[Trash] Collection {CollectionId} is full; restored photo {PhotoId} was not put back", collection.Id, photoId);
+                continue;
+            }
+
+            collection.PhotoIds.Insert(Math.Min(placement.Position, collection.PhotoIds.Count), photoId);
+            collection.UpdatedAt = DateTime.UtcNow;
+            await collection.Save(ct);
+        }
+    }
+}
+
+/// <summary>How many photos a restore or purge handled, and why the others weren't.</summary>
+public sealed record TrashOutcome(int Count, IReadOnlyList<string> Errors);
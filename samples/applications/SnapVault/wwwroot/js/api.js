@@ -1,51 +1,245 @@
+import { errorFromBody, NetworkError } from './utils/errors.js';
+import { OfflineQueue } from './services/OfflineQueue.js';
+
 /**
  * API Client for SnapVault Pro
  * Handles all HTTP requests to the backend
+ *
+ * Every verb accepts an options bag:
+ *   - signal:    AbortSignal from the caller (aborting rejects with an AbortError)
+ *   - timeout:   per-call timeout in ms (0 disables; GETs default to 30s)
+ *   - retries:   retry budget (GETs default to 2; writes only retry when the server sends Retry-After)
+ *   - idempotent: treat a non-GET as safe to repeat (a read-only POST query) — it gets the GET timeout,
+ *                retries and backoff
+ *   - supersede: a key — starting a new call with the same key aborts the previous one (latest wins)
+ *   - offline:   POST only — { label, precondition }: when the server cannot be reached, queue the write
+ *                in the OfflineQueue for replay and resolve to { queued: true } instead of rejecting
+ *
+ * Failures reject with the typed errors in utils/errors.js; cancellation rejects with an AbortError.
  */
 
+const DEFAULT_GET_TIMEOUT = 30000;
+const DEFAULT_GET_RETRIES = 2;
+const BACKOFF_BASE = 300;       // ms — first retry waits up to 300ms, then 600ms, 1200ms…
+const BACKOFF_MAX = 5000;
+const RETRY_AFTER_MAX = 30000;  // a longer Retry-After is surfaced as an error instead of stalling the UI
+
 export class API {
   constructor() {
     this.baseUrl = window.location.origin;
+    this.inFlight = new Map(); // supersede key → AbortController
+    this.offlineQueue = new OfflineQueue();
+  }
+
+  /**
+   * True when a call was cancelled (caller abort or supersede) rather than failed.
+   * Cancelled calls are expected — callers should drop them silently, not toast.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isAbort(error) {
+    return error?.name === 'AbortError';
   }
 
   /**
-   * Build an Error from a non-2xx response, surfacing the server's JSON error body when present.
-   * The backend returns { error: "..." } (e.g. "Collection limit reached (2048 photos maximum)."); callers
-   * grep error.message (the collection-cap toast checks for "limit"), so the body must reach them — the bare
-   * status line would hide it. Falls back to "HTTP <status>: <statusText>" when the body is absent/not JSON.
+   * Build a typed error from a non-2xx response, surfacing the server's problem+json / { error } body.
+   * The subclass follows the status (ValidationError, NotFoundError, ConflictError, AuthError, else
+   * HttpError) so callers branch with instanceof; the message stays the server's text for toasts.
    * @param {Response} response
-   * @returns {Promise<Error>}
+   * @returns {Promise<HttpError>}
    */
   async _errorFrom(response) {
-    let message = `HTTP ${response.status}: ${response.statusText}`;
+    let text = '';
     try {
-      const text = await response.text();
-      if (text) {
-        const body = JSON.parse(text);
-        if (body && (body.error || body.message)) {
-          message = body.error || body.message;
+      text = await response.text();
+    } catch {
+      // Body unreadable — the status line is all we have.
+    }
+    return errorFromBody(response.status, response.statusText, text, response.headers.get('X-Request-Id'));
+  }
+
+  /**
+   * Compose one AbortSignal from the caller signal, a supersede signal and an optional timeout.
+   * Returns the signal and a cleanup that clears the timer and unlinks listeners.
+   * @param {Object} options - { signal, supersedeSignal, timeout }
+   * @returns {{ signal: AbortSignal, timedOut: () => boolean, cleanup: () => void }}
+   */
+  _linkSignal(options) {
+    const controller = new AbortController();
+    const sources = [];
+    let timer = null;
+    let timedOut = false;
+
+    const link = (source) => {
+      if (!source) return;
+      if (source.aborted) {
+        controller.abort(source.reason);
+        return;
+      }
+      const onAbort = () => controller.abort(source.reason);
+      source.addEventListener('abort', onAbort, { once: true });
+      sources.push([source, onAbort]);
+    };
+
+    link(options.signal);
+    link(options.supersedeSignal);
+
+    if (options.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, options.timeout);
+    }
+
+    return {
+      signal: controller.signal,
+      timedOut: () => timedOut,
+      cleanup: () => {
+        clearTimeout(timer);
+        sources.forEach(([source, onAbort]) => source.removeEventListener('abort', onAbort));
+      }
+    };
+  }
+
+  /**
+   * Register a supersede key, aborting whichever call previously held it.
+   * @param {string} key
+   * @returns {AbortController}
+   */
+  _supersede(key) {
+    this.inFlight.get(key)?.abort();
+    const controller = new AbortController();
+    this.inFlight.set(key, controller);
+    return controller;
+  }
+
+  /**
+   * Parse Retry-After (delta-seconds or HTTP-date) into milliseconds, or null when absent/unparseable.
+   * @param {Headers} headers
+   * @returns {number|null}
+   */
+  _retryAfter(headers) {
+    const value = headers.get('Retry-After');
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Exponential backoff with full jitter for retry `attempt` (0-based).
+   * @param {number} attempt
+   * @returns {number} delay in ms
+   */
+  _backoff(attempt) {
+    const ceiling = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** attempt);
+    return Math.random() * ceiling;
+  }
+
+  /**
+   * Sleep that rejects early when the signal aborts.
+   * @param {number} ms
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Issue a request with timeout, cancellation and retry.
+   * GETs (idempotent) retry on network errors, timeouts, 5xx and 429; other verbs retry only on 429/503
+   * carrying Retry-After, where the server has declared the request unprocessed — unless the caller marks
+   * them idempotent.
+   * @param {string} method
+   * @param {string} url - path, joined to baseUrl
+   * @param {RequestInit} init - headers/body
+   * @param {Object} options - { signal, timeout, retries, supersede, idempotent }
+   * @returns {Promise<Response>} a 2xx response
+   */
+  async _request(method, url, init, options = {}) {
+    const idempotent = options.idempotent ?? method === 'GET';
+    const timeout = options.timeout ?? (idempotent ? DEFAULT_GET_TIMEOUT : 0);
+    const retries = options.retries ?? (idempotent ? DEFAULT_GET_RETRIES : 1);
+    const supersede = options.supersede ? this._supersede(options.supersede) : null;
+    const outer = this._linkSignal({ signal: options.signal, supersedeSignal: supersede?.signal });
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const linked = this._linkSignal({ signal: outer.signal, timeout });
+        let response;
+
+        try {
+          response = await fetch(`${this.baseUrl}${url}`, { ...init, method, signal: linked.signal });
+        } catch (error) {
+          // Caller/supersede aborts propagate untouched; a timeout or network failure may be retried.
+          if (API.isAbort(error) && !linked.timedOut()) throw error;
+          if (!idempotent || attempt >= retries) {
+            throw linked.timedOut()
+              ? new NetworkError(`Request timed out after ${timeout}ms`, { timedOut: true, cause: error })
+              : new NetworkError('Network error — the server could not be reached', { cause: error });
+          }
+          console.warn(`[API] ${method} ${url} ${linked.timedOut() ? 'timed out' : 'network error'}, retry ${attempt + 1}/${retries}`);
+          await this._wait(this._backoff(attempt), outer.signal);
+          continue;
+        } finally {
+          linked.cleanup();
         }
+
+        if (response.ok) return response;
+
+        const status = response.status;
+        const retryAfter = (status === 429 || status === 503) ? this._retryAfter(response.headers) : null;
+        const retryable = idempotent
+          ? (status >= 500 || status === 429)
+          : retryAfter !== null;
+
+        if (!retryable || attempt >= retries || (retryAfter ?? 0) > RETRY_AFTER_MAX) {
+          throw await this._errorFrom(response);
+        }
+
+        const delay = retryAfter ?? this._backoff(attempt);
+        console.warn(`[API] ${method} ${url} → ${status}, retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+        await this._wait(delay, outer.signal);
+      }
+    } finally {
+      outer.cleanup();
+      if (supersede && this.inFlight.get(options.supersede) === supersede) {
+        this.inFlight.delete(options.supersede);
       }
-    } catch {
-      // Non-JSON body — keep the status line.
     }
-    return new Error(message);
   }
 
+  /**
+   * @param {string} url
+   * @param {Object} params - query string parameters
+   * @param {Object} options - { includeHeaders, signal, timeout, retries, supersede }
+   */
   async get(url, params = {}, options = {}) {
     const queryString = new URLSearchParams(params).toString();
-    const fullUrl = `${this.baseUrl}${url}${queryString ? `?${queryString}` : ''}`;
 
-    const response = await fetch(fullUrl, {
-      method: 'GET',
+    const response = await this._request('GET', `${url}${queryString ? `?${queryString}` : ''}`, {
       headers: {
         'Accept': 'application/json'
       }
-    });
-
-    if (!response.ok) {
-      throw await this._errorFrom(response);
-    }
+    }, options);
 
     const data = await response.json();
 
@@ -65,18 +259,28 @@ export class API {
     return data;
   }
 
-  async post(url, data = null) {
-    const response = await fetch(`${this.baseUrl}${url}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: data ? JSON.stringify(data) : null
-    });
+  async post(url, data = null, options = {}) {
+    let response;
+    try {
+      response = await this._request('POST', url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: data ? JSON.stringify(data) : null
+      }, options);
+    } catch (error) {
+      // Offline-capable write that never reached the server: keep it for replay
+      if (!options.offline || !(error instanceof NetworkError)) throw error;
 
-    if (!response.ok) {
-      throw await this._errorFrom(response);
+      try {
+        await this.offlineQueue.add({ method: 'POST', url, body: data, ...options.offline });
+      } catch (queueError) {
+        // No offline queue (IndexedDB unavailable) — the write simply failed
+        console.warn('[API] Could not queue offline write:', queueError);
+        throw error;
+      }
+      return { queued: true };
     }
 
     // Handle empty responses
@@ -84,39 +288,47 @@ export class API {
     return text ? JSON.parse(text) : null;
   }
 
-  async put(url, data) {
-    const response = await fetch(`${this.baseUrl}${url}`, {
-      method: 'PUT',
+  async put(url, data, options = {}) {
+    const response = await this._request('PUT', url, {
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
       body: JSON.stringify(data)
-    });
-
-    if (!response.ok) {
-      throw await this._errorFrom(response);
-    }
+    }, options);
 
     return await response.json();
   }
 
-  async delete(url) {
-    const response = await fetch(`${this.baseUrl}${url}`, {
-      method: 'DELETE'
-    });
-
-    if (!response.ok) {
-      throw await this._errorFrom(response);
-    }
-
+  async delete(url, options = {}) {
+    const response = await this._request('DELETE', url, {}, options);
     return response.ok;
   }
 
-  async upload(url, formData, onProgress = null) {
+  /**
+   * XHR upload (fetch has no upload progress). Honors signal/timeout/supersede; never retried — a
+   * multipart batch is not idempotent. `options.method` and `options.headers` let the resumable
+   * uploader PATCH a raw Blob chunk with its Upload-Offset.
+   * @param {string} url
+   * @param {FormData|Blob} body
+   * @param {Function|null} onProgress - Called with percent complete (0–100)
+   * @param {Object} options - { signal, timeout, supersede, method, headers }
+   */
+  async upload(url, body, onProgress = null, options = {}) {
+    const supersede = options.supersede ? this._supersede(options.supersede) : null;
+    const linked = this._linkSignal({ signal: options.signal, supersedeSignal: supersede?.signal });
+
     return new Promise((resolve, reject) => {
       const xhr = new XMLHttpRequest();
 
+      const settle = (fn, value) => {
+        linked.cleanup();
+        if (supersede && this.inFlight.get(options.supersede) === supersede) {
+          this.inFlight.delete(options.supersede);
+        }
+        fn(value);
+      };
+
       if (onProgress) {
         xhr.upload.addEventListener('progress', (e) => {
           if (e.lengthComputable) {
@@ -128,25 +340,34 @@ export class API {
 
       xhr.addEventListener('load', () => {
         if (xhr.status >= 200 && xhr.status < 300) {
-          resolve(JSON.parse(xhr.responseText));
+          settle(resolve, xhr.responseText ? JSON.parse(xhr.responseText) : null);
         } else {
-          let message = `HTTP ${xhr.status}: ${xhr.statusText}`;
-          try {
-            const body = JSON.parse(xhr.responseText);
-            if (body && (body.error || body.message)) message = body.error || body.message;
-          } catch {
-            // Non-JSON body — keep the status line.
-          }
-          reject(new Error(message));
+          settle(reject, errorFromBody(xhr.status, xhr.statusText, xhr.responseText, xhr.getResponseHeader('X-Request-Id')));
         }
       });
 
       xhr.addEventListener('error', () => {
-        reject(new Error('Upload failed'));
+        settle(reject, new NetworkError('Upload failed'));
       });
 
-      xhr.open('POST', `${this.baseUrl}${url}`);
-      xhr.send(formData);
+      xhr.addEventListener('abort', () => {
+        settle(reject, new DOMException('Upload aborted', 'AbortError'));
+      });
+
+      xhr.addEventListener('timeout', () => {
+        settle(reject, new NetworkError(`Upload timed out after ${options.timeout}ms`, { timedOut: true }));
+      });
+
+      if (linked.signal.aborted) {
+        settle(reject, new DOMException('Upload aborted', 'AbortError'));
+        return;
+      }
+      linked.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+
+      xhr.open(options.method || 'POST', `${this.baseUrl}${url}`);
+      Object.entries(options.headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+      xhr.timeout = options.timeout || 0;
+      xhr.send(body);
     });
   }
 }
@@ -5,12 +5,17 @@
  */
 
 import { PhotoGrid } from './components/grid.js';
+import { DateScrubber } from './components/dateScrubber.js';
 import { SearchBar } from './components/search.js';
 import { Lightbox } from './components/lightbox.js';
+import { LightboxCompare } from './components/lightboxCompare.js';
 import { UploadModal } from './components/upload.js';
 import { ProcessMonitor } from './components/processMonitor.js';
 import { Timeline } from './components/timeline.js';
 import { KeyboardShortcuts } from './components/keyboard.js';
+import { KeymapHelp } from './components/keymapHelp.js';
+import { CommandPalette } from './components/commandPalette.js';
+import { Trash } from './components/trash.js';
 import { BulkActions } from './components/bulkActions.js';
 import { ContextPanel } from './components/contextPanel.js';
 import { Toast } from './components/toast.js';
@@ -19,12 +24,18 @@ import { PhotoSelection } from './components/photoSelection.js';
 import { DragDropManager } from './components/dragDropManager.js';
 import { CollectionView } from './components/collectionView.js';
 import { API } from './api.js';
-import { VIEW_PRESETS, migrateOldDensity } from './viewPresets.js';
+import { VIEW_PRESETS, GRID_LAYOUTS, migrateOldDensity } from './viewPresets.js';
 import { escapeHtml } from './utils/html.js';
 import { StateManager } from './utils/StateManager.js';
 import { EventBus } from './utils/EventBus.js';
 import { ActionExecutor } from './system/ActionExecutor.js';
+import { Keymap } from './system/Keymap.js';
 import { StateRegistry } from './utils/StateRegistry.js';
+import { OfflineSync } from './services/OfflineSync.js';
+import { LibraryChangeStream } from './services/LibraryChangeStream.js';
+import { RecentPhotos } from './services/RecentPhotos.js';
+import { PhotoSetManager } from './services/PhotoSetManager.js';
+import { Router } from './router.js';
 
 class SnapVaultApp {
   constructor() {
@@ -43,6 +54,8 @@ class SnapVaultApp {
 
     // Set initial view preset
     this.stateManager.set('viewPreset', this.loadViewPreset());
+    this.stateManager.set('gridLayout', this.loadGridLayout());
+    this.stateManager.set('stackBursts', localStorage.getItem('snapvault-stack-bursts') !== 'false');
 
     // Backward compatibility: expose state for components that still use it
     this.state = this.stateManager.state;
@@ -68,6 +81,11 @@ class SnapVaultApp {
     return (saved && VIEW_PRESETS[saved]) ? saved : 'comfortable';
   }
 
+  loadGridLayout() {
+    const saved = localStorage.getItem('snapvault-grid-layout');
+    return (saved && GRID_LAYOUTS[saved]) ? saved : 'grid';
+  }
+
   /**
    * Setup state subscriptions for automatic UI updates
    * Event-driven architecture: UI automatically updates when state changes
@@ -141,15 +159,27 @@ class SnapVaultApp {
     // Initialize action system (PHASE 2)
     this.actions = new ActionExecutor(this);
 
+    // Keyboard shortcuts: components register their commands as they are created
+    this.keymap = new Keymap();
+    this.keymap.attach();
+
+    // Photos last viewed in the lightbox, for the command palette
+    this.recentPhotos = new RecentPhotos();
+
     // Initialize components
     this.components.toast = new Toast();
     this.components.grid = new PhotoGrid(this);
+    this.components.dateScrubber = new DateScrubber(this);
     this.components.search = new SearchBar(this);
     this.components.lightbox = new Lightbox(this);
+    this.components.compare = new LightboxCompare(this);
     this.components.upload = new UploadModal(this);
     this.components.processMonitor = new ProcessMonitor(this);
     this.components.timeline = new Timeline(this);
     this.components.keyboard = new KeyboardShortcuts(this);
+    this.components.keymapHelp = new KeymapHelp(this);
+    this.components.commandPalette = new CommandPalette(this);
+    this.components.trash = new Trash(this);
     this.components.bulkActions = new BulkActions(this);
     this.components.contextPanel = new ContextPanel(this);
 
@@ -159,6 +189,17 @@ class SnapVaultApp {
     this.components.dragDrop = new DragDropManager(this);
     this.components.collectionView = new CollectionView(this);
 
+    // Offline support: service worker, replay of writes queued offline, conflict reports
+    this.offlineSync = new OfflineSync(this.api, {
+      notify: (message, options) => this.components.toast.show(message, options),
+      onSynced: () => this.refreshLibrary()
+    });
+
+    // Live library: photos and collections changed on other devices (or by finishing uploads) arrive in place
+    this.libraryChanges = new LibraryChangeStream();
+    this.libraryChanges.on('change', (change) => this.components.collectionView.applyLibraryChange(change));
+    this.libraryChanges.on('reset', () => this.refreshLibrary());
+
     // Setup event listeners
     this.setupWorkspaceNavigation();
     this.setupViewPresetControls(); // NEW: View preset controls
@@ -174,15 +215,29 @@ class SnapVaultApp {
     this.components.photoSelection.init();
     this.components.dragDrop.init();
 
-    // Load photos via CollectionView (PhotoSet-based)
-    await this.components.collectionView.setView('all-photos');
+    // Load photos via CollectionView (PhotoSet-based): the view, filters and photo the URL names, else all photos
+    this.router = new Router(this);
+    await this.router.start();
 
-    // Enable infinite scroll after initial load
-    this.components.grid.enableInfiniteScroll();
+    // Not awaited: registration and replay must not hold up the first paint
+    this.offlineSync.init().catch(error => console.warn('[App] Offline support unavailable:', error));
+    this.libraryChanges.start();
 
     console.log('[App] SnapVault Pro ready');
   }
 
+  /**
+   * Reload everything from the server: offline changes were replayed (or refused), or the change stream
+   * missed more than it retains, so the local state may be stale
+   */
+  async refreshLibrary() {
+    PhotoSetManager.invalidateCache();
+    await this.loadStats();
+    await this.components.collectionView.loadPhotos();
+    await this.components.collectionsSidebar.loadCollections();
+    this.components.collectionsSidebar.render();
+  }
+
   setupWorkspaceNavigation() {
     const workspaceButtons = document.querySelectorAll('.workspace-btn');
     workspaceButtons.forEach(btn => {
@@ -213,7 +268,7 @@ class SnapVaultApp {
   }
 
   setupViewPresetControls() {
-    const presetButtons = document.querySelectorAll('.view-toggle');
+    const presetButtons = document.querySelectorAll('.view-toggle[data-preset]');
     const currentPreset = this.state.viewPreset;
 
     presetButtons.forEach(btn => {
@@ -226,6 +281,16 @@ class SnapVaultApp {
         this.setViewPreset(preset);
       });
     });
+
+    document.querySelectorAll('.view-toggle[data-layout]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.layout === this.state.gridLayout);
+      btn.addEventListener('click', () => this.setGridLayout(btn.dataset.layout));
+    });
+
+    const stackToggle = document.querySelector('.view-toggle.btn-stack-bursts');
+    stackToggle?.classList.toggle('active', this.state.stackBursts);
+    stackToggle?.setAttribute('aria-pressed', String(this.state.stackBursts));
+    stackToggle?.addEventListener('click', () => this.setStackBursts(!this.state.stackBursts));
   }
 
   async setViewPreset(presetId) {
@@ -236,34 +301,58 @@ class SnapVaultApp {
       return;
     }
 
-    // Disable infinite scroll during view preset switch
-    this.components.grid.disableInfiniteScroll();
-
     this.state.viewPreset = presetId;
 
     // Save preference
     localStorage.setItem('snapvault-view-preset', presetId);
 
     // Update active button
-    document.querySelectorAll('.view-toggle').forEach(btn => {
+    document.querySelectorAll('.view-toggle[data-preset]').forEach(btn => {
       btn.classList.toggle('active', btn.dataset.preset === presetId);
     });
 
     console.log(`[setViewPreset] View preset: ${VIEW_PRESETS[presetId].label}`);
 
-    // Update preset attribute only (instant, no image reload)
+    // Re-lay the rows out for the preset's columns (instant, no image reload)
     this.components.grid.updatePreset();
-
-    // Delay re-enabling infinite scroll to prevent immediate trigger
-    // This gives the layout time to settle and user time to scroll
-    setTimeout(() => {
-      this.components.grid.enableInfiniteScroll();
-      console.log(`[setViewPreset] Infinite scroll re-enabled after delay`);
-    }, 500);
+    this.router?.update({ replace: true });
 
     console.log(`[setViewPreset] COMPLETE`);
   }
 
+  setGridLayout(layoutId) {
+    if (!GRID_LAYOUTS[layoutId]) {
+      console.warn(`Unknown grid layout: ${layoutId}`);
+      return;
+    }
+
+    this.state.gridLayout = layoutId;
+    localStorage.setItem('snapvault-grid-layout', layoutId);
+
+    document.querySelectorAll('.view-toggle[data-layout]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.layout === layoutId);
+    });
+
+    // Re-flow the set in the new layout (no image reload)
+    this.components.grid.updateLayout();
+    this.router?.update({ replace: true });
+  }
+
+  /**
+   * Fold bursts into stacks in the grid, or show every frame (rebuilds the set: indices move)
+   */
+  async setStackBursts(enabled) {
+    this.state.stackBursts = enabled;
+    localStorage.setItem('snapvault-stack-bursts', String(enabled));
+
+    const button = document.querySelector('.view-toggle.btn-stack-bursts');
+    button?.classList.toggle('active', enabled);
+    button?.setAttribute('aria-pressed', String(enabled));
+
+    this.components.collectionView.expandedStacks.clear();
+    await this.components.collectionView.loadPhotos();
+  }
+
   setupUploadButtons() {
     const uploadButtons = document.querySelectorAll('.btn-upload, .btn-upload-empty');
     uploadButtons.forEach(btn => {
@@ -294,133 +383,13 @@ class SnapVaultApp {
         }
       });
     });
-  }
-
-  // filterPhotos and loadPhotos removed - CollectionView handles all photo loading via PhotoSet
-
-  async loadMorePhotos() {
-    console.log(`[DEBUG loadMorePhotos] CALLED - hasMorePages: ${this.state.hasMorePages}, loadingMore: ${this.state.loadingMore}`);
-
-    if (!this.state.hasMorePages || this.state.loadingMore) {
-      console.log(`[DEBUG loadMorePhotos] EARLY RETURN - hasMorePages: ${this.state.hasMorePages}, loadingMore: ${this.state.loadingMore}`);
-      return;
-    }
-
-    try {
-      this.state.loadingMore = true;
-      console.log(`[DEBUG loadMorePhotos] Set loadingMore = true`);
-
-      // Get PhotoSet instance from CollectionView
-      const photoSet = this.components.collectionView.getPhotoSet();
-      console.log(`[DEBUG loadMorePhotos] PhotoSet:`, photoSet ? 'EXISTS' : 'NULL');
-
-      if (!photoSet) {
-        console.error('[DEBUG loadMorePhotos] No PhotoSet available - cannot load more');
-        return;
-      }
-
-      console.log(`[DEBUG loadMorePhotos] Current photos.length: ${this.state.photos.length}, PhotoSet.totalCount: ${photoSet.totalCount}`);
-
-      // Calculate next window position
-      const currentLoadedCount = this.state.photos.length;
-      const nextStartIndex = currentLoadedCount;
-      const batchSize = 50; // Load 50 more photos at a time
 
-      console.log(`[DEBUG loadMorePhotos] Calling photoSet.loadWindow(${nextStartIndex}, ${batchSize})`);
-
-      // Load next window using PhotoSet session
-      const response = await photoSet.loadWindow(nextStartIndex, batchSize);
-      console.log(`[DEBUG loadMorePhotos] Response:`, response);
-
-      if (response && response.photos && response.photos.length > 0) {
-        console.log(`[DEBUG loadMorePhotos] Got ${response.photos.length} photos`);
-
-        // Append new photos to state and grid
-        this.state.photos.push(...response.photos);
-
-        // Update favorites count
-        this.state.favoritesCount = this.state.photos.filter(p => p.isFavorite).length;
-
-        this.components.grid.appendPhotos(response.photos);
-        this.updateLibraryCounts();
-        this.updateStatusBar();
-
-        // Check if there are more photos to load
-        const totalLoaded = this.state.photos.length;
-        this.state.hasMorePages = totalLoaded < photoSet.totalCount;
-
-        console.log(`[DEBUG loadMorePhotos] SUCCESS - Loaded ${response.photos.length} photos (total: ${totalLoaded} of ${photoSet.totalCount}), hasMorePages: ${this.state.hasMorePages}`);
-      } else {
-        // No more photos
-        this.state.hasMorePages = false;
-        console.log(`[DEBUG loadMorePhotos] No more pages - reached end of library`);
-      }
-    } catch (error) {
-      console.error('[DEBUG loadMorePhotos] ERROR:', error);
-      this.components.toast.show('Failed to load more photos', { icon: '⚠️', duration: 3000 });
-    } finally {
-      this.state.loadingMore = false;
-      console.log(`[DEBUG loadMorePhotos] FINALLY - Set loadingMore = false`);
-    }
+    // The trash opens over the library: it isn't a view
+    document.querySelector('.btn-open-trash')?.addEventListener('click', () => this.components.trash.open());
   }
 
-  /**
-   * Auto-fill viewport with photos on initial load
-   * Particularly important for compact grid modes on large screens (4K)
-   * Keeps loading pages until viewport is filled or collection end is reached
-   */
-  async fillViewport() {
-    const MAX_ITERATIONS = 10; // Safety limit to prevent infinite loops
-    let iterations = 0;
-
-    while (iterations < MAX_ITERATIONS) {
-      // Check if we need more photos
-      if (!this.needsMorePhotosToFillViewport()) {
-        console.log('[Viewport Fill] Grid fills viewport - stopping auto-pagination');
-        break;
-      }
-
-      // Check if more pages are available
-      if (!this.state.hasMorePages) {
-        console.log('[Viewport Fill] No more pages available - collection end reached');
-        break;
-      }
-
-      // Load next page
-      console.log(`[Viewport Fill] Loading page ${this.state.currentPage + 1} to fill viewport...`);
-      await this.loadMorePhotos();
-
-      // Small delay to let DOM update and images load
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      iterations++;
-    }
-
-    if (iterations > 0) {
-      console.log(`[Viewport Fill] Completed after ${iterations} additional page(s)`);
-    }
-  }
-
-  /**
-   * Check if grid needs more photos to fill the viewport
-   * Returns true if grid bottom is above viewport bottom (needs more content)
-   */
-  needsMorePhotosToFillViewport() {
-    const gridContainer = document.querySelector('.photo-grid');
-    if (!gridContainer) return false;
-
-    const gridRect = gridContainer.getBoundingClientRect();
-    const viewportHeight = window.innerHeight;
-
-    // Check if grid bottom is above viewport bottom (with small buffer)
-    const needsMore = gridRect.bottom < (viewportHeight - 100);
-
-    if (needsMore) {
-      console.log('[Viewport Fill] Check: Grid bottom at', Math.round(gridRect.bottom), 'px, viewport height', viewportHeight, 'px - needs more');
-    }
-
-    return needsMore;
-  }
+  // filterPhotos and loadPhotos removed - CollectionView handles all photo loading via PhotoSet
+  // (the grid windows over it: rows are fetched as they scroll into view, no paging)
 
   async loadEvents() {
     try {
@@ -448,16 +417,9 @@ class SnapVaultApp {
     const statusBar = document.querySelector('.status-bar .status-text');
     if (!statusBar) return;
 
-    const loadedCount = this.state.photos.length;
-    const totalCount = this.state.totalPhotosCount;
-
-    if (totalCount > 0 && loadedCount < totalCount) {
-      statusBar.textContent = `${loadedCount} out of ${totalCount} photos`;
-    } else if (totalCount > 0) {
-      statusBar.textContent = `${totalCount} photos`;
-    } else {
-      statusBar.textContent = `${loadedCount} photos`;
-    }
+    // The grid spans the whole set (rows load as they scroll in), so the total is what's shown
+    const totalCount = this.state.totalPhotosCount || this.state.photos.length;
+    statusBar.textContent = `${totalCount} photos`;
   }
 
   updateLibraryCounts() {
@@ -560,20 +522,23 @@ class SnapVaultApp {
 
   async filterPhotosByEvent(eventId) {
     this.state.currentFilter = `event:${eventId}`;
+    this.stateManager.setActiveView('event', eventId);
+    this.router?.update();
 
     try {
       this.setLoading(true);
 
       // Unified onto the #5 windowed grid via the "event" context (request-scoped, so a guest's event browse is
       // confined to their granted event for free) — no longer capped at the old 50-row by-event page. A generous
-      // window covers a realistic event; a full infinite-scroll routes through PhotoSetManager (follow-on).
+      // window covers a realistic event; windowing the whole event routes through PhotoSetManager (follow-on).
       const response = await this.api.post('/api/photosets/query', {
         startIndex: 0,
         count: 500,
         definition: { context: 'event', eventId }
-      });
+      }, { idempotent: true });
       this.state.photos = response.photos || [];
       this.components.grid.render();
+      this.components.dateScrubber.load(null);
 
       const event = this.state.events.find(e => e.id === eventId);
       if (event) {
@@ -604,8 +569,17 @@ class SnapVaultApp {
     this.updateLibraryCounts();
 
     try {
-      await this.api.post(`/api/photos/${photoId}/favorite`);
-      this.components.toast.show(photo.isFavorite ? 'Added to favorites' : 'Removed from favorites', {
+      // Explicit state (not a toggle) so an offline replay is idempotent
+      const result = await this.api.post(`/api/photos/${photoId}/favorite`, { isFavorite: photo.isFavorite }, {
+        offline: {
+          label: `${photo.isFavorite ? 'Favorite' : 'Unfavorite'} ${photo.originalFileName || photoId}`,
+          precondition: { url: `/api/photos/${photoId}`, field: 'isFavorite', expected: !photo.isFavorite, value: photo.isFavorite }
+        }
+      });
+      PhotoSetManager.invalidateCache('favorites', photoId, { isFavorite: photo.isFavorite });
+
+      const message = photo.isFavorite ? 'Added to favorites' : 'Removed from favorites';
+      this.components.toast.show(result?.queued ? `${message} - will sync when online` : message, {
         icon: '⭐',
         duration: 2000
       });
@@ -641,7 +615,17 @@ class SnapVaultApp {
     this.components.grid.updatePhotoCard(photoId, photo);
 
     try {
-      await this.api.post(`/api/photos/${photoId}/rate`, { rating });
+      const result = await this.api.post(`/api/photos/${photoId}/rate`, { rating }, {
+        offline: {
+          label: `Rate ${photo.originalFileName || photoId} ${rating} star${rating !== 1 ? 's' : ''}`,
+          precondition: { url: `/api/photos/${photoId}`, field: 'rating', expected: oldRating ?? 0, value: rating }
+        }
+      });
+      PhotoSetManager.invalidateCache(null, photoId, { rating });
+
+      if (result?.queued) {
+        this.components.toast.show('Rating saved offline - will sync when online', { icon: '📴', duration: 2000 });
+      }
     } catch (error) {
       // Rollback on failure
       photo.rating = oldRating;
@@ -726,8 +710,8 @@ class SnapVaultApp {
       const files = e.dataTransfer.files;
 
       if (files.length > 0 && !isInternalPhotoDrag) {
-        // Open upload modal with pre-selected files
-        this.components.upload.open(files);
+        // Open upload modal with the drop (folders and archives are expanded there)
+        this.components.upload.openWithDrop(e.dataTransfer);
       }
     });
   }
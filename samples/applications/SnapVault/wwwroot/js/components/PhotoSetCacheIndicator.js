@@ -162,13 +162,16 @@ export class PhotoSetCacheIndicator {
     /**
      * Show cache info (for debugging)
      */
-    showCacheInfo(info) {
+    async showCacheInfo(info) {
         const ageMinutes = Math.round(info.age / 1000 / 60);
         const ageText = ageMinutes < 1 ? 'just now' :
                        ageMinutes < 60 ? `${ageMinutes}m ago` :
                        `${Math.round(ageMinutes / 60)}h ago`;
 
-        console.log(`[Cache] Loaded ${info.photoCount} photos from cache (${ageText})`);
+        const stats = await window.photoSetCache?.getStats();
+        const usage = stats ? this.describeUsage(stats) : '';
+
+        console.log(`[Cache] Loaded ${info.photoCount} photos from cache (${ageText})${usage ? ` - ${usage}` : ''}`);
 
         // Optional: Show subtle badge
         if (ageMinutes > 60) {
@@ -186,7 +189,8 @@ export class PhotoSetCacheIndicator {
                 z-index: 999;
                 opacity: 0.6;
             `;
-            badge.textContent = `Cached ${ageText}`;
+            badge.textContent = stats ? `Cached ${ageText} · ${this.formatBytes(stats.totalBytes)}` : `Cached ${ageText}`;
+            badge.title = usage;
             document.body.appendChild(badge);
 
             setTimeout(() => {
@@ -195,6 +199,27 @@ export class PhotoSetCacheIndicator {
             }, 3000);
         }
     }
+
+    /**
+     * One-line usage summary from PhotoSetCache.getStats()
+     * e.g. "12 sets, 3.4 MB of 50 MB budget (origin: 120 MB of 2.0 GB)"
+     */
+    describeUsage(stats) {
+        let text = `${stats.entryCount} set${stats.entryCount !== 1 ? 's' : ''}, ` +
+            `${this.formatBytes(stats.totalBytes)} of ${this.formatBytes(stats.budgetBytes)} budget`;
+
+        if (stats.originQuotaBytes) {
+            text += ` (origin: ${this.formatBytes(stats.originUsageBytes)} of ${this.formatBytes(stats.originQuotaBytes)})`;
+        }
+        return text;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
 }
 
 // Export singleton instance
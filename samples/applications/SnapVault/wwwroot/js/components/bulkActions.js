@@ -4,8 +4,7 @@
  */
 
 import { getSelectedPhotoIds, formatActionMessage } from '../utils/selection.js';
-import { confirmDelete } from '../utils/dialogs.js';
-import { executeWithFeedback } from '../utils/operations.js';
+import { MIN_COMPARE, MAX_COMPARE } from './lightboxCompare.js';
 
 export class BulkActions {
   constructor(app) {
@@ -36,6 +35,20 @@ export class BulkActions {
           </svg>
           Add to Favorites
         </button>
+        <button class="btn-bulk-compare" hidden>
+          <svg class="icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="3" y="3" width="7" height="18"></rect>
+            <rect x="14" y="3" width="7" height="18"></rect>
+          </svg>
+          Compare
+        </button>
+        <button class="btn-bulk-reject">
+          <svg class="icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="9"></circle>
+            <line x1="5.6" y1="5.6" x2="18.4" y2="18.4"></line>
+          </svg>
+          Reject
+        </button>
         <button class="btn-bulk-download">
           <svg class="icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
@@ -74,6 +87,18 @@ export class BulkActions {
       await this.bulkFavorite();
     });
 
+    // Compare 2-4 photos side by side
+    const btnCompare = this.toolbar.querySelector('.btn-bulk-compare');
+    btnCompare.addEventListener('click', async () => {
+      await this.compare();
+    });
+
+    // Bulk reject
+    const btnReject = this.toolbar.querySelector('.btn-bulk-reject');
+    btnReject.addEventListener('click', async () => {
+      await this.bulkReject();
+    });
+
     // Bulk download
     const btnDownload = this.toolbar.querySelector('.btn-bulk-download');
     btnDownload.addEventListener('click', async () => {
@@ -90,6 +115,7 @@ export class BulkActions {
   update(count) {
     const countSpan = this.toolbar.querySelector('.selection-count');
     countSpan.textContent = `${count} selected`;
+    this.toolbar.querySelector('.btn-bulk-compare').hidden = count < MIN_COMPARE || count > MAX_COMPARE;
 
     if (count > 0) {
       this.show();
@@ -110,21 +136,21 @@ export class BulkActions {
     const photoIds = getSelectedPhotoIds(this.app.state.selectedPhotos, this.app.components.toast);
     if (!photoIds) return;
 
-    await executeWithFeedback(
-      () => this.app.api.post('/api/photos/bulk/favorite', {
-        photoIds: photoIds,
-        isFavorite: true
-      }),
-      {
-        successMessage: formatActionMessage(photoIds.length, 'added', { target: 'Favorites' }),
-        errorMessage: 'Failed to add photos to favorites',
-        successIcon: '⭐',
-        reloadCurrentView: true,
-        clearSelection: true,
-        toast: this.app.components.toast,
-        app: this.app
-      }
-    );
+    await this.runAction('photo.favorite', photoIds);
+  }
+
+  async compare() {
+    const photoIds = getSelectedPhotoIds(this.app.state.selectedPhotos, this.app.components.toast);
+    if (!photoIds) return;
+
+    await this.runAction('photo.compare', photoIds);
+  }
+
+  async bulkReject() {
+    const photoIds = getSelectedPhotoIds(this.app.state.selectedPhotos, this.app.components.toast);
+    if (!photoIds) return;
+
+    await this.runAction('photo.reject', photoIds);
   }
 
   async bulkDownload() {
@@ -147,19 +173,19 @@ export class BulkActions {
     const photoIds = getSelectedPhotoIds(this.app.state.selectedPhotos, this.app.components.toast);
     if (!photoIds) return;
 
-    if (!confirmDelete(photoIds.length, 'photo')) return;
-
-    await executeWithFeedback(
-      () => this.app.api.post('/api/photos/bulk/delete', { photoIds }),
-      {
-        successMessage: formatActionMessage(photoIds.length, 'deleted'),
-        errorMessage: 'Failed to delete photos',
-        successIcon: '🗑️',
-        reloadCurrentView: true,
-        clearSelection: true,
-        toast: this.app.components.toast,
-        app: this.app
-      }
-    );
+    // The toolbar deletes in every view, collections included (where the grid's actions remove instead)
+    await this.runAction('photo.delete', photoIds, { anyView: true });
+  }
+
+  /**
+   * Run an ActionRegistry action on the selection, so it reports, refreshes and can be undone like the
+   * same action anywhere else
+   */
+  async runAction(actionId, photoIds, options = {}) {
+    try {
+      await this.app.actions.execute(actionId, photoIds, options);
+    } catch {
+      // ActionExecutor has told the user
+    }
   }
 }
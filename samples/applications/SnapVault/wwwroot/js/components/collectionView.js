@@ -9,26 +9,48 @@
  * - { type: 'favorites' }
  * - { type: 'collection', collection: {...} }
  * - { type: 'search', searchQuery: '...', searchAlpha: 0.5 }
+ * - { type: 'smart', smartCollection: {...} } (a saved search, resolved server-side)
  *
  * PhotoSet Integration:
  * CollectionView owns the PhotoSet instance for the current view
  * Grid renders from PhotoSet cache, Lightbox navigates same PhotoSet
+ * Changes made in other tabs arrive as PhotoSetCache invalidations, and changes from anywhere else (another
+ * device, a finishing upload) from the server's library change stream; both are applied in place
+ *
+ * Stacking: with app.state.stackBursts on, the server folds bursts of a capture-sorted set into one entry per
+ * stack (its cover); the stacks expanded here are shown frame by frame instead. Expanding or collapsing one
+ * rebuilds the set, since every later index moves.
  */
 
 import { PhotoSetManager } from '../services/PhotoSetManager.js';
+import { API } from '../api.js';
+import { parseSearchQuery, mergeFilters } from '../utils/searchQuery.js';
 
 export class CollectionView {
   constructor(app) {
     this.app = app;
     this.viewState = { type: 'all-photos' }; // Single source of truth
     this.photoSet = null; // PhotoSet instance for current view
+    this.expandedStacks = new Set(); // ids of the stacks shown frame by frame
+    this.statsTimer = null;
+
+    document.querySelector('.content-header .btn-save-smart')?.addEventListener('click', () => {
+      this.saveAsSmartCollection();
+    });
+
+    // Mutations in other tabs (this tab's own are already applied optimistically)
+    window.photoSetCache?.onInvalidate((context, detail) => {
+      if (detail.remote) {
+        this.applyRemoteInvalidation(context, detail);
+      }
+    });
   }
 
   /**
    * Set view and load data
    * Single entry point for all view transitions
-   * @param {string} viewId - View identifier ('all-photos', 'favorites', collectionId, 'search')
-   * @param {object} options - Additional options for specific view types (e.g., search query)
+   * @param {string} viewId - View identifier ('all-photos', 'favorites', collectionId, 'search', 'smart')
+   * @param {object} options - Additional options for specific view types (e.g., search query, smart collection id)
    */
   async setView(viewId, options = {}) {
     console.log(`[CollectionView] Setting view to: ${viewId}`, options);
@@ -45,15 +67,32 @@ export class CollectionView {
         searchQuery: options.query || '',
         searchAlpha: options.alpha !== undefined ? options.alpha : 0.5
       };
+    } else if (viewId === 'smart') {
+      try {
+        const smartCollection = await this.app.api.get(`/api/smart-collections/${options.id}`, {}, { supersede: 'collection-view' });
+        this.viewState = { type: 'smart', smartCollection };
+      } catch (error) {
+        if (API.isAbort(error)) return;
+
+        console.error('[CollectionView] Failed to load smart collection:', error);
+        this.app.components.toast.show('Failed to load smart collection', {
+          icon: '⚠️',
+          duration: 3000
+        });
+        this.viewState = { type: 'all-photos' };
+      }
     } else {
       // It's a collection ID - load the data
       try {
-        const collection = await this.app.api.get(`/api/collections/${viewId}`);
+        const collection = await this.app.api.get(`/api/collections/${viewId}`, {}, { supersede: 'collection-view' });
         this.viewState = {
           type: 'collection',
           collection: collection
         };
       } catch (error) {
+        // Another collection was picked before this one loaded — that call owns the view now
+        if (API.isAbort(error)) return;
+
         console.error('[CollectionView] Failed to load collection:', error);
         this.app.components.toast.show('Failed to load collection', {
           icon: '⚠️',
@@ -64,8 +103,13 @@ export class CollectionView {
       }
     }
 
+    this.expandedStacks.clear();
+
+    const viewEntity = this.viewState.collection ?? this.viewState.smartCollection;
+    this.app.stateManager.setActiveView(this.viewState.type, viewEntity?.id ?? null);
+
     // Update all UI based on new state
-    this.updateUI();
+    await this.updateUI();
 
     console.log(`[CollectionView] View state:`, this.viewState);
   }
@@ -76,7 +120,7 @@ export class CollectionView {
   updateUI() {
     this.updateRightSidebarVisibility();
     this.renderHeader();
-    this.loadPhotos();
+    return this.loadPhotos();
   }
 
   /**
@@ -137,6 +181,13 @@ export class CollectionView {
         titleElement.classList.remove('editable');
         break;
 
+      case 'smart':
+        if (iconElement) iconElement.textContent = '✨';
+        titleElement.textContent = this.viewState.smartCollection.name;
+        titleElement.contentEditable = false;
+        titleElement.classList.remove('editable');
+        break;
+
       case 'collection':
         const { collection } = this.viewState;
         if (iconElement) iconElement.textContent = '📁';
@@ -297,6 +348,10 @@ export class CollectionView {
       // Create PhotoSet for current view
       const definition = this.getSetDefinition();
       this.photoSet = new PhotoSetManager(definition, this.app.api);
+      this.updateSaveSmartButton();
+
+      // The URL names the set as soon as it is chosen (the router skips unchanged URLs: a reload adds nothing)
+      this.app.router?.update();
 
       // Wire up cache event listeners
       this._setupCacheEventListeners();
@@ -309,16 +364,19 @@ export class CollectionView {
       // Update app state from PhotoSet
       this.app.state.photos = this.photoSet.getPhotosInWindow();
       this.app.state.totalPhotosCount = this.photoSet.totalCount;
-      this.app.state.hasMorePages = this.app.state.photos.length < this.photoSet.totalCount;
 
-      console.log(`[CollectionView] Loaded ${this.app.state.photos.length} of ${this.photoSet.totalCount} photos via PhotoSet, hasMorePages: ${this.app.state.hasMorePages}`);
+      console.log(`[CollectionView] Loaded ${this.app.state.photos.length} of ${this.photoSet.totalCount} photos via PhotoSet`);
 
-      // Render grid
-      this.app.components.grid.render();
+      // Render grid - it windows over the PhotoSet, fetching rows as they scroll into view
+      this.app.components.grid.render(this.photoSet);
+      this.app.components.dateScrubber.load(this.photoSet);
       this.app.updateLibraryCounts();
       this.app.updateStatusBar();
 
     } catch (error) {
+      // A newer view (or realtime search keystroke) cleared this PhotoSet and aborted its requests
+      if (API.isAbort(error)) return;
+
       console.error('[CollectionView] Failed to load photos:', error);
       this.app.components.toast.show('Failed to load photos', {
         icon: '⚠️',
@@ -333,6 +391,11 @@ export class CollectionView {
   _setupCacheEventListeners() {
     if (!this.photoSet) return;
 
+    // The grid scrolled (or the lightbox navigated) the window elsewhere: app state follows
+    this.photoSet.on('windowChanged', () => {
+      this.app.state.photos = this.photoSet.getPhotosInWindow();
+    });
+
     // Import cache indicator dynamically
     import('./PhotoSetCacheIndicator.js').then(module => {
       const { cacheIndicator } = module;
@@ -357,7 +420,8 @@ export class CollectionView {
             // Reload the view
             this.app.state.photos = this.photoSet.getPhotosInWindow();
             this.app.state.totalPhotosCount = this.photoSet.totalCount;
-            this.app.components.grid.render();
+            this.app.components.grid.render(this.photoSet);
+            this.app.components.dateScrubber.load(this.photoSet);
             this.app.updateLibraryCounts();
             this.app.updateStatusBar();
           });
@@ -373,6 +437,222 @@ export class CollectionView {
     });
   }
 
+  /**
+   * Apply an invalidation raised in another tab without reloading the view
+   * @param {string} context - view type the change affects ('all' for any)
+   * @param {object} detail - { photoId, patch } | { photoId, deleted } | {}
+   */
+  applyRemoteInvalidation(context, detail) {
+    if (!this.photoSet) return;
+
+    if (detail.photoId && detail.patch) {
+      const photo = this.photoSet.patchPhoto(detail.photoId, detail.patch);
+      if (photo) {
+        this.app.components.grid.updatePhotoCard(detail.photoId, photo);
+        if ('isFavorite' in detail.patch) {
+          this.app.loadStats();
+        }
+      }
+      return;
+    }
+
+    if (detail.photoId && detail.deleted) {
+      this.removePhotoInPlace(detail.photoId);
+      return;
+    }
+
+    // Membership of this view changed (e.g. favorited elsewhere, added to a collection): offer a reload
+    if (context === this.viewState.type || context === 'all') {
+      this.offerReload();
+    }
+  }
+
+  /**
+   * Apply a change pushed by the server's library change stream without reloading the view.
+   * The stream reaches every open tab, so the photoset cache is updated without a cross-tab broadcast.
+   * @param {object} change - { kind, action, id, photo, collection }
+   */
+  applyLibraryChange(change) {
+    if (change.kind === 'collection') {
+      this.applyCollectionChange(change);
+      return;
+    }
+
+    const cache = window.photoSetCache;
+    if (change.action === 'deleted') {
+      cache?.invalidatePhoto(change.id, { broadcast: false });
+      this.removePhotoInPlace(change.id);
+      return;
+    }
+
+    const photo = change.photo;
+    if (change.action === 'created') {
+      cache?.invalidateContext('all-photos', { broadcast: false });
+    } else {
+      cache?.invalidatePhoto(change.id, { patch: photo, broadcast: false });
+    }
+    // Smart collections match on photo fields: a new or changed photo can join or leave any of them
+    cache?.invalidateContext('smart', { broadcast: false });
+    if (photo.isFavorite) {
+      cache?.invalidateContext('favorites', { broadcast: false });
+    }
+
+    this.scheduleStatsRefresh();
+    if (!this.photoSet) return;
+
+    const belongs = this.belongsToView(photo);
+    const existing = this.photoSet.patchPhoto(change.id, photo);
+    if (existing) {
+      if (belongs === false) {
+        this.removePhotoInPlace(change.id);
+      } else {
+        this.app.components.grid.updatePhotoCard(change.id, existing);
+      }
+    } else if (belongs) {
+      this.insertPhotoInPlace({ ...photo });
+    }
+  }
+
+  applyCollectionChange(change) {
+    const sidebar = this.app.components.collectionsSidebar;
+    sidebar.loadCollections().then(() => sidebar.render());
+
+    if (this.viewState.type !== 'collection' || this.viewState.collection?.id !== change.id) return;
+
+    if (change.action === 'deleted') {
+      this.app.components.toast.show('This collection was deleted', { icon: '🗑️', duration: 3000 });
+      this.setView('all-photos');
+    } else {
+      this.offerReload();
+    }
+  }
+
+  /**
+   * Does a photo belong to the current view? null when that cannot be told locally
+   * (collection membership arrives as a collection change; search and event sets are server-side)
+   */
+  belongsToView(photo) {
+    // Filter membership is decided server-side; leave filtered views to a reload
+    if (this.photoSet?.definition.filters) return null;
+
+    switch (this.viewState.type) {
+      case 'all-photos': return true;
+      case 'favorites': return Boolean(photo.isFavorite);
+      default: return null;
+    }
+  }
+
+  insertPhotoInPlace(photo) {
+    // Outside the loaded window only the count grows; the grid still sizes for it
+    this.photoSet.insertPhoto(photo);
+
+    const { state } = this.app;
+    state.photos = this.photoSet.getPhotosInWindow();
+    state.totalPhotosCount = this.photoSet.totalCount;
+    this.app.components.grid.refresh();
+    this.app.updateLibraryCounts();
+    this.app.updateStatusBar();
+  }
+
+  removePhotoInPlace(photoId) {
+    if (!this.photoSet?.removePhoto(photoId)) return;
+
+    this.app.state.photos = this.photoSet.getPhotosInWindow();
+    this.app.state.totalPhotosCount = this.photoSet.totalCount;
+    this.app.components.grid.removePhotoCard(photoId);
+    this.app.updateLibraryCounts();
+    this.app.updateStatusBar();
+    this.scheduleStatsRefresh();
+  }
+
+  // An upload pushes a change per photo: refresh the library badges (and the date rail) once they settle
+  scheduleStatsRefresh() {
+    clearTimeout(this.statsTimer);
+    this.statsTimer = setTimeout(() => {
+      this.app.loadStats();
+      this.app.components.collectionsSidebar.loadSmartCounts();
+      this.app.components.dateScrubber.refresh();
+    }, 1000);
+  }
+
+  /**
+   * Show a burst stack frame by frame, or folded back into its cover
+   */
+  async setStackExpanded(stackId, expanded) {
+    if (expanded === this.expandedStacks.has(stackId)) return;
+
+    if (expanded) {
+      this.expandedStacks.add(stackId);
+    } else {
+      this.expandedStacks.delete(stackId);
+    }
+    await this.reloadInPlace();
+  }
+
+  /**
+   * Rebuild the set (its stacks changed shape), keeping the grid where it was
+   */
+  async reloadInPlace() {
+    const { grid } = this.app.components;
+    const topIndex = grid.firstVisibleIndex();
+    await this.loadPhotos();
+    grid.scrollToIndex(topIndex);
+  }
+
+  offerReload() {
+    import('./PhotoSetCacheIndicator.js').then(({ cacheIndicator }) => {
+      cacheIndicator.showChanges({ hasChanges: true }, () => this.loadPhotos());
+    }).catch(err => {
+      console.error('[CollectionView] Failed to load cache indicator:', err);
+    });
+  }
+
+  /**
+   * The saved-search definition of what's on screen, or null when it isn't one: a search, or the library or
+   * favorites narrowed by the filter panel (collections are lists, not searches)
+   */
+  getSmartDefinition() {
+    const { type } = this.viewState;
+    if (type !== 'all-photos' && type !== 'favorites' && type !== 'search') return null;
+
+    // The set definition: a search's text and clauses already split into query and filters
+    const { searchQuery, searchAlpha, filters } = this.getSetDefinition();
+    if (type !== 'search' && !filters) return null;
+
+    const definition = { searchQuery: searchQuery || null, searchAlpha, filters };
+    // The favorites view is the favorites filter over the library
+    if (type === 'favorites') {
+      definition.filters = { ...filters, favorites: true };
+    }
+    return definition;
+  }
+
+  updateSaveSmartButton() {
+    const button = document.querySelector('.content-header .btn-save-smart');
+    if (button) {
+      button.hidden = !this.getSmartDefinition();
+    }
+  }
+
+  /**
+   * Save the current search and filters as a smart collection, then browse it
+   */
+  async saveAsSmartCollection() {
+    const definition = this.getSmartDefinition();
+    if (!definition) return;
+
+    const name = prompt('Smart collection name:', definition.searchQuery || '');
+    if (!name || name.trim() === '') return;
+
+    const smartCollection = await this.app.components.collectionsSidebar.createSmartCollection({
+      name: name.trim(),
+      ...definition
+    });
+    if (smartCollection) {
+      this.app.components.collectionsSidebar.selectSmartView(smartCollection.id);
+    }
+  }
+
   /**
    * Get PhotoSet instance for current view
    * Used by Lightbox to access the same PhotoSet
@@ -388,18 +668,29 @@ export class CollectionView {
   getSetDefinition() {
     const definition = {
       type: this.viewState.type,
-      id: this.viewState.collection?.id || null,
-      filters: null,  // Future: add filter support
+      id: this.viewState.collection?.id || this.viewState.smartCollection?.id || null,
+      revision: this.viewState.smartCollection?.updatedAt || null,
+      filters: this.app.components.filters?.getPhotoSetFilters() ?? null,
       sortBy: 'capturedAt',
       sortOrder: 'desc',
       searchQuery: null,
-      searchAlpha: 0.5
+      searchAlpha: 0.5,
+      // The server stacks capture-sorted library sets only: collections and search ignore it
+      stacked: this.app.state.stackBursts,
+      expandedStacks: [...this.expandedStacks]
     };
 
-    // Add search-specific parameters
+    // Add search-specific parameters: the query's free text is searched, its clauses (camera:, rating>=, ...)
+    // filter like the panel. A query of clauses alone browses the library through them.
     if (this.viewState.type === 'search') {
-      definition.searchQuery = this.viewState.searchQuery;
-      definition.searchAlpha = this.viewState.searchAlpha;
+      const query = parseSearchQuery(this.viewState.searchQuery, this.app.components.search?.metadata);
+      definition.filters = mergeFilters(definition.filters, query.filters);
+      if (query.text) {
+        definition.searchQuery = query.text;
+        definition.searchAlpha = this.viewState.searchAlpha;
+      } else {
+        definition.type = 'all-photos';
+      }
     }
 
     return definition;
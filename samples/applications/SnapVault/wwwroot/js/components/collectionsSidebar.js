@@ -2,16 +2,23 @@
  * CollectionsSidebar Component
  * Manages collection list in left sidebar with drag-and-drop support
  * Follows existing vanilla JS component architecture
+ *
+ * Smart collections (saved searches) are listed after the manual ones. Their photos are resolved
+ * server-side each time, so their badges are live counts refreshed as the library changes.
  */
 
 import { escapeHtml } from '../utils/html.js';
 import { PhotoSetManager } from '../services/PhotoSetManager.js';
+import { placeholderBackground } from '../utils/blurhash.js';
 
 export class CollectionsSidebar {
   constructor(app) {
     this.app = app;
     this.collections = [];
-    this.activeViewId = 'all-photos'; // 'all-photos' | 'favorites' | collectionId
+    this.covers = new Map(); // collectionId → { photoId, blurHash }
+    this.smartCollections = [];
+    this.smartCounts = new Map(); // smartCollectionId → photo count
+    this.activeViewId = 'all-photos'; // 'all-photos' | 'favorites' | collectionId | smartCollectionId
   }
 
   async init() {
@@ -21,6 +28,8 @@ export class CollectionsSidebar {
   }
 
   async loadCollections() {
+    const covers = this.loadCovers();
+    const smartCollections = this.loadSmartCollections();
     try {
       const response = await this.app.api.get('/api/collections');
       // Sort by ID descending (newest first - GUID v7 has timestamp embedded)
@@ -31,6 +40,53 @@ export class CollectionsSidebar {
       this.app.components.toast.show('Failed to load collections', { icon: '⚠️', duration: 3000 });
       this.collections = [];
     }
+    await Promise.all([covers, smartCollections]);
+  }
+
+  /**
+   * Load the smart collections and their counts (counts are optional: a badge without one stays blank)
+   */
+  async loadSmartCollections() {
+    const counts = this.loadSmartCounts();
+    try {
+      const response = await this.app.api.get('/api/smart-collections');
+      this.smartCollections = (response || []).sort((a, b) => b.id.localeCompare(a.id));
+    } catch (error) {
+      console.error('[CollectionsSidebar] Failed to load smart collections:', error);
+      this.smartCollections = [];
+    }
+    await counts;
+  }
+
+  /**
+   * Refresh the smart collections' live counts, updating rendered badges in place
+   */
+  async loadSmartCounts() {
+    try {
+      const counts = await this.app.api.get('/api/smart-collections/counts');
+      this.smartCounts = new Map((counts || []).map(count => [count.smartCollectionId, count.photoCount]));
+    } catch (error) {
+      console.error('[CollectionsSidebar] Failed to load smart collection counts:', error);
+      return;
+    }
+
+    document.querySelectorAll('.smart-collection-item').forEach(item => {
+      const badge = item.querySelector('.item-badge');
+      if (badge) badge.textContent = this.smartCounts.get(item.dataset.smartCollectionId) ?? '';
+    });
+  }
+
+  /**
+   * Load each collection's cover photo (optional: items without one just show no cover)
+   */
+  async loadCovers() {
+    try {
+      const covers = await this.app.api.get('/api/collections/covers');
+      this.covers = new Map((covers || []).map(cover => [cover.collectionId, cover]));
+    } catch (error) {
+      console.error('[CollectionsSidebar] Failed to load collection covers:', error);
+      this.covers = new Map();
+    }
   }
 
   /**
@@ -72,8 +128,9 @@ export class CollectionsSidebar {
         </button>
       </div>
       <nav class="section-items">
-        ${this.collections.length === 0 ? '<p class="empty-state">No collections yet</p>' : ''}
+        ${this.collections.length === 0 && this.smartCollections.length === 0 ? '<p class="empty-state">No collections yet</p>' : ''}
         ${this.collections.map(c => this.renderCollectionItem(c)).join('')}
+        ${this.smartCollections.map(c => this.renderSmartCollectionItem(c)).join('')}
       </nav>
     `;
 
@@ -83,6 +140,12 @@ export class CollectionsSidebar {
   renderCollectionItem(collection) {
     const isActive = this.activeViewId === collection.id;
     const nearLimit = collection.photoCount > 1800;
+    const cover = this.covers.get(collection.id);
+
+    // The masonry tier over the cover's blurhash, which shows until it loads
+    const coverBackground = cover
+      ? [`url("/media/${encodeURIComponent(cover.photoId)}/masonry")`, placeholderBackground(cover)].filter(Boolean).join(', ')
+      : '';
 
     return `
       <div class="sidebar-item collection-item ${isActive ? 'active' : ''}"
@@ -90,12 +153,30 @@ export class CollectionsSidebar {
            data-droppable="true"
            role="button"
            tabindex="0">
+        <span class="item-cover"${coverBackground ? ` style="background-image: ${escapeHtml(coverBackground).replace(/"/g, '&quot;')}"` : ''}></span>
         <span class="item-label">${escapeHtml(collection.name)}</span>
         <span class="item-badge${nearLimit ? ' near-limit' : ''}">${collection.photoCount}</span>
       </div>
     `;
   }
 
+  renderSmartCollectionItem(smartCollection) {
+    const isActive = this.activeViewId === smartCollection.id;
+
+    return `
+      <div class="sidebar-item smart-collection-item ${isActive ? 'active' : ''}"
+           data-smart-collection-id="${smartCollection.id}"
+           role="button"
+           tabindex="0"
+           title="Smart collection: updates as photos change">
+        <span class="item-cover item-cover-smart" aria-hidden="true">✨</span>
+        <span class="item-label">${escapeHtml(smartCollection.name)}</span>
+        <button class="item-remove" title="Delete smart collection" aria-label="Delete smart collection ${escapeHtml(smartCollection.name)}">×</button>
+        <span class="item-badge">${this.smartCounts.get(smartCollection.id) ?? ''}</span>
+      </div>
+    `;
+  }
+
   attachEventHandlers() {
     // New collection button
     const btnNew = document.querySelector('.btn-new-collection');
@@ -115,6 +196,17 @@ export class CollectionsSidebar {
 
       // Note: Rename and delete now happen in main content header, not sidebar
     });
+
+    document.querySelectorAll('.smart-collection-item').forEach(item => {
+      const smartCollectionId = item.dataset.smartCollectionId;
+      item.addEventListener('click', () => this.selectSmartView(smartCollectionId));
+      item.querySelector('.item-remove').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const smartCollection = this.smartCollections.find(c => c.id === smartCollectionId);
+        // Through the ActionRegistry, so it can be undone; ActionExecutor reports a failure
+        this.app.actions.execute('smartCollection.delete', smartCollection).catch(() => {});
+      });
+    });
   }
 
   selectView(viewId) {
@@ -132,6 +224,62 @@ export class CollectionsSidebar {
     console.log(`[CollectionsSidebar] Selected view: ${viewId}`);
   }
 
+  selectSmartView(smartCollectionId) {
+    this.activeViewId = smartCollectionId;
+    this.render();
+
+    this.app.components.collectionView?.setView('smart', { id: smartCollectionId });
+
+    document.querySelectorAll('.library-section .sidebar-item').forEach(i => i.classList.remove('active'));
+  }
+
+  /**
+   * Save a search/filter definition as a smart collection
+   * @param {object} smartCollection - { name, searchQuery, searchAlpha, filters }
+   * @returns {Promise<object|null>} the saved smart collection, null when saving failed
+   */
+  async createSmartCollection(smartCollection) {
+    try {
+      const saved = await this.app.api.post('/api/smart-collections', smartCollection);
+
+      await this.loadSmartCollections();
+      this.render();
+      this.app.components.toast.show(`Smart collection "${saved.name}" created`, {
+        icon: '✨',
+        duration: 2000
+      });
+      return saved;
+    } catch (error) {
+      console.error('[CollectionsSidebar] Failed to create smart collection:', error);
+      this.app.components.toast.show(error.message || 'Failed to create smart collection', {
+        icon: '⚠️',
+        duration: 3000
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Move a smart collection to the trash. Called by the smartCollection.delete action, which
+   * confirms nothing (Undo restores it) and reports success and failure.
+   */
+  async deleteSmartCollection(smartCollectionId) {
+    const smartCollection = this.smartCollections.find(c => c.id === smartCollectionId);
+    if (!smartCollection) return null;
+
+    await this.app.api.delete(`/api/smart-collections/${smartCollectionId}`);
+    PhotoSetManager.invalidateCache('smart');
+
+    if (this.activeViewId === smartCollectionId) {
+      this.activeViewId = 'all-photos';
+      this.app.components.collectionView?.setView('all-photos');
+    }
+
+    await this.loadSmartCollections();
+    this.render();
+    return smartCollection;
+  }
+
   async createCollection(name = null, photoIds = []) {
     const collectionName = name || prompt('Collection name:');
     if (!collectionName || collectionName.trim() === '') return;
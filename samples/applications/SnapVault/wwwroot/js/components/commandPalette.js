@@ -0,0 +1,353 @@
+/**
+ * Command Palette
+ * Ctrl/Cmd+K: one fuzzy search over what the user can do from here - the ActionRegistry actions available
+ * for what's in focus (the lightbox's photo, the selection, the open collection), the places to go (library
+ * views, workspaces, collections, smart collections, events) and recently viewed photos.
+ *
+ * Actions run through ActionExecutor.execute with the target their buttons would pass, so they confirm,
+ * report and refresh exactly as the buttons do.
+ */
+
+import { ActionRegistry } from '../system/ActionRegistry.js';
+import { Icon } from '../system/Icon.js';
+import { NotFoundError } from '../utils/errors.js';
+import { fuzzyMatch, highlightMatch } from '../utils/fuzzy.js';
+import { escapeHtml } from '../utils/html.js';
+import { renderKeys } from './keymapHelp.js';
+
+const MAX_RESULTS = 50;
+
+// Ties sort actions first, then places, then photos
+const KIND_ORDER = { action: 0, go: 1, photo: 2 };
+
+export class CommandPalette {
+  constructor(app) {
+    this.app = app;
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.items = [];
+    this.results = [];
+    this.activeIndex = 0;
+    this.scopeEntry = null;
+
+    app.keymap.register({
+      id: 'palette.toggle',
+      label: 'Command palette',
+      group: 'Help',
+      keys: ['Mod+k'],
+      inInputs: true,
+      run: () => this.toggle()
+    });
+  }
+
+  get isOpen() {
+    return this.overlay !== null;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.isOpen) return;
+
+    // What's in focus before the palette takes it
+    this.items = [...this.actionItems(), ...this.goItems(), ...this.photoItems()];
+
+    const overlay = document.createElement('div');
+    overlay.className = 'command-palette-overlay';
+    overlay.innerHTML = `
+      <div class="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+        <input type="text" class="command-palette-input" role="combobox" aria-expanded="true"
+               aria-controls="command-palette-results" aria-autocomplete="list" autocomplete="off" spellcheck="false"
+               placeholder="Type an action, collection, event or photo…">
+        <ul class="command-palette-results" id="command-palette-results" role="listbox" aria-label="Results"></ul>
+        <div class="command-palette-footer">
+          <span><kbd>↑</kbd><kbd>↓</kbd> choose</span>
+          <span><kbd>Enter</kbd> run</span>
+          <span><kbd>Esc</kbd> close</span>
+        </div>
+      </div>
+    `;
+
+    this.input = overlay.querySelector('.command-palette-input');
+    this.list = overlay.querySelector('.command-palette-results');
+
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.target === overlay) this.close();
+    });
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', (e) => this.handleKey(e));
+    this.list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option && Number(option.dataset.index) !== this.activeIndex) {
+        this.setActive(Number(option.dataset.index));
+      }
+    });
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option) this.run(this.results[Number(option.dataset.index)]);
+    });
+
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+    this.scopeEntry = this.app.keymap.pushScope('dialog', this);
+    this.update();
+    this.input.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.overlay.remove();
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.items = [];
+    this.results = [];
+    this.app.keymap.popScope(this.scopeEntry);
+    this.scopeEntry = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Items
+  // ---------------------------------------------------------------------------
+
+  /**
+   * What an action runs on from here, null when it doesn't apply: the lightbox's photo, the selection,
+   * or the open collection - as its buttons pass them to ActionExecutor
+   */
+  actionTarget(action) {
+    const { lightbox, collectionView } = this.app.components;
+    const { viewState } = collectionView;
+
+    if (lightbox.isOpen) {
+      if (!action.contexts.includes('lightbox') || !lightbox.currentPhotoId) return null;
+      return action.execute ? lightbox.currentPhotoId : [lightbox.currentPhotoId];
+    }
+
+    if (action.executeBulk) {
+      const photoIds = [...this.app.state.selectedPhotos];
+      const applies = action.contexts.includes('selection') || action.contexts.includes(viewState.type);
+      return applies && photoIds.length > 0 ? photoIds : null;
+    }
+
+    return action.contexts.includes('collection') && viewState.type === 'collection' ? viewState.collection : null;
+  }
+
+  actionItems() {
+    const { lightbox } = this.app.components;
+
+    return Object.values(ActionRegistry).flatMap(action => {
+      const target = this.actionTarget(action);
+      if (target === null || !action.isAvailable(this.app, target)) return [];
+
+      const label = Array.isArray(target) && !lightbox.isOpen
+        ? this.app.actions.getLabelWithCount(action.id, target.length)
+        : action.label;
+      const detail = lightbox.isOpen ? 'This photo' : Array.isArray(target) ? 'Selection' : 'Collection';
+
+      return [{
+        kind: 'action',
+        label,
+        detail,
+        icon: Icon.render(action.icon, { size: 16 }),
+        keys: this.app.keymap.bindingsFor(action.id),
+        run: () => this.runAction(action, target)
+      }];
+    });
+  }
+
+  goItems() {
+    const { app } = this;
+    const { collectionView, collectionsSidebar } = app.components;
+
+    const views = [
+      { label: 'All Photos', icon: 'image', detail: 'Library', command: 'nav.all-photos', run: () => collectionView.setView('all-photos') },
+      { label: 'Favorites', icon: 'star', detail: 'Library', command: 'nav.favorites', run: () => collectionView.setView('favorites') },
+      { label: 'Trash', icon: 'trash', detail: 'Library', command: 'nav.trash', run: () => app.components.trash.open() },
+      { label: 'Gallery', icon: 'grid', detail: 'Workspace', command: 'nav.gallery', run: () => app.switchWorkspace('gallery') },
+      { label: 'Timeline', icon: 'calendar', detail: 'Workspace', command: 'nav.timeline', run: () => app.switchWorkspace('timeline') }
+    ];
+
+    const collections = collectionsSidebar.collections.map(collection => ({
+      label: collection.name, icon: 'folder', detail: `Collection · ${collection.photoCount ?? 0}`,
+      run: () => collectionsSidebar.selectView(collection.id)
+    }));
+
+    const smartCollections = collectionsSidebar.smartCollections.map(smartCollection => ({
+      label: smartCollection.name, icon: 'sparkles',
+      detail: `Smart collection${collectionsSidebar.smartCounts.has(smartCollection.id) ? ` · ${collectionsSidebar.smartCounts.get(smartCollection.id)}` : ''}`,
+      run: () => collectionsSidebar.selectSmartView(smartCollection.id)
+    }));
+
+    const events = (app.state.events || []).map(event => ({
+      label: event.name, icon: 'calendar', detail: `Event · ${event.photoCount ?? 0}`,
+      run: () => app.filterPhotosByEvent(event.id)
+    }));
+
+    return [...views, ...collections, ...smartCollections, ...events].map(({ command, ...item }) => ({
+      ...item,
+      kind: 'go',
+      icon: Icon.render(item.icon, { size: 16 }),
+      keys: command ? app.keymap.bindingsFor(command) : []
+    }));
+  }
+
+  photoItems() {
+    return (this.app.recentPhotos?.list() || []).map(photo => ({
+      kind: 'photo',
+      label: photo.fileName,
+      detail: 'Recent photo',
+      icon: `<img class="command-palette-thumb" src="/media/${encodeURIComponent(photo.id)}/masonry" alt="" loading="lazy">`,
+      keys: [],
+      run: () => this.openPhoto(photo)
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Results
+  // ---------------------------------------------------------------------------
+
+  update() {
+    const query = this.input.value;
+
+    this.results = this.items
+      .map((item, order) => ({ item, order, match: fuzzyMatch(query, item.label) }))
+      .filter(result => result.match)
+      .sort((a, b) => b.match.score - a.match.score
+        || KIND_ORDER[a.item.kind] - KIND_ORDER[b.item.kind]
+        || a.order - b.order)
+      .slice(0, MAX_RESULTS)
+      .map(result => ({ ...result.item, indices: result.match.indices }));
+
+    this.activeIndex = 0;
+    this.render();
+  }
+
+  render() {
+    if (this.results.length === 0) {
+      this.list.innerHTML = '<li class="command-palette-empty" role="presentation">Nothing matches</li>';
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.list.innerHTML = this.results.map((item, index) => `
+      <li class="command-palette-item${index === this.activeIndex ? ' active' : ''}" id="command-palette-option-${index}"
+          role="option" aria-selected="${index === this.activeIndex}" data-index="${index}">
+        <span class="command-palette-icon">${item.icon}</span>
+        <span class="command-palette-label">${highlightMatch(item.label, item.indices, escapeHtml)}</span>
+        <span class="command-palette-detail">${escapeHtml(item.detail)}</span>
+        ${item.keys.length > 0 ? `<span class="command-palette-keys">${renderKeys(item.keys.slice(0, 1))}</span>` : ''}
+      </li>
+    `).join('');
+    this.input.setAttribute('aria-activedescendant', `command-palette-option-${this.activeIndex}`);
+  }
+
+  setActive(index) {
+    const options = this.list.querySelectorAll('[data-index]');
+    options[this.activeIndex]?.classList.remove('active');
+    options[this.activeIndex]?.setAttribute('aria-selected', 'false');
+
+    this.activeIndex = index;
+    options[index]?.classList.add('active');
+    options[index]?.setAttribute('aria-selected', 'true');
+    options[index]?.scrollIntoView({ block: 'nearest' });
+    this.input.setAttribute('aria-activedescendant', `command-palette-option-${index}`);
+  }
+
+  handleKey(e) {
+    const count = this.results.length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (count > 0) {
+        this.setActive((this.activeIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (count > 0) {
+        this.run(this.results[this.activeIndex]);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Running
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Close, then run: a confirmation or the view it opens shouldn't sit under the palette
+   */
+  run(item) {
+    this.close();
+
+    // The lightbox navigates the set it was opened on: going elsewhere closes it
+    const { lightbox } = this.app.components;
+    if (item.kind === 'go' && lightbox.isOpen) {
+      lightbox.close();
+    }
+
+    Promise.resolve(item.run()).catch(error => {
+      console.error('[CommandPalette] Command failed:', error);
+    });
+  }
+
+  async runAction(action, target) {
+    const { lightbox } = this.app.components;
+    const onLightboxPhoto = lightbox.isOpen;
+
+    let result;
+    try {
+      result = await this.app.actions.execute(action.id, target);
+    } catch {
+      return;   // ActionExecutor has told the user
+    }
+
+    if (result && onLightboxPhoto && lightbox.isOpen) {
+      lightbox.afterAction(action.id, result);
+    }
+  }
+
+  /**
+   * Open a recent photo: in the set on screen when it's there, else in All Photos
+   */
+  async openPhoto(photo) {
+    const { collectionView, lightbox } = this.app.components;
+
+    const inSet = async () => {
+      const photoSet = collectionView.getPhotoSet();
+      if (!photoSet) return false;
+      try {
+        await photoSet.getPhotoIndex(photo.id);
+        return true;
+      } catch (error) {
+        if (error instanceof NotFoundError) return false;
+        throw error;
+      }
+    };
+
+    if (await inSet()) {
+      await (lightbox.isOpen ? lightbox.show(photo.id) : lightbox.open(photo.id));
+      return;
+    }
+
+    // The lightbox navigates the set it was opened on: close it before the set goes
+    if (lightbox.isOpen) {
+      lightbox.close();
+    }
+    await collectionView.setView('all-photos');
+
+    if (await inSet()) {
+      await lightbox.open(photo.id);
+    } else {
+      this.app.recentPhotos.remove(photo.id);
+      this.app.components.toast.show(`${photo.fileName} is no longer in the library`, { icon: 'ℹ️', duration: 3000 });
+    }
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Date Scrubber Component
+ * Fast-scroll rail beside the grid: month density of the set, drag to a date
+ *
+ * The rail maps linearly onto the set, like the grid's scrollbar: each month's band starts at its
+ * first photo's index and is as tall as its share of the set, with a bar for its density. Dragging
+ * shows the month under the pointer and scrolls the grid along; letting go lands the PhotoSet's
+ * window there with jumpTo, so nothing in between is loaded. Buckets come from
+ * GET /api/photos/date-histogram; sets not in date order have none, and the rail stays hidden.
+ */
+
+import { API } from '../api.js';
+
+// Minimum px between year labels on the rail
+const LABEL_SPACING = 28;
+
+export class DateScrubber {
+  constructor(app) {
+    this.app = app;
+    this.scrollContainer = document.querySelector('.main-content');
+    this.gridContainer = document.querySelector('.photo-grid');
+    this.photoSet = null;
+    this.buckets = [];
+    this.totalCount = 0;
+    this.dragging = false;
+    this.dragIndex = 0;
+    this.frame = null;
+    this.monthFormatter = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    this.render();
+    this.attachListeners();
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'date-scrubber';
+    this.element.hidden = true;
+    this.element.tabIndex = 0;
+    this.element.setAttribute('role', 'slider');
+    this.element.setAttribute('aria-orientation', 'vertical');
+    this.element.setAttribute('aria-label', 'Scroll to date');
+    this.element.innerHTML = `
+      <div class="date-scrubber-track"></div>
+      <div class="date-scrubber-thumb"></div>
+      <div class="date-scrubber-tooltip" hidden></div>
+    `;
+
+    this.track = this.element.querySelector('.date-scrubber-track');
+    this.thumb = this.element.querySelector('.date-scrubber-thumb');
+    this.tooltip = this.element.querySelector('.date-scrubber-tooltip');
+
+    // Inside the gallery workspace, so it hides with it (fixed position, placed over the grid's right edge)
+    (document.querySelector('.workspace-gallery') || document.body).appendChild(this.element);
+  }
+
+  attachListeners() {
+    this.element.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      this.element.setPointerCapture(e.pointerId);
+      this.dragging = true;
+      this.element.classList.add('dragging');
+      this.scrubTo(e.clientY);
+    });
+
+    this.element.addEventListener('pointermove', (e) => {
+      if (this.dragging) {
+        this.scrubTo(e.clientY);
+      } else {
+        this.showTooltip(this.indexAt(e.clientY), e.clientY);
+      }
+    });
+
+    const endDrag = () => {
+      if (!this.dragging) return;
+      this.dragging = false;
+      this.element.classList.remove('dragging');
+      this.tooltip.hidden = true;
+      this.land(this.dragIndex);
+    };
+    this.element.addEventListener('pointerup', endDrag);
+    this.element.addEventListener('pointercancel', endDrag);
+    this.element.addEventListener('pointerleave', () => {
+      if (!this.dragging) this.tooltip.hidden = true;
+    });
+
+    // Arrow keys step a month, Page keys a year
+    this.element.addEventListener('keydown', (e) => {
+      const step = { ArrowUp: -1, ArrowDown: 1, PageUp: -12, PageDown: 12 }[e.key];
+      if (!step || this.buckets.length === 0) return;
+      e.preventDefault();
+
+      const current = this.bucketIndexAt(this.app.components.grid.firstVisibleIndex());
+      const target = this.buckets[Math.max(0, Math.min(this.buckets.length - 1, current + step))];
+      this.land(target.startIndex);
+    });
+
+    this.scrollContainer?.addEventListener('scroll', () => this.scheduleThumbUpdate(), { passive: true });
+
+    window.addEventListener('resize', () => this.place());
+    if (this.scrollContainer && 'ResizeObserver' in window) {
+      new ResizeObserver(() => this.place()).observe(this.scrollContainer);
+    }
+  }
+
+  /**
+   * Load the month buckets for the set the grid shows
+   * @param {Object|null} photoSet - the current view's PhotoSetManager; null hides the rail
+   */
+  async load(photoSet) {
+    this.photoSet = photoSet;
+
+    let histogram = null;
+    if (photoSet) {
+      try {
+        histogram = await photoSet.getDateHistogram();
+      } catch (error) {
+        if (!API.isAbort(error)) {
+          console.error('[DateScrubber] Failed to load date histogram:', error);
+        }
+      }
+      // A newer view replaced this one while the histogram loaded
+      if (photoSet !== this.photoSet) return;
+    }
+
+    this.buckets = histogram?.buckets || [];
+    this.totalCount = histogram?.totalCount || 0;
+    this.setVisible(this.buckets.length > 1);
+  }
+
+  /**
+   * Reload the buckets of the set already shown (after live changes)
+   */
+  refresh() {
+    if (this.photoSet) {
+      this.load(this.photoSet);
+    }
+  }
+
+  setVisible(visible) {
+    this.element.hidden = !visible;
+    // The grid keeps its rightmost tiles clear of the rail
+    this.gridContainer?.classList.toggle('with-date-scrubber', visible);
+
+    if (visible) {
+      this.place();
+    }
+  }
+
+  /**
+   * Pin the rail to the right edge of the scroll container (inside its scrollbar)
+   */
+  place() {
+    if (this.element.hidden || !this.scrollContainer) return;
+
+    const rect = this.scrollContainer.getBoundingClientRect();
+    this.element.style.top = `${rect.top}px`;
+    this.element.style.height = `${rect.height}px`;
+    this.element.style.left = `${rect.left + this.scrollContainer.clientWidth - this.element.offsetWidth}px`;
+
+    this.renderBuckets();
+    this.updateThumb();
+  }
+
+  renderBuckets() {
+    const height = this.track.clientHeight;
+    const densest = Math.max(...this.buckets.map(b => b.count));
+    let lastLabelTop = -Infinity;
+    let lastYear = null;
+
+    this.track.innerHTML = this.buckets.map(bucket => {
+      const top = bucket.startIndex / this.totalCount;
+      const share = bucket.count / this.totalCount;
+      const density = Math.max(8, Math.round((bucket.count / densest) * 100));
+
+      // Label a year where it starts, when there's room since the last label
+      let label = '';
+      if (bucket.year !== lastYear && top * height - lastLabelTop >= LABEL_SPACING) {
+        label = `<span class="date-scrubber-year">${bucket.year}</span>`;
+        lastLabelTop = top * height;
+      }
+      lastYear = bucket.year;
+
+      return `
+        <div class="date-scrubber-month" style="top: ${top * 100}%; height: ${share * 100}%">
+          <span class="date-scrubber-density" style="width: ${density}%"></span>
+          ${label}
+        </div>
+      `;
+    }).join('');
+  }
+
+  scheduleThumbUpdate() {
+    if (this.frame || this.element.hidden || this.dragging) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.updateThumb();
+    });
+  }
+
+  /**
+   * Thumb at the grid's top visible photo
+   */
+  updateThumb() {
+    if (this.totalCount === 0) return;
+
+    const index = this.app.components.grid.firstVisibleIndex();
+    this.thumb.style.top = `${(Math.min(index, this.totalCount - 1) / this.totalCount) * 100}%`;
+
+    const bucket = this.buckets[this.bucketIndexAt(index)];
+    if (bucket) {
+      this.element.setAttribute('aria-valuetext', this.formatMonth(bucket));
+    }
+  }
+
+  scrubTo(clientY) {
+    this.dragIndex = this.indexAt(clientY);
+    this.showTooltip(this.dragIndex, clientY);
+    this.thumb.style.top = `${(this.dragIndex / this.totalCount) * 100}%`;
+    this.app.components.grid.scrollToIndex(this.dragIndex);
+  }
+
+  /**
+   * Land the PhotoSet's window on an index, then bring its row to the top of the grid
+   */
+  async land(index) {
+    const photoSet = this.photoSet;
+    if (!photoSet) return;
+
+    try {
+      await photoSet.jumpTo(index);
+    } catch (error) {
+      if (API.isAbort(error)) return;
+      console.error('[DateScrubber] Jump failed:', error);
+    }
+
+    if (photoSet === this.photoSet) {
+      this.app.components.grid.scrollToIndex(index);
+    }
+  }
+
+  indexAt(clientY) {
+    const rect = this.track.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+    return Math.min(this.totalCount - 1, Math.floor(fraction * this.totalCount));
+  }
+
+  /**
+   * Position in this.buckets of the month holding a set index (binary search on startIndex)
+   */
+  bucketIndexAt(index) {
+    let low = 0;
+    let high = this.buckets.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.buckets[mid].startIndex <= index) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  showTooltip(index, clientY) {
+    const bucket = this.buckets[this.bucketIndexAt(index)];
+    if (!bucket) return;
+
+    this.tooltip.textContent = this.formatMonth(bucket);
+    this.tooltip.style.top = `${clientY - this.element.getBoundingClientRect().top}px`;
+    this.tooltip.hidden = false;
+  }
+
+  formatMonth(bucket) {
+    return this.monthFormatter.format(new Date(Date.UTC(bucket.year, bucket.month - 1, 1)));
+  }
+}
@@ -5,6 +5,7 @@
  */
 
 import { PhotoSetManager } from '../services/PhotoSetManager.js';
+import { ValidationError, describeError } from '../utils/errors.js';
 
 export class DragDropManager {
   constructor(app) {
@@ -158,19 +159,7 @@ export class DragDropManager {
       console.log(`[DragDropManager] Created collection "${autoName}" (ID: ${collection.id})`);
     } catch (error) {
       console.error('[DragDropManager] Failed to create collection:', error);
-
-      // Check for capacity limit error
-      if (error.message && error.message.includes('limit')) {
-        this.app.components.toast.show(
-          'Collection limit reached (2,048 photos maximum)',
-          { icon: '⚠️', duration: 5000 }
-        );
-      } else {
-        this.app.components.toast.show(
-          'Failed to create collection',
-          { icon: '⚠️', duration: 3000 }
-        );
-      }
+      this.showCollectionError(error, 'Failed to create collection');
     }
   }
 
@@ -188,8 +177,19 @@ export class DragDropManager {
       // Add photos
       const result = await this.app.api.post(`/api/collections/${collectionId}/photos`, {
         photoIds: photoIds
+      }, {
+        offline: { label: `Add ${photoIds.length} photo${photoIds.length !== 1 ? 's' : ''} to "${collectionName}"` }
       });
 
+      if (result?.queued) {
+        this.app.components.toast.show(
+          `Adding ${photoIds.length} photo${photoIds.length !== 1 ? 's' : ''} to "${collectionName}" when back online`,
+          { icon: '📴', duration: 2000 }
+        );
+        this.app.components.photoSelection.clearSelection();
+        return;
+      }
+
       // Invalidate collection cache
       PhotoSetManager.invalidateCache('collection');
 
@@ -210,19 +210,25 @@ export class DragDropManager {
       console.log(`[DragDropManager] Added ${result.added} photos to collection ${collectionId}`);
     } catch (error) {
       console.error('[DragDropManager] Failed to add photos to collection:', error);
+      this.showCollectionError(error, 'Failed to add photos to collection');
+    }
+  }
 
-      // Check for capacity limit error
-      if (error.message && error.message.includes('limit')) {
-        this.app.components.toast.show(
-          'Collection limit reached (2,048 photos maximum)',
-          { icon: '⚠️', duration: 5000 }
-        );
-      } else {
-        this.app.components.toast.show(
-          'Failed to add photos to collection',
-          { icon: '⚠️', duration: 3000 }
-        );
-      }
+  /**
+   * Toast a collection write failure. The capacity refusal is a ValidationError whose body
+   * carries the server's `limit`, so the message reflects the configured cap.
+   */
+  showCollectionError(error, fallback) {
+    if (error instanceof ValidationError && error.body?.limit) {
+      this.app.components.toast.show(
+        `Collection limit reached (${error.body.limit.toLocaleString()} photos maximum)`,
+        { icon: '⚠️', duration: 5000 }
+      );
+    } else {
+      this.app.components.toast.show(
+        describeError(error, fallback),
+        { icon: '⚠️', duration: 3000 }
+      );
     }
   }
 
@@ -9,6 +9,25 @@
 
 
 import { escapeHtml } from '../utils/html.js';
+import { API } from '../api.js';
+import { buildFilterJson } from '../utils/filterJson.js';
+
+function emptyFilterState() {
+  return {
+    cameras: [],
+    dateRange: null,
+    rating: null,
+    includeUnrated: false,
+    tags: [],
+    tagMatchMode: 'all',
+    excludedCameras: [],
+    excludedTags: [],
+    favorites: false,
+    rejected: false,
+    eventId: null
+  };
+}
+
 export class Filters {
   constructor(app) {
     this.app = app;
@@ -18,16 +37,7 @@ export class Filters {
       years: [],
       tags: []
     };
-    this.state = {
-      cameras: [],
-      dateRange: null,
-      rating: null,
-      includeUnrated: false,
-      tags: [],
-      tagMatchMode: 'all',
-      favorites: false,
-      eventId: null
-    };
+    this.state = emptyFilterState();
     this.previewDebounce = null;
   }
 
@@ -483,123 +493,33 @@ export class Filters {
   }
 
   buildFilterJson() {
-    const conditions = [];
-
-    // Camera filter
-    if (this.state.cameras.length > 0) {
-      conditions.push({
-        CameraModel: { $in: this.state.cameras }
-      });
-    }
-
-    // Date range filter
-    if (this.state.dateRange) {
-      conditions.push({
-        CapturedAt: {
-          $gte: this.state.dateRange.from,
-          $lte: this.state.dateRange.to
-        }
-      });
-    }
-
-    // Rating filter
-    if (this.state.rating !== null) {
-      const ratings = [];
-      for (let i = this.state.rating; i <= 5; i++) {
-        ratings.push(i);
-      }
-
-      if (this.state.includeUnrated) {
-        conditions.push({
-          $or: [
-            { Rating: { $in: ratings } },
-            { Rating: { $in: [0, null] } }
-          ]
-        });
-      } else {
-        conditions.push({
-          Rating: { $in: ratings }
-        });
-      }
-    }
-
-    // Tag filter
-    if (this.state.tags.length > 0) {
-      if (this.state.tagMatchMode === 'all') {
-        conditions.push({
-          AutoTags: { $all: this.state.tags }
-        });
-      } else {
-        const tagConditions = this.state.tags.map(tag => ({
-          AutoTags: tag
-        }));
-
-        if (tagConditions.length > 1) {
-          conditions.push({ $or: tagConditions });
-        } else {
-          conditions.push(tagConditions[0]);
-        }
-      }
-    }
-
-    // Favorites filter
-    if (this.state.favorites) {
-      conditions.push({ IsFavorite: true });
-    }
-
-    // Event filter
-    if (this.state.eventId) {
-      conditions.push({ EventId: this.state.eventId });
-    }
+    return buildFilterJson(this.state);
+  }
 
-    // Combine conditions
-    if (conditions.length === 0) {
-      return null;
-    } else if (conditions.length === 1) {
-      return conditions[0];
-    } else {
-      return { $and: conditions };
-    }
+  /**
+   * Filter state for the photoset definition, or null when nothing is filtered.
+   * The grid, lightbox navigation and index lookups all run through the same filtered set.
+   */
+  getPhotoSetFilters() {
+    if (this.getActiveFilterCount() === 0 && !this.state.eventId) return null;
+    return structuredClone(this.state);
   }
 
   async applyFilters() {
-    const filterJson = this.buildFilterJson();
-
-    try {
-      const params = {
-        page: 1,
-        pageSize: 200,
-        sort: '-CapturedAt'
-      };
-
-      if (filterJson) {
-        params.filter = JSON.stringify(filterJson);
-      }
-
-      const result = await this.app.api.get('/api/photos', params, { includeHeaders: true });
-
-      this.app.state.photos = result.data || [];
-      this.app.state.totalCount = result.headers.totalCount || 0;
-      this.app.state.currentPage = 1;
+    // Reload the current view through its PhotoSet, now carrying the filters
+    const collectionView = this.app.components.collectionView;
+    await collectionView.loadPhotos();
 
-      this.renderActiveFilterPills();
-      this.renderResultCount(result.headers.totalCount);
-      this.app.components.grid.render();
-
-      // Show toast notification
-      const filterCount = this.getActiveFilterCount();
-      if (filterCount > 0) {
-        this.app.components.toast.show(
-          `Found ${result.headers.totalCount} photos (${filterCount} filter${filterCount > 1 ? 's' : ''})`,
-          { icon: '🔍', duration: 2000 }
-        );
-      }
+    const totalCount = collectionView.photoSet?.totalCount ?? 0;
+    this.renderActiveFilterPills();
+    this.renderResultCount(totalCount);
 
-    } catch (error) {
-      console.error('Filter failed:', error);
+    // Show toast notification
+    const filterCount = this.getActiveFilterCount();
+    if (filterCount > 0) {
       this.app.components.toast.show(
-        'Filter failed: ' + error.message,
-        { icon: '⚠️', duration: 3000 }
+        `Found ${totalCount} photos (${filterCount} filter${filterCount > 1 ? 's' : ''})`,
+        { icon: '🔍', duration: 2000 }
       );
     }
   }
@@ -616,10 +536,11 @@ export class Filters {
           filter: JSON.stringify(filterJson),
           page: 1,
           pageSize: 1
-        }, { includeHeaders: true });
+        }, { includeHeaders: true, supersede: 'filters-preview' });
 
         this.renderResultCount(result.headers.totalCount);
       } catch (error) {
+        if (API.isAbort(error)) return; // superseded by a newer preview
         console.error('Preview count failed:', error);
       }
     }, 300);
@@ -658,6 +579,11 @@ export class Filters {
       pills.push({ label: 'Favorites', type: 'favorites', value: null });
     }
 
+    // Rejected pill (is:rejected from the search bar)
+    if (this.state.rejected) {
+      pills.push({ label: 'Rejected', type: 'rejected', value: null });
+    }
+
     if (pills.length === 0) {
       container.innerHTML = '';
       return;
@@ -741,6 +667,9 @@ export class Filters {
         const favoritesCheckbox = this.container.querySelector('.favorites-only');
         if (favoritesCheckbox) favoritesCheckbox.checked = false;
         break;
+      case 'rejected':
+        this.state.rejected = false;
+        break;
     }
 
     this.applyFilters();
@@ -748,16 +677,7 @@ export class Filters {
 
   resetFilters() {
     // Clear state
-    this.state = {
-      cameras: [],
-      dateRange: null,
-      rating: null,
-      includeUnrated: false,
-      tags: [],
-      tagMatchMode: 'all',
-      favorites: false,
-      eventId: null
-    };
+    this.state = emptyFilterState();
 
     // Reload current view (preserves All Photos / Favorites / Collection context)
     this.app.components.collectionView.loadPhotos();
@@ -765,13 +685,24 @@ export class Filters {
     this.app.components.toast.show('Filters reset', { icon: '🔄', duration: 1500 });
   }
 
+  /**
+   * Show a filter state without reloading (a deep link or history entry: the view it belongs to loads next)
+   * @param {Object|null} state - as getPhotoSetFilters() returns it; null clears every filter
+   */
+  setState(state) {
+    this.state = { ...emptyFilterState(), ...structuredClone(state ?? {}) };
+    this.render();
+  }
+
   getActiveFilterCount() {
     let count = 0;
     if (this.state.cameras.length > 0) count += this.state.cameras.length;
     if (this.state.dateRange) count++;
     if (this.state.rating !== null) count++;
     if (this.state.tags.length > 0) count += this.state.tags.length;
+    count += this.state.excludedCameras.length + this.state.excludedTags.length;
     if (this.state.favorites) count++;
+    if (this.state.rejected) count++;
     return count;
   }
 
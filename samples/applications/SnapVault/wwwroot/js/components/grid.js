@@ -1,71 +1,81 @@
 /**
  * Photo Grid Component with Virtual Scrolling
- * Masonry layout with hover interactions
+ * Windowed rows over a PhotoSet, with hover interactions
+ *
+ * Only the rows in (and just around) the viewport are in the DOM. The grid's height covers the whole
+ * set, so the scrollbar spans totalCount and any offset can be jumped to; the photos for the rows on
+ * screen come from the PhotoSet's sliding window, which fetches just what's missing. Card nodes are
+ * recycled as rows scroll in and out, and all card interactions are delegated from the container.
+ * Tile positions for the whole set come from utils/gridLayout.js - uniform, justified or masonry -
+ * so the justified and masonry layouts fetch the set's aspect ratios once, up front.
+ * In a stacked set a burst is one card with a count badge, which expands it in place (CollectionView).
  */
 
-import { VIEW_PRESETS, selectOptimalImageTier, getResponsiveColumns } from '../viewPresets.js';
-import { escapeHtml } from '../utils/html.js';
+import {
+  VIEW_PRESETS, selectOptimalImageTier, getResponsiveColumns, getGridTiers, buildSrcset, watchDevicePixelRatio
+} from '../viewPresets.js';
+import { API } from '../api.js';
+import { computeLayout as computeTileLayout, rangeBetween, indexAt, aspectOf } from '../utils/gridLayout.js';
+import { placeholderBackground } from '../utils/blurhash.js';
+import { pluralize } from '../utils/html.js';
+
+// Rows kept rendered above and below the viewport, as a fraction of its height
+const OVERSCAN = 0.5;
+
+// Missing rows are fetched once scrolling rests this long (ms): dragging the scrollbar across
+// the set fetches where it stops, not every row it passed
+const FETCH_DELAY = 120;
+
+/**
+ * A plain array as a grid source (event browse loads its photos in one go)
+ */
+class ArraySource {
+  constructor(photos) {
+    this.photos = photos;
+  }
+
+  get totalCount() {
+    return this.photos.length;
+  }
+
+  photoAt(index) {
+    return this.photos[index];
+  }
+
+  aspectAt(index) {
+    return aspectOf(this.photos[index]);
+  }
+
+  async ensureRange() {
+    return false;
+  }
+}
 
 export class PhotoGrid {
   constructor(app) {
     this.app = app;
     this.container = document.querySelector('.photo-grid');
     this.scrollContainer = document.querySelector('.main-content');
+
+    // Source: a PhotoSetManager (or ArraySource) - totalCount, photoAt(index), aspectAt(index), ensureRange(start, end)
+    this.source = null;
+    this.layout = null;
+
+    // Rendered cards: index → card, and photoId → card for the photos on screen
+    this.cards = new Map();
     this.photoCards = new Map();
-    this.observer = null;
-    this.scrollHandler = null;
+    this.pool = [];
+
+    this.frame = null;
+    this.fetchTimer = null;
+    this.fetching = false;
+    this.lastFetched = null;
+
     this.viewportWidth = window.innerWidth;
     this.devicePixelRatio = window.devicePixelRatio || 1;
-    this.setupIntersectionObserver();
     this.setupViewportDetection();
-    this.detectMasonrySupport();
-  }
-
-  detectMasonrySupport() {
-    // CSS Masonry Browser Landscape (as of 2025-01):
-    //
-    // TWO COMPETING SYNTAXES EXIST:
-    //
-    // 1. Firefox/Safari Syntax (SHIPPED):
-    //    - grid-template-rows: masonry
-    //    - Firefox 87+ (stable), Safari Technology Preview
-    //    - W3C CSS Grid Level 3 Draft: https://www.w3.org/TR/css-grid-3/
-    //
-    // 2. Chrome Syntax (EXPERIMENTAL FLAG):
-    //    - display: masonry
-    //    - Chrome behind #enable-experimental-web-platform-features flag
-    //    - Different property model, uses grid-column/grid-row
-    //    - More details: https://www.w3.org/TR/css-grid-3/#masonry-model
-    //
-    // CURRENT IMPLEMENTATION:
-    // - Detects BOTH syntaxes (Firefox/Safari AND Chrome)
-    // - Applies appropriate CSS class for detected syntax
-    // - Falls back to CSS columns if neither is supported
-    //
-    // FALLBACK STRATEGY:
-    // - CSS columns (column-count) provides graceful degradation
-    // - All browsers get working masonry layout, just different ordering
-
-    // Check for Firefox/Safari syntax first (stable implementation)
-    const supportsGridMasonry = CSS.supports('grid-template-rows', 'masonry');
-
-    // Check for Chrome syntax (experimental flag)
-    const supportsDisplayMasonry = CSS.supports('display', 'masonry');
-
-    // Determine which masonry mode to use
-    if (supportsGridMasonry) {
-      this.masonryMode = 'grid'; // Firefox/Safari
-      this.supportsMasonry = true;
-      console.log('[Grid] CSS Masonry support: Yes (Firefox/Safari syntax: grid-template-rows)');
-    } else if (supportsDisplayMasonry) {
-      this.masonryMode = 'display'; // Chrome
-      this.supportsMasonry = true;
-      console.log('[Grid] CSS Masonry support: Yes (Chrome syntax: display: masonry)');
-    } else {
-      this.masonryMode = null;
-      this.supportsMasonry = false;
-      console.log('[Grid] CSS Masonry support: No (using CSS columns fallback)');
-    }
+    this.setupScrollTracking();
+    this.setupCardEvents();
   }
 
   setupViewportDetection() {
@@ -75,51 +85,176 @@ export class PhotoGrid {
       clearTimeout(resizeTimer);
       resizeTimer = setTimeout(() => {
         this.viewportWidth = window.innerWidth;
-        this.devicePixelRatio = window.devicePixelRatio || 1;
         console.log(`[Grid] Viewport updated: ${this.viewportWidth}px @ ${this.devicePixelRatio}x DPI`);
+        this.relayout();
       }, 250);
     });
-  }
 
-  setupIntersectionObserver() {
-    this.observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        const img = entry.target;
-        if (entry.isIntersecting) {
-          // Load image when it enters viewport
-          if (img.dataset.src && !img.src) {
-            img.src = img.dataset.src;
-            img.removeAttribute('data-src');
+    // Moved to a monitor with another pixel ratio (or zoomed): have the browser re-pick from each srcset
+    watchDevicePixelRatio((devicePixelRatio) => {
+      this.devicePixelRatio = devicePixelRatio;
+      this._tierLogged = false;
+      console.log(`[Grid] Device pixel ratio changed: ${devicePixelRatio}x`);
+      this.cards.forEach(card => this.reselectImage(card));
+    });
 
-            // No recalculation needed - aspect-ratio pre-allocation prevents layout shift
-          }
+    // Sidebars opening and closing change the grid's width without a window resize
+    if (this.container && 'ResizeObserver' in window) {
+      let lastWidth = 0;
+      new ResizeObserver(([entry]) => {
+        const width = Math.round(entry.contentRect.width);
+        if (width !== lastWidth) {
+          lastWidth = width;
+          this.relayout();
         }
+      }).observe(this.container);
+    }
+  }
+
+  setupScrollTracking() {
+    this.scrollContainer?.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+  }
+
+  /**
+   * Card interactions, delegated: cards are recycled between photos, so nothing is bound per card
+   */
+  setupCardEvents() {
+    if (!this.container) return;
+
+    const photoIdOf = (target) => target.closest('.photo-card')?.dataset.photoId;
+
+    // Click card to open lightbox; buttons and stars act on the photo instead
+    this.container.addEventListener('click', (e) => {
+      const photoId = photoIdOf(e.target);
+      if (!photoId) return;
+
+      if (e.target.closest('.stack-badge')) {
+        const { stackId, stackExpanded } = e.target.closest('.photo-card').dataset;
+        this.app.components.collectionView.setStackExpanded(stackId, stackExpanded !== 'true');
+      } else if (e.target.closest('.btn-favorite')) {
+        this.app.favoritePhoto(photoId);
+      } else if (e.target.closest('.btn-select')) {
+        this.toggleSelection(photoId);
+      } else if (e.target.closest('.star')) {
+        this.app.ratePhoto(photoId, Number(e.target.closest('.star').dataset.rating));
+      } else if (!e.target.closest('.rating')) {
+        this.app.components.lightbox.open(photoId);
+      }
+    });
+
+    // Dragstart on image - simulate two-step flow in one gesture
+    this.container.addEventListener('dragstart', (e) => {
+      const img = e.target.closest?.('.photo-image');
+      const photoId = img && photoIdOf(img);
+      if (!photoId) return;
+
+      const isBrushSelecting = this.container.classList.contains('brush-selecting');
+      const brushSelection = this.app.components.photoSelection.selectedPhotoIds || [];
+
+      console.log('[Grid] Dragstart event fired:', {
+        photoId,
+        imageDraggable: img.draggable,
+        imageClasses: img.className,
+        gridHasBrushClass: isBrushSelecting,
+        existingBrushSelection: brushSelection.length
       });
-    }, {
-      rootMargin: '500px' // Load 500px before entering viewport
+
+      if (brushSelection.length === 0) {
+        // STEP 1: Auto-range-select this image (simulate selection stage ending)
+        this.app.components.photoSelection.selectedPhotoIds = [photoId];
+        this.app.components.photoSelection.updateVisualFeedback(
+          [photoId],
+          Array.from(this.container.querySelectorAll('.photo-card'))
+        );
+        this.app.components.photoSelection.setSelectedPhotoIds([photoId]);
+        console.log('[Grid] ✓ Auto-selected single image:', photoId);
+      } else {
+        console.log('[Grid] ✓ Using existing brush selection:', brushSelection.length, 'photos');
+      }
+
+      // STEP 2: Start drag action (happens automatically, just set drag data)
+      e.dataTransfer.effectAllowed = 'copy';
+      e.dataTransfer.setData('text/plain', photoId);
+      console.log('[Grid] ✓ Drag data set, drag action initiated');
     });
+
+    // Image loaded - drop the skeleton (load doesn't bubble; listen in the capture phase)
+    this.container.addEventListener('load', (e) => {
+      if (e.target.classList?.contains('photo-image')) {
+        e.target.closest('.photo-card')?.classList.add('loaded');
+      }
+    }, true);
   }
 
   /**
-   * Update view preset without re-rendering (instant, no image reload)
-   * Only updates the CSS data-preset attribute to trigger column changes
+   * Update view preset without re-rendering (no image reload)
+   * Re-lays the rows out for the preset's column count, keeping the top photo in view
    */
   updatePreset() {
     if (!this.container) return;
 
     const currentPreset = this.app.state.viewPreset || 'comfortable';
     this.container.dataset.preset = currentPreset;
+    this.relayout();
     console.log(`[Grid] Updated preset to: ${currentPreset} (no re-render)`);
   }
 
-  render() {
+  /**
+   * Re-flow the set in the current grid layout (app.state.gridLayout), keeping the top photo in view
+   */
+  updateLayout() {
+    this.relayout();
+    this.loadAspectRatios();
+  }
+
+  /**
+   * Justified and masonry tiles take each photo's shape: fetch the set's aspect ratios (once per set),
+   * then re-flow. Until they arrive, photos not yet loaded lay out as 3:2.
+   */
+  async loadAspectRatios() {
+    const source = this.source;
+    if (this.app.state.gridLayout === 'grid' || !source?.loadAspectRatios || source.aspectRatios) return;
+
+    try {
+      await source.loadAspectRatios();
+    } catch (error) {
+      if (!API.isAbort(error)) {
+        console.error('[Grid] Failed to load aspect ratios:', error);
+      }
+      return;
+    }
+
+    if (source === this.source) {
+      this.relayout();
+    }
+  }
+
+  /**
+   * Show a photo set from its start
+   * @param {Object|null} source - PhotoSetManager for the current view; null renders app.state.photos
+   */
+  render(source = null) {
     if (!this.container) return;
 
-    const photos = this.app.state.photos;
+    this.source = source || new ArraySource(this.app.state.photos);
+    const totalCount = this.source.totalCount;
 
-    console.log(`[Grid] render() called - ${photos.length} photos in state`);
+    console.log(`[Grid] render() called - ${totalCount} photos in set`);
 
-    if (photos.length === 0) {
+    // Reset tier logging flag for new render
+    this._tierLogged = false;
+
+    // Release every rendered card
+    this.cards.forEach(card => this.releaseCard(card));
+    this.cards.clear();
+    this.photoCards.clear();
+    this.lastFetched = null;
+
+    // Apply view preset to grid container
+    const currentPreset = this.app.state.viewPreset || 'comfortable';
+    this.container.dataset.preset = currentPreset;
+
+    if (totalCount === 0) {
       this.renderEmpty();
       return;
     }
@@ -130,49 +265,260 @@ export class PhotoGrid {
       emptyState.style.display = 'none';
     }
 
-    // Reset tier logging flag for new render
+    this.container.classList.add('virtual');
+    this.layout = this.computeLayout();
+    this.sizeContainer();
+    this.scrollToIndex(0);
+    this.updateViewport();
+    this.loadAspectRatios();
+
+    console.log(`[Grid] render() complete - ${this.cards.size} cards in DOM`);
+  }
+
+  renderEmpty() {
+    this.container.classList.remove('virtual');
+    this.container.style.height = '';
+    this.layout = null;
+
+    const emptyState = this.container.querySelector('.empty-state-hero');
+    if (emptyState) {
+      emptyState.style.display = 'flex';
+    }
+  }
+
+  /**
+   * Re-render the rows on screen after the set changed underneath (a photo inserted or removed,
+   * so later photos moved index). Keeps the scroll position.
+   */
+  refresh() {
+    if (!this.source) return;
+
+    if (this.source.totalCount === 0) {
+      this.render(this.source);
+      return;
+    }
+    if (!this.layout) {
+      this.render(this.source);
+      return;
+    }
+
+    // Later tiles moved index: re-flow (and re-fetch the ratios if the source dropped them)
+    this.lastFetched = null;
+    this.layout = this.computeLayout();
+    this.sizeContainer();
+    this.updateViewport();
+    this.loadAspectRatios();
+  }
+
+  /**
+   * Re-flow the tiles (viewport, sidebar, preset or layout changed), keeping the top photo in view
+   */
+  relayout() {
+    if (!this.layout || !this.source) return;
+
+    const topIndex = this.firstVisibleIndex();
     this._tierLogged = false;
+    this.layout = this.computeLayout();
+    this.sizeContainer();
+    this.scrollToIndex(topIndex);
+    this.updateViewport();
+  }
+
+  computeLayout() {
+    const style = getComputedStyle(this.container);
+    const padding = parseFloat(style.paddingLeft) || 0;
+    const preset = VIEW_PRESETS[this.app.state.viewPreset] || VIEW_PRESETS.comfortable;
+    const source = this.source;
+
+    const layout = computeTileLayout(this.app.state.gridLayout, {
+      count: source.totalCount,
+      aspectAt: (index) => source.aspectAt(index),
+      // The right padding can be wider (the date scrubber's rail sits over it)
+      width: this.container.clientWidth - padding - (parseFloat(style.paddingRight) || 0),
+      columns: getResponsiveColumns(preset, this.viewportWidth),
+      gap: parseFloat(style.columnGap) || 0,
+      rowGap: parseFloat(style.rowGap) || 0
+    });
+
+    return { ...layout, padding };
+  }
 
-    // Clear existing photos
-    const existingCards = this.container.querySelectorAll('.photo-card');
-    console.log(`[Grid] Clearing ${existingCards.length} existing cards`);
-    existingCards.forEach(card => card.remove());
+  /**
+   * Height for every tile of the set - the scrollbar spans all of it, loaded or not
+   */
+  sizeContainer() {
+    const { padding, height } = this.layout;
+    this.container.style.height = `${padding * 2 + height}px`;
+  }
+
+  /**
+   * Grid's offset from the top of the scrolled content
+   */
+  gridOffset() {
+    return this.container.getBoundingClientRect().top
+      - this.scrollContainer.getBoundingClientRect().top
+      + this.scrollContainer.scrollTop;
+  }
+
+  firstVisibleIndex() {
+    if (!this.layout || !this.scrollContainer) return 0;
+
+    return indexAt(this.layout, this.scrollContainer.scrollTop - this.gridOffset() - this.layout.padding);
+  }
+
+  /**
+   * Scroll so the tile at an index is at the top (date scrubber, returning from the lightbox).
+   * Nothing between here and there is loaded.
+   */
+  scrollToIndex(index, { behavior = 'auto' } = {}) {
+    if (!this.layout || !this.scrollContainer || this.layout.count === 0) return;
+
+    const { padding, y } = this.layout;
+    const tileTop = y[Math.min(Math.max(0, index), this.layout.count - 1)];
+    const top = tileTop === 0 ? 0 : this.gridOffset() + padding + tileTop;
+    this.scrollContainer.scrollTo({ top, behavior });
+  }
+
+  scheduleUpdate() {
+    if (this.frame || !this.layout) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.updateViewport();
+    });
+  }
+
+  /**
+   * Indices of the tiles on screen, plus overscan
+   */
+  visibleRange() {
+    const viewHeight = this.scrollContainer.clientHeight;
+    const top = this.scrollContainer.scrollTop - this.gridOffset() - this.layout.padding;
+    const overscan = viewHeight * OVERSCAN;
+
+    return rangeBetween(this.layout, top - overscan, top + viewHeight + overscan);
+  }
+
+  /**
+   * Bind the visible range to cards: recycle the ones that scrolled out, fill from the source,
+   * and fetch what the source doesn't have yet
+   */
+  updateViewport() {
+    if (!this.layout || !this.source || !this.scrollContainer) return;
+
+    const { start, end } = this.visibleRange();
+
+    // Recycle cards that scrolled out of range
+    for (const [index, card] of this.cards) {
+      if (index < start || index >= end) {
+        this.releaseCard(card);
+        this.cards.delete(index);
+      }
+    }
 
-    // Clear the photoCards map
     this.photoCards.clear();
+    let missing = false;
+    const ordered = [];
+
+    for (let index = start; index < end; index++) {
+      let card = this.cards.get(index);
+      if (!card) {
+        card = this.pool.pop() || this.createCardShell();
+        this.cards.set(index, card);
+      }
 
-    // Apply CSS class based on masonry support and mode
-    this.container.classList.remove('masonry-grid', 'masonry-display', 'masonry-fallback');
-    if (this.masonryMode === 'grid') {
-      this.container.classList.add('masonry-grid');
-    } else if (this.masonryMode === 'display') {
-      this.container.classList.add('masonry-display');
-    } else {
-      this.container.classList.add('masonry-fallback');
+      const photo = this.source.photoAt(index);
+      if (photo) {
+        this.bindCard(card, photo);
+        this.photoCards.set(photo.id, card);
+      } else {
+        this.bindPlaceholder(card);
+        missing = true;
+      }
+
+      this.positionCard(card, index);
+      ordered.push(card);
     }
 
-    // Apply view preset to grid container
-    const currentPreset = this.app.state.viewPreset || 'comfortable';
-    this.container.dataset.preset = currentPreset;
-    console.log(`[Grid] Applied preset: ${currentPreset}`);
+    // DOM order follows index order (brush selection walks the text selection across cards)
+    const inOrder = ordered.every((card, i) => card.isConnected &&
+      (i === 0 || card.previousElementSibling === ordered[i - 1]));
+    if (!inOrder) {
+      this.container.append(...ordered);
+    }
 
-    // Render all photos in current state
-    photos.forEach(photo => {
-      this.addPhotoCard(photo);
-    });
+    if (missing) {
+      this.scheduleFetch(start, end);
+    }
+  }
 
-    console.log(`[Grid] render() complete - ${this.photoCards.size} cards in DOM`);
+  scheduleFetch(start, end) {
+    // Fetched already and still short (the set shrank server-side): wait for a scroll or a refresh
+    const key = `${start}:${end}`;
+    if (key === this.lastFetched) return;
+
+    clearTimeout(this.fetchTimer);
+    this.fetchTimer = setTimeout(() => this.fetchRange(start, end), FETCH_DELAY);
   }
 
-  renderEmpty() {
-    const emptyState = this.container.querySelector('.empty-state-hero');
-    if (emptyState) {
-      emptyState.style.display = 'flex';
+  async fetchRange(start, end) {
+    if (this.fetching) return;
+
+    this.fetching = true;
+    try {
+      await this.source.ensureRange(start, end);
+      this.lastFetched = `${start}:${end}`;
+    } catch (error) {
+      // Aborted: the set was replaced - fill in for the new one below
+      if (!API.isAbort(error)) {
+        console.error('[Grid] Failed to load rows:', error);
+        return;
+      }
+    } finally {
+      this.fetching = false;
+    }
+
+    // Fill the rows (and fetch again if the user scrolled on, or the set was replaced, meanwhile)
+    this.updateViewport();
+  }
+
+  positionCard(card, index) {
+    const { padding, x, y, w, h } = this.layout;
+
+    card.style.left = `${padding + x[index]}px`;
+    card.style.top = `${padding + y[index]}px`;
+    card.style.width = `${w[index]}px`;
+    card.style.height = `${h[index]}px`;
+
+    // The image covers the tile: it renders as wide as the tile, or wider when the photo is wider than the tile
+    const aspect = this.source.aspectAt(index) || w[index] / h[index];
+    const sizes = `${Math.ceil(Math.max(w[index], h[index] * aspect))}px`;
+    const img = card.querySelector('.photo-image');
+    if (img.sizes !== sizes) {
+      img.sizes = sizes;
     }
   }
 
   /**
-   * Get optimal image URL based on smart tier selection
+   * Make the browser pick from a card's srcset again (it may not on its own when the pixel ratio
+   * changes): re-setting sizes is a relevant mutation, which re-runs source selection
+   */
+  reselectImage(card) {
+    const img = card.querySelector('.photo-image');
+    const sizes = img.sizes;
+    if (!img.srcset || !sizes) return;
+
+    img.sizes = '';
+    img.sizes = sizes;
+  }
+
+  releaseCard(card) {
+    card.remove();
+    this.pool.push(card);
+  }
+
+  /**
+   * Get optimal image URL based on smart tier selection - the card's src, for browsers without srcset
+   * (the others pick from getImageSrcset by the tile's rendered size)
    * @param {Object} photo - Photo object with media IDs
    * @returns {string} - Optimal image URL for current display
    */
@@ -208,59 +554,41 @@ export class PhotoGrid {
     }
   }
 
-  addPhotoCard(photo) {
-    const card = this.createPhotoCard(photo);
-    this.container.appendChild(card);
-    this.photoCards.set(photo.id, card);
-
-    // Observe image for lazy loading
-    const img = card.querySelector('.photo-image');
-    if (img && this.observer) {
-      this.observer.observe(img);
-    }
+  /**
+   * srcset over the tiers the preset offers (all of them for 'auto' presets)
+   */
+  getImageSrcset(photo) {
+    const preset = VIEW_PRESETS[this.app.state.viewPreset] || VIEW_PRESETS.comfortable;
+    return buildSrcset(photo, getGridTiers(preset));
   }
 
-  createPhotoCard(photo) {
+  /**
+   * An empty card, bound to a photo later (and rebound as it is recycled)
+   */
+  createCardShell() {
     const article = document.createElement('article');
     article.className = 'photo-card';
-    article.dataset.photoId = photo.id;
     article.draggable = false; // Card is NOT draggable (allows text selection)
 
-    // Pre-allocate space using aspect-ratio to eliminate layout shift
-    const aspectRatio = photo.width / photo.height;
-    article.dataset.aspect = aspectRatio.toFixed(2);
-    article.style.aspectRatio = `${photo.width} / ${photo.height}`;
-
-    // Smart tier selection based on view preset and display characteristics
-    const thumbnailUrl = this.getOptimalImageUrl(photo);
-
-    const isFavorite = photo.isFavorite || false;
-    const rating = photo.rating || 0;
-
     article.innerHTML = `
       <div class="photo-skeleton"></div>
-      <img class="photo-image draggable" data-src="${thumbnailUrl}" alt="${escapeHtml(photo.originalFileName)}" loading="lazy" />
+      <img class="photo-image draggable" alt="" decoding="async" />
       <div class="photo-overlay">
         <div class="actions-top">
-          <button class="btn-favorite ${isFavorite ? 'active' : ''}" aria-label="Favorite (F)" data-photo-id="${photo.id}">
-            <svg class="icon" width="20" height="20" viewBox="0 0 24 24" fill="${isFavorite ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+          <button class="btn-favorite" aria-label="Favorite (F)">
+            <svg class="icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
             </svg>
           </button>
-          <button class="btn-select" aria-label="Select (Space)" data-photo-id="${photo.id}">
+          <button class="btn-select" aria-label="Select (Space)">
             <svg class="icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
             </svg>
           </button>
         </div>
         <div class="actions-bottom">
-          <div class="metadata">
-            ${photo.cameraModel || 'Unknown camera'}
-            ${photo.capturedAt ? '• ' + this.formatDate(photo.capturedAt) : ''}
-          </div>
-          <div class="rating" data-photo-id="${photo.id}">
-            ${this.renderStars(rating, photo.id)}
-          </div>
+          <div class="metadata"></div>
+          <div class="rating"></div>
         </div>
       </div>
       <div class="selection-indicator" style="display: none;">
@@ -268,90 +596,96 @@ export class PhotoGrid {
           <polyline points="20 6 9 17 4 12"></polyline>
         </svg>
       </div>
+      <button class="stack-badge" hidden>
+        <svg class="icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="7" y="7" width="14" height="14"></rect>
+          <path d="M3 17V3h14"></path>
+        </svg>
+        <span class="stack-count"></span>
+      </button>
+      <span class="stack-pick-badge" hidden>Pick</span>
     `;
 
-    // Event listeners
-    const img = article.querySelector('.photo-image');
-
     // Make image draggable via JavaScript (controlled by CSS class)
-    img.draggable = true;
+    article.querySelector('.photo-image').draggable = true;
 
-    img.addEventListener('load', () => {
-      article.querySelector('.photo-skeleton')?.remove();
-    });
+    return article;
+  }
 
-    // Dragstart on image - simulate two-step flow in one gesture
-    img.addEventListener('dragstart', (e) => {
-      const gridContainer = document.querySelector('.photo-grid');
-      const isBrushSelecting = gridContainer?.classList.contains('brush-selecting');
-      const brushSelection = this.app.components.photoSelection.selectedPhotoIds || [];
+  bindCard(card, photo) {
+    card.classList.remove('placeholder');
 
-      console.log('[Grid] Dragstart event fired:', {
-        photoId: photo.id,
-        imageDraggable: img.draggable,
-        imageClasses: img.className,
-        gridHasBrushClass: isBrushSelecting,
-        existingBrushSelection: brushSelection.length
-      });
+    // A different photo: swap the image (its blurhash, else the skeleton, until it loads)
+    if (card.dataset.photoId !== photo.id) {
+      card.dataset.photoId = photo.id;
+      card.classList.remove('loaded');
 
-      if (brushSelection.length === 0) {
-        // STEP 1: Auto-range-select this image (simulate selection stage ending)
-        this.app.components.photoSelection.selectedPhotoIds = [photo.id];
-        this.app.components.photoSelection.updateVisualFeedback(
-          [photo.id],
-          Array.from(document.querySelectorAll('.photo-card'))
-        );
-        this.app.components.photoSelection.setSelectedPhotoIds([photo.id]);
-        console.log('[Grid] ✓ Auto-selected single image:', photo.id);
-      } else {
-        console.log('[Grid] ✓ Using existing brush selection:', brushSelection.length, 'photos');
-      }
+      const placeholder = placeholderBackground(photo);
+      card.style.backgroundImage = placeholder;
+      card.classList.toggle('has-blurhash', placeholder !== '');
 
-      // STEP 2: Start drag action (happens automatically, just set drag data)
-      e.dataTransfer.effectAllowed = 'copy';
-      e.dataTransfer.setData('text/plain', photo.id);
-      console.log('[Grid] ✓ Drag data set, drag action initiated');
-    });
-
-    // Dragend for debugging
-    img.addEventListener('dragend', (e) => {
-      console.log('[Grid] Dragend event fired for photo:', photo.id);
-    });
-
-    // Click card to open lightbox
-    article.addEventListener('click', (e) => {
-      // Don't open lightbox if clicking action buttons
-      if (e.target.closest('.btn-favorite, .btn-select, .rating')) {
-        return;
+      const img = card.querySelector('.photo-image');
+      img.alt = photo.originalFileName || '';
+      img.srcset = this.getImageSrcset(photo);
+      img.src = this.getOptimalImageUrl(photo);
+    } else {
+      // Same photo, maybe another preset (which can pin a tier)
+      const img = card.querySelector('.photo-image');
+      const srcset = this.getImageSrcset(photo);
+      if (img.getAttribute('srcset') !== srcset) {
+        img.srcset = srcset;
       }
-      this.app.components.lightbox.open(photo.id);
-    });
+    }
 
-    // Favorite button
-    const favoriteBtn = article.querySelector('.btn-favorite');
-    favoriteBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.app.favoritePhoto(photo.id);
-    });
+    card.querySelector('.metadata').textContent = [
+      photo.cameraModel || 'Unknown camera',
+      photo.capturedAt ? this.formatDate(photo.capturedAt) : null
+    ].filter(Boolean).join(' • ');
 
-    // Select button
-    const selectBtn = article.querySelector('.btn-select');
-    selectBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.toggleSelection(photo.id);
-    });
+    this.updatePhotoCard(photo.id, photo, card);
+    this.renderStack(card, photo.stack ?? null, photo.isStackPick);
+    this.renderSelection(card, this.app.state.selectedPhotos.has(photo.id));
+  }
 
-    // Rating stars
-    const stars = article.querySelectorAll('.star');
-    stars.forEach((star, index) => {
-      star.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const newRating = index + 1;
-        this.app.ratePhoto(photo.id, newRating);
-      });
-    });
+  /**
+   * A burst stack's marks: collapsed, the card is its cover and the badge (the count) expands it; expanded,
+   * its frames are joined up and the first one's badge folds them back. The pick is marked either way.
+   */
+  renderStack(card, stack, isPick = false) {
+    const collapsed = Boolean(stack && !stack.expanded);
+    const expanded = Boolean(stack?.expanded);
+    card.classList.toggle('stack-cover', collapsed);
+    card.classList.toggle('stack-member', expanded);
+    card.classList.toggle('stack-start', expanded && stack.position === 0);
+    card.classList.toggle('stack-end', expanded && stack.position === stack.count - 1);
+    card.querySelector('.stack-pick-badge').hidden = !(stack && isPick);
+
+    const badge = card.querySelector('.stack-badge');
+    badge.hidden = !collapsed && !card.classList.contains('stack-start');
+    if (!stack) {
+      delete card.dataset.stackId;
+      delete card.dataset.stackExpanded;
+      return;
+    }
 
-    return article;
+    card.dataset.stackId = stack.id;
+    card.dataset.stackExpanded = String(expanded);
+    badge.querySelector('.stack-count').textContent = String(stack.count);
+    const label = `${expanded ? 'Collapse' : 'Expand'} stack of ${stack.count} ${pluralize(stack.count, 'photo')}`;
+    badge.setAttribute('aria-label', label);
+    badge.title = label;
+  }
+
+  bindPlaceholder(card) {
+    delete card.dataset.photoId;
+    card.classList.add('placeholder');
+    card.classList.remove('loaded', 'selected', 'has-blurhash');
+    card.style.backgroundImage = '';
+    const img = card.querySelector('.photo-image');
+    img.removeAttribute('srcset');
+    img.removeAttribute('src');
+    card.querySelector('.selection-indicator').style.display = 'none';
+    this.renderStack(card, null);
   }
 
   renderStars(rating, photoId) {
@@ -367,10 +701,12 @@ export class PhotoGrid {
     return html;
   }
 
-  updatePhotoCard(photoId, photo) {
-    const card = this.photoCards.get(photoId);
+  updatePhotoCard(photoId, photo, card = this.photoCards.get(photoId)) {
     if (!card) return;
 
+    // Rejected while culling: dimmed, still in the set
+    card.classList.toggle('rejected', Boolean(photo.isRejected));
+
     // Update favorite button
     const favoriteBtn = card.querySelector('.btn-favorite');
     const favoriteSvg = favoriteBtn.querySelector('svg');
@@ -382,38 +718,48 @@ export class PhotoGrid {
       favoriteSvg.setAttribute('fill', 'none');
     }
 
-    // Update rating
+    // Update rating (only when it changed - rebinding a recycled card shouldn't churn the stars)
     const ratingContainer = card.querySelector('.rating');
-    ratingContainer.innerHTML = this.renderStars(photo.rating || 0, photoId);
-
-    // Re-attach star click handlers
-    const stars = ratingContainer.querySelectorAll('.star');
-    stars.forEach((star, index) => {
-      star.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.app.ratePhoto(photoId, index + 1);
-      });
-    });
+    const rating = String(photo.rating || 0);
+    if (ratingContainer.dataset.rating !== rating) {
+      ratingContainer.dataset.rating = rating;
+      ratingContainer.innerHTML = this.renderStars(photo.rating || 0, photoId);
+    }
   }
 
-  toggleSelection(photoId) {
-    const card = this.photoCards.get(photoId);
-    if (!card) return;
+  /**
+   * A photo left the set (deleted in another tab, or pushed by the change stream):
+   * drop it from the selection and re-render the rows, which moved up
+   */
+  removePhotoCard(photoId) {
+    if (this.app.state.selectedPhotos.delete(photoId)) {
+      this.app.components.bulkActions.update(this.app.state.selectedPhotos.size);
+    }
+    this.refresh();
+  }
 
-    if (this.app.state.selectedPhotos.has(photoId)) {
-      this.app.state.selectedPhotos.delete(photoId);
-      card.classList.remove('selected');
-      card.querySelector('.selection-indicator').style.display = 'none';
-    } else {
+  toggleSelection(photoId) {
+    const selected = !this.app.state.selectedPhotos.has(photoId);
+    if (selected) {
       this.app.state.selectedPhotos.add(photoId);
-      card.classList.add('selected');
-      card.querySelector('.selection-indicator').style.display = 'flex';
+    } else {
+      this.app.state.selectedPhotos.delete(photoId);
+    }
+
+    const card = this.photoCards.get(photoId);
+    if (card) {
+      this.renderSelection(card, selected);
     }
 
     // Update bulk actions toolbar
     this.app.components.bulkActions.update(this.app.state.selectedPhotos.size);
   }
 
+  renderSelection(card, selected) {
+    card.classList.toggle('selected', selected);
+    card.querySelector('.selection-indicator').style.display = selected ? 'flex' : 'none';
+  }
+
   formatDate(isoString) {
     const date = new Date(isoString);
     const formatter = new Intl.DateTimeFormat('en-US', {
@@ -423,123 +769,4 @@ export class PhotoGrid {
     });
     return formatter.format(date);
   }
-
-
-  /**
-   * Append new photos to the grid (for pagination/infinite scroll)
-   * @param {Array} photos - Array of new photos to append
-   */
-  appendPhotos(photos) {
-    console.log(`[DEBUG Grid.appendPhotos] CALLED with ${photos ? photos.length : 0} photos`);
-
-    if (!photos || photos.length === 0) {
-      console.log(`[DEBUG Grid.appendPhotos] No photos to append - returning`);
-      return;
-    }
-
-    console.log(`[DEBUG Grid.appendPhotos] Appending ${photos.length} photos to DOM...`);
-
-    // Add new photo cards to DOM
-    photos.forEach((photo, index) => {
-      console.log(`[DEBUG Grid.appendPhotos] Adding photo ${index + 1}/${photos.length}: ${photo.id}`);
-      this.addPhotoCard(photo);
-    });
-
-    // CSS handles layout automatically - no recalculation needed
-    console.log(`[DEBUG Grid.appendPhotos] Layout automatically updated by CSS - DONE`);
-  }
-
-  /**
-   * Enable infinite scroll to load more photos when near bottom
-   * Uses scroll position detection instead of sentinel (masonry-compatible)
-   */
-  enableInfiniteScroll() {
-    if (!this.scrollContainer) {
-      console.error('[Infinite Scroll] Could not find .main-content scroll container');
-      return;
-    }
-
-    // Remove any existing scroll listener
-    if (this.scrollHandler) {
-      this.scrollContainer.removeEventListener('scroll', this.scrollHandler);
-    }
-
-    // Remove old sentinel if it exists (from previous implementation)
-    const oldSentinel = this.container.querySelector('.infinite-scroll-sentinel');
-    if (oldSentinel) {
-      oldSentinel.remove();
-    }
-
-    // Create scroll handler with throttling - use arrow function to preserve 'this'
-    const checkScroll = () => {
-      const hasMorePages = this.app.state.hasMorePages;
-      const loadingMore = this.app.state.loadingMore;
-
-      console.log(`[DEBUG Scroll] hasMorePages: ${hasMorePages}, loadingMore: ${loadingMore}`);
-
-      if (!hasMorePages || loadingMore) {
-        console.log(`[DEBUG Scroll] BLOCKED - hasMorePages: ${hasMorePages}, loadingMore: ${loadingMore}`);
-        return;
-      }
-
-      // Use scrollContainer measurements instead of window
-      const scrollTop = this.scrollContainer.scrollTop;
-      const scrollHeight = this.scrollContainer.scrollHeight;
-      const clientHeight = this.scrollContainer.clientHeight;
-
-      // Calculate distance from bottom
-      const distanceFromBottom = scrollHeight - (scrollTop + clientHeight);
-
-      console.log(`[DEBUG Scroll] scrollTop: ${scrollTop}, scrollHeight: ${scrollHeight}, clientHeight: ${clientHeight}, distanceFromBottom: ${distanceFromBottom}`);
-
-      // Trigger when within 400px of bottom
-      if (distanceFromBottom < 400) {
-        console.log(`[DEBUG Scroll] TRIGGERING loadMorePhotos - distanceFromBottom: ${distanceFromBottom}`);
-        this.app.loadMorePhotos();
-      }
-    };
-
-    this.scrollHandler = this.throttle(checkScroll, 200); // Throttle to every 200ms
-
-    this.scrollContainer.addEventListener('scroll', this.scrollHandler);
-    console.log('[Infinite Scroll] Enabled with scroll-based detection on .main-content (400px preload)');
-  }
-
-  /**
-   * Throttle function to limit execution rate
-   */
-  throttle(func, wait) {
-    let timeout = null;
-    let previous = 0;
-
-    return (...args) => {
-      const now = Date.now();
-      const remaining = wait - (now - previous);
-
-      if (remaining <= 0 || remaining > wait) {
-        if (timeout) {
-          clearTimeout(timeout);
-          timeout = null;
-        }
-        previous = now;
-        func(...args);
-      } else if (!timeout) {
-        timeout = setTimeout(() => {
-          previous = Date.now();
-          timeout = null;
-          func(...args);
-        }, remaining);
-      }
-    };
-  }
-
-  /**
-   * Disable infinite scroll
-   */
-  disableInfiniteScroll() {
-    if (this.scrollHandler && this.scrollContainer) {
-      this.scrollContainer.removeEventListener('scroll', this.scrollHandler);
-      this.scrollHandler = null;
-    }
-  }
 }
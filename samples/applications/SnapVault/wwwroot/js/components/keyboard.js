@@ -1,149 +1,134 @@
 /**
  * Keyboard Shortcuts Component
- * Global keyboard navigation and shortcuts
+ * The app's commands in the keymap: navigation, the library grid's display, dialogs and help, and the
+ * ActionRegistry actions with a hotkey (on the selection in the grid, on the photo in the lightbox, on
+ * the active pane in compare mode)
  */
 
+import { GRID_LAYOUTS, VIEW_PRESETS } from '../viewPresets.js';
+import { ActionRegistry } from '../system/ActionRegistry.js';
+
+// Keymap scopes an ActionRegistry context runs in
+const ACTION_SCOPES = ['grid', 'lightbox', 'compare'];
+
 export class KeyboardShortcuts {
   constructor(app) {
     this.app = app;
-    this.setupListeners();
+    this.keymap = app.keymap;
+    this.registerShortcuts();
   }
 
-  setupListeners() {
-    document.addEventListener('keydown', (e) => {
-      // Don't handle shortcuts when typing in input fields or contentEditable elements
-      if (e.target.matches('input, textarea, select') ||
-          e.target.isContentEditable) {
-        // Allow Escape to blur inputs and contentEditable
-        if (e.key === 'Escape') {
-          e.target.blur();
-        }
-        return;
-      }
+  registerShortcuts() {
+    const { app, keymap } = this;
 
-      this.handleShortcut(e);
+    // Navigation
+    keymap.register({
+      id: 'search.focus', label: 'Focus search', group: 'Navigation', scope: 'grid', keys: ['/'],
+      run: () => app.components.search.focus()
+    });
+    keymap.register({
+      id: 'nav.gallery', label: 'Go to Gallery', group: 'Navigation', scope: 'grid', keys: ['g e'],
+      run: () => app.switchWorkspace('gallery')
+    });
+    keymap.register({
+      id: 'nav.timeline', label: 'Go to Timeline', group: 'Navigation', scope: 'grid', keys: ['g t'],
+      run: () => app.switchWorkspace('timeline')
+    });
+    keymap.register({
+      id: 'nav.all-photos', label: 'Go to All Photos', group: 'Navigation', scope: 'grid', keys: ['g a'],
+      run: () => app.components.collectionView?.setView('all-photos')
+    });
+    keymap.register({
+      id: 'nav.favorites', label: 'Go to Favorites', group: 'Navigation', scope: 'grid', keys: ['g f'],
+      run: () => app.components.collectionView?.setView('favorites')
+    });
+    keymap.register({
+      id: 'nav.trash', label: 'Open Trash', group: 'Navigation', scope: 'grid', keys: ['g x'],
+      run: () => app.components.trash.open()
     });
-  }
 
-  handleShortcut(e) {
-    // Navigation
-    if (e.key === '/') {
-      e.preventDefault();
-      this.app.components.search.focus();
-      return;
-    }
+    // Upload
+    keymap.register({
+      id: 'upload.open', label: 'Upload photos', group: 'Actions', scope: 'grid', keys: ['u'],
+      run: () => app.components.upload.open()
+    });
 
-    if (e.key === 'Escape') {
-      // Close any modals
-      if (this.app.components.lightbox.isOpen) {
-        this.app.components.lightbox.close();
+    // View presets (1-4) and grid layout: cycle grid → justified → masonry
+    Object.values(VIEW_PRESETS)
+      .sort((a, b) => a.order - b.order)
+      .forEach(preset => keymap.register({
+        id: `view.preset.${preset.id}`, label: `${preset.label} view`, group: 'View', scope: 'grid', keys: [String(preset.order)],
+        run: () => app.setViewPreset(preset.id)
+      }));
+    keymap.register({
+      id: 'view.layout.cycle', label: 'Cycle grid layout', group: 'View', scope: 'grid', keys: ['l'],
+      run: () => {
+        const layouts = Object.keys(GRID_LAYOUTS);
+        const next = layouts[(layouts.indexOf(app.state.gridLayout) + 1) % layouts.length];
+        app.setGridLayout(next);
       }
-      if (this.app.components.upload.isOpen) {
-        this.app.components.upload.close();
-      }
-      return;
-    }
+    });
+    keymap.register({
+      id: 'view.stacks', label: 'Stack bursts on/off', group: 'View', scope: 'grid', keys: ['s'],
+      run: () => app.setStackBursts(!app.state.stackBursts)
+    });
 
-    // Upload
-    if (e.key === 'u' || e.key === 'U') {
-      e.preventDefault();
-      this.app.components.upload.open();
-      return;
-    }
+    // Photo actions: ActionRegistry hotkeys
+    Object.values(ActionRegistry)
+      .filter(action => action.hotkey)
+      .forEach(action => keymap.register({
+        id: action.id,
+        label: action.label,
+        group: 'Photo',
+        scope: action.contexts.filter(context => ACTION_SCOPES.includes(context)),
+        keys: [action.hotkey],
+        run: (context) => this.runAction(action.id, context)
+      }));
 
-    // View preset controls
-    if (e.key === '1') {
-      e.preventDefault();
-      this.app.setViewPreset('gallery');
-      return;
-    }
-    if (e.key === '2') {
-      e.preventDefault();
-      this.app.setViewPreset('comfortable');
-      return;
-    }
-    if (e.key === '3') {
-      e.preventDefault();
-      this.app.setViewPreset('cozy');
-      return;
-    }
-    if (e.key === '4') {
-      e.preventDefault();
-      this.app.setViewPreset('compact');
-      return;
-    }
+    // Undo and redo deletes, favorites, rejects and collection removals (ActionRegistry actions with an
+    // undo spec). Compare mode re-reads its panes after.
+    keymap.register({
+      id: 'history.undo', label: 'Undo', group: 'Actions', scope: ACTION_SCOPES, keys: ['Mod+z'],
+      run: async ({ scope, owner }) => {
+        await app.actions.undo();
+        if (scope === 'compare') await owner.refresh();
+      }
+    });
+    keymap.register({
+      id: 'history.redo', label: 'Redo', group: 'Actions', scope: ACTION_SCOPES, keys: ['Mod+Shift+z', 'Mod+y'],
+      run: async ({ scope, owner }) => {
+        await app.actions.redo();
+        if (scope === 'compare') await owner.refresh();
+      }
+    });
 
-    // Workspace and Library navigation
-    if (e.key === 'g') {
-      // Wait for second key
-      document.addEventListener('keydown', (e2) => {
-        if (e2.key === 'e') {
-          this.app.switchWorkspace('gallery');
-        } else if (e2.key === 't') {
-          this.app.switchWorkspace('timeline');
-        } else if (e2.key === 'a') {
-          // Go to All Photos
-          if (this.app.components.collectionView) {
-            this.app.components.collectionView.setView('all-photos');
-          }
-        } else if (e2.key === 'f') {
-          // Go to Favorites
-          if (this.app.components.collectionView) {
-            this.app.components.collectionView.setView('favorites');
-          }
-        }
-      }, { once: true });
-      return;
-    }
+    // Dialogs (upload, this help): Escape closes the top one, even from one of its fields
+    keymap.register({
+      id: 'dialog.close', label: 'Close/Cancel', group: 'Dialogs', scope: 'dialog', keys: ['Escape'], inInputs: true,
+      run: ({ owner }) => owner?.close()
+    });
 
     // Help
-    if (e.key === '?') {
-      this.showShortcutsHelp();
-      return;
-    }
+    keymap.register({
+      id: 'help.shortcuts', label: 'Show/hide keyboard shortcuts', group: 'Help', keys: ['?'],
+      run: () => app.components.keymapHelp.toggle()
+    });
   }
 
-  showShortcutsHelp() {
-    const shortcuts = `
-      <div class="shortcuts-help">
-        <h3>Keyboard Shortcuts</h3>
-        <div class="shortcuts-grid">
-          <div class="shortcut-group">
-            <h4>Navigation</h4>
-            <dl>
-              <dt><kbd>/</kbd></dt><dd>Focus search</dd>
-              <dt><kbd>G</kbd> <kbd>E</kbd></dt><dd>Go to Gallery</dd>
-              <dt><kbd>G</kbd> <kbd>T</kbd></dt><dd>Go to Timeline</dd>
-              <dt><kbd>G</kbd> <kbd>A</kbd></dt><dd>Go to All Photos</dd>
-              <dt><kbd>G</kbd> <kbd>F</kbd></dt><dd>Go to Favorites</dd>
-              <dt><kbd>Esc</kbd></dt><dd>Close/Cancel</dd>
-            </dl>
-          </div>
-          <div class="shortcut-group">
-            <h4>Actions</h4>
-            <dl>
-              <dt><kbd>U</kbd></dt><dd>Upload photos</dd>
-              <dt><kbd>F</kbd></dt><dd>Toggle favorite</dd>
-              <dt><kbd>1-5</kbd></dt><dd>Rate photo</dd>
-            </dl>
-          </div>
-          <div class="shortcut-group">
-            <h4>View Presets</h4>
-            <dl>
-              <dt><kbd>1</kbd></dt><dd>Gallery view</dd>
-              <dt><kbd>2</kbd></dt><dd>Comfortable view</dd>
-              <dt><kbd>3</kbd></dt><dd>Cozy view</dd>
-              <dt><kbd>4</kbd></dt><dd>Compact view</dd>
-            </dl>
-          </div>
-        </div>
-        <button class="btn-primary btn-close-help">Close</button>
-      </div>
-    `;
+  /**
+   * An ActionRegistry action from its hotkey: on the lightbox's photo, compare's active pane, or the
+   * grid's selection
+   */
+  runAction(actionId, { scope, owner }) {
+    if (scope === 'lightbox') {
+      return owner.keyboard.runAction(actionId);
+    }
+    if (scope === 'compare') {
+      return owner.runAction(actionId);
+    }
 
-    this.app.components.toast.show(shortcuts, {
-      duration: 0, // Don't auto-close
-      allowHtml: true
-    });
+    const photoIds = [...this.app.state.selectedPhotos];
+    if (photoIds.length === 0) return false;
+    return this.app.actions.execute(actionId, photoIds);
   }
 }
@@ -0,0 +1,235 @@
+/**
+ * Keymap Help
+ * The keyboard shortcuts overlay, generated from the keymap: every command by section with its keys.
+ * The user rebinds one by clicking Change and typing the new keys, and can reset, export and import
+ * the whole keymap. Opens in the 'dialog' scope, so the shortcuts underneath wait until it closes.
+ */
+
+import { formatBinding } from '../system/Keymap.js';
+import { escapeHtml } from '../utils/html.js';
+
+const SCOPE_LABELS = {
+  global: 'Everywhere',
+  grid: 'Library',
+  lightbox: 'Lightbox',
+  compare: 'Compare',
+  dialog: 'Dialogs'
+};
+
+function scopeLabel(scopes) {
+  return scopes.map(scope => SCOPE_LABELS[scope]).join(' & ');
+}
+
+/**
+ * <kbd> markup for a command's bindings ('' when it has none)
+ * @param {string[]} keys - canonical bindings
+ */
+export function renderKeys(keys) {
+  return keys.map(binding => formatBinding(binding)
+    .map(combo => combo.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join('+'))
+    .join(' <span class="keymap-then">then</span> ')
+  ).join(' <span class="keymap-or">or</span> ');
+}
+
+export class KeymapHelp {
+  constructor(app) {
+    this.app = app;
+    this.keymap = app.keymap;
+    this.overlay = null;
+    this.scopeEntry = null;
+    this.openedFrom = null;
+    this.recordingId = null;
+
+    this.keymap.on('change', () => this.render());
+  }
+
+  get isOpen() {
+    return this.overlay !== null;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.isOpen) return;
+
+    // The sections for where the user is come first
+    this.openedFrom = this.keymap.activeScope;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'keyboard-help-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Keyboard shortcuts');
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.close();
+        return;
+      }
+      const button = e.target.closest('[data-action]');
+      if (button) {
+        this.handleAction(button.dataset.action, button.closest('[data-command-id]')?.dataset.commandId);
+      }
+    });
+    overlay.addEventListener('change', (e) => {
+      if (e.target.matches('.keymap-import-input')) {
+        this.importFile(e.target.files[0]);
+      }
+    });
+
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+    this.scopeEntry = this.keymap.pushScope('dialog', this);
+    this.render();
+    overlay.querySelector('.btn-close-help')?.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.keymap.cancelRecording();
+    this.overlay.remove();
+    this.overlay = null;
+    this.keymap.popScope(this.scopeEntry);
+    this.scopeEntry = null;
+  }
+
+  render() {
+    if (!this.overlay) return;
+
+    const commands = this.keymap.list();
+    const conflicts = this.keymap.conflicts();
+    const conflicted = new Set(conflicts.flatMap(conflict => conflict.commands));
+    const labels = new Map(commands.map(command => [command.id, command.label]));
+
+    const groups = new Map();
+    for (const command of commands) {
+      const key = `${command.scopes.join(',')}:${command.group}`;
+      if (!groups.has(key)) {
+        groups.set(key, { scopes: command.scopes, title: command.group, commands: [] });
+      }
+      groups.get(key).commands.push(command);
+    }
+    const sections = [...groups.values()].sort((a, b) =>
+      Number(b.scopes.includes(this.openedFrom)) - Number(a.scopes.includes(this.openedFrom)));
+
+    this.overlay.innerHTML = `
+      <div class="help-card">
+        <div class="help-header">
+          <h2>Keyboard Shortcuts</h2>
+          <button class="btn-close-help" data-action="close" aria-label="Close help">×</button>
+        </div>
+        ${conflicts.length > 0 ? `
+          <ul class="keymap-conflicts" role="alert">
+            ${conflicts.map(conflict => `
+              <li>⚠️ ${renderKeys([conflict.keys[0]])} ${escapeHtml(labels.get(conflict.commands[0]))}
+                and ${renderKeys([conflict.keys[1]])} ${escapeHtml(labels.get(conflict.commands[1]))}
+                collide (${escapeHtml(scopeLabel([conflict.scope]))})</li>
+            `).join('')}
+          </ul>
+        ` : ''}
+        <div class="help-content">
+          ${sections.map(section => `
+            <div class="help-section">
+              <h3>${escapeHtml(section.title)} · ${escapeHtml(scopeLabel(section.scopes))}</h3>
+              <div class="help-shortcuts">
+                ${section.commands.map(command => this.renderCommand(command, conflicted.has(command.id))).join('')}
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        <div class="keymap-footer">
+          <span class="keymap-footer-hint">Changes are saved in this browser</span>
+          <button class="btn btn-ghost" data-action="export">Export</button>
+          <label class="btn btn-ghost">
+            Import
+            <input type="file" class="keymap-import-input" accept="application/json,.json" hidden>
+          </label>
+          <button class="btn btn-ghost" data-action="reset-all">Reset all</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderCommand(command, conflicted) {
+    const recording = command.id === this.recordingId;
+    const keys = recording
+      ? '<span class="keymap-recording">Type the new keys… (Esc cancels)</span>'
+      : renderKeys(command.keys) || '<span class="keymap-unbound">Not set</span>';
+
+    return `
+      <div class="keymap-row${conflicted ? ' has-conflict' : ''}" data-command-id="${escapeHtml(command.id)}">
+        <span class="keymap-keys">${keys}</span>
+        <span class="keymap-label">${escapeHtml(command.label)}</span>
+        <span class="keymap-row-actions">
+          <button class="keymap-change" data-action="change" aria-label="Change keys for ${escapeHtml(command.label)}">Change</button>
+          ${command.customized ? `<button class="keymap-reset" data-action="reset" aria-label="Reset keys for ${escapeHtml(command.label)}">Reset</button>` : ''}
+        </span>
+      </div>
+    `;
+  }
+
+  handleAction(action, commandId) {
+    switch (action) {
+      case 'close': this.close(); break;
+      case 'change': this.change(commandId); break;
+      case 'reset': this.keymap.reset(commandId); break;
+      case 'reset-all': this.keymap.reset(); break;
+      case 'export': this.exportKeymap(); break;
+    }
+  }
+
+  /**
+   * Rebind a command to the next keys the user types
+   */
+  async change(commandId) {
+    this.recordingId = commandId;
+    this.render();
+
+    const binding = await this.keymap.record();
+    this.recordingId = null;
+    if (!binding) {
+      this.render();
+      return;
+    }
+
+    const conflicts = this.keymap.remap(commandId, [binding]);
+    if (conflicts.length > 0) {
+      this.app.components.toast.show('Those keys are also bound to another shortcut - change one of them', {
+        icon: '⚠️',
+        duration: 4000
+      });
+    }
+  }
+
+  exportKeymap() {
+    const blob = new Blob([JSON.stringify(this.keymap.export(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'snapvault-keymap.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async importFile(file) {
+    if (!file) return;
+
+    try {
+      const conflicts = this.keymap.import(JSON.parse(await file.text()));
+      this.app.components.toast.show(conflicts.length > 0 ? 'Keymap imported - some shortcuts conflict' : 'Keymap imported', {
+        icon: conflicts.length > 0 ? '⚠️' : '⌨️',
+        duration: 3000
+      });
+    } catch (error) {
+      console.error('[KeymapHelp] Import failed:', error);
+      this.app.components.toast.show(`Could not import keymap: ${error.message}`, { icon: '⚠️', duration: 4000 });
+    }
+  }
+}
@@ -9,6 +9,14 @@ import { LightboxActions } from './lightboxActions.js';
 import { LightboxKeyboard } from './lightboxKeyboard.js';
 import { FocusManager } from './lightboxFocus.js';
 import { AnnouncementManager } from './lightboxAnnouncer.js';
+import { IMAGE_TIERS, buildSrcset, watchDevicePixelRatio } from '../viewPresets.js';
+import { placeholderBackground } from '../utils/blurhash.js';
+
+// Tiers the lightbox picks from before the original (smallest first)
+const LIGHTBOX_TIERS = ['gallery', 'display'];
+
+// The image fades in over its placeholder (opacity, --duration-fast), which is hidden after
+const PLACEHOLDER_FADE = 150;
 
 export class Lightbox {
   constructor(app) {
@@ -76,6 +84,7 @@ export class Lightbox {
       <div class="lightbox-viewer">
         <!-- Main image container -->
         <div class="lightbox-stage" role="document">
+        <div class="lightbox-placeholder" hidden></div>
         <img class="lightbox-image" alt="Current photo" />
       </div>
 
@@ -86,6 +95,8 @@ export class Lightbox {
           <div class="lightbox-photo-info">
             <span class="photo-filename"></span>
             <span class="photo-dimensions"></span>
+            <span class="photo-rejected-badge" hidden>Rejected</span>
+            <span class="photo-stack-badge" hidden></span>
           </div>
           <div class="lightbox-actions">
             <button class="btn-icon btn-info" title="Photo Information (I)" aria-label="Toggle photo information panel" aria-expanded="false" aria-controls="info-panel">
@@ -195,6 +206,16 @@ export class Lightbox {
       }, 2000);
     });
 
+    // Another pixel ratio (window moved between monitors): re-pick the tier, and re-decide on the original
+    watchDevicePixelRatio(() => {
+      if (!this.isOpen || this.imageLoadState !== 'gallery-loaded') return;
+
+      image.sizes = '';
+      image.sizes = this.getImageSizes();
+      clearTimeout(this.originalLoadTimer);
+      this.scheduleOriginalLoad(image, `/media/${this.currentPhotoId}`);
+    });
+
     // NOTE: Keyboard shortcuts are now handled by LightboxKeyboard (Phase 5)
     // The old keyboard handler has been removed to prevent conflicts
   }
@@ -251,6 +272,8 @@ export class Lightbox {
 
       // Get lightweight metadata from PhotoSet for initial display
       this.currentPhoto = this.photoSet.getCurrentPhoto();
+      this.app.router?.update();
+      this.app.recentPhotos?.add(this.currentPhoto);
 
       console.log(`[Lightbox] Opened photo ${this.currentIndex + 1} of ${this.totalCount}`);
 
@@ -380,10 +403,13 @@ export class Lightbox {
     this.currentIndex = -1;
     this.totalCount = 0;
     clearTimeout(this.chromeTimeout);
+
+    this.app.router?.update();
   }
 
   async loadPhoto() {
-    // Progressive loading: Gallery (fast) → Original (high quality)
+    // Progressive loading: Gallery/Display tier (fast; the browser picks by size × DPR, in its best
+    // format) → Original (high quality), when the screen can show more than the tier has
     // Optimized for future web deployment with slow networks
 
     const image = this.container.querySelector('.lightbox-image');
@@ -401,10 +427,12 @@ export class Lightbox {
     this.imageLoadState = 'loading-gallery';
     image.dataset.quality = 'gallery';
 
-    // Show loading state
-    image.style.opacity = '0.5';
+    // Show loading state: the photo's blurhash where it will land, else the previous photo dimmed
+    image.style.opacity = this.showPlaceholder() ? '0' : '0.5';
 
-    // PHASE 1: Load gallery version (fast, ~200KB)
+    // PHASE 1: Load gallery or display tier (fast, ~200KB-1MB)
+    image.srcset = buildSrcset({ ...this.currentPhoto, id: this.currentPhotoId }, LIGHTBOX_TIERS);
+    image.sizes = this.getImageSizes();
     image.src = galleryUrl;
     image.alt = this.currentPhoto.originalFileName;
 
@@ -416,6 +444,7 @@ export class Lightbox {
 
       image.style.opacity = '1';
       this.imageLoadState = 'gallery-loaded';
+      this.hidePlaceholder(PLACEHOLDER_FADE);
 
       // PHASE 2: Schedule original load after user engagement
       // Only load original if:
@@ -426,12 +455,76 @@ export class Lightbox {
     } catch (error) {
       console.error('Failed to load gallery image:', error);
       image.style.opacity = '1';
+      this.hidePlaceholder();
       // Fallback: try original directly
       await this.loadOriginalImage(image, originalUrl);
     }
   }
 
+  /**
+   * Show the current photo's blurhash in the box its image will fill
+   * Sized by CSS from the image's rendered width and aspect (see .lightbox-placeholder), so it
+   * follows the stage as the panel opens.
+   * @returns {boolean} whether the photo has one
+   */
+  showPlaceholder() {
+    const placeholder = this.container.querySelector('.lightbox-placeholder');
+    const background = placeholderBackground(this.currentPhoto);
+    const { width, height } = this.currentPhoto;
+
+    if (!background || !(width > 0 && height > 0)) {
+      placeholder.hidden = true;
+      return false;
+    }
+
+    placeholder.style.backgroundImage = background;
+    placeholder.style.setProperty('--photo-width', this.getImageSizes());
+    placeholder.style.setProperty('--photo-aspect', String(width / height));
+    placeholder.hidden = false;
+    return true;
+  }
+
+  /**
+   * @param {number} delay - ms to keep it under the image while the image fades in
+   */
+  hidePlaceholder(delay = 0) {
+    const placeholder = this.container.querySelector('.lightbox-placeholder');
+    const photoId = this.currentPhotoId;
+
+    setTimeout(() => {
+      // Another photo has shown its own placeholder since
+      if (this.currentPhotoId === photoId) {
+        placeholder.hidden = true;
+      }
+    }, delay);
+  }
+
+  /**
+   * Rendered width of the photo, fitted to the viewport - the sizes for its srcset
+   * (an upper bound: the info panel only narrows it)
+   */
+  getImageSizes() {
+    const { width, height } = this.currentPhoto;
+    const aspect = width > 0 && height > 0 ? width / height : 3 / 2;
+    return `${Math.ceil(Math.min(window.innerWidth, window.innerHeight * aspect))}px`;
+  }
+
+  /**
+   * Does the screen show more pixels of this photo than the largest tier holds?
+   */
+  needsOriginal() {
+    const { width, height } = this.currentPhoto;
+    if (!(width > 0 && height > 0)) return true;
+
+    const largestTier = Math.min(width, width * IMAGE_TIERS[LIGHTBOX_TIERS[LIGHTBOX_TIERS.length - 1]] / Math.max(width, height));
+    const shown = parseFloat(this.getImageSizes()) * (window.devicePixelRatio || 1);
+    return largestTier < width && shown > largestTier;
+  }
+
   scheduleOriginalLoad(image, originalUrl) {
+    // The tier already covers the screen's pixels: the original waits for a zoom (onUserZoom)
+    if (!this.needsOriginal()) return;
+
     // Check if original is already cached - if so, load immediately
     // Otherwise delay by 2 seconds to avoid wasting bandwidth for quick navigation
     this.checkIfCached(originalUrl).then(isCached => {
@@ -519,7 +612,9 @@ export class Lightbox {
         image.style.transition = 'none';
       }
 
-      // Seamless swap: update src and adjust scale simultaneously
+      // Seamless swap: update src and adjust scale simultaneously (srcset would win over src)
+      image.removeAttribute('srcset');
+      image.removeAttribute('sizes');
       image.src = originalUrl;
       image.dataset.quality = 'original';
       this.imageLoadState = 'original-loaded';
@@ -642,6 +737,16 @@ export class Lightbox {
     // Filename and dimensions
     this.container.querySelector('.photo-filename').textContent = photo.originalFileName;
     this.container.querySelector('.photo-dimensions').textContent = `${photo.width} × ${photo.height}`;
+    this.container.querySelector('.photo-rejected-badge').hidden = !photo.isRejected;
+
+    // Burst stack: a collapsed one's cover, or a frame of an expanded one
+    const stackBadge = this.container.querySelector('.photo-stack-badge');
+    const { stack } = photo;
+    stackBadge.hidden = !stack;
+    if (stack) {
+      const place = stack.expanded ? `${stack.position + 1} of ${stack.count} in stack` : `Stack of ${stack.count}`;
+      stackBadge.textContent = photo.isStackPick ? `${place} · Pick` : place;
+    }
 
     // Favorite button state
     const favoriteBtn = this.container.querySelector('.btn-favorite');
@@ -718,46 +823,7 @@ export class Lightbox {
         return;
       }
 
-      // Update current state from PhotoSet
-      this.currentPhoto = this.photoSet.currentPhoto;
-      this.currentPhotoId = this.currentPhoto.id;
-      this.currentIndex = this.photoSet.currentIndex;
-
-      // Preserve current zoom mode
-      const preservedMode = this.zoomSystem ? this.zoomSystem.mode : 'fit';
-
-      // Load and display photo
-      await this.loadPhoto();
-      this.updateMetadata();
-      this.updateNavigation();
-      this.updatePositionIndicator();
-
-      // Restore zoom mode (Phase 3)
-      if (this.zoomSystem) {
-        this.zoomSystem.setMode(preservedMode);
-      }
-
-      // Update unified panel
-      if (this.panel && this.currentPhoto) {
-        this.panel.render(this.currentPhoto);
-      }
-
-      // Update actions with new photo (Phase 4)
-      if (this.actions && this.currentPhoto) {
-        this.actions.setPhoto(this.currentPhoto);
-      }
-
-      // Announce photo change (Phase 6)
-      if (this.announcer && this.currentPhoto) {
-        this.announcer.announcePhotoChange(
-          this.currentIndex,
-          this.totalCount,
-          this.currentPhoto.originalFileName
-        );
-      }
-
-      // Fetch full photo details including AI analysis in background
-      this.fetchFullPhotoDetails(this.currentPhotoId);
+      await this.showCurrentPhoto();
 
     } catch (error) {
       console.error('[Lightbox] Error navigating to next photo:', error);
@@ -786,54 +852,190 @@ export class Lightbox {
         return;
       }
 
-      // Update current state from PhotoSet
-      this.currentPhoto = this.photoSet.currentPhoto;
-      this.currentPhotoId = this.currentPhoto.id;
-      this.currentIndex = this.photoSet.currentIndex;
+      await this.showCurrentPhoto();
 
-      // Preserve current zoom mode
-      const preservedMode = this.zoomSystem ? this.zoomSystem.mode : 'fit';
+    } catch (error) {
+      console.error('[Lightbox] Error navigating to previous photo:', error);
+      this.app.components.toast.show('Failed to load previous photo', {
+        icon: '⚠️',
+        duration: 3000
+      });
+    }
+  }
 
-      // Load and display photo
-      await this.loadPhoto();
-      this.updateMetadata();
-      this.updateNavigation();
-      this.updatePositionIndicator();
+  /**
+   * Show the photo the PhotoSet has navigated to
+   */
+  async showCurrentPhoto() {
+    // Update current state from PhotoSet
+    this.currentPhoto = this.photoSet.currentPhoto;
+    this.currentPhotoId = this.currentPhoto.id;
+    this.currentIndex = this.photoSet.currentIndex;
+    this.app.router?.update();
+    this.app.recentPhotos?.add(this.currentPhoto);
+
+    // Preserve current zoom mode
+    const preservedMode = this.zoomSystem ? this.zoomSystem.mode : 'fit';
+
+    // Load and display photo
+    await this.loadPhoto();
+    this.updateMetadata();
+    this.updateNavigation();
+    this.updatePositionIndicator();
+
+    // Restore zoom mode (Phase 3)
+    if (this.zoomSystem) {
+      this.zoomSystem.setMode(preservedMode);
+    }
 
-      // Restore zoom mode (Phase 3)
-      if (this.zoomSystem) {
-        this.zoomSystem.setMode(preservedMode);
-      }
+    // Update unified panel
+    if (this.panel && this.currentPhoto) {
+      this.panel.render(this.currentPhoto);
+    }
 
-      // Update unified panel
-      if (this.panel && this.currentPhoto) {
-        this.panel.render(this.currentPhoto);
-      }
+    // Update actions with new photo (Phase 4)
+    if (this.actions && this.currentPhoto) {
+      this.actions.setPhoto(this.currentPhoto);
+    }
 
-      // Update actions with new photo (Phase 4)
-      if (this.actions && this.currentPhoto) {
-        this.actions.setPhoto(this.currentPhoto);
-      }
+    // Announce photo change (Phase 6)
+    if (this.announcer && this.currentPhoto) {
+      this.announcer.announcePhotoChange(
+        this.currentIndex,
+        this.totalCount,
+        this.currentPhoto.originalFileName
+      );
+    }
 
-      // Announce photo change (Phase 6)
-      if (this.announcer && this.currentPhoto) {
-        this.announcer.announcePhotoChange(
-          this.currentIndex,
-          this.totalCount,
-          this.currentPhoto.originalFileName
-        );
+    // Fetch full photo details including AI analysis in background
+    this.fetchFullPhotoDetails(this.currentPhotoId);
+  }
+
+  /**
+   * Show a photo of the open set by id (history back/forward): a jump within the loaded window,
+   * else to the index the server looks up
+   */
+  async show(photoId) {
+    if (!this.photoSet) {
+      await this.open(photoId);
+      return;
+    }
+
+    let index = -1;
+    for (const [i, photo] of this.photoSet.window.cache.entries()) {
+      if (photo.id === photoId) {
+        index = i;
+        break;
       }
+    }
+    if (index === -1) {
+      index = (await this.photoSet.getPhotoIndex(photoId)).index;
+    }
 
-      // Fetch full photo details including AI analysis in background
-      this.fetchFullPhotoDetails(this.currentPhotoId);
+    await this.photoSet.jumpTo(index);
+    await this.showCurrentPhoto();
+  }
 
-    } catch (error) {
-      console.error('[Lightbox] Error navigating to previous photo:', error);
-      this.app.components.toast.show('Failed to load previous photo', {
-        icon: '⚠️',
-        duration: 3000
-      });
+  /**
+   * Step into the collapsed stack on screen: expand it (in the grid too) and show its first frame
+   * @returns {Promise<boolean>} false when the photo isn't a collapsed stack
+   */
+  async enterStack() {
+    const stack = this.currentPhoto?.stack;
+    if (!stack || stack.expanded) return false;
+
+    // A collapsed stack sits at its first frame's place
+    const index = this.currentIndex;
+    await this.app.components.collectionView.setStackExpanded(stack.id, true);
+    await this.followSet(index);
+    return true;
+  }
+
+  /**
+   * Step out of the expanded stack the photo on screen is in: fold it back and show its cover
+   * @returns {Promise<boolean>} false when the photo isn't in an expanded stack
+   */
+  async leaveStack() {
+    const stack = this.currentPhoto?.stack;
+    if (!stack?.expanded) return false;
+
+    const index = this.currentIndex - stack.position;
+    await this.app.components.collectionView.setStackExpanded(stack.id, false);
+    await this.followSet(index);
+    return true;
+  }
+
+  /**
+   * The photo past the rest of the expanded stack on screen (before it, going back); elsewhere, a plain step
+   * @param {number} direction - 1 forward, -1 back
+   */
+  async skipStack(direction) {
+    const stack = this.currentPhoto?.stack;
+    if (!stack?.expanded) {
+      return direction > 0 ? this.next() : this.previous();
+    }
+
+    const start = this.currentIndex - stack.position;
+    const target = direction > 0 ? start + stack.count : start - 1;
+    if (!this.photoSet || target < 0 || target >= this.photoSet.totalCount) return;
+
+    await this.photoSet.jumpTo(target);
+    await this.showCurrentPhoto();
+  }
+
+  /**
+   * Carry on in the view's rebuilt set at an index (a stack expanded, collapsed or re-covered under the lightbox)
+   */
+  async followSet(index) {
+    this.photoSet = this.app.components.collectionView.getPhotoSet();
+    if (!this.photoSet || this.photoSet.totalCount === 0) {
+      this.close();
+      return;
     }
+
+    this.totalCount = this.photoSet.totalCount;
+    await this.photoSet.jumpTo(Math.min(index, this.totalCount - 1));
+    await this.showCurrentPhoto();
+  }
+
+  /**
+   * Reflect an ActionRegistry action run on the photo on screen from outside the lightbox's own
+   * controls (the command palette runs them through ActionExecutor)
+   */
+  afterAction(actionId, result) {
+    if (actionId === 'photo.delete') {
+      this.close();
+    } else if (actionId === 'photo.favorite' && this.currentPhoto) {
+      this.currentPhoto.isFavorite = result.isFavorite;
+      this.actions?.updateFavoriteButton(result.isFavorite);
+    } else if (actionId === 'photo.reject' && this.currentPhoto) {
+      this.currentPhoto.isRejected = result.isRejected;
+      this.updateMetadata();
+    }
+  }
+
+  /**
+   * Compare the photo on screen with the ones after it (before it, at the end of the set)
+   * @param {number} count - photos side by side, this one included
+   */
+  async openCompare(count) {
+    if (!this.photoSet || !this.currentPhotoId) return;
+
+    const start = Math.max(0, Math.min(this.currentIndex, this.photoSet.totalCount - count));
+    const end = Math.min(this.photoSet.totalCount, start + count);
+    await this.photoSet.ensureRange(start, end);
+
+    const photoIds = [];
+    for (let index = start; index < end; index++) {
+      const photo = this.photoSet.photoAt(index);
+      if (photo) photoIds.push(photo.id);
+    }
+    if (photoIds.length < 2) {
+      this.app.components.toast.show('No other photo to compare with', { icon: 'ℹ️', duration: 2000 });
+      return;
+    }
+
+    await this.app.components.compare.open(photoIds, { active: photoIds.indexOf(this.currentPhotoId) });
   }
 
   // Old zoom methods removed - replaced by LightboxZoom system (Phase 3)
@@ -19,8 +19,17 @@ export class LightboxActions {
   async toggleFavorite() {
     if (!this.currentPhoto) return;
 
+    const photo = this.currentPhoto;
+    const isFavorite = !photo.isFavorite;
+
     try {
-      const response = await this.app.api.post(`/api/photos/${this.currentPhoto.id}/favorite`);
+      const result = await this.app.api.post(`/api/photos/${photo.id}/favorite`, { isFavorite }, {
+        offline: {
+          label: `${isFavorite ? 'Favorite' : 'Unfavorite'} ${photo.originalFileName || photo.id}`,
+          precondition: { url: `/api/photos/${photo.id}`, field: 'isFavorite', expected: photo.isFavorite, value: isFavorite }
+        }
+      });
+      const response = result?.queued ? { isFavorite } : result;
 
       // Update local state
       this.currentPhoto.isFavorite = response.isFavorite;
@@ -34,12 +43,13 @@ export class LightboxActions {
       // Update UI in panel
       this.updateFavoriteButton(response.isFavorite);
 
-      // Invalidate favorites cache
-      PhotoSetManager.invalidateCache('favorites');
+      // Invalidate favorites cache (and patch the photo in cached sets and other tabs)
+      PhotoSetManager.invalidateCache('favorites', photo.id, { isFavorite: response.isFavorite });
 
       // Show toast
+      const message = response.isFavorite ? 'Added to favorites' : 'Removed from favorites';
       this.app.components.toast.show(
-        response.isFavorite ? 'Added to favorites' : 'Removed from favorites',
+        result?.queued ? `${message} - will sync when online` : message,
         { icon: response.isFavorite ? '❤️' : '🤍', duration: 1500 }
       );
     } catch (error) {
@@ -71,8 +81,16 @@ export class LightboxActions {
   async setRating(rating) {
     if (!this.currentPhoto || rating < 0 || rating > 5) return;
 
+    const photo = this.currentPhoto;
+
     try {
-      const response = await this.app.api.post(`/api/photos/${this.currentPhoto.id}/rate`, { rating });
+      const result = await this.app.api.post(`/api/photos/${photo.id}/rate`, { rating }, {
+        offline: {
+          label: `Rate ${photo.originalFileName || photo.id} ${rating} star${rating !== 1 ? 's' : ''}`,
+          precondition: { url: `/api/photos/${photo.id}`, field: 'rating', expected: photo.rating ?? 0, value: rating }
+        }
+      });
+      const response = result?.queued ? { rating } : result;
 
       // Update local state
       this.currentPhoto.rating = response.rating;
@@ -86,6 +104,9 @@ export class LightboxActions {
       // Update UI in panel
       this.updateRatingStars(response.rating);
 
+      // Patch the photo in cached sets and other tabs
+      PhotoSetManager.invalidateCache(null, photo.id, { rating: response.rating });
+
       // Show toast
       this.app.components.toast.show(
         rating === 0 ? 'Rating removed' : `Rated ${rating} star${rating !== 1 ? 's' : ''}`,
@@ -137,44 +158,21 @@ export class LightboxActions {
     }
   }
 
+  /**
+   * Move the photo on screen to the trash, through the ActionRegistry so it can be undone
+   */
   async deletePhoto() {
     if (!this.currentPhoto) return;
 
-    // Confirmation dialog
-    const confirmed = confirm(
-      `Delete "${this.currentPhoto.originalFileName}"?\n\nThis action cannot be undone.`
-    );
-
-    if (!confirmed) return;
-
+    let result;
     try {
-      const response = await this.app.api.post('/api/photos/bulk/delete', {
-        photoIds: [this.currentPhoto.id]
-      });
-
-      if (response.deleted > 0) {
-        // Invalidate cache for this photo
-        PhotoSetManager.invalidateCache(null, this.currentPhoto.id);
-
-        // Success: Close lightbox
-        this.lightbox.close();
-
-        // Reload current view (preserves All Photos / Favorites / Collection context)
-        this.app.components.collectionView.loadPhotos();
+      result = await this.app.actions.execute('photo.delete', [this.currentPhoto.id]);
+    } catch {
+      return;   // ActionExecutor has told the user
+    }
 
-        this.app.components.toast.show('Photo deleted', {
-          icon: '✅',
-          duration: 3000
-        });
-      } else {
-        throw new Error(response.errors?.[0] || 'Delete failed');
-      }
-    } catch (error) {
-      console.error('Failed to delete photo:', error);
-      this.app.components.toast.show('Failed to delete photo', {
-        icon: '⚠️',
-        duration: 3000
-      });
+    if (result) {
+      this.lightbox.afterAction('photo.delete', result);
     }
   }
 
@@ -0,0 +1,386 @@
+/**
+ * Lightbox Compare
+ * Two to four photos side by side, for culling near-identical frames. Each pane has its own LightboxZoom;
+ * zooming or panning one moves them all, so the same detail (eyes, focus) lines up across the frames.
+ * Keys act on the active pane: rate, favorite, reject - or keep it and reject the others, a bulk
+ * photo.reject that reports and undoes like the selection toolbar's actions.
+ *
+ * Opens from the grid's selection or the lightbox, in its own 'compare' keymap scope above either.
+ */
+
+import { LightboxZoom } from './lightboxZoom.js';
+import { PhotoSetManager } from '../services/PhotoSetManager.js';
+import { describeError } from '../utils/errors.js';
+import { escapeHtml, pluralize } from '../utils/html.js';
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+const ZOOM_LABELS = { fit: 'Fit', fill: 'Fill', original: '100%' };
+
+// ActionRegistry actions compare runs on the active pane (bound by their hotkeys)
+const COMPARE_ACTIONS = ['photo.favorite', 'photo.reject'];
+
+/**
+ * One photo in the compare view: the host its LightboxZoom sizes and pans
+ */
+class ComparePane {
+  constructor(compare, photo) {
+    this.compare = compare;
+    this.photo = photo;
+    this.element = null;
+    this.photoElement = null;
+    this.originalLoaded = false;
+    this.zoom = new LightboxZoom(this, {
+      getStage: () => this.element?.querySelector('.compare-stage'),
+      onPan: () => compare.syncPan(this)
+    });
+  }
+
+  mount(element) {
+    this.element = element;
+    this.photoElement = element.querySelector('.compare-image');
+    this.photoElement.addEventListener('load', () => this.onLoad());
+    this.photoElement.src = `/media/${this.photo.id}/display`;
+  }
+
+  onLoad() {
+    // Sized for the new image at once (no zoom animation from its natural size), then shown
+    const image = this.photoElement;
+    this.zoom.setMode(this.compare.mode);
+    image.style.transition = 'none';
+    image.classList.add('loaded');
+    requestAnimationFrame(() => {
+      image.style.transition = '';
+    });
+  }
+
+  /**
+   * Zoomed in: swap in the original, keeping the mode and where the pane is panned to
+   */
+  onUserZoom() {
+    if (this.originalLoaded || !this.photoElement) return;
+    this.originalLoaded = true;
+
+    const original = new Image();
+    original.onload = () => {
+      if (!this.photoElement) return;
+      const ratio = this.zoom.getPanRatio();
+      this.photoElement.addEventListener('load', () => this.zoom.setPanRatio(ratio), { once: true });
+      this.photoElement.src = original.src;
+    };
+    original.onerror = () => {
+      this.originalLoaded = false;
+    };
+    original.src = `/media/${this.photo.id}`;
+  }
+
+  unmount() {
+    this.element = null;
+    this.photoElement = null;
+  }
+}
+
+export class LightboxCompare {
+  constructor(app) {
+    this.app = app;
+    this.overlay = null;
+    this.scopeEntry = null;
+    this.panes = [];
+    this.activeIndex = 0;
+    this.mode = 'fit';
+    this.syncing = false;
+
+    this.onPointerMove = (e) => this.panes.forEach(pane => pane.zoom.panController.handlePointerMove(e));
+    this.onPointerUp = () => this.panes.forEach(pane => pane.zoom.panController.handlePointerUp());
+    this.onResize = () => this.setZoom(this.mode);
+
+    this.registerShortcuts();
+  }
+
+  get isOpen() {
+    return this.overlay !== null;
+  }
+
+  get activePane() {
+    return this.panes[this.activeIndex] ?? null;
+  }
+
+  registerShortcuts() {
+    const register = (id, label, group, keys, run) =>
+      this.app.keymap.register({ id, label, group, scope: 'compare', keys, run });
+
+    register('compare.close', 'Close compare', 'Navigation', ['Escape'], () => this.close());
+    register('compare.previous', 'Previous pane', 'Navigation', ['ArrowLeft'], () => this.activate(this.activeIndex - 1));
+    register('compare.next', 'Next pane', 'Navigation', ['ArrowRight'], () => this.activate(this.activeIndex + 1));
+    register('compare.zoom.cycle', 'Cycle zoom on every pane: Fit → Fill → Original', 'Zoom', ['z'], () => this.cycleZoom());
+    register('compare.zoom.fit', 'Fit every pane', 'Zoom', ['0'], () => this.setZoom('fit'));
+    for (let stars = 1; stars <= 5; stars++) {
+      register(`compare.rate.${stars}`, `Rate ${stars} ${pluralize(stars, 'star')}`, 'Rating', [String(stars)], () => this.rate(stars));
+    }
+    register('compare.keep', 'Keep this, reject the others', 'Culling', ['k'], () => this.keepActive());
+
+    // Favorite and reject are ActionRegistry hotkeys, registered with the app's shortcuts
+  }
+
+  /**
+   * Compare photos side by side
+   * @param {string[]} photoIds - two to four
+   * @param {Object} options
+   * @param {number} options.active - pane the keys act on first
+   */
+  async open(photoIds, { active = 0 } = {}) {
+    if (this.isOpen) this.close();
+
+    const ids = [...new Set(photoIds)].slice(0, MAX_COMPARE);
+    const results = await Promise.allSettled(ids.map(id => this.app.api.get(`/api/photos/${id}`)));
+    const photos = results.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value);
+    if (photos.length < MIN_COMPARE) {
+      this.app.components.toast.show(`Select ${MIN_COMPARE} to ${MAX_COMPARE} photos to compare`, { icon: 'ℹ️', duration: 2000 });
+      return { compared: 0 };
+    }
+
+    this.panes = photos.map(photo => new ComparePane(this, photo));
+    this.activeIndex = Math.min(Math.max(active, 0), this.panes.length - 1);
+    this.mode = 'fit';
+    this.render();
+
+    document.addEventListener('pointermove', this.onPointerMove);
+    document.addEventListener('pointerup', this.onPointerUp);
+    window.addEventListener('resize', this.onResize);
+    this.scopeEntry = this.app.keymap.pushScope('compare', this);
+
+    return { compared: this.panes.length };
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    document.removeEventListener('pointermove', this.onPointerMove);
+    document.removeEventListener('pointerup', this.onPointerUp);
+    window.removeEventListener('resize', this.onResize);
+    this.app.keymap.popScope(this.scopeEntry);
+    this.scopeEntry = null;
+
+    this.panes.forEach(pane => pane.unmount());
+    this.panes = [];
+    this.overlay.remove();
+    this.overlay = null;
+  }
+
+  render() {
+    const overlay = document.createElement('div');
+    overlay.className = 'compare-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', `Compare ${this.panes.length} photos`);
+
+    overlay.innerHTML = `
+      <div class="compare-toolbar">
+        <span class="compare-title">Compare ${this.panes.length} photos</span>
+        <span class="compare-zoom">${ZOOM_LABELS[this.mode]}</span>
+        <span class="compare-hint">
+          <kbd>1</kbd>–<kbd>5</kbd> rate · <kbd>F</kbd> favorite · <kbd>X</kbd> reject ·
+          <kbd>K</kbd> keep this, reject others · <kbd>Z</kbd> zoom
+        </span>
+        <button class="btn-icon btn-close-compare" aria-label="Close compare (Esc)">×</button>
+      </div>
+      <div class="compare-grid" data-count="${this.panes.length}">
+        ${this.panes.map((pane, index) => `
+          <div class="compare-pane" data-index="${index}">
+            <div class="compare-stage">
+              <img class="compare-image" alt="${escapeHtml(pane.photo.originalFileName || '')}" draggable="false" />
+            </div>
+            <div class="compare-caption"></div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    overlay.querySelector('.btn-close-compare').addEventListener('click', () => this.close());
+    overlay.querySelectorAll('.compare-pane').forEach((element, index) => {
+      const pane = this.panes[index];
+      const image = element.querySelector('.compare-image');
+
+      // Click a pane to make it the active one; click the active one to cycle zoom (unless it was a drag)
+      image.addEventListener('click', () => {
+        const dragged = pane.zoom.panController.wasRecentDrag();
+        pane.zoom.panController.resetDragFlag();
+        if (dragged) return;
+        if (index === this.activeIndex) {
+          this.cycleZoom();
+        } else {
+          this.activate(index);
+        }
+      });
+      image.addEventListener('pointerdown', (e) => pane.zoom.panController.handlePointerDown(e));
+      element.querySelector('.compare-caption').addEventListener('click', () => this.activate(index));
+
+      pane.mount(element);
+      this.renderPane(pane);
+    });
+
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+    this.updateActive();
+  }
+
+  renderPane(pane) {
+    const { photo, element } = pane;
+    if (!element) return;
+
+    const rating = photo.rating || 0;
+    element.classList.toggle('rejected', Boolean(photo.isRejected));
+    element.querySelector('.compare-caption').innerHTML = `
+      <span class="compare-filename" title="${escapeHtml(photo.originalFileName || '')}">${escapeHtml(photo.originalFileName || photo.id)}</span>
+      <span class="compare-rating" aria-label="${rating} ${pluralize(rating, 'star')}">${'★'.repeat(rating)}<span class="compare-rating-empty">${'★'.repeat(5 - rating)}</span></span>
+      ${photo.isFavorite ? '<span class="compare-favorite" aria-label="Favorite">♥</span>' : ''}
+      ${photo.isRejected ? '<span class="compare-rejected-badge">Rejected</span>' : ''}
+    `;
+  }
+
+  activate(index) {
+    if (index < 0 || index >= this.panes.length) return;
+    this.activeIndex = index;
+    this.updateActive();
+  }
+
+  updateActive() {
+    this.panes.forEach((pane, index) => pane.element?.classList.toggle('active', index === this.activeIndex));
+  }
+
+  cycleZoom() {
+    const modes = Object.keys(ZOOM_LABELS);
+    this.setZoom(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+  }
+
+  /**
+   * Put every pane in a zoom mode (re-fitting them to their stages)
+   */
+  setZoom(mode) {
+    this.mode = mode;
+    this.panes.forEach(pane => {
+      if (pane.photoElement?.naturalWidth) pane.zoom.setMode(mode);
+    });
+
+    const label = this.overlay?.querySelector('.compare-zoom');
+    if (label) label.textContent = ZOOM_LABELS[mode];
+  }
+
+  /**
+   * Pan the other panes to the region the dragged one shows
+   */
+  syncPan(source) {
+    if (this.syncing) return;
+    this.syncing = true;
+    const ratio = source.zoom.getPanRatio();
+    this.panes.forEach(pane => {
+      if (pane !== source && pane.photoElement?.naturalWidth) pane.zoom.setPanRatio(ratio);
+    });
+    this.syncing = false;
+  }
+
+  /**
+   * Run an ActionRegistry action (bound by its hotkey) on the active pane's photo
+   */
+  async runAction(actionId) {
+    const pane = this.activePane;
+    if (!pane || !COMPARE_ACTIONS.includes(actionId)) return false;
+
+    try {
+      const result = await this.app.actions.execute(actionId, pane.photo.id);
+      if (!result || result.queued) return;
+      if (actionId === 'photo.favorite') {
+        this.patchPhoto(pane.photo.id, { isFavorite: result.isFavorite });
+      } else {
+        this.patchPhoto(pane.photo.id, { isRejected: result.isRejected });
+      }
+    } catch {
+      // ActionExecutor reported it
+    }
+  }
+
+  /**
+   * Keep the active photo: reject every other pane's, in one undoable bulk action
+   */
+  async keepActive() {
+    const keeper = this.activePane;
+    if (!keeper) return;
+
+    const others = this.panes.filter(pane => pane !== keeper && !pane.photo.isRejected).map(pane => pane.photo.id);
+    if (others.length === 0) {
+      this.app.components.toast.show('The others are already rejected', { icon: 'ℹ️', duration: 2000 });
+      return;
+    }
+
+    try {
+      const result = await this.app.actions.execute('photo.reject', others);
+      if (result && !result.queued) {
+        others.forEach(photoId => this.patchPhoto(photoId, { isRejected: true }));
+      }
+    } catch {
+      // ActionExecutor reported it
+    }
+  }
+
+  async rate(rating) {
+    const photo = this.activePane?.photo;
+    if (!photo) return;
+
+    try {
+      const result = await this.app.api.post(`/api/photos/${photo.id}/rate`, { rating }, {
+        offline: {
+          label: `Rate ${photo.originalFileName || photo.id} ${rating} ${pluralize(rating, 'star')}`,
+          precondition: { url: `/api/photos/${photo.id}`, field: 'rating', expected: photo.rating ?? 0, value: rating }
+        }
+      });
+      const response = result?.queued ? { rating } : result;
+
+      this.patchPhoto(photo.id, { rating: response.rating });
+      PhotoSetManager.invalidateCache(null, photo.id, { rating: response.rating });
+      this.app.components.toast.show(`Rated ${rating} ${pluralize(rating, 'star')}`, { icon: '⭐', duration: 1500 });
+    } catch (error) {
+      console.error('[Compare] Failed to set rating:', error);
+      this.app.components.toast.show(describeError(error, 'Failed to update rating'), { icon: '⚠️', duration: 2000 });
+    }
+  }
+
+  /**
+   * Re-read the panes' photos (an undo or redo changed them behind the view)
+   */
+  async refresh() {
+    await Promise.all(this.panes.map(async pane => {
+      try {
+        const photo = await this.app.api.get(`/api/photos/${pane.photo.id}`);
+        if (photo) {
+          this.patchPhoto(pane.photo.id, { rating: photo.rating, isFavorite: photo.isFavorite, isRejected: photo.isRejected });
+        }
+      } catch {
+        // Left as it was
+      }
+    }));
+  }
+
+  /**
+   * A pane's photo changed: show it there, in the grid's card, and in the lightbox underneath
+   */
+  patchPhoto(photoId, patch) {
+    const pane = this.panes.find(p => p.photo.id === photoId);
+    if (pane) {
+      Object.assign(pane.photo, patch);
+      this.renderPane(pane);
+    }
+
+    const loaded = this.app.state.photos?.find(p => p.id === photoId);
+    if (loaded) {
+      Object.assign(loaded, patch);
+      this.app.components.grid.updatePhotoCard(photoId, loaded);
+    }
+
+    const { lightbox } = this.app.components;
+    if (lightbox.isOpen && lightbox.currentPhoto?.id === photoId) {
+      Object.assign(lightbox.currentPhoto, patch);
+      lightbox.updateMetadata();
+    }
+  }
+}
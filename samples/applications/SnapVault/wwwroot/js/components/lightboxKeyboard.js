@@ -1,108 +1,100 @@
 /**
  * Lightbox Keyboard Shortcuts Manager
- * Comprehensive keyboard support for power users
+ * The lightbox's commands in the keymap, live in its 'lightbox' scope while it is open: navigation
+ * (into, out of and past burst stacks too), panning, zoom, ratings, compare, AI facts, and the
+ * ActionRegistry actions (favorite, reject, stack pick, download, delete) on the photo on screen
  */
 
+// ActionRegistry actions the lightbox runs itself, so its panel and stage reflect them
+const LIGHTBOX_ACTIONS = {
+  'photo.favorite': 'toggleFavorite',
+  'photo.download': 'download',
+  'photo.delete': 'deletePhoto'
+};
+
 export class LightboxKeyboard {
   constructor(lightbox) {
     this.lightbox = lightbox;
+    this.keymap = lightbox.app.keymap;
     this.enabled = false;
-    this.handlers = new Map();
-    this.helpOverlayOpen = false;
-    this.helpOverlay = null;
+    this.scopeEntry = null;
     this.registerShortcuts();
   }
 
   registerShortcuts() {
     // Navigation
-    this.register('Escape', () => this.handleEscape());
-    this.register('ArrowLeft', () => this.handleLeftArrow());
-    this.register('ArrowRight', () => this.handleRightArrow());
-    this.register('ArrowUp', () => this.handleUpArrow());
-    this.register('ArrowDown', () => this.handleDownArrow());
+    this.register('lightbox.close', 'Close panel, then lightbox', 'Navigation', ['Escape'], () => this.handleEscape());
+    this.register('lightbox.previous', 'Previous photo (pan when zoomed)', 'Navigation', ['ArrowLeft'], () => this.handleLeftArrow());
+    this.register('lightbox.next', 'Next photo (pan when zoomed)', 'Navigation', ['ArrowRight'], () => this.handleRightArrow());
+    this.register('lightbox.pan-up', 'Pan up (when zoomed), else step out of the stack', 'Navigation', ['ArrowUp'], () => this.handleUpArrow());
+    this.register('lightbox.pan-down', 'Pan down (when zoomed), else step into the stack', 'Navigation', ['ArrowDown'], () => this.handleDownArrow());
+    this.register('lightbox.stack.skip-next', 'Next photo past the stack', 'Navigation', ['Shift+ArrowRight'], () => this.lightbox.skipStack(1));
+    this.register('lightbox.stack.skip-previous', 'Previous photo before the stack', 'Navigation', ['Shift+ArrowLeft'], () => this.lightbox.skipStack(-1));
 
     // Panel
-    this.register('i', () => this.lightbox.panel?.toggle());
-    this.register('I', () => this.lightbox.panel?.toggle());
-
-    // Zoom (simplified 3-mode system: Fit → Fill → Original)
-    this.register('z', () => this.lightbox.zoomSystem?.cycle());
-    this.register('Z', () => this.lightbox.zoomSystem?.cycle());
-    this.register('0', () => this.lightbox.zoomSystem?.setMode('fit'));
-    this.register('1', () => this.lightbox.zoomSystem?.setMode('fit'));
-    this.register('2', () => this.lightbox.zoomSystem?.setMode('fill'));
-    this.register('3', () => this.lightbox.zoomSystem?.setMode('original'));
-
-    // Actions
-    this.register('s', () => this.lightbox.actions?.toggleFavorite());
-    this.register('S', () => this.lightbox.actions?.toggleFavorite());
-    this.register('d', () => this.lightbox.actions?.download());
-    this.register('D', () => this.lightbox.actions?.download());
-    this.register('Delete', () => this.lightbox.actions?.deletePhoto());
+    this.register('lightbox.panel', 'Toggle info panel', 'Navigation', ['i'], () => this.lightbox.panel?.toggle());
+
+    // Zoom (simplified 3-mode system: Fit → Fill → Original). Shifted digits: the plain ones rate.
+    this.register('lightbox.zoom.cycle', 'Cycle zoom: Fit → Fill → Original', 'Zoom', ['z'], () => this.lightbox.zoomSystem?.cycle());
+    this.register('lightbox.zoom.fit', 'Fit to screen', 'Zoom', ['0', 'Shift+1'], () => this.lightbox.zoomSystem?.setMode('fit'));
+    this.register('lightbox.zoom.fill', 'Fill viewport', 'Zoom', ['Shift+2'], () => this.lightbox.zoomSystem?.setMode('fill'));
+    this.register('lightbox.zoom.original', 'Original (100%)', 'Zoom', ['Shift+3'], () => this.lightbox.zoomSystem?.setMode('original'));
+
+    // Rating
+    for (let stars = 1; stars <= 5; stars++) {
+      this.register(`lightbox.rate.${stars}`, `Rate ${stars} star${stars !== 1 ? 's' : ''}`, 'Rating', [String(stars)],
+        () => this.lightbox.actions?.setRating(stars));
+    }
+
+    // Compare (culling): this photo beside the next one, or the next three
+    this.register('lightbox.compare', 'Compare with the next photo', 'Compare', ['c'], () => this.lightbox.openCompare(2));
+    this.register('lightbox.compare.four', 'Compare with the next three photos', 'Compare', ['Shift+c'], () => this.lightbox.openCompare(4));
 
     // AI Analysis (fact lock shortcuts)
-    this.register('r', () => this.handleRegenerateAI());
-    this.register('R', () => this.handleRegenerateAI());
-    this.register('l', () => this.handleLockAllFacts());
-    this.register('L', () => this.handleLockAllFacts());
-    this.register('u', () => this.handleUnlockAllFacts());
-    this.register('U', () => this.handleUnlockAllFacts());
-
-    // Rating (1-5 already handled in lightbox.js)
-    // Help
-    this.register('?', () => this.toggleHelpOverlay());
+    this.register('lightbox.ai.regenerate', 'Regenerate (reroll unlocked facts)', 'AI Analysis', ['r'], () => this.handleRegenerateAI());
+    this.register('lightbox.ai.lock-all', 'Lock all facts', 'AI Analysis', ['l'], () => this.handleLockAllFacts());
+    this.register('lightbox.ai.unlock-all', 'Unlock all facts', 'AI Analysis', ['u'], () => this.handleUnlockAllFacts());
+
+    // Favorite, reject, download and delete are ActionRegistry hotkeys, registered with the app's shortcuts
   }
 
-  register(key, handler) {
-    this.handlers.set(key, handler);
+  register(id, label, group, keys, handler) {
+    this.keymap.register({ id, label, group, scope: 'lightbox', keys, run: handler });
+  }
+
+  /**
+   * Run an ActionRegistry action (bound by its hotkey) on the photo on screen
+   */
+  runAction(actionId) {
+    const method = LIGHTBOX_ACTIONS[actionId];
+    if (method) {
+      return this.lightbox.actions?.[method]();
+    }
+    if (!this.lightbox.currentPhotoId) return false;
+    return this.lightbox.app.actions.execute(actionId, this.lightbox.currentPhotoId)
+      .then(result => result && this.lightbox.afterAction(actionId, result));
   }
 
   enable() {
     if (this.enabled) return;
     this.enabled = true;
-    console.log('[LightboxKeyboard] Keyboard shortcuts enabled');
-    // Use capture phase to run before main app's keyboard handlers
-    document.addEventListener('keydown', this.handleKeyDown, { capture: true });
+    // The lightbox's scope covers the grid's shortcuts until it closes
+    this.scopeEntry = this.keymap.pushScope('lightbox', this.lightbox);
   }
 
   disable() {
     if (!this.enabled) return;
     this.enabled = false;
-    console.log('[LightboxKeyboard] Keyboard shortcuts disabled');
-    document.removeEventListener('keydown', this.handleKeyDown, { capture: true });
-    this.hideHelpOverlay();
+    this.keymap.popScope(this.scopeEntry);
+    this.scopeEntry = null;
   }
 
-  handleKeyDown = (event) => {
-    if (!this.enabled) {
-      console.log('[LightboxKeyboard] Handler not enabled');
-      return;
-    }
-
-    // Ignore if typing in input/textarea/select
-    if (event.target.matches('input, textarea, select, [contenteditable="true"]')) {
-      return;
-    }
-
-    const handler = this.handlers.get(event.key);
-
-    if (handler) {
-      console.log('[LightboxKeyboard] Handling key:', event.key);
-      event.preventDefault();
-      event.stopPropagation(); // Prevent main app shortcuts from firing
-      handler();
-    }
-  };
-
   handleEscape() {
-    if (this.helpOverlayOpen) {
-      // Priority 1: Close help overlay
-      this.toggleHelpOverlay();
-    } else if (this.lightbox.panel?.isOpen) {
-      // Priority 2: Close panel
+    if (this.lightbox.panel?.isOpen) {
+      // Priority 1: Close panel
       this.lightbox.panel.close();
     } else {
-      // Priority 3: Close lightbox
+      // Priority 2: Close lightbox
       this.lightbox.close();
     }
   }
@@ -132,16 +124,20 @@ export class LightboxKeyboard {
   }
 
   handleUpArrow() {
-    // Pan up when zoomed
+    // Pan up when zoomed, else leave the expanded stack this photo is in
     if (this.isZoomed()) {
       this.pan(0, -50);
+    } else {
+      this.lightbox.leaveStack();
     }
   }
 
   handleDownArrow() {
-    // Pan down when zoomed
+    // Pan down when zoomed, else open the stack this photo covers
     if (this.isZoomed()) {
       this.pan(0, 50);
+    } else {
+      this.lightbox.enterStack();
     }
   }
 
@@ -230,104 +226,4 @@ export class LightboxKeyboard {
       this.lightbox.app.components.toast.show('Failed to unlock all facts', { icon: '⚠️', type: 'error' });
     }
   }
-
-  toggleHelpOverlay() {
-    this.helpOverlayOpen = !this.helpOverlayOpen;
-
-    if (this.helpOverlayOpen) {
-      this.showHelpOverlay();
-    } else {
-      this.hideHelpOverlay();
-    }
-  }
-
-  showHelpOverlay() {
-    const overlay = document.createElement('div');
-    overlay.className = 'keyboard-help-overlay';
-    overlay.innerHTML = `
-      <div class="help-card">
-        <div class="help-header">
-          <h2>Keyboard Shortcuts</h2>
-          <button class="btn-close-help" aria-label="Close help">×</button>
-        </div>
-        <div class="help-content">
-          <div class="help-section">
-            <h3>Navigation</h3>
-            <div class="help-shortcuts">
-              <div><kbd>ESC</kbd> Close lightbox</div>
-              <div><kbd>←</kbd> Previous photo</div>
-              <div><kbd>→</kbd> Next photo</div>
-              <div><kbd>I</kbd> Toggle info panel</div>
-            </div>
-          </div>
-
-          <div class="help-section">
-            <h3>Zoom</h3>
-            <div class="help-shortcuts">
-              <div><kbd>Z</kbd> Cycle: Fit → Fill → Original</div>
-              <div><kbd>0</kbd> or <kbd>1</kbd> Fit to screen</div>
-              <div><kbd>2</kbd> Fill viewport</div>
-              <div><kbd>3</kbd> Original (100%)</div>
-              <div>or click photo to cycle</div>
-            </div>
-          </div>
-
-          <div class="help-section">
-            <h3>Pan (when zoomed)</h3>
-            <div class="help-shortcuts">
-              <div><kbd>↑</kbd> <kbd>↓</kbd> <kbd>←</kbd> <kbd>→</kbd> Pan photo</div>
-              <div>or drag with mouse</div>
-            </div>
-          </div>
-
-          <div class="help-section">
-            <h3>Actions</h3>
-            <div class="help-shortcuts">
-              <div><kbd>S</kbd> Toggle favorite</div>
-              <div><kbd>D</kbd> Download photo</div>
-              <div><kbd>Delete</kbd> Delete photo</div>
-            </div>
-          </div>
-
-          <div class="help-section">
-            <h3>AI Analysis</h3>
-            <div class="help-shortcuts">
-              <div><kbd>R</kbd> Regenerate (reroll unlocked facts)</div>
-              <div><kbd>L</kbd> Lock all facts</div>
-              <div><kbd>U</kbd> Unlock all facts</div>
-              <div>or click fact cards to lock/unlock</div>
-            </div>
-          </div>
-
-          <div class="help-section">
-            <h3>Help</h3>
-            <div class="help-shortcuts">
-              <div><kbd>?</kbd> Show/hide this help</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-
-    document.body.appendChild(overlay);
-    this.helpOverlay = overlay;
-
-    // Close button
-    const closeBtn = overlay.querySelector('.btn-close-help');
-    closeBtn.addEventListener('click', () => this.toggleHelpOverlay());
-
-    // Click outside to close
-    overlay.addEventListener('click', (e) => {
-      if (e.target === overlay) {
-        this.toggleHelpOverlay();
-      }
-    });
-  }
-
-  hideHelpOverlay() {
-    if (this.helpOverlay) {
-      this.helpOverlay.remove();
-      this.helpOverlay = null;
-    }
-  }
 }
@@ -6,6 +6,7 @@
 
 import { escapeHtml } from '../utils/html.js';
 import { SplitButton } from './splitButton.js';
+import { renderKeys } from './keymapHelp.js';
 
 export class LightboxPanel {
   constructor(lightbox, app) {
@@ -145,44 +146,7 @@ export class LightboxPanel {
                 <polyline points="6 9 12 15 18 9"></polyline>
               </svg>
             </summary>
-            <div class="shortcuts-grid">
-              <div class="shortcut-item">
-                <kbd>I</kbd>
-                <span>Toggle this panel</span>
-              </div>
-              <div class="shortcut-item">
-                <kbd>ESC</kbd>
-                <span>Close lightbox</span>
-              </div>
-              <div class="shortcut-item">
-                <kbd>←</kbd> <kbd>→</kbd>
-                <span>Navigate photos</span>
-              </div>
-              <div class="shortcut-item">
-                <kbd>S</kbd>
-                <span>Toggle favorite</span>
-              </div>
-              <div class="shortcut-item">
-                <kbd>D</kbd>
-                <span>Download</span>
-              </div>
-              <div class="shortcut-item">
-                <kbd>F</kbd>
-                <span>Toggle Fit/Fill</span>
-              </div>
-              <div class="shortcut-item">
-                <kbd>1-5</kbd>
-                <span>Rate photo</span>
-              </div>
-              <div class="shortcut-item">
-                <kbd>+</kbd> <kbd>-</kbd>
-                <span>Zoom in/out</span>
-              </div>
-              <div class="shortcut-item">
-                <kbd>0</kbd>
-                <span>Reset zoom</span>
-              </div>
-            </div>
+            <div class="shortcuts-grid">${this.renderShortcuts()}</div>
           </details>
         </section>
       </div>
@@ -195,7 +159,26 @@ export class LightboxPanel {
     this.setupEventListeners();
   }
 
+  /**
+   * The shortcuts that work in the lightbox, from the keymap (so a rebound key shows as rebound)
+   */
+  renderShortcuts() {
+    return this.app.keymap.list()
+      .filter(command => command.keys.length > 0 && command.scopes.some(scope => scope === 'lightbox' || scope === 'global'))
+      .map(command => `
+        <div class="shortcut-item">
+          <div class="shortcut-keys">${renderKeys(command.keys)}</div>
+          <span>${escapeHtml(command.label)}</span>
+        </div>
+      `).join('');
+  }
+
   setupEventListeners() {
+    // Commands register after the panel is built, and the user may rebind them
+    this.app.keymap.on('change', () => {
+      this.container.querySelector('.shortcuts-grid').innerHTML = this.renderShortcuts();
+    });
+
     const closeBtn = this.container.querySelector('.btn-close-panel');
     closeBtn.addEventListener('click', () => this.close());
 
@@ -2,11 +2,22 @@
  * Lightbox Zoom System (Simplified)
  * Three fixed modes: Fit → Fill → Original
  * Click to cycle, drag to pan when zoomed
+ *
+ * The host is the lightbox, or anything with the same photoElement (and optional onUserZoom): compare
+ * mode runs one per pane, with its own stage, and keeps their pans in step through onPan.
  */
 
 export class LightboxZoom {
-  constructor(lightbox) {
+  /**
+   * @param {Object} lightbox - host: { photoElement, onUserZoom? }
+   * @param {Object} options
+   * @param {Function} options.getStage - the element the photo is fitted to (default: the lightbox stage)
+   * @param {Function} options.onPan - called with this zoom while the user drags the photo
+   */
+  constructor(lightbox, { getStage = () => lightbox.container.querySelector('.lightbox-stage'), onPan = null } = {}) {
     this.lightbox = lightbox;
+    this.getStage = getStage;
+    this.onPan = onPan;
     this.mode = 'fit'; // 'fit' | 'fill' | 'original'
     this.currentScale = 1.0;
     this.panOffset = { x: 0, y: 0 };
@@ -79,7 +90,7 @@ export class LightboxZoom {
     const photo = this.lightbox.photoElement;
     if (!photo || !photo.naturalWidth) return 1.0;
 
-    const stage = this.lightbox.container.querySelector('.lightbox-stage');
+    const stage = this.getStage();
     if (!stage) return 1.0;
 
     const containerWidth = stage.clientWidth - 80; // 40px padding each side
@@ -121,7 +132,7 @@ export class LightboxZoom {
     const photo = this.lightbox.photoElement;
     if (!photo || !photo.naturalWidth) return 1.0;
 
-    const stage = this.lightbox.container.querySelector('.lightbox-stage');
+    const stage = this.getStage();
     if (!stage) return 1.0;
 
     const containerWidth = stage.clientWidth;
@@ -161,6 +172,45 @@ export class LightboxZoom {
     this.panController.setEnabled(isPannable);
   }
 
+  /**
+   * How far the photo can move each way before showing background
+   */
+  panBounds() {
+    const photo = this.lightbox.photoElement;
+    const stage = this.getStage();
+    if (!photo || !stage) return { maxX: 0, maxY: 0 };
+
+    return {
+      maxX: Math.max(0, (photo.naturalWidth * this.currentScale - stage.clientWidth) / 2),
+      maxY: Math.max(0, (photo.naturalHeight * this.currentScale - stage.clientHeight) / 2)
+    };
+  }
+
+  /**
+   * The pan as a share of the pannable range (-1 to 1 each way): the same region of photos of the same
+   * framing, whatever their pixel size
+   */
+  getPanRatio() {
+    const { maxX, maxY } = this.panBounds();
+    return {
+      x: maxX > 0 ? this.panOffset.x / maxX : 0,
+      y: maxY > 0 ? this.panOffset.y / maxY : 0
+    };
+  }
+
+  setPanRatio(ratio) {
+    const { maxX, maxY } = this.panBounds();
+    this.panOffset = { x: ratio.x * maxX, y: ratio.y * maxY };
+
+    const photo = this.lightbox.photoElement;
+    if (!photo) return;
+    photo.style.transition = 'none';
+    photo.style.transform = `
+      translate(${this.panOffset.x}px, ${this.panOffset.y}px)
+      scale(${this.currentScale})
+    `;
+  }
+
   updateBadge() {
     let text = '';
 
@@ -233,15 +283,7 @@ class PanController {
 
     // Constrain to image bounds (prevent white space)
     const photo = this.zoom.lightbox.photoElement;
-    const container = this.zoom.lightbox.container.querySelector('.lightbox-stage');
-
-    const photoWidth = photo.naturalWidth * this.zoom.currentScale;
-    const photoHeight = photo.naturalHeight * this.zoom.currentScale;
-    const containerWidth = container.clientWidth;
-    const containerHeight = container.clientHeight;
-
-    const maxX = Math.max(0, (photoWidth - containerWidth) / 2);
-    const maxY = Math.max(0, (photoHeight - containerHeight) / 2);
+    const { maxX, maxY } = this.zoom.panBounds();
 
     this.zoom.panOffset.x = Math.max(-maxX, Math.min(maxX, newX));
     this.zoom.panOffset.y = Math.max(-maxY, Math.min(maxY, newY));
@@ -250,6 +292,8 @@ class PanController {
       translate(${this.zoom.panOffset.x}px, ${this.zoom.panOffset.y}px)
       scale(${this.zoom.currentScale})
     `;
+
+    this.zoom.onPan?.(this.zoom);
   }
 
   handlePointerUp() {
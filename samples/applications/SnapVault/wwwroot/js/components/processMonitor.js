@@ -6,6 +6,9 @@
  * replacement for the old SignalR hub. No client library, no hub connection, no subscribe/unsubscribe: the
  * server streams a `PhotoProgress` frame per photo and a terminal `JobCompleted` frame (a read-projection of
  * the durable jobs ledger), then closes. We close the EventSource on completion so it does not auto-reconnect.
+ *
+ * Before a batch reaches the server, the upload phase is shown above it: UploadQueue reports aggregate
+ * throughput and ETA through showUploadStats().
  */
 
 import { escapeHtml } from '../utils/html.js';
@@ -19,6 +22,8 @@ export class ProcessMonitor {
     this.isMinimized = false;
     this.photoProgress = new Map();
     this.eventSource = null;
+    this.uploadStats = null;
+    this.uploadDismissed = false;
     this.render();
   }
 
@@ -66,6 +71,16 @@ export class ProcessMonitor {
           </div>
         </div>
 
+        <!-- Upload Phase (client → server) -->
+        <div class="monitor-upload" style="display: none;">
+          <div class="summary-text">
+            <span class="upload-status"></span>
+          </div>
+          <div class="progress-bar-container">
+            <div class="progress-bar-fill upload-bar-fill" style="width: 0%"></div>
+          </div>
+        </div>
+
         <!-- Compact Summary -->
         <div class="monitor-summary">
           <div class="summary-text">
@@ -118,6 +133,7 @@ export class ProcessMonitor {
 
     this.photoProgress.clear();
     this.show();
+    this.container.querySelector('.monitor-summary').style.display = '';
 
     // Update UI
     this.container.querySelector('.total-count').textContent = totalFiles;
@@ -128,6 +144,57 @@ export class ProcessMonitor {
     this.connectToProgress(batchId);
   }
 
+  /**
+   * Show upload throughput/ETA from UploadQueue.
+   * @param {object} stats - { active, queued, completed, files, loaded, total, bytesPerSecond, etaSeconds }
+   */
+  showUploadStats(stats) {
+    this.uploadStats = stats;
+    if (this.uploadDismissed) return;
+
+    const remaining = stats.files - stats.completed;
+    const percentage = stats.total > 0 ? Math.round((stats.loaded / stats.total) * 100) : 0;
+    const parts = [`Uploading ${remaining} file${remaining !== 1 ? 's' : ''}`];
+    if (stats.bytesPerSecond > 0) parts.push(this.formatRate(stats.bytesPerSecond));
+    if (stats.etaSeconds != null) parts.push(this.formatEta(stats.etaSeconds));
+
+    this.container.querySelector('.monitor-upload').style.display = '';
+    this.container.querySelector('.upload-status').textContent = parts.join(' · ');
+    this.container.querySelector('.upload-bar-fill').style.width = `${percentage}%`;
+
+    if (!this.currentJob) {
+      // Upload phase only: no processing batch yet
+      this.container.querySelector('.monitor-summary').style.display = 'none';
+      this.container.querySelector('.badge-count').textContent = remaining;
+      this.container.classList.add('visible');
+    }
+  }
+
+  /**
+   * The upload phase is over (the queue drained).
+   */
+  hideUploadStats() {
+    this.uploadStats = null;
+    this.uploadDismissed = false;
+    this.container.querySelector('.monitor-upload').style.display = 'none';
+
+    if (!this.currentJob) {
+      this.hide();
+    }
+  }
+
+  formatRate(bytesPerSecond) {
+    if (bytesPerSecond < 1024 * 1024) return `${Math.round(bytesPerSecond / 1024)} KB/s`;
+    return `${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`;
+  }
+
+  formatEta(seconds) {
+    if (seconds < 60) return 'less than a minute left';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `about ${minutes} min left`;
+    return `about ${Math.floor(minutes / 60)} h ${minutes % 60} min left`;
+  }
+
   connectToProgress(batchId) {
     try {
       // Native SSE — same-origin, so the auth cookie (and thus the tenant/subject ambient) rides automatically.
@@ -290,6 +357,11 @@ export class ProcessMonitor {
   }
 
   hide() {
+    // Closing during the upload phase keeps the card closed until that phase ends
+    if (this.uploadStats) {
+      this.uploadDismissed = true;
+    }
+
     this.container.classList.remove('visible', 'minimized');
     this.isExpanded = false;
     this.isMinimized = false;
@@ -1,8 +1,16 @@
 /**
  * Search Bar Component with Semantic/Exact Slider
  * Industry-first hybrid search control
+ *
+ * The query may mix free text with clauses (camera:"X-T4" rating>=4 -tag:blurry taken:2023-06..2023-08,
+ * see utils/searchQuery.js). The raw query is the view's search; CollectionView parses it into the
+ * search text and filters. Here it is highlighted as typed, clauses complete from the library's
+ * filter metadata, and a malformed clause is named in a hint under the input.
  */
 
+import { escapeHtml } from '../utils/html.js';
+import { parseSearchQuery, suggestCompletions } from '../utils/searchQuery.js';
+
 export class SearchBar {
   constructor(app) {
     this.app = app;
@@ -10,6 +18,9 @@ export class SearchBar {
     this.alpha = 0.5; // 50% semantic, 50% exact (hybrid default)
     this.realtime = true;
     this.debounceTimer = null;
+    this.metadata = { cameraModels: [], years: [], tags: [] }; // autocomplete + canonical spelling
+    this.metadataRequest = null;
+    this.completions = null; // { start, end, items, active }
     this.render();
   }
 
@@ -23,13 +34,23 @@ export class SearchBar {
             <circle cx="11" cy="11" r="8"></circle>
             <path d="m21 21-4.35-4.35"></path>
           </svg>
+          <div class="search-highlight" aria-hidden="true"></div>
           <input
             type="search"
             class="search-input"
-            placeholder="Search photos..."
+            placeholder="Search photos, or camera: tag: rating>=4 taken:2023"
             aria-label="Search photos"
+            aria-describedby="search-query-hint"
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded="false"
+            aria-controls="search-completions"
+            autocomplete="off"
+            spellcheck="false"
           />
           <kbd class="search-hint">/</kbd>
+          <ul class="search-completions" id="search-completions" role="listbox" hidden></ul>
+          <div class="search-query-hint" id="search-query-hint" role="status" aria-live="polite"></div>
         </div>
 
         <div class="search-mode-control">
@@ -73,22 +94,44 @@ export class SearchBar {
 
     // Search input
     input.addEventListener('input', (e) => {
+      this.updateQueryUI();
       if (this.realtime) {
         this.debounceSearch(e.target.value);
       }
     });
 
     input.addEventListener('keydown', (e) => {
+      if (this.completions && this.handleCompletionKey(e)) return;
+
       if (e.key === 'Enter') {
         this.performSearch(e.target.value);
       }
       if (e.key === 'Escape') {
         input.value = '';
         input.blur();
+        this.updateQueryUI();
         this.clearSearch();
       }
     });
 
+    // Caret moves change which term completes; the highlight follows horizontal scrolling
+    input.addEventListener('keyup', (e) => {
+      if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) this.updateQueryUI();
+    });
+    input.addEventListener('click', () => this.updateQueryUI());
+    input.addEventListener('scroll', () => this.syncHighlightScroll());
+
+    input.addEventListener('focus', () => this.loadMetadata());
+    input.addEventListener('blur', () => this.closeCompletions());
+
+    // Keep focus in the input while a completion is clicked
+    const list = this.container.querySelector('.search-completions');
+    list.addEventListener('mousedown', (e) => e.preventDefault());
+    list.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option) this.acceptCompletion(Number(option.dataset.index));
+    });
+
     // Semantic/exact slider
     slider.addEventListener('input', (e) => {
       const value = parseInt(e.target.value);
@@ -116,6 +159,189 @@ export class SearchBar {
     slider.style.setProperty('--slider-value', value);
   }
 
+  /**
+   * Cameras, tags and years for completions (once; clauses typed before it arrives are re-spelled after)
+   */
+  loadMetadata() {
+    this.metadataRequest ||= this.app.api.get('/api/photos/filter-metadata')
+      .then(response => {
+        this.metadata = {
+          cameraModels: response.cameraModels || [],
+          years: response.years || [],
+          tags: response.tags || []
+        };
+        this.updateQueryUI();
+      })
+      .catch(error => {
+        console.error('[SearchBar] Failed to load filter metadata:', error);
+        this.metadataRequest = null;
+      });
+    return this.metadataRequest;
+  }
+
+  /**
+   * Re-parse the query: highlighting, the error hint and completions
+   */
+  updateQueryUI() {
+    const input = this.container?.querySelector('.search-input');
+    if (!input) return;
+
+    const query = parseSearchQuery(input.value, this.metadata);
+    this.renderHighlight(input.value, query.tokens);
+    this.renderQueryHint(query.errors);
+
+    const completions = document.activeElement === input
+      ? suggestCompletions(input.value, input.selectionStart, this.metadata)
+      : null;
+    this.renderCompletions(completions);
+  }
+
+  renderHighlight(value, tokens) {
+    const highlight = this.container.querySelector('.search-highlight');
+    const input = this.container.querySelector('.search-input');
+
+    // Only structured queries are drawn by the overlay; plain text stays the input's own
+    const structured = tokens.some(token => token.kind !== 'text');
+    input.classList.toggle('has-highlight', structured);
+    if (!structured) {
+      highlight.innerHTML = '';
+      return;
+    }
+
+    let html = '';
+    let position = 0;
+    for (const token of tokens) {
+      html += escapeHtml(value.slice(position, token.start));
+      if (token.kind === 'text') {
+        html += escapeHtml(value.slice(token.start, token.end));
+      } else {
+        const classes = ['sq-clause', token.kind === 'error' ? 'sq-error' : '', token.negated ? 'sq-negated' : ''].filter(Boolean).join(' ');
+        html += `<span class="${classes}"><span class="sq-field">${escapeHtml(value.slice(token.start, token.valueStart))}</span>`
+          + `<span class="sq-value">${escapeHtml(value.slice(token.valueStart, token.end))}</span></span>`;
+      }
+      position = token.end;
+    }
+    html += escapeHtml(value.slice(position));
+
+    highlight.innerHTML = `<span class="search-highlight-text">${html}</span>`;
+    this.syncHighlightScroll();
+  }
+
+  syncHighlightScroll() {
+    const highlight = this.container?.querySelector('.search-highlight');
+    const input = this.container?.querySelector('.search-input');
+    if (highlight && input) highlight.scrollLeft = input.scrollLeft;
+  }
+
+  renderQueryHint(errors) {
+    const hint = this.container.querySelector('.search-query-hint');
+    if (errors.length === 0) {
+      hint.textContent = '';
+      hint.classList.remove('visible');
+      return;
+    }
+
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+    hint.textContent = `${errors[0].message}${more} - this clause is ignored`;
+    hint.classList.add('visible');
+  }
+
+  renderCompletions(completions) {
+    const list = this.container.querySelector('.search-completions');
+    const input = this.container.querySelector('.search-input');
+
+    this.completions = completions ? { ...completions, active: 0 } : null;
+    input.setAttribute('aria-expanded', String(Boolean(completions)));
+    list.hidden = !completions;
+    if (!completions) {
+      list.innerHTML = '';
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    list.innerHTML = completions.items.map((item, index) => `
+      <li class="search-completion" id="search-completion-${index}" role="option" data-index="${index}">
+        <span class="completion-label">${escapeHtml(item.label)}</span>
+        ${item.detail ? `<span class="completion-detail">${escapeHtml(item.detail)}</span>` : ''}
+      </li>
+    `).join('');
+    this.highlightCompletion(0);
+  }
+
+  highlightCompletion(index) {
+    this.completions.active = index;
+    this.container.querySelectorAll('.search-completion').forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === index));
+    });
+    this.container.querySelector('.search-input').setAttribute('aria-activedescendant', `search-completion-${index}`);
+  }
+
+  /**
+   * Arrow keys walk the completions, Enter/Tab take one, Escape dismisses them
+   * @returns {boolean} whether the key was handled
+   */
+  handleCompletionKey(e) {
+    const count = this.completions.items.length;
+    switch (e.key) {
+      case 'ArrowDown':
+        this.highlightCompletion((this.completions.active + 1) % count);
+        break;
+      case 'ArrowUp':
+        this.highlightCompletion((this.completions.active - 1 + count) % count);
+        break;
+      case 'Enter':
+      case 'Tab':
+        this.acceptCompletion(this.completions.active);
+        break;
+      case 'Escape':
+        this.closeCompletions();
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  acceptCompletion(index) {
+    const input = this.container.querySelector('.search-input');
+    const { start, end, items } = this.completions;
+    const item = items[index];
+
+    // A field name is followed by its value; a value ends the clause
+    const insert = item.field ? item.insert : `${item.insert} `;
+    input.value = input.value.slice(0, start) + insert + input.value.slice(end).replace(/^ /, '');
+    input.setSelectionRange(start + insert.length, start + insert.length);
+
+    this.updateQueryUI();
+    if (this.realtime && !item.field) {
+      this.debounceSearch(input.value);
+    }
+  }
+
+  closeCompletions() {
+    if (this.container?.querySelector('.search-completions')) {
+      this.renderCompletions(null);
+    }
+  }
+
+  /**
+   * Show a query and balance without searching (a deep link or history entry restoring its search)
+   */
+  setQuery(query, alpha = 0.5) {
+    clearTimeout(this.debounceTimer);
+    this.alpha = alpha;
+
+    const input = this.container?.querySelector('.search-input');
+    const slider = this.container?.querySelector('.search-slider');
+    if (!input || !slider) return;
+
+    input.value = query;
+    slider.value = Math.round(alpha * 100);
+    this.updateSliderUI(slider.value);
+    this.updateQueryUI();
+  }
+
   debounceSearch(query) {
     clearTimeout(this.debounceTimer);
     this.debounceTimer = setTimeout(() => {
@@ -130,7 +356,8 @@ export class SearchBar {
     }
 
     try {
-      // Use CollectionView's native search support
+      // Use CollectionView's native search support. A newer keystroke clears the previous
+      // PhotoSet, which aborts its in-flight query — stale results never land.
       await this.app.components.collectionView.setView('search', {
         query: query,
         alpha: this.alpha
@@ -0,0 +1,212 @@
+/**
+ * Trash
+ * The photos deleted from the library, until the server's retention window purges them: restore them
+ * (back into the collections they left) or delete them for good. Trashed photos aren't served, so each
+ * shows its blurhash placeholder. Opens in the 'dialog' scope, like the keyboard shortcuts overlay.
+ */
+
+import { placeholderBackground } from '../utils/blurhash.js';
+import { confirmDelete } from '../utils/dialogs.js';
+import { describeError } from '../utils/errors.js';
+import { escapeHtml, pluralize } from '../utils/html.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * "Purged in 3 days" / "Purged today"
+ */
+function purgeLabel(purgesAt) {
+  const days = Math.floor((new Date(purgesAt) - Date.now()) / DAY_MS);
+  return days < 1 ? 'Purged today' : `Purged in ${days} ${pluralize(days, 'day')}`;
+}
+
+export class Trash {
+  constructor(app) {
+    this.app = app;
+    this.overlay = null;
+    this.scopeEntry = null;
+    this.photos = [];
+    this.retentionDays = 0;
+    this.loading = false;
+    this.busy = false;
+  }
+
+  get isOpen() {
+    return this.overlay !== null;
+  }
+
+  async open() {
+    if (this.isOpen) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'keyboard-help-overlay trash-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Trash');
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.close();
+        return;
+      }
+      const button = e.target.closest('[data-action]');
+      if (button && !button.disabled) {
+        this.handleAction(button.dataset.action, button.closest('[data-photo-id]')?.dataset.photoId);
+      }
+    });
+
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+    this.scopeEntry = this.app.keymap.pushScope('dialog', this);
+    await this.load();
+    overlay.querySelector('.btn-close-help')?.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.overlay.remove();
+    this.overlay = null;
+    this.photos = [];
+    this.app.keymap.popScope(this.scopeEntry);
+    this.scopeEntry = null;
+  }
+
+  async load() {
+    if (!this.isOpen) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      const response = await this.app.api.get('/api/trash');
+      this.photos = response.photos || [];
+      this.retentionDays = response.retentionDays;
+    } catch (error) {
+      console.error('[Trash] Failed to load trash:', error);
+      this.app.components.toast.show(describeError(error, 'Failed to load the trash'), { icon: '⚠️', duration: 3000 });
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  render() {
+    if (!this.overlay) return;
+
+    const count = this.photos.length;
+    const days = Math.round(this.retentionDays);
+    const body = this.loading
+      ? '<p class="trash-empty">Loading…</p>'
+      : count === 0
+        ? '<p class="trash-empty">The trash is empty</p>'
+        : `<ul class="trash-grid">${this.photos.map(photo => this.renderPhoto(photo)).join('')}</ul>`;
+
+    this.overlay.innerHTML = `
+      <div class="help-card trash-card">
+        <div class="help-header">
+          <h2>Trash</h2>
+          <button class="btn-close-help" data-action="close" aria-label="Close trash">×</button>
+        </div>
+        <p class="trash-hint">
+          Deleted photos stay here for ${days} ${pluralize(days, 'day')}, then they are deleted for good.
+          Restoring a photo puts it back in the collections it was in.
+        </p>
+        ${body}
+        <div class="trash-footer">
+          <span class="trash-count">${count > 0 ? `${count} ${pluralize(count, 'photo')}` : ''}</span>
+          <button class="btn btn-ghost" data-action="restore-all" ${count === 0 || this.busy ? 'disabled' : ''}>Restore all</button>
+          <button class="btn btn-ghost trash-destructive" data-action="empty" ${count === 0 || this.busy ? 'disabled' : ''}>Empty trash</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderPhoto(photo) {
+    const background = placeholderBackground(photo);
+    return `
+      <li class="trash-item" data-photo-id="${escapeHtml(photo.id)}">
+        <div class="trash-thumb" style="${background ? `background-image: ${escapeHtml(background)};` : ''} aspect-ratio: ${photo.width || 4} / ${photo.height || 3};"></div>
+        <div class="trash-info">
+          <span class="trash-name" title="${escapeHtml(photo.fileName)}">${escapeHtml(photo.fileName)}</span>
+          <span class="trash-purge">${purgeLabel(photo.purgesAt)}</span>
+        </div>
+        <div class="trash-item-actions">
+          <button class="btn btn-ghost" data-action="restore" ${this.busy ? 'disabled' : ''}>Restore</button>
+          <button class="btn btn-ghost trash-destructive" data-action="purge" ${this.busy ? 'disabled' : ''}>Delete forever</button>
+        </div>
+      </li>
+    `;
+  }
+
+  handleAction(action, photoId) {
+    switch (action) {
+      case 'close': this.close(); break;
+      case 'restore': this.restore([photoId]); break;
+      case 'restore-all': this.restore(this.photos.map(photo => photo.id)); break;
+      case 'purge': this.purge([photoId]); break;
+      case 'empty': this.empty(); break;
+    }
+  }
+
+  async restore(photoIds) {
+    await this.run(async () => {
+      const response = await this.app.api.post('/api/trash/restore', { photoIds });
+      this.reportFailures(response);
+      if (response.restored > 0) {
+        this.app.components.toast.show(`Restored ${response.restored} ${pluralize(response.restored, 'photo')}`, { icon: '↩️', duration: 2000 });
+        await this.app.refreshLibrary();
+      }
+    }, 'Failed to restore photos');
+  }
+
+  async purge(photoIds) {
+    if (!confirmDelete(photoIds.length, 'photo')) return;
+
+    await this.run(async () => {
+      const response = await this.app.api.post('/api/trash/purge', { photoIds });
+      this.reportFailures(response);
+      if (response.purged > 0) {
+        this.app.components.toast.show(`Deleted ${response.purged} ${pluralize(response.purged, 'photo')} forever`, { icon: '🗑️', duration: 2000 });
+      }
+    }, 'Failed to delete photos');
+  }
+
+  async empty() {
+    if (!confirmDelete(this.photos.length, 'photo', { additionalInfo: 'Everything in the trash will be deleted.' })) return;
+
+    await this.run(async () => {
+      const response = await this.app.api.post('/api/trash/empty');
+      this.reportFailures(response);
+      this.app.components.toast.show('Trash emptied', { icon: '🗑️', duration: 2000 });
+    }, 'Failed to empty the trash');
+  }
+
+  /**
+   * Run a trash change with the buttons disabled, then show the trash as it now is
+   */
+  async run(change, errorMessage) {
+    if (this.busy) return;
+
+    this.busy = true;
+    this.render();
+    try {
+      await change();
+    } catch (error) {
+      console.error('[Trash] Operation failed:', error);
+      this.app.components.toast.show(describeError(error, errorMessage), { icon: '⚠️', duration: 3000 });
+    } finally {
+      this.busy = false;
+    }
+    await this.load();
+  }
+
+  reportFailures(response) {
+    if (response.failed > 0) {
+      this.app.components.toast.show(response.errors?.[0] || `${response.failed} ${pluralize(response.failed, 'photo')} could not be changed`, {
+        icon: '⚠️',
+        duration: 3000
+      });
+    }
+  }
+}
@@ -1,19 +1,53 @@
 /**
  * Upload Modal Component
  * File selection, drag-drop, progress tracking, event selection
+ *
+ * Files go through ResumableUploader: chunked, with per-file pause/resume/retry,
+ * and uploads interrupted by a reload are offered again on the next visit.
+ * Selected files are checked by DuplicateDetector first; exact duplicates default to skip.
+ * Folders (dropped or picked) and .zip archives are expanded; their folder structure can become
+ * events or collections, and unsupported files are collected in a skipped report.
  */
 
 
 import { escapeHtml } from '../utils/html.js';
+import { ResumableUploader } from '../services/ResumableUploader.js';
+import { UploadQueue } from '../services/UploadQueue.js';
+import { DuplicateDetector } from '../services/DuplicateDetector.js';
+import { readHead, scanDataTransfer, scanDirectoryHandle, scanFileList, supportsFolderPicker } from '../utils/fileImport.js';
+import { HEAD_BYTES, readCaptureDate } from '../utils/exif.js';
+import { API } from '../api.js';
+import { describeError } from '../utils/errors.js';
+
 export class UploadModal {
   constructor(app) {
     this.app = app;
     this.isOpen = false;
+    this.scopeEntry = null;           // keymap 'dialog' scope while open
     this.selectedFiles = [];
     this.selectedEventId = null;
     this.uploading = false;
     this.modal = null;
+
+    // Resumable uploads
+    this.uploader = new ResumableUploader(app.api);
+    this.queue = new UploadQueue(this.uploader, this.loadUploadSettings());
+    this.completedByBatch = new Map();   // batchId → files completed since the last hand-off to ProcessMonitor
+
+    // Duplicate detection
+    this.duplicates = new DuplicateDetector(app.api);
+    this.fileChecks = new Map();         // File → { status: 'checking'|'done', match, choice: 'skip'|'replace'|'keep' }
+
+    // Folder / archive import
+    this.filePaths = new Map();          // File → folder path relative to the pick ('' for loose files)
+    this.captureDates = new Map();       // File → Date | null (EXIF, for the auto-organize preview)
+    this.skipped = [];                   // { name, path, reason } for files that will not be uploaded
+    this.folderMapping = 'none';         // 'none' | 'events' | 'collections'
+    this.events = [];
+
     this.render();
+    this.setupUploaderListeners();
+    this.restoreInterrupted();
   }
 
   render() {
@@ -53,10 +87,33 @@ export class UploadModal {
                 <polyline points="17 8 12 3 7 8"></polyline>
                 <line x1="12" y1="3" x2="12" y2="15"></line>
               </svg>
-              <p class="dropzone-text">Drag photos here or click to browse</p>
-              <p class="dropzone-hint">JPG, PNG, HEIC up to 25MB each</p>
-              <input type="file" class="file-input" multiple accept="image/*" hidden />
+              <p class="dropzone-text">Drag photos, folders or .zip archives here or click to browse</p>
+              <p class="dropzone-hint">JPG and PNG up to 200MB each</p>
+              <input type="file" class="file-input" multiple accept="image/jpeg,image/png,.zip,application/zip" hidden />
+              <input type="file" class="folder-input" webkitdirectory multiple hidden />
             </div>
+            <button class="btn-choose-folder" style="display: none;">+ Choose Folder</button>
+          </div>
+
+          <!-- Folder Mapping / Grouping Preview -->
+          <div class="upload-section upload-plan" style="display: none;">
+            <label class="upload-label">Organization Preview</label>
+            <div class="folder-mapping" style="display: none;">
+              <select class="folder-mapping-select">
+                <option value="none">Ignore folders</option>
+                <option value="events">📁 Each folder becomes an event</option>
+                <option value="collections">🗂️ Each folder becomes a collection</option>
+              </select>
+            </div>
+            <div class="plan-groups"></div>
+          </div>
+
+          <!-- Skipped Files Report -->
+          <div class="upload-section upload-skipped" style="display: none;">
+            <details>
+              <summary class="upload-label">Skipped (<span class="skipped-count">0</span>)</summary>
+              <ul class="skipped-list"></ul>
+            </details>
           </div>
 
           <!-- Selected Files List -->
@@ -70,6 +127,43 @@ export class UploadModal {
             <label class="upload-label">Uploading...</label>
             <div class="progress-container"></div>
           </div>
+
+          <!-- Upload Settings -->
+          <div class="upload-section upload-settings">
+            <details>
+              <summary class="upload-label">Upload Settings</summary>
+              <div class="upload-settings-row">
+                <label>
+                  Parallel uploads
+                  <select class="upload-setting" data-setting="concurrency">
+                    <option value="1">1</option>
+                    <option value="2">2</option>
+                    <option value="3">3</option>
+                    <option value="4">4</option>
+                    <option value="6">6</option>
+                  </select>
+                </label>
+                <label>
+                  Bandwidth limit
+                  <select class="upload-setting" data-setting="bandwidthLimit">
+                    <option value="0">Unlimited</option>
+                    <option value="1048576">1 MB/s</option>
+                    <option value="2097152">2 MB/s</option>
+                    <option value="5242880">5 MB/s</option>
+                    <option value="10485760">10 MB/s</option>
+                  </select>
+                </label>
+                <label>
+                  Order
+                  <select class="upload-setting" data-setting="order">
+                    <option value="fifo">As selected</option>
+                    <option value="smallest-first">Smallest first</option>
+                    <option value="largest-first">Largest first</option>
+                  </select>
+                </label>
+              </div>
+            </details>
+          </div>
         </div>
 
         <div class="upload-modal-footer">
@@ -105,6 +199,32 @@ export class UploadModal {
     dropzone.addEventListener('click', () => fileInput.click());
     fileInput.addEventListener('change', (e) => this.handleFileSelect(e.target.files));
 
+    // Folder selection (File System Access where available, webkitdirectory otherwise)
+    const folderBtn = this.modal.querySelector('.btn-choose-folder');
+    const folderInput = this.modal.querySelector('.folder-input');
+    if (supportsFolderPicker()) {
+      folderBtn.style.display = '';
+      folderBtn.addEventListener('click', () => this.chooseFolder());
+    }
+    folderInput.addEventListener('change', (e) => this.importScan(scanFileList(e.target.files)));
+
+    // Upload queue settings
+    this.modal.querySelectorAll('.upload-setting').forEach(select => {
+      const setting = select.dataset.setting;
+      select.value = String(setting === 'bandwidthLimit' ? this.queue.throttle.rate : this.queue[setting]);
+      select.addEventListener('change', () => {
+        const value = setting === 'order' ? select.value : Number(select.value);
+        this.queue.configure({ [setting]: value });
+        this.saveUploadSettings();
+      });
+    });
+
+    // Folder mapping
+    this.modal.querySelector('.folder-mapping-select').addEventListener('change', (e) => {
+      this.folderMapping = e.target.value;
+      this.renderPlan();
+    });
+
     // Drag and drop
     dropzone.addEventListener('dragover', (e) => {
       e.preventDefault();
@@ -118,13 +238,14 @@ export class UploadModal {
     dropzone.addEventListener('drop', (e) => {
       e.preventDefault();
       dropzone.classList.remove('dragover');
-      this.handleFileSelect(e.dataTransfer.files);
+      this.importScan(scanDataTransfer(e.dataTransfer));
     });
 
     // Event selection
     eventSelect.addEventListener('change', (e) => {
       this.selectedEventId = e.target.value;
       this.updateUploadButton();
+      this.renderPlan();
     });
 
     // Create event
@@ -132,19 +253,15 @@ export class UploadModal {
 
     // Upload
     uploadBtn.addEventListener('click', () => this.startUpload());
-
-    // Keyboard
-    document.addEventListener('keydown', (e) => {
-      if (this.isOpen && e.key === 'Escape') {
-        this.close();
-      }
-    });
   }
 
   async open(preSelectedFiles = null) {
     this.isOpen = true;
+    // Escape (the keymap's dialog scope) closes it, and the library's shortcuts wait
+    this.scopeEntry ??= this.app.keymap.pushScope('dialog', this);
     this.selectedFiles = [];
     this.selectedEventId = 'auto'; // Default to auto-organize
+    this.folderMapping = 'none';
     this.modal.classList.add('show');
 
     // Reset event select to auto
@@ -154,14 +271,29 @@ export class UploadModal {
     // Load events
     await this.loadEvents();
 
+    // Show uploads still in flight (or interrupted by a reload)
+    this.renderUploadRows();
+
     // Handle pre-selected files (from drag-and-drop on main area)
     if (preSelectedFiles) {
       this.handleFileSelect(preSelectedFiles);
     }
   }
 
+  /**
+   * Open with an external drop (from the main area). The drop is scanned before the first await,
+   * while its DataTransfer is still readable.
+   */
+  async openWithDrop(dataTransfer) {
+    const scan = scanDataTransfer(dataTransfer);
+    await this.open();
+    await this.importScan(scan);
+  }
+
   close() {
     this.isOpen = false;
+    this.app.keymap.popScope(this.scopeEntry);
+    this.scopeEntry = null;
     this.modal.classList.remove('show');
     this.reset();
   }
@@ -181,6 +313,7 @@ export class UploadModal {
       // (Wedding=0, Corporate=1, Birthday=2, Graduation=3, Anniversary=4, DailyAuto=5, Other=6) and the API
       // serializes Type as its number — filtering !== 5 hides auto-albums while keeping a genuine "Other".
       const userEvents = events.filter(e => e.type !== 5); // EventType.DailyAuto = 5
+      this.events = userEvents;
       userEvents.forEach(event => {
         const option = document.createElement('option');
         option.value = event.id;
@@ -197,33 +330,300 @@ export class UploadModal {
   }
 
   handleFileSelect(files) {
-    const validFiles = Array.from(files).filter(file => this.isValidFile(file));
+    return this.importScan(scanFileList(files));
+  }
 
-    if (validFiles.length === 0) {
-      this.app.components.toast.show('No valid image files selected', { icon: '⚠️', duration: 3000 });
+  async chooseFolder() {
+    if (typeof window.showDirectoryPicker !== 'function') {
+      this.modal.querySelector('.folder-input').click();
       return;
     }
 
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker({ mode: 'read' });
+    } catch (error) {
+      if (!API.isAbort(error)) {
+        console.error('[UploadModal] Folder picker failed:', error);
+      }
+      return;   // AbortError: the user dismissed the picker
+    }
+    await this.importScan(scanDirectoryHandle(handle));
+  }
+
+  /**
+   * Wait for a folder/archive/file scan and add what it found.
+   * @param {Promise<{files: Array, skipped: Array}>} scan - from utils/fileImport.js
+   */
+  async importScan(scan) {
+    const dropzoneText = this.modal.querySelector('.dropzone-text');
+    const idleText = dropzoneText.textContent;
+    dropzoneText.textContent = 'Reading files...';
+
+    try {
+      const { files, skipped } = await scan;
+      this.addFiles(files, skipped);
+    } catch (error) {
+      console.error('[UploadModal] Import failed:', error);
+      this.app.components.toast.show('Could not read the dropped files', { icon: '⚠️', duration: 3000 });
+    } finally {
+      dropzoneText.textContent = idleText;
+    }
+  }
+
+  /**
+   * Add scanned files: validate them, report the rest as skipped, and start duplicate checks
+   * and capture-date reads.
+   * @param {Array<{file: File, path: string}>} items
+   * @param {Array<{name: string, path: string, reason: string}>} skipped
+   */
+  addFiles(items, skipped = []) {
+    this.skipped = [...this.skipped, ...skipped];
+
+    const validItems = [];
+    for (const { file, path } of items) {
+      // A re-selected file may complete an interrupted upload whose bytes could not be kept locally
+      const interrupted = this.uploader.findByFingerprint(file);
+      if (interrupted) {
+        this.uploader.attachFile(interrupted.id, file);
+        this.app.components.toast.show(`Ready to resume ${file.name}`, { icon: '⏯️', duration: 2000 });
+        continue;
+      }
+
+      const reason = this.validateFile(file);
+      if (reason) {
+        this.skipped.push({ name: file.name, path, reason });
+      } else {
+        validItems.push({ file, path });
+      }
+    }
+
+    this.renderSkippedReport();
+
+    if (validItems.length === 0) {
+      if (items.length > 0 || skipped.length > 0) {
+        this.app.components.toast.show('No valid image files selected', { icon: '⚠️', duration: 3000 });
+      }
+      return;
+    }
+
+    const validFiles = validItems.map(item => item.file);
+    validItems.forEach(({ file, path }) => this.filePaths.set(file, path));
+
     this.selectedFiles = [...this.selectedFiles, ...validFiles];
+    this.checkDuplicates(validFiles);
+    this.readCaptureDates(validFiles).catch(error => console.error('[UploadModal] Reading capture dates failed:', error));
     this.renderFilesList();
     this.updateUploadButton();
   }
 
-  isValidFile(file) {
-    const validTypes = ['image/jpeg', 'image/png', 'image/heic', 'image/heif'];
-    const maxSize = 25 * 1024 * 1024; // 25MB
+  /**
+   * Why a file cannot be uploaded, or null when it can.
+   * @param {File} file
+   * @returns {string|null}
+   */
+  validateFile(file) {
+    // Mirrors Constants.Uploads.AllowedExtensions — anything else would only be refused after the whole upload
+    const validTypes = ['image/jpeg', 'image/png'];
+    const maxSize = ResumableUploader.MAX_FILE_BYTES;
 
     if (!validTypes.includes(file.type)) {
-      this.app.components.toast.show(`Invalid file type: ${file.name}`, { icon: '⚠️', duration: 3000 });
-      return false;
+      return 'Unsupported file type';
     }
 
     if (file.size > maxSize) {
-      this.app.components.toast.show(`File too large: ${file.name} (max 25MB)`, { icon: '⚠️', duration: 3000 });
-      return false;
+      return `Too large (max ${this.formatFileSize(maxSize)})`;
     }
 
-    return true;
+    if (file.size === 0) {
+      return 'Empty file';
+    }
+
+    return null;
+  }
+
+  /**
+   * Read each file's EXIF capture date for the auto-organize preview. A file that can't be read
+   * (a corrupt ZIP entry, say) has no date; one removed - or a selection reset - meanwhile is dropped.
+   */
+  async readCaptureDates(files) {
+    for (const file of files) {
+      if (!this.filePaths.has(file)) continue;
+
+      let date;
+      try {
+        date = await readCaptureDate(await readHead(file, HEAD_BYTES));
+      } catch (error) {
+        console.warn(`[UploadModal] Could not read the capture date of ${file.name}:`, error);
+        date = null;
+      }
+
+      // Removed or reset while reading
+      if (!this.filePaths.has(file)) continue;
+      this.captureDates.set(file, date);
+    }
+
+    if (files.some(file => this.filePaths.has(file))) {
+      this.renderPlan();
+    }
+  }
+
+  renderSkippedReport() {
+    const section = this.modal.querySelector('.upload-skipped');
+    if (this.skipped.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = 'block';
+    this.modal.querySelector('.skipped-count').textContent = this.skipped.length;
+    this.modal.querySelector('.skipped-list').innerHTML = this.skipped.map(({ name, path, reason }) => `
+      <li>
+        <span class="skipped-name">${escapeHtml(path ? `${path}/${name}` : name)}</span>
+        <span class="skipped-reason">${escapeHtml(reason)}</span>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Folder mapping choice plus a preview of how the files will be organized:
+   * per folder when folders are mapped, per capture day when auto-organizing.
+   */
+  renderPlan() {
+    const section = this.modal.querySelector('.upload-plan');
+    const mapping = this.modal.querySelector('.folder-mapping');
+    const groupsEl = this.modal.querySelector('.plan-groups');
+    const files = this.filesToUpload();
+
+    const hasFolders = files.some(file => this.filePaths.get(file));
+    if (!hasFolders) this.folderMapping = 'none';
+    mapping.style.display = hasFolders ? 'block' : 'none';
+    this.modal.querySelector('.folder-mapping-select').value = this.folderMapping;
+
+    const groups = this.planGroups(files);
+    if (groups.length === 0 && !hasFolders) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = 'block';
+    groupsEl.innerHTML = groups.map(group => `
+      <div class="plan-group">
+        <span class="plan-group-label">${escapeHtml(group.label)}</span>
+        <span class="plan-group-target">${escapeHtml(group.target)}</span>
+        <span class="plan-group-count">${group.count} photo${group.count !== 1 ? 's' : ''}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Preview groups for the current organization choice.
+   * @returns {Array<{label: string, target: string, count: number}>}
+   */
+  planGroups(files) {
+    if (this.folderMapping !== 'none') {
+      const byFolder = new Map();
+      for (const file of files) {
+        const path = this.filePaths.get(file) || '';
+        byFolder.set(path, (byFolder.get(path) || 0) + 1);
+      }
+
+      const kind = this.folderMapping === 'events' ? 'event' : 'collection';
+      return Array.from(byFolder, ([path, count]) => path
+        ? { label: path, target: `${this.findFolderTarget(path) ? 'Existing' : 'New'} ${kind} "${this.folderTargetName(path)}"`, count }
+        : { label: 'Loose files', target: this.describeSelectedEvent(), count }
+      ).sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    if (this.selectedEventId !== 'auto') return [];
+
+    // Auto-organize: one daily event per capture day (files without EXIF go to the upload day)
+    const byDay = new Map();
+    let pending = 0;
+    for (const file of files) {
+      if (!this.captureDates.has(file)) {
+        pending++;
+        continue;
+      }
+      const date = this.captureDates.get(file);
+      const key = date ? date.toDateString() : '';
+      byDay.set(key, (byDay.get(key) || 0) + 1);
+    }
+
+    const groups = Array.from(byDay, ([day, count]) => ({
+      label: day ? new Date(day).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : 'No capture date',
+      target: day ? 'Daily event' : 'Upload day',
+      count,
+      time: day ? new Date(day).getTime() : Infinity
+    })).sort((a, b) => a.time - b.time);
+
+    if (pending > 0) {
+      groups.push({ label: 'Reading capture dates...', target: '', count: pending });
+    }
+    return groups;
+  }
+
+  describeSelectedEvent() {
+    if (this.selectedEventId === 'auto') return 'Auto-organize by date';
+    const event = this.events.find(e => e.id === this.selectedEventId);
+    return event ? `Event "${event.name}"` : 'Selected event';
+  }
+
+  /** "Wedding/Ceremony" → "Wedding / Ceremony" */
+  folderTargetName(path) {
+    return path.split('/').join(' / ');
+  }
+
+  /**
+   * Existing event or collection a folder maps onto (matched by name), so re-importing a folder
+   * adds to it rather than creating a twin.
+   */
+  findFolderTarget(path) {
+    const name = this.folderTargetName(path);
+    const existing = this.folderMapping === 'events'
+      ? this.events
+      : (this.app.components.collectionsSidebar?.collections || []);
+    return existing.find(item => item.name === name) || null;
+  }
+
+  /**
+   * Create (or reuse) the events/collections folders map to.
+   * @returns {Promise<Map<string, string>>} folder path → event or collection id
+   */
+  async resolveFolderTargets(files) {
+    const targets = new Map();
+    if (this.folderMapping === 'none') return targets;
+
+    const paths = [...new Set(files.map(file => this.filePaths.get(file)).filter(Boolean))];
+    for (const path of paths) {
+      const existing = this.findFolderTarget(path);
+      if (existing) {
+        targets.set(path, existing.id);
+        continue;
+      }
+
+      const name = this.folderTargetName(path);
+      if (this.folderMapping === 'events') {
+        // Date the event by its earliest photo
+        const dates = files
+          .filter(file => this.filePaths.get(file) === path)
+          .map(file => this.captureDates.get(file))
+          .filter(Boolean);
+        const eventDate = dates.length > 0 ? new Date(Math.min(...dates)) : new Date();
+
+        const created = await this.app.api.post('/api/events', {
+          name,
+          type: 6, // EventType.Other
+          eventDate: eventDate.toISOString()
+        });
+        targets.set(path, created.id);
+      } else {
+        const created = await this.app.api.post('/api/collections', { name });
+        targets.set(path, created.id);
+      }
+    }
+
+    return targets;
   }
 
   renderFilesList() {
@@ -231,6 +631,8 @@ export class UploadModal {
     const section = this.modal.querySelector('.upload-files-list');
     const fileCount = this.modal.querySelector('.file-count');
 
+    this.renderPlan();
+
     if (this.selectedFiles.length === 0) {
       section.style.display = 'none';
       return;
@@ -239,14 +641,22 @@ export class UploadModal {
     section.style.display = 'block';
     fileCount.textContent = this.selectedFiles.length;
 
-    container.innerHTML = this.selectedFiles.map((file, index) => `
-      <div class="file-item" data-index="${index}">
+    container.innerHTML = this.selectedFiles.map((file, index) => {
+      const check = this.fileChecks.get(file);
+      const skipped = check?.choice === 'skip';
+
+      return `
+      <div class="file-item${skipped ? ' file-item-skipped' : ''}" data-index="${index}">
         <svg class="icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
           <circle cx="8.5" cy="8.5" r="1.5"></circle>
           <polyline points="21 15 16 10 5 21"></polyline>
         </svg>
-        <span class="file-name">${escapeHtml(file.name)}</span>
+        <div class="file-info">
+          <span class="file-name">${escapeHtml(file.name)}</span>
+          ${this.filePaths.get(file) ? `<span class="file-path">${escapeHtml(this.filePaths.get(file))}</span>` : ''}
+          ${this.renderDuplicateBadge(check, index)}
+        </div>
         <span class="file-size">${this.formatFileSize(file.size)}</span>
         <button class="btn-remove-file" data-index="${index}" aria-label="Remove">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -255,126 +665,365 @@ export class UploadModal {
           </svg>
         </button>
       </div>
-    `).join('');
+    `;
+    }).join('');
 
     // Remove file handlers
     container.querySelectorAll('.btn-remove-file').forEach(btn => {
       btn.addEventListener('click', () => {
         const index = parseInt(btn.dataset.index);
-        this.selectedFiles.splice(index, 1);
+        const [removed] = this.selectedFiles.splice(index, 1);
+        this.fileChecks.delete(removed);
+        this.filePaths.delete(removed);
+        this.captureDates.delete(removed);
         this.renderFilesList();
         this.updateUploadButton();
       });
     });
+
+    // Duplicate choice handlers
+    container.querySelectorAll('.btn-duplicate-choice').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const file = this.selectedFiles[parseInt(btn.dataset.index)];
+        const check = this.fileChecks.get(file);
+        if (!check) return;
+
+        check.choice = btn.dataset.choice;
+        this.renderFilesList();
+        this.updateUploadButton();
+      });
+    });
+  }
+
+  /**
+   * Badge and skip/replace/keep-both choices for a file with a duplicate match.
+   */
+  renderDuplicateBadge(check, index) {
+    if (!check) return '';
+    if (check.status === 'checking') {
+      return '<span class="duplicate-badge duplicate-badge-checking">Checking for duplicates...</span>';
+    }
+    if (!check.match) return '';
+
+    const { match } = check;
+    let label;
+    if (match.inSelection) {
+      label = `Also selected as ${escapeHtml(match.fileName)}`;
+    } else if (match.kind === 'exact') {
+      label = 'Already in library';
+    } else {
+      label = `Near-duplicate of ${escapeHtml(match.fileName)}`;
+    }
+
+    // Replace only makes sense against a library photo
+    const choices = [['skip', 'Skip'], ['keep', 'Keep both']];
+    if (match.photoId) choices.splice(1, 0, ['replace', 'Replace']);
+
+    return `
+      <span class="duplicate-badge duplicate-badge-${match.kind}">${label}</span>
+      <span class="duplicate-choices" role="group" aria-label="Duplicate handling">
+        ${choices.map(([choice, text]) => `
+          <button class="btn-duplicate-choice${check.choice === choice ? ' active' : ''}" data-index="${index}" data-choice="${choice}" aria-pressed="${check.choice === choice}">${text}</button>
+        `).join('')}
+      </span>
+    `;
+  }
+
+  /**
+   * Hash newly selected files and flag the ones already in the library (or selected twice).
+   * Exact duplicates default to skip, near-duplicates to keep both.
+   */
+  async checkDuplicates(files) {
+    files.forEach(file => this.fileChecks.set(file, { status: 'checking', match: null, choice: null }));
+    const selected = this.selectedFiles.filter(file => !files.includes(file));
+
+    let matches;
+    try {
+      matches = await this.duplicates.check(files, { selected });
+    } catch (error) {
+      console.warn('[UploadModal] Duplicate check failed:', error);
+      matches = new Map();
+    }
+
+    let found = 0;
+    for (const file of files) {
+      // Removed (or uploaded) while hashing
+      if (!this.fileChecks.has(file)) continue;
+
+      const match = matches.get(file) || null;
+      if (match) found++;
+      this.fileChecks.set(file, {
+        status: 'done',
+        match,
+        choice: match ? (match.kind === 'exact' ? 'skip' : 'keep') : null
+      });
+    }
+
+    this.renderFilesList();
+    this.updateUploadButton();
+
+    if (found > 0) {
+      this.app.components.toast.show(`${found} possible duplicate${found !== 1 ? 's' : ''} found`, {
+        icon: '🔁',
+        duration: 3000
+      });
+    }
+  }
+
+  /**
+   * Selected files minus those marked skip.
+   */
+  filesToUpload() {
+    return this.selectedFiles.filter(file => this.fileChecks.get(file)?.choice !== 'skip');
   }
 
   updateUploadButton() {
     const uploadBtn = this.modal.querySelector('.btn-upload');
     const uploadCount = this.modal.querySelector('.upload-count');
+    const count = this.filesToUpload().length;
 
     // Allow upload if files selected and either auto or a specific event is chosen
-    const canUpload = this.selectedFiles.length > 0 &&
+    const canUpload = count > 0 &&
                       (this.selectedEventId === 'auto' || this.selectedEventId);
     uploadBtn.disabled = !canUpload;
 
-    if (this.selectedFiles.length > 0) {
-      uploadCount.textContent = `(${this.selectedFiles.length})`;
+    if (count > 0) {
+      uploadCount.textContent = `(${count})`;
     } else {
       uploadCount.textContent = '';
     }
   }
 
   async startUpload() {
-    if (this.selectedFiles.length === 0) return;
+    const files = this.filesToUpload();
+    if (files.length === 0) return;
 
     this.uploading = true;
-    const progressSection = this.modal.querySelector('.upload-progress');
-    const progressContainer = this.modal.querySelector('.progress-container');
     const uploadBtn = this.modal.querySelector('.btn-upload');
     const cancelBtn = this.modal.querySelector('.btn-cancel');
 
-    progressSection.style.display = 'block';
     uploadBtn.disabled = true;
     cancelBtn.textContent = 'Close';
 
-    // Chunk files into batches of 10 to stay under 100MB limit
-    const CHUNK_SIZE = 10;
-    const totalFiles = this.selectedFiles.length;
-    const chunks = [];
-
-    for (let i = 0; i < totalFiles; i += CHUNK_SIZE) {
-      chunks.push(this.selectedFiles.slice(i, i + CHUNK_SIZE));
+    let folderTargets;
+    try {
+      folderTargets = await this.resolveFolderTargets(files);
+    } catch (error) {
+      console.error('[UploadModal] Failed to create folder targets:', error);
+      this.app.components.toast.show(describeError(error, `Failed to create ${this.folderMapping}`), { icon: '⚠️', duration: 4000 });
+      this.uploading = false;
+      this.updateUploadButton();
+      return;
     }
 
-    progressContainer.innerHTML = `
-      <div class="chunk-progress">
-        Uploading batch <span class="current-chunk">1</span> of <span class="total-chunks">${chunks.length}</span>...
-      </div>
-    `;
-
-    try {
-      const jobIds = [];
-      let totalQueued = 0;
+    // One progress batch for the whole run; parallel uploads all join it
+    const batchId = crypto.randomUUID().replaceAll('-', '');
+    const ids = [];
+
+    const selectedEventId = this.selectedEventId && this.selectedEventId !== 'auto' ? this.selectedEventId : null;
+    for (const file of files) {
+      const check = this.fileChecks.get(file);
+      const replaces = check?.choice === 'replace' ? check.match.photoId : null;
+      const target = folderTargets.get(this.filePaths.get(file));
+      const eventId = this.folderMapping === 'events' && target ? target : selectedEventId;
+      const collectionId = this.folderMapping === 'collections' && target ? target : null;
+      const record = await this.uploader.add(file, { eventId, collectionId, batchId, replaces });
+      ids.push(record.id);
+    }
 
-      // Upload chunks sequentially
-      for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-        const chunk = chunks[chunkIndex];
+    if (this.folderMapping === 'collections' && folderTargets.size > 0) {
+      this.app.components.collectionsSidebar?.loadCollections().then(() => this.app.components.collectionsSidebar.render());
+    }
 
-        // Update progress
-        const currentChunkSpan = progressContainer.querySelector('.current-chunk');
-        if (currentChunkSpan) {
-          currentChunkSpan.textContent = chunkIndex + 1;
-        }
+    this.selectedFiles = [];
+    this.fileChecks.clear();
+    this.filePaths.clear();
+    this.captureDates.clear();
+    this.skipped = [];
+    this.renderSkippedReport();
+    this.renderFilesList();
+    this.renderUploadRows();
 
-        // Create FormData for this chunk
-        const formData = new FormData();
+    // The queue hands completed files to ProcessMonitor when it drains
+    this.queue.enqueue(ids);
+    this.renderUploadRows();
+    await this.queue.whenIdle();
 
-        // Only append eventId if not auto-organize
-        if (this.selectedEventId && this.selectedEventId !== 'auto') {
-          formData.append('eventId', this.selectedEventId);
-        }
+    this.uploading = false;
+    this.updateUploadButton();
 
-        chunk.forEach(file => {
-          formData.append('files', file);
-        });
+    // Close once everything landed - processing continues in background
+    if (this.uploader.list().length === 0) {
+      this.close();
+    } else {
+      cancelBtn.textContent = 'Close';
+      this.app.components.toast.show('Some uploads are paused or failed - resume or retry them below', {
+        icon: '⚠️',
+        duration: 4000
+      });
+    }
+  }
 
-        // Upload this chunk
-        const response = await fetch('/api/photos/upload', {
-          method: 'POST',
-          body: formData
-        });
+  /**
+   * Resume or retry one upload from its row.
+   */
+  resumeUpload(id) {
+    this.queue.enqueue(id, { priority: 1 });
+  }
 
-        if (!response.ok) {
-          throw new Error(`Batch ${chunkIndex + 1} upload failed: ${response.statusText}`);
-        }
+  /**
+   * Queue settings, persisted across sessions.
+   */
+  loadUploadSettings() {
+    const defaults = { concurrency: 3, bandwidthLimit: 0, order: 'fifo' };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem('upload-settings') || '{}') };
+    } catch {
+      return defaults;
+    }
+  }
 
-        const uploadResponse = await response.json();
-        jobIds.push(uploadResponse.jobId);
-        totalQueued += uploadResponse.totalQueued;
-      }
+  saveUploadSettings() {
+    const settings = {
+      concurrency: this.queue.concurrency,
+      bandwidthLimit: this.queue.throttle.rate,
+      order: this.queue.order
+    };
+    localStorage.setItem('upload-settings', JSON.stringify(settings));
+  }
 
-      this.app.components.toast.show(`Queued ${totalQueued} photo(s) for processing`, {
+  /**
+   * Pass completed files to ProcessMonitor, one SSE stream per batch.
+   */
+  handOffCompleted() {
+    for (const [batchId, count] of this.completedByBatch) {
+      this.app.components.toast.show(`Queued ${count} photo(s) for processing`, {
         icon: '📤',
         duration: 2000
       });
+      this.app.components.processMonitor.startJob(batchId, count);
+    }
+    this.completedByBatch.clear();
+  }
+
+  setupUploaderListeners() {
+    this.queue.on('stats', stats => this.app.components.processMonitor.showUploadStats(stats));
+    this.queue.on('idle', () => {
+      this.handOffCompleted();
+      this.app.components.processMonitor.hideUploadStats();
+    });
+
+    this.uploader.on('progress', ({ id, loaded, total }) => {
+      const row = this.modal.querySelector(`.upload-row[data-id="${id}"]`);
+      if (!row) return;
+
+      const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+      row.querySelector('.progress-fill').style.width = `${percent}%`;
+      row.querySelector('.upload-row-status').textContent =
+        `${this.formatFileSize(loaded)} of ${this.formatFileSize(total)}`;
+    });
+
+    this.uploader.on('statechange', () => this.renderUploadRows());
 
-      // Start process monitor for the first job (they'll all process)
-      if (jobIds.length > 0) {
-        this.app.components.processMonitor.startJob(jobIds[0], totalQueued);
+    this.uploader.on('complete', ({ batchId }) => {
+      this.completedByBatch.set(batchId, (this.completedByBatch.get(batchId) || 0) + 1);
+      this.renderUploadRows();
+    });
+  }
+
+  /**
+   * Offer uploads interrupted by a reload.
+   */
+  async restoreInterrupted() {
+    const interrupted = await this.uploader.restore();
+    if (interrupted.length === 0) return;
+
+    console.log(`[UploadModal] Restored ${interrupted.length} interrupted upload(s)`);
+    this.app.components.toast.show(
+      `${interrupted.length} upload${interrupted.length !== 1 ? 's' : ''} interrupted`,
+      {
+        icon: '⏸️',
+        duration: 8000,
+        actions: [{ label: 'Review', onClick: () => this.open() }]
       }
+    );
+  }
 
-      // Close modal immediately - processing continues in background
-      this.close();
+  renderUploadRows() {
+    const section = this.modal.querySelector('.upload-progress');
+    const container = this.modal.querySelector('.progress-container');
+    const records = this.uploader.list();
 
-    } catch (error) {
-      console.error('Upload failed:', error);
-      this.app.components.toast.show('Upload failed', { icon: '⚠️', duration: 5000 });
-      this.uploading = false;
-      uploadBtn.disabled = false;
-      cancelBtn.textContent = 'Cancel';
+    if (records.length === 0) {
+      section.style.display = 'none';
+      container.innerHTML = '';
+      return;
     }
-  }
 
+    section.style.display = 'block';
+
+    const statusText = {
+      pending: 'Queued',
+      uploading: 'Uploading...',
+      paused: 'Paused',
+      error: 'Failed',
+      'needs-file': 'Select this file again to resume'
+    };
+
+    container.innerHTML = records.map(record => {
+      const percent = record.size > 0 ? Math.round((record.offset / record.size) * 100) : 0;
+      const status = record.status === 'error' && record.error
+        ? `Failed: ${record.error}`
+        : statusText[record.status] || record.status;
+
+      return `
+        <div class="upload-row upload-row-${record.status}" data-id="${record.id}">
+          <div class="upload-row-header">
+            <span class="file-name">${escapeHtml(record.name)}</span>
+            <span class="file-size">${this.formatFileSize(record.size)}</span>
+            <div class="upload-row-actions">
+              ${record.status === 'pending' && this.queue.isQueued(record.id) ? '<button class="btn-upload-action" data-action="prioritize" aria-label="Upload next">Next</button>' : ''}
+              ${record.status === 'uploading' ? '<button class="btn-upload-action" data-action="pause" aria-label="Pause">Pause</button>' : ''}
+              ${record.status === 'paused' ? '<button class="btn-upload-action" data-action="resume" aria-label="Resume">Resume</button>' : ''}
+              ${record.status === 'error' ? '<button class="btn-upload-action" data-action="retry" aria-label="Retry">Retry</button>' : ''}
+              <button class="btn-remove-file" data-action="cancel" aria-label="Cancel upload">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <line x1="18" y1="6" x2="6" y2="18"></line>
+                  <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+              </button>
+            </div>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${percent}%;"></div>
+          </div>
+          <div class="upload-row-status">${escapeHtml(status)}</div>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.upload-row [data-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const id = btn.closest('.upload-row').dataset.id;
+        switch (btn.dataset.action) {
+          case 'pause':
+            this.uploader.pause(id);
+            break;
+          case 'resume':
+          case 'retry':
+            this.resumeUpload(id);
+            break;
+          case 'prioritize':
+            this.queue.prioritize(id);
+            break;
+          case 'cancel':
+            this.queue.remove(id);
+            this.uploader.cancel(id).then(() => this.renderUploadRows());
+            break;
+        }
+      });
+    });
+  }
 
   async createEvent() {
     const eventName = prompt('Enter event name:');
@@ -404,11 +1053,17 @@ export class UploadModal {
 
   reset() {
     this.selectedFiles = [];
+    this.fileChecks.clear();
+    this.filePaths.clear();
+    this.captureDates.clear();
+    this.skipped = [];
+    this.folderMapping = 'none';
+    this.renderSkippedReport();
     this.selectedEventId = 'auto';
-    this.uploading = false;
 
     const fileInput = this.modal.querySelector('.file-input');
     fileInput.value = '';
+    this.modal.querySelector('.folder-input').value = '';
 
     const eventSelect = this.modal.querySelector('.event-select');
     eventSelect.value = 'auto';
@@ -416,8 +1071,11 @@ export class UploadModal {
     this.renderFilesList();
     this.updateUploadButton();
 
-    const progressSection = this.modal.querySelector('.upload-progress');
-    progressSection.style.display = 'none';
+    // In-flight uploads keep going while the modal is closed; their rows return on open()
+    if (!this.uploading) {
+      const progressSection = this.modal.querySelector('.upload-progress');
+      progressSection.style.display = 'none';
+    }
   }
 
   formatFileSize(bytes) {
@@ -6,12 +6,17 @@
  * before contributing the request's tenant and photo filter. The selector is evidence, never authority.
  */
 import { API } from './api.js';
+import { OfflineSync } from './services/OfflineSync.js';
+import { placeholderBackground } from './utils/blurhash.js';
 
 const api = new API();
 const statusEl = document.getElementById('status');
 const galleryEl = document.getElementById('gallery');
 let activeEventId = '';
 
+// Picks made offline are queued and replayed on reconnect; outcomes show in the status line
+const offlineSync = new OfflineSync(api, { notify: showNotice });
+
 async function main() {
   const eventId = new URLSearchParams(location.search).get('event');
   if (!eventId) {
@@ -21,6 +26,7 @@ async function main() {
 
   activeEventId = eventId;
   await loadGallery(eventId);
+  offlineSync.init().catch(error => console.warn('[Guest] Offline support unavailable:', error));
 }
 
 async function loadGallery(eventId) {
@@ -30,7 +36,7 @@ async function loadGallery(eventId) {
       startIndex: 0,
       count: 500,
       definition: { context: 'event', eventId }
-    });
+    }, { idempotent: true });
     photos = res.photos || [];
   } catch (error) {
     statusEl.textContent = `Could not load your photos (${error?.message ?? 'error'}).`;
@@ -51,9 +57,12 @@ async function loadGallery(eventId) {
 
 function renderCard(photo) {
   const id = escapeAttr(photo.id);
+  // The blurhash shows under the lazy image until it arrives
+  const placeholder = placeholderBackground(photo);
+  const style = placeholder ? ` style="${escapeAttr(`background-image: ${placeholder}; background-size: cover`)}"` : '';
   return `
     <figure class="guest-card" data-photo="${id}">
-      <img loading="lazy" src="${scoped(`/media/${id}/gallery`)}" alt="${escapeAttr(photo.fileName)}">
+      <img loading="lazy" src="${scoped(`/media/${id}/gallery`)}" alt="${escapeAttr(photo.fileName)}"${style}>
       <figcaption>
         <button class="pick" type="button" aria-pressed="false" data-photo="${id}">☆ Select</button>
         <span class="stars" role="group" aria-label="Rate this photo">
@@ -67,7 +76,9 @@ async function toggleSelect(btn) {
   const photoId = btn.dataset.photo;
   const next = btn.getAttribute('aria-pressed') !== 'true';
   try {
-    await api.post(scoped(`/api/proofing/${photoId}`), { selected: next });
+    await api.post(scoped(`/api/proofing/${photoId}`), { selected: next }, {
+      offline: { label: `${next ? 'Select' : 'Unselect'} ${photoName(btn)}` }
+    });
     btn.setAttribute('aria-pressed', String(next));
     btn.textContent = next ? '★ Selected' : '☆ Select';
     btn.closest('.guest-card')?.classList.toggle('selected', next);
@@ -80,7 +91,9 @@ async function rate(btn) {
   const photoId = btn.dataset.photo;
   const value = parseInt(btn.dataset.value, 10);
   try {
-    await api.post(scoped(`/api/proofing/${photoId}`), { rating: value });
+    await api.post(scoped(`/api/proofing/${photoId}`), { rating: value }, {
+      offline: { label: `Rate ${photoName(btn)} ${value} star${value !== 1 ? 's' : ''}` }
+    });
     const stars = [...btn.parentElement.querySelectorAll('button')];
     stars.forEach((star, index) => star.classList.toggle('on', index < value));
   } catch (error) {
@@ -88,6 +101,25 @@ async function rate(btn) {
   }
 }
 
+function photoName(btn) {
+  return btn.closest('.guest-card')?.querySelector('img')?.alt || btn.dataset.photo;
+}
+
+function showNotice(message, { actions = [] } = {}) {
+  statusEl.hidden = false;
+  statusEl.textContent = message;
+  actions.forEach(action => {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = ` ${action.label}`;
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      action.onClick();
+    });
+    statusEl.appendChild(link);
+  });
+}
+
 function escapeAttr(value) {
   const div = document.createElement('div');
   div.textContent = value ?? '';
@@ -0,0 +1,282 @@
+/**
+ * SnapVault Router
+ * Deep links for the view state: the set on screen (a library view, collection, event or search), its
+ * filters, the grid's preset and layout, and the photo open in the lightbox
+ *
+ * The URL is derived from the components that own each piece of state - nothing is kept twice. A
+ * component calls update() after it changes its state, and the URL is pushed to history when it
+ * differs. The first load and back/forward apply a URL onto the components; the lightbox reopens its
+ * photo through PhotoSetManager.initialize(startPhotoId), so a link lands on the photo wherever it sits
+ * in the set.
+ *
+ *   /?view=collection&id=…&tag=beach&rating=4&photo=123&preset=cozy
+ *
+ * view    favorites · collection · smart · event · search (absent: all photos); id names the collection,
+ *         smart collection or event
+ * q       search query; alpha its semantic/exact balance (absent: 0.5)
+ * camera, tag (repeated) · -camera, -tag (repeated, excluded) · from, to (ISO dates) · rating (n+ stars) ·
+ *         unrated=1 · tags=any · favorites=1 · rejected=1
+ * preset, layout  the grid's VIEW_PRESETS and GRID_LAYOUTS ids
+ * photo   the photo open in the lightbox
+ */
+
+import { VIEW_PRESETS, GRID_LAYOUTS } from './viewPresets.js';
+
+const VIEWS = ['all-photos', 'favorites', 'collection', 'smart', 'event', 'search'];
+const VIEWS_WITH_ID = ['collection', 'smart', 'event'];
+const DEFAULT_ALPHA = 0.5;
+
+/**
+ * Filter state (Filters.state) from URL parameters; null when nothing is filtered
+ */
+function parseFilters(params) {
+  const rating = parseInt(params.get('rating'), 10);
+  const from = params.get('from');
+  const to = params.get('to');
+
+  const filters = {
+    cameras: params.getAll('camera'),
+    dateRange: from || to ? { from, to } : null,
+    rating: rating >= 1 && rating <= 5 ? rating : null,
+    includeUnrated: params.get('unrated') === '1',
+    tags: params.getAll('tag'),
+    tagMatchMode: params.get('tags') === 'any' ? 'any' : 'all',
+    excludedCameras: params.getAll('-camera'),
+    excludedTags: params.getAll('-tag'),
+    favorites: params.get('favorites') === '1',
+    rejected: params.get('rejected') === '1',
+    eventId: null
+  };
+
+  return filterKey(filters) ? filters : null;
+}
+
+/**
+ * What a filter state narrows the set by, comparable across its sources (the URL, Filters.state):
+ * null when it narrows nothing. Order within a list doesn't change the set, and neither does a
+ * setting that only qualifies an absent one (unrated without a rating, any/all without tags).
+ * The event filter is left out - the route's view and id name the event.
+ */
+function filterKey(filters) {
+  if (!filters) return null;
+
+  const sorted = list => [...(list ?? [])].sort();
+  const tags = sorted(filters.tags);
+  const key = {
+    cameras: sorted(filters.cameras),
+    dateRange: filters.dateRange ? [filters.dateRange.from ?? null, filters.dateRange.to ?? null] : null,
+    rating: filters.rating ?? null,
+    includeUnrated: filters.rating != null && !!filters.includeUnrated,
+    tags,
+    tagMatchMode: tags.length > 0 ? filters.tagMatchMode ?? 'all' : null,
+    excludedCameras: sorted(filters.excludedCameras),
+    excludedTags: sorted(filters.excludedTags),
+    favorites: !!filters.favorites,
+    rejected: !!filters.rejected
+  };
+
+  const narrows = key.cameras.length > 0 || key.dateRange || key.rating !== null || key.tags.length > 0
+    || key.excludedCameras.length > 0 || key.excludedTags.length > 0 || key.favorites || key.rejected;
+  return narrows ? JSON.stringify(key) : null;
+}
+
+/**
+ * Route from a location's query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} { view, id, query, alpha, filters, preset, layout, photo }
+ */
+export function parseRoute(search) {
+  const params = new URLSearchParams(search);
+  const alpha = parseFloat(params.get('alpha'));
+
+  const route = {
+    view: VIEWS.includes(params.get('view')) ? params.get('view') : 'all-photos',
+    id: params.get('id'),
+    query: params.get('q') || '',
+    alpha: alpha >= 0 && alpha <= 1 ? alpha : DEFAULT_ALPHA,
+    filters: parseFilters(params),
+    preset: VIEW_PRESETS[params.get('preset')] ? params.get('preset') : null,
+    layout: GRID_LAYOUTS[params.get('layout')] ? params.get('layout') : null,
+    photo: params.get('photo')
+  };
+
+  // A collection or event without its id, or a search without a query, is the library
+  if ((VIEWS_WITH_ID.includes(route.view) && !route.id) || (route.view === 'search' && !route.query)) {
+    route.view = 'all-photos';
+  }
+  if (!VIEWS_WITH_ID.includes(route.view)) {
+    route.id = null;
+  }
+
+  return route;
+}
+
+/**
+ * Query string for a route ('' for the plain library)
+ */
+export function serializeRoute(route) {
+  const params = new URLSearchParams();
+
+  if (route.view !== 'all-photos') params.set('view', route.view);
+  if (route.id) params.set('id', route.id);
+  if (route.view === 'search') {
+    params.set('q', route.query);
+    if (route.alpha !== DEFAULT_ALPHA) params.set('alpha', String(route.alpha));
+  }
+
+  const filters = route.filters;
+  if (filters) {
+    filters.cameras.forEach(camera => params.append('camera', camera));
+    if (filters.dateRange?.from) params.set('from', filters.dateRange.from);
+    if (filters.dateRange?.to) params.set('to', filters.dateRange.to);
+    if (filters.rating !== null) params.set('rating', String(filters.rating));
+    if (filters.includeUnrated) params.set('unrated', '1');
+    filters.tags.forEach(tag => params.append('tag', tag));
+    if (filters.tags.length > 0 && filters.tagMatchMode === 'any') params.set('tags', 'any');
+    (filters.excludedCameras ?? []).forEach(camera => params.append('-camera', camera));
+    (filters.excludedTags ?? []).forEach(tag => params.append('-tag', tag));
+    if (filters.favorites) params.set('favorites', '1');
+    if (filters.rejected) params.set('rejected', '1');
+  }
+
+  if (route.preset) params.set('preset', route.preset);
+  if (route.layout) params.set('layout', route.layout);
+  if (route.photo) params.set('photo', route.photo);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * The part of a route that picks the set: a change reloads the grid, anything else doesn't
+ */
+function setKey(route) {
+  return JSON.stringify([route.view, route.id, route.view === 'search' ? [route.query, route.alpha] : null, filterKey(route.filters)]);
+}
+
+export class Router {
+  constructor(app) {
+    this.app = app;
+    this.applying = false;
+    this.queue = Promise.resolve();
+
+    window.addEventListener('popstate', () => {
+      this.navigate(parseRoute(window.location.search));
+    });
+  }
+
+  /**
+   * Show the view the page was opened on (the library when the URL names none)
+   */
+  async start() {
+    await this.navigate(parseRoute(window.location.search), { load: true });
+  }
+
+  /**
+   * Apply a route, after any still being applied (back pressed twice in quick succession)
+   * @param {Object} route
+   * @param {Object} options
+   * @param {boolean} options.load - load the set even when it is the one already shown (first load)
+   */
+  navigate(route, { load = false } = {}) {
+    this.queue = this.queue.then(() => this.apply(route, load)).catch(error => {
+      console.error('[Router] Failed to apply route:', error);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Route of what's on screen now
+   */
+  current() {
+    const { app } = this;
+    const { type, id } = app.state.activeView;
+    const viewState = app.components.collectionView.viewState;
+    const lightbox = app.components.lightbox;
+
+    return {
+      view: type,
+      id: VIEWS_WITH_ID.includes(type) ? id : null,
+      query: type === 'search' ? viewState.searchQuery : '',
+      alpha: type === 'search' ? viewState.searchAlpha : DEFAULT_ALPHA,
+      filters: app.components.filters?.getPhotoSetFilters() ?? null,
+      preset: app.state.viewPreset,
+      layout: app.state.gridLayout,
+      photo: lightbox?.isOpen ? lightbox.currentPhotoId : null
+    };
+  }
+
+  /**
+   * Reflect the current state in the URL: a new history entry when it differs
+   * @param {Object} options
+   * @param {boolean} options.replace - rewrite the current entry instead (display settings)
+   */
+  update({ replace = false } = {}) {
+    // Applying a route changes state too; its URL is already the one in the address bar
+    if (this.applying) return;
+
+    const route = this.current();
+    const url = `${window.location.pathname}${serializeRoute(route)}`;
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+
+    // A real-time search refines its query keystroke by keystroke: one entry for the search
+    const previous = parseRoute(window.location.search);
+    const refining = route.view === 'search' && previous.view === 'search' && !route.photo && !previous.photo;
+
+    if (replace || refining) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  }
+
+  async apply(route, load) {
+    const { app } = this;
+    const { collectionView, lightbox, search, filters } = app.components;
+    this.applying = true;
+
+    try {
+      if (route.preset && route.preset !== app.state.viewPreset) {
+        await app.setViewPreset(route.preset);
+      }
+      if (route.layout && route.layout !== app.state.gridLayout) {
+        app.setGridLayout(route.layout);
+      }
+
+      const setChanged = load || setKey(route) !== setKey(this.current());
+      if (setChanged) {
+        // The lightbox navigates the set it was opened on: close it before the set goes
+        if (lightbox.isOpen) {
+          lightbox.close();
+        }
+
+        filters?.setState(route.filters);
+        search.setQuery(route.query, route.alpha);
+
+        if (route.view === 'event') {
+          await app.filterPhotosByEvent(route.id);
+        } else if (route.view === 'smart') {
+          await collectionView.setView('smart', { id: route.id });
+        } else {
+          await collectionView.setView(route.view === 'collection' ? route.id : route.view, {
+            query: route.query,
+            alpha: route.alpha
+          });
+        }
+      }
+
+      if (route.photo && !lightbox.isOpen) {
+        await lightbox.open(route.photo);
+      } else if (route.photo && lightbox.currentPhotoId !== route.photo) {
+        await lightbox.show(route.photo);
+      } else if (!route.photo && lightbox.isOpen) {
+        lightbox.close();
+      }
+    } finally {
+      this.applying = false;
+    }
+
+    // What could be shown (a deleted collection falls back to the library, a missing photo stays closed)
+    history.replaceState(null, '', `${window.location.pathname}${serializeRoute(this.current())}`);
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Duplicate Detector
+ * Flags upload candidates that are already in the library, or selected twice, before any bytes are sent
+ *
+ * Files are hashed in a Web Worker (SHA-256 + perceptual hash, see workers/fileHash.worker.js) and the
+ * fingerprints go to POST /api/photos/duplicates. The server answers with the closest library photo per
+ * file: 'exact' for identical bytes, 'near' for a perceptual-hash match (re-encode, resize, light edit).
+ */
+
+import { API } from '../api.js';
+import { ArchiveEntryFile } from '../utils/fileImport.js';
+
+const MAX_CHECKS_PER_REQUEST = 500;   // Mirrors PhotosController.MaxDuplicateChecks
+
+export class DuplicateDetector {
+  constructor(api) {
+    this.api = api;
+    this.worker = null;
+    this.pending = new Map();              // message id → { resolve }
+    this.fingerprints = new WeakMap();     // File → Promise<{ sha256, phash } | null>
+    this.inflating = Promise.resolve();    // archive entries queue here to be inflated one at a time
+    this.nextId = 0;
+  }
+
+  /**
+   * Check files against the library and against each other (and against `selected`, files already
+   * queued earlier). Never rejects for hashing or network failures — unchecked files simply have no match.
+   * @param {File[]} files
+   * @param {object} options - { selected: File[], signal: AbortSignal }
+   * @returns {Promise<Map<File, object>>} file → { kind, distance, photoId, fileName, capturedAt, inSelection }
+   */
+  async check(files, { selected = [], signal } = {}) {
+    const matches = new Map();
+    const fingerprints = await Promise.all(files.map(file => this.fingerprint(file)));
+
+    // Within the selection: the later copy of identical bytes is the duplicate
+    const seen = new Map();
+    for (const file of selected) {
+      const fp = await this.fingerprint(file);
+      if (fp && !seen.has(fp.sha256)) seen.set(fp.sha256, file);
+    }
+    files.forEach((file, i) => {
+      const fp = fingerprints[i];
+      if (!fp) return;
+      const original = seen.get(fp.sha256);
+      if (original) {
+        matches.set(file, { kind: 'exact', distance: 0, photoId: null, fileName: original.name, inSelection: true });
+      } else {
+        seen.set(fp.sha256, file);
+      }
+    });
+
+    // Against the library
+    const toAsk = files
+      .map((file, i) => ({ key: String(i), file, fp: fingerprints[i] }))
+      .filter(entry => entry.fp && !matches.has(entry.file));
+
+    for (let start = 0; start < toAsk.length; start += MAX_CHECKS_PER_REQUEST) {
+      const slice = toAsk.slice(start, start + MAX_CHECKS_PER_REQUEST);
+      try {
+        const response = await this.api.post('/api/photos/duplicates', {
+          files: slice.map(({ key, fp }) => ({ key, sha256: fp.sha256, perceptualHash: fp.phash }))
+        }, { signal });
+
+        for (const match of response.matches || []) {
+          const entry = slice.find(e => e.key === match.key);
+          if (!entry) continue;
+          matches.set(entry.file, {
+            kind: match.kind,
+            distance: match.distance,
+            photoId: match.photoId,
+            fileName: match.fileName,
+            capturedAt: match.capturedAt,
+            inSelection: false
+          });
+        }
+      } catch (error) {
+        if (API.isAbort(error)) throw error;
+        console.warn('[DuplicateDetector] Library check failed:', error.message);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Hash one file (memoized per File).
+   * @param {File} file
+   * @returns {Promise<{sha256: string, phash: string|null}|null>}
+   */
+  fingerprint(file) {
+    if (!this.fingerprints.has(file)) {
+      this.fingerprints.set(file, this._hash(file));
+    }
+    return this.fingerprints.get(file);
+  }
+
+  _hash(file) {
+    const worker = this._worker();
+    if (!worker) return Promise.resolve(null);
+    if (!(file instanceof ArchiveEntryFile)) return this._post(worker, file);
+
+    // Each entry is inflated only while the worker hashes it, so a whole archive is never in memory
+    const hashed = this.inflating.then(async () => {
+      try {
+        return await this._post(worker, await file.open());
+      } catch (error) {
+        console.warn(`[DuplicateDetector] Could not extract ${file.name}:`, error);
+        return null;
+      }
+    });
+    this.inflating = hashed;
+    return hashed;
+  }
+
+  _post(worker, file) {
+    return new Promise(resolve => {
+      const id = ++this.nextId;
+      this.pending.set(id, { resolve, name: file.name });
+      worker.postMessage({ id, file });
+    });
+  }
+
+  _worker() {
+    if (this.worker === null) {
+      try {
+        this.worker = new Worker(new URL('../workers/fileHash.worker.js', import.meta.url));
+        this.worker.onmessage = (event) => this._onMessage(event.data);
+        this.worker.onerror = (event) => {
+          console.warn('[DuplicateDetector] Hash worker failed:', event.message);
+          this._failAll();
+        };
+      } catch (error) {
+        console.warn('[DuplicateDetector] Web Workers unavailable, duplicate detection disabled:', error);
+        this.worker = false;
+      }
+    }
+    return this.worker || null;
+  }
+
+  _onMessage({ id, sha256, phash, error }) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+
+    if (error) {
+      console.warn(`[DuplicateDetector] Could not hash ${entry.name}:`, error);
+      entry.resolve(null);
+    } else {
+      entry.resolve({ sha256, phash });
+    }
+  }
+
+  _failAll() {
+    for (const entry of this.pending.values()) entry.resolve(null);
+    this.pending.clear();
+    this.worker?.terminate();
+    this.worker = false;
+  }
+}
@@ -3,19 +3,48 @@
  * Intelligently preloads images based on navigation patterns
  *
  * 5-Tier Preloading Strategy:
- * - Tier 1 (Immediate): Current photo - full resolution
+ * - Tier 1 (Immediate): Current photo - loaded by the lightbox
  * - Tier 2 (Critical): ±1 photos - preload immediately
  * - Tier 3 (High): ±2-5 photos - preload with priority
- * - Tier 4 (Background): ±6-20 photos - gallery tier thumbnails
+ * - Tier 4 (Background): ±6-20 photos - gallery tier
  * - Tier 5 (Metadata): ±21-100 photos - metadata only (no images)
+ *
+ * The ranges and renditions above are the budget on a fast connection. Before each plan they are
+ * rescaled from navigator.connection (effective type, Save-Data), navigator.deviceMemory and the
+ * load times measured here, and images are decoded with img.decode() before they are cached, so
+ * showing one never decodes on the main thread.
  */
 
+import { IMAGE_TIERS } from '../viewPresets.js';
+
+// Network budgets, most generous first: how much of the configured ranges to preload, and the
+// largest lightbox rendition to fetch ahead (originals are left to the lightbox's zoom)
+const BUDGETS = {
+  fast: { rangeScale: 1, maxTier: 'display' },
+  moderate: { rangeScale: 0.5, maxTier: 'gallery' },
+  constrained: { rangeScale: 0, maxTier: 'gallery' }
+};
+const BUDGET_ORDER = ['fast', 'moderate', 'constrained'];
+
+// Measured preloads slower than this (ms, recent average) step the budget down one level
+const SLOW_LOAD_TIME = 1500;
+const LOAD_TIME_WINDOW = 8;
+
+// Renditions by size, for telling whether a cached image covers a planned one
+const QUALITY_RANK = { gallery: 1, display: 2, original: 3 };
+
 export class ImagePreloader {
   constructor(config = {}) {
-    this.maxCachedImages = config.maxCachedImages || 20;
+    // Configured budget (fast connection, 4 GB device); this.budget scales the working values below
+    this.baseMaxCachedImages = config.maxCachedImages || 20;
+    this.baseTier3Range = config.tier3Range || 5;
+    this.baseTier4Range = config.tier4Range || 20;
+
+    this.maxCachedImages = this.baseMaxCachedImages;
     this.tier2Range = config.tier2Range || 1;      // ±1
-    this.tier3Range = config.tier3Range || 5;      // ±2-5
-    this.tier4Range = config.tier4Range || 20;     // ±6-20
+    this.tier3Range = this.baseTier3Range;         // ±2-5
+    this.tier4Range = this.baseTier4Range;         // ±6-20
+    this.maxTier = 'display';
 
     // Cache storage: Map<photoId, { image, url, timestamp, priority }>
     this.imageCache = new Map();
@@ -32,12 +61,74 @@ export class ImagePreloader {
     this.preloadsExecuted = 0;
     this.preloadsUsed = 0;
     this.totalLoadTime = 0;
+    this.recentLoadTimes = [];
+
+    this.budget = null;
+    this.updateBudget();
+
+    // A connection that drops mid-session stops queued preloads it can no longer afford
+    navigator.connection?.addEventListener?.('change', () => {
+      const previous = this.budget;
+      this.updateBudget();
+      if (BUDGET_ORDER.indexOf(this.budget) > BUDGET_ORDER.indexOf(previous)) {
+        this.preloadQueue = [];
+      }
+    });
+  }
+
+  /**
+   * Network budget from the connection's hints, stepped down when measured loads are slow
+   * @returns {string} 'fast' · 'moderate' · 'constrained'
+   */
+  assessBudget() {
+    const connection = navigator.connection;
+    let level = 0;
+
+    if (connection?.saveData || /(^|-)2g$/.test(connection?.effectiveType || '')) {
+      level = 2;
+    } else if (connection?.effectiveType === '3g') {
+      level = 1;
+    }
+
+    // The hints are estimates (and absent outside Chromium); what this session measured wins
+    if (this.recentLoadTimes.length >= 3) {
+      const average = this.recentLoadTimes.reduce((sum, time) => sum + time, 0) / this.recentLoadTimes.length;
+      if (average > SLOW_LOAD_TIME) {
+        level = Math.min(2, level + 1);
+      }
+    }
+
+    return BUDGET_ORDER[level];
+  }
+
+  /**
+   * Rescale ranges, rendition and cache size to the current network budget and device memory
+   */
+  updateBudget() {
+    this.budget = this.assessBudget();
+    const { rangeScale, maxTier } = BUDGETS[this.budget];
+
+    this.tier3Range = Math.round(this.baseTier3Range * rangeScale);
+    this.tier4Range = Math.round(this.baseTier4Range * rangeScale);
+    this.maxTier = maxTier;
+
+    // Decoded images are held in memory: the configured cache suits a 4 GB device
+    // (deviceMemory is rounded, 0.25-8), and a display rendition weighs about four gallery ones
+    const memoryScale = Math.max(0.5, Math.min(2, (navigator.deviceMemory || 4) / 4));
+    const tierScale = maxTier === 'display' ? 0.5 : 1;
+    this.maxCachedImages = Math.max(this.tier2Range * 2 + 1, Math.round(this.baseMaxCachedImages * memoryScale * tierScale));
+
+    while (this.imageCache?.size > this.maxCachedImages) {
+      this.evictLRU();
+    }
   }
 
   /**
    * Preload images around a position with intelligent prioritization
    */
   async preload(photoSet, currentIndex) {
+    this.updateBudget();
+
     // Detect navigation velocity
     const velocity = this.calculateVelocity();
 
@@ -66,6 +157,8 @@ export class ImagePreloader {
   buildPreloadPlan(currentIndex, totalCount, aheadBias = 1) {
     const plan = [];
 
+    // 'lightbox' resolves per photo to the rendition the lightbox will show (see lightboxQuality)
+
     // Tier 2: Critical (±1) - highest priority
     for (let offset = -this.tier2Range; offset <= this.tier2Range; offset++) {
       if (offset === 0) continue;  // Skip current (already loading)
@@ -75,14 +168,13 @@ export class ImagePreloader {
         plan.push({
           index,
           priority: 'critical',
-          quality: 'original',
+          quality: 'lightbox',
           delay: 50
         });
       }
     }
 
     // Tier 3: High (±2-5) - high priority
-    const tier3Start = this.tier2Range + 1;
     for (let offset = -this.tier3Range; offset <= this.tier3Range; offset++) {
       if (Math.abs(offset) <= this.tier2Range) continue;
 
@@ -96,14 +188,13 @@ export class ImagePreloader {
         plan.push({
           index,
           priority: 'high',
-          quality: 'original',
+          quality: 'lightbox',
           delay: biasedDelay
         });
       }
     }
 
-    // Tier 4: Background (±6-20) - low priority, thumbnails only
-    const tier4Start = this.tier3Range + 1;
+    // Tier 4: Background (±6-20) - low priority, gallery tier only
     for (let offset = -this.tier4Range; offset <= this.tier4Range; offset++) {
       if (Math.abs(offset) <= this.tier3Range) continue;
 
@@ -112,7 +203,7 @@ export class ImagePreloader {
         plan.push({
           index,
           priority: 'low',
-          quality: 'gallery',  // Thumbnail quality
+          quality: 'gallery',
           delay: 500
         });
       }
@@ -148,8 +239,11 @@ export class ImagePreloader {
     const photo = photoSet.window.get(task.index);
     if (!photo) return;  // Metadata not loaded yet
 
-    if (this.imageCache.has(photo.id)) {
-      return;  // Already cached
+    const quality = task.quality === 'lightbox' ? this.lightboxQuality(photo) : task.quality;
+
+    const cached = this.imageCache.get(photo.id);
+    if (cached && QUALITY_RANK[cached.quality] >= QUALITY_RANK[quality]) {
+      return;  // Already cached at this size or larger
     }
 
     // Check if already queued
@@ -157,7 +251,23 @@ export class ImagePreloader {
       return;  // Already queued
     }
 
-    this.preloadQueue.push({ ...task, photoSet, photo });
+    this.preloadQueue.push({ ...task, quality, photoSet, photo });
+  }
+
+  /**
+   * The lightbox rendition (gallery or display) that covers this screen, within the budget
+   * Mirrors the browser's pick from the lightbox srcset, so the preloaded URL is the one it requests.
+   */
+  lightboxQuality(photo) {
+    if (this.maxTier !== 'display') return 'gallery';
+
+    // A photo no larger than the gallery box is served the same at both tiers
+    if (photo.width > 0 && photo.height > 0 && Math.max(photo.width, photo.height) <= IMAGE_TIERS.gallery) {
+      return 'gallery';
+    }
+
+    const screenEdge = Math.max(window.innerWidth, window.innerHeight) * (window.devicePixelRatio || 1);
+    return screenEdge > IMAGE_TIERS.gallery ? 'display' : 'gallery';
   }
 
   /**
@@ -184,25 +294,29 @@ export class ImagePreloader {
   /**
    * Preload a single image
    */
-  async preloadImage(photoId, quality = 'original') {
+  async preloadImage(photoId, quality = 'gallery') {
     const startTime = performance.now();
 
     try {
       const url = quality === 'original'
         ? `/media/${photoId}`            // seedless = the untransformed original
-        : `/media/${photoId}/gallery`;
+        : `/media/${photoId}/${quality}`;
 
       // Create Image object to preload
       const img = new Image();
       img.decoding = 'async';
-
-      const loadPromise = new Promise((resolve, reject) => {
-        img.onload = resolve;
-        img.onerror = reject;
-      });
-
       img.src = url;
-      await loadPromise;
+
+      // decode() resolves once the image is fetched and decoded off the main thread, so
+      // attaching it later paints without a decode; without it, wait for the load
+      if (img.decode) {
+        await img.decode();
+      } else {
+        await new Promise((resolve, reject) => {
+          img.onload = resolve;
+          img.onerror = reject;
+        });
+      }
 
       // Store in cache
       this.imageCache.set(photoId, {
@@ -217,6 +331,11 @@ export class ImagePreloader {
       const loadTime = performance.now() - startTime;
       this.totalLoadTime += loadTime;
 
+      this.recentLoadTimes.push(loadTime);
+      if (this.recentLoadTimes.length > LOAD_TIME_WINDOW) {
+        this.recentLoadTimes.shift();
+      }
+
       console.log(`[ImagePreloader] Preloaded ${photoId} (${quality}) in ${loadTime.toFixed(0)}ms`);
 
       // Evict if cache is full
@@ -355,7 +474,10 @@ export class ImagePreloader {
       efficiency: efficiency,
       avgLoadTime: avgLoadTime,
       queueLength: this.preloadQueue.length,
-      velocity: this.calculateVelocity()
+      velocity: this.calculateVelocity(),
+      budget: this.budget,
+      maxTier: this.maxTier,
+      ranges: [this.tier2Range, this.tier3Range, this.tier4Range]
     };
   }
 }
@@ -0,0 +1,99 @@
+/**
+ * Library Change Stream
+ * Live photo and collection changes pushed by the server (GET /api/library/changes)
+ *
+ * A browser-native EventSource, like the upload progress stream, but long-lived: the server sends a
+ * `LibraryChanged` frame per photo/collection created, updated or deleted (coalesced, with the entity's
+ * current grid shape), tagged with a cursor as the event id. EventSource resumes from that cursor by
+ * itself after a dropped connection; when the browser gives up (the server refused or went away) we
+ * reopen with ?since=cursor after a backoff. A `LibraryReset` frame means the cursor was too old to
+ * resume from, so listeners should reload.
+ *
+ * Events: 'change' (one LibraryChangeEvent), 'reset'
+ */
+
+const URL_PATH = '/api/library/changes';
+
+export class LibraryChangeStream {
+  constructor() {
+    this.source = null;
+    this.cursor = null;
+    this.retryDelay = 2000;
+    this.retryTimer = null;
+    this.listeners = new Map();
+  }
+
+  start() {
+    if (this.source) return;
+    clearTimeout(this.retryTimer);
+
+    const url = this.cursor ? `${URL_PATH}?since=${encodeURIComponent(this.cursor)}` : URL_PATH;
+    const source = new EventSource(url);
+
+    source.addEventListener('LibraryReady', (e) => this.handleFrame(e));
+    source.addEventListener('LibraryChanged', (e) => {
+      this.handleFrame(e);
+      this.emit('change', JSON.parse(e.data));
+    });
+    source.addEventListener('LibraryReset', (e) => {
+      this.handleFrame(e);
+      console.log('[LibraryChangeStream] Cursor expired - reloading');
+      this.emit('reset', JSON.parse(e.data));
+    });
+
+    // Transient drops are retried by EventSource itself (with Last-Event-ID). CLOSED means it gave up.
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        this.source = null;
+        this.retryTimer = setTimeout(() => this.start(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, 60000);
+      }
+    };
+
+    this.source = source;
+  }
+
+  stop() {
+    clearTimeout(this.retryTimer);
+    this.source?.close();
+    this.source = null;
+  }
+
+  handleFrame(e) {
+    if (e.lastEventId) {
+      this.cursor = e.lastEventId;
+    }
+    this.retryDelay = 2000;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (!this.listeners.has(event)) return;
+    const callbacks = this.listeners.get(event);
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  emit(event, data) {
+    if (!this.listeners.has(event)) return;
+    this.listeners.get(event).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[LibraryChangeStream] Event listener error (${event}):`, error);
+      }
+    });
+  }
+}
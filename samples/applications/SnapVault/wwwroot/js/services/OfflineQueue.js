@@ -0,0 +1,243 @@
+/**
+ * Offline Queue
+ * Mutations made without a connection, persisted in IndexedDB and replayed in order once it returns
+ *
+ * Shared by the page and the service worker: api.js queues a write that could not reach the server,
+ * sw.js replays the queue on the Background Sync event, and OfflineSync replays it from the page in
+ * browsers without Background Sync. Replay holds a Web Lock, so the two never run it at the same time.
+ *
+ * Queued writes must be idempotent (explicit favorite state, rating, collection add/remove, proofing
+ * marks). A mutation may carry a precondition — the value the user saw before changing it. If the
+ * server's value has since moved to something else, the change is not applied and is reported as a
+ * conflict instead, as is any change the server refuses (photo deleted, collection full, grant revoked).
+ *
+ * Must not touch window/document: it also runs inside the service worker.
+ */
+
+import { errorFromBody } from '../utils/errors.js';
+
+const DB_NAME = 'snapvault-offline';
+const DB_VERSION = 1;
+const MUTATIONS = 'mutations';
+const CONFLICTS = 'conflicts';
+const LOCK_NAME = 'snapvault-offline-replay';
+
+/** Background Sync tag the service worker replays on. */
+export const SYNC_TAG = 'snapvault-mutations';
+
+export class OfflineQueue {
+  constructor() {
+    this.dbPromise = null;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Persist a mutation for replay and ask for a Background Sync.
+   * @param {object} mutation - { method, url, body, label, precondition }
+   *   label: what the change was, for conflict reports ("Favorite IMG_0042.jpg");
+   *   precondition: { url, field, expected, value } — replay only if GET url still has `expected`
+   *   (or already `value`) in `field`
+   * @returns {Promise<void>}
+   */
+  async add({ method = 'POST', url, body = null, label = null, precondition = null }) {
+    await this._tx(MUTATIONS, 'readwrite', store => store.add({
+      method,
+      url,
+      body,
+      label: label || `${method} ${url}`,
+      precondition,
+      queuedAt: Date.now()
+    }));
+    console.log(`[OfflineQueue] Queued ${method} ${url}`);
+
+    await this.requestSync();
+    this.emit('change', { pending: await this.count() });
+  }
+
+  /**
+   * Register the Background Sync (no-op where the API is missing — OfflineSync replays on 'online').
+   */
+  async requestSync() {
+    try {
+      const registration = globalThis.registration ?? await navigator.serviceWorker?.ready;
+      await registration?.sync?.register(SYNC_TAG);
+    } catch (error) {
+      console.warn('[OfflineQueue] Background Sync unavailable:', error);
+    }
+  }
+
+  /**
+   * Queued mutations, oldest first.
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    return (await this._tx(MUTATIONS, 'readonly', store => store.getAll())) || [];
+  }
+
+  async count() {
+    return (await this._tx(MUTATIONS, 'readonly', store => store.count())) || 0;
+  }
+
+  /**
+   * Replay queued mutations in order. Stops at the first one that cannot reach the server (it and
+   * the rest stay queued); applied and conflicting ones leave the queue.
+   * @returns {Promise<{applied: number, conflicts: number, remaining: number}>}
+   */
+  async replay() {
+    const run = () => this._replay();
+    return navigator.locks ? navigator.locks.request(LOCK_NAME, run) : run();
+  }
+
+  /**
+   * Conflicts recorded by replays (from any context), removed as they are read.
+   * @returns {Promise<Array<{label: string, reason: string, queuedAt: number}>>}
+   */
+  async takeConflicts() {
+    const conflicts = (await this._tx(CONFLICTS, 'readonly', store => store.getAll())) || [];
+    if (conflicts.length > 0) {
+      await this._tx(CONFLICTS, 'readwrite', store => store.clear());
+    }
+    return conflicts;
+  }
+
+  async _replay() {
+    const mutations = await this.list();
+    const result = { applied: 0, conflicts: 0, remaining: 0 };
+
+    for (let i = 0; i < mutations.length; i++) {
+      const mutation = mutations[i];
+      let conflict;
+
+      try {
+        conflict = await this._apply(mutation);
+      } catch (error) {
+        console.warn(`[OfflineQueue] Replay paused at ${mutation.method} ${mutation.url}:`, error);
+        result.remaining = mutations.length - i;
+        break;
+      }
+
+      if (conflict) {
+        result.conflicts++;
+        await this._tx(CONFLICTS, 'readwrite', store => store.add({
+          label: mutation.label,
+          reason: conflict,
+          queuedAt: mutation.queuedAt
+        }));
+      } else {
+        result.applied++;
+      }
+      await this._tx(MUTATIONS, 'readwrite', store => store.delete(mutation.id));
+    }
+
+    if (result.applied > 0 || result.conflicts > 0) {
+      console.log(`[OfflineQueue] Replayed: ${result.applied} applied, ${result.conflicts} conflicts, ${result.remaining} left`);
+    }
+    this.emit('change', { pending: result.remaining });
+    return result;
+  }
+
+  /**
+   * Apply one mutation. Resolves to a conflict reason, or null when applied; throws when the server
+   * could not be reached (or is failing) so the mutation stays queued.
+   */
+  async _apply(mutation) {
+    if (mutation.precondition) {
+      const { url, field, expected, value } = mutation.precondition;
+      const current = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+      if (current.status === 404) return 'It no longer exists';
+      if (!current.ok) return this._refuse(current);
+
+      const actual = (await current.json())?.[field];
+      if (actual !== expected && actual !== value) {
+        return `It was changed elsewhere while you were offline (${field} is now ${actual})`;
+      }
+    }
+
+    const response = await fetch(mutation.url, {
+      method: mutation.method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: mutation.body != null ? JSON.stringify(mutation.body) : null
+    });
+
+    if (response.ok) return null;
+    return this._refuse(response);
+  }
+
+  /**
+   * A refusal is a conflict; a server failure or an expired sign-in is retried later.
+   */
+  async _refuse(response) {
+    if (response.status >= 500 || response.status === 429 || response.status === 401) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const text = await response.text().catch(() => '');
+    return errorFromBody(response.status, response.statusText, text).message;
+  }
+
+  // ---------------------------------------------------------------------------
+  // IndexedDB persistence
+  // ---------------------------------------------------------------------------
+
+  _db() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(MUTATIONS, { keyPath: 'id', autoIncrement: true });
+          request.result.createObjectStore(CONFLICTS, { autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async _tx(storeName, mode, fn) {
+    const db = await this._db();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request?.result ?? null);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (!this.listeners.has(event)) return;
+    const callbacks = this.listeners.get(event);
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  emit(event, data) {
+    if (!this.listeners.has(event)) return;
+    this.listeners.get(event).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[OfflineQueue] Event listener error (${event}):`, error);
+      }
+    });
+  }
+}
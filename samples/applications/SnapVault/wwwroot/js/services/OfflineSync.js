@@ -0,0 +1,125 @@
+/**
+ * Offline Sync
+ * Page side of offline support: registers the service worker, replays queued mutations itself where
+ * Background Sync is missing, and reports what became of them
+ *
+ * Writes that cannot reach the server are queued by api.js (the `offline` option) into the
+ * OfflineQueue. With Background Sync the service worker replays them and posts 'offline-replayed';
+ * without it (Firefox, Safari) this class replays on the 'online' event. Either way the report reads
+ * conflicts from the queue, so a replay that ran with no page open is reported on the next load.
+ *
+ * IndexedDB can be unavailable (private browsing, a blocked or failed upgrade). Then there is simply no
+ * offline queue: every queue access here is guarded and logged, never left as an unhandled rejection.
+ */
+
+export class OfflineSync {
+  /**
+   * @param {API} api
+   * @param {object} options
+   *   notify(message, { icon, duration, actions }): show a message (the studio passes its toast)
+   *   onSynced(): called after replayed changes landed or conflicted, to reload server state
+   */
+  constructor(api, { notify, onSynced = null } = {}) {
+    this.queue = api.offlineQueue;
+    this.notify = notify;
+    this.onSynced = onSynced;
+    this.registration = null;
+  }
+
+  async init() {
+    if ('serviceWorker' in navigator) {
+      try {
+        this.registration = await navigator.serviceWorker.register('/sw.js', { type: 'module' });
+        this.cacheLoadedModules();
+      } catch (error) {
+        console.warn('[OfflineSync] Service worker registration failed:', error);
+      }
+
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'offline-replayed') {
+          this.guarded(() => this.report(event.data.result));
+        }
+      });
+    }
+
+    window.addEventListener('online', () => this.guarded(() => this.replay()));
+    window.addEventListener('offline', () => {
+      this.notify("You're offline - changes will sync when you reconnect", { icon: '📴', duration: 4000 });
+    });
+
+    // Conflicts from a replay that ran while no page was open
+    await this.guarded(async () => {
+      await this.report();
+      if (navigator.onLine) {
+        await this.replay();
+      }
+    });
+  }
+
+  /**
+   * Run a queue task, degrading to "no offline queue" when IndexedDB is unavailable
+   * @param {Function} task - async
+   */
+  async guarded(task) {
+    try {
+      await task();
+    } catch (error) {
+      console.warn('[OfflineSync] Offline queue unavailable:', error);
+    }
+  }
+
+  /**
+   * Is the service worker replaying on Background Sync (so the page should not)?
+   */
+  get backgroundSync() {
+    return Boolean(this.registration?.sync && this.registration.active);
+  }
+
+  async replay() {
+    if (this.backgroundSync) return;
+    if ((await this.queue.count()) === 0) return;
+
+    this.report(await this.queue.replay());
+  }
+
+  /**
+   * Report a replay: applied changes, then any conflicts recorded by this or an earlier replay.
+   * @param {object} result - { applied, conflicts, remaining } from OfflineQueue.replay()
+   */
+  async report({ applied = 0 } = {}) {
+    const conflicts = await this.queue.takeConflicts();
+
+    if (applied > 0) {
+      this.notify(`Synced ${applied} offline change${applied !== 1 ? 's' : ''}`, { icon: '✅', duration: 2000 });
+    }
+
+    if (conflicts.length > 0) {
+      const details = conflicts.map(conflict => `• ${conflict.label}: ${conflict.reason}`).join('\n');
+      this.notify(`${conflicts.length} offline change${conflicts.length !== 1 ? 's' : ''} could not be applied`, {
+        icon: '⚠️',
+        duration: 8000,
+        actions: [{ label: 'Details', onClick: () => alert(details) }]
+      });
+    }
+
+    if (applied > 0 || conflicts.length > 0) {
+      Promise.resolve(this.onSynced?.()).catch(error => {
+        console.warn('[OfflineSync] Reload after sync failed:', error);
+      });
+    }
+  }
+
+  /**
+   * Hand the scripts and styles this page loaded to the service worker, so the whole module graph is
+   * available offline (the worker only precaches the entry points).
+   */
+  cacheLoadedModules() {
+    const urls = performance.getEntriesByType('resource')
+      .map(entry => entry.name)
+      .filter(url => url.startsWith(`${location.origin}/js/`) || url.startsWith(`${location.origin}/css/`));
+
+    navigator.serviceWorker.ready.then(registration => {
+      registration.active?.postMessage({ type: 'cache-urls', urls });
+    });
+  }
+}
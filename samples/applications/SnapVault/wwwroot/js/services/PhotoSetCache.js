@@ -1,14 +1,66 @@
 /**
  * PhotoSetCache - Client-side caching for photoset results
  * Provides instant loading by showing cached data while refreshing in background
+ *
+ * Entries live in IndexedDB (structured clone, off the main thread's JSON path, no 5 MB ceiling).
+ * Every entry records its own size; eviction is LRU, driven by an entry/byte budget and by
+ * navigator.storage.estimate() when the origin nears its quota. Sizes and access times also live in a
+ * small metadata store, so budgeting and eviction never read the cached photo arrays. All methods are async.
+ *
+ * Invalidations are broadcast to other open tabs over a BroadcastChannel. The IndexedDB store is
+ * shared, so a receiving tab only notifies its onInvalidate listeners (with `remote: true` and the
+ * change: photoId plus patch or deleted) and they patch their in-memory windows and cards in place.
  */
 
 class PhotoSetCache {
     constructor() {
-        this.CACHE_PREFIX = 'photoset_cache:';
+        this.DB_NAME = 'snapvault-photoset-cache';
+        this.STORE = 'entries';
+        this.META_STORE = 'meta';              // { key, bytes, timestamp, lastAccessed } per entry
         this.CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day
-        this.MAX_ENTRIES = 10; // LRU eviction
+        this.MAX_ENTRIES = 50;                 // LRU eviction
+        this.MAX_BYTES = 50 * 1024 * 1024;     // budget for this cache alone
+        this.QUOTA_PRESSURE = 0.8;             // evict when the origin uses more than this share of its quota
+        this.ENTRY_VERSION = 2;                // shape of a stored entry (v1 = the localStorage format)
+        this.LEGACY_PREFIX = 'photoset_cache:';
         this.listeners = new Set();
+        this.dbPromise = null;
+
+        // Cross-tab invalidation (a channel never receives its own messages)
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('snapvault-photosets') : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => this._onRemoteInvalidation(event.data);
+        }
+
+        // Schema migrations, applied in order from the stored version up. Never edit a shipped step —
+        // add a new one and bump the database version by adding it here.
+        this.MIGRATIONS = [
+            // 1: entries keyed by definition, LRU index
+            (db) => {
+                const store = db.createObjectStore(this.STORE, { keyPath: 'key' });
+                store.createIndex('lastAccessed', 'lastAccessed');
+            },
+            // 2: context and photo-id indexes, so invalidation no longer reads every entry
+            (db, tx) => {
+                const store = tx.objectStore(this.STORE);
+                store.createIndex('context', 'context');
+                store.createIndex('photoIds', 'photoIds', { multiEntry: true });
+            },
+            // 3: size and LRU metadata in their own store, so eviction walks it instead of every photo array
+            (db, tx) => {
+                const meta = db.createObjectStore(this.META_STORE, { keyPath: 'key' });
+                meta.createIndex('lastAccessed', 'lastAccessed');
+
+                const entries = tx.objectStore(this.STORE);
+                entries.deleteIndex('lastAccessed');
+                entries.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    meta.put(this._metaOf(cursor.value));
+                    cursor.continue();
+                };
+            }
+        ];
     }
 
     /**
@@ -26,31 +78,58 @@ class PhotoSetCache {
             parts.push(definition.collectionId);
         }
 
+        // Smart collections resolve their saved definition server-side: key on its id and revision,
+        // so an edited definition never serves the previous definition's photos
+        if (definition.context === 'smart' && definition.collectionId) {
+            parts.push(definition.collectionId);
+            parts.push(definition.revision || '');
+        }
+
         // Include search query for search context
         if (definition.context === 'search' && definition.searchQuery) {
             parts.push(definition.searchQuery);
             parts.push(String(definition.searchAlpha || 0.5));
         }
 
-        return this.CACHE_PREFIX + parts.join(':');
+        // Filtered sets are separate sessions: key on the filter state, with stable key order
+        if (definition.filters) {
+            parts.push(this._stableStringify(definition.filters));
+        }
+
+        // Stacked sets fold bursts, differently for each set of expanded stacks
+        if (definition.stacked) {
+            parts.push(`stacked[${[...(definition.expandedStacks || [])].sort().join(',')}]`);
+        }
+
+        return parts.join(':');
+    }
+
+    _stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(v => this._stableStringify(v)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .map(k => `${JSON.stringify(k)}:${this._stableStringify(value[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
     }
 
     /**
      * Get cached photoset if valid
+     * @returns {Promise<object|null>}
      */
-    get(definition) {
+    async get(definition) {
         const key = this._getCacheKey(definition);
 
         try {
-            const cached = localStorage.getItem(key);
-            if (!cached) return null;
-
-            const data = JSON.parse(cached);
+            const data = await this._request('readonly', store => store.get(key));
+            if (!data) return null;
 
             // Validate structure
-            if (!data.session || !data.photos || !data.timestamp || !data.version) {
+            if (!data.session || !data.photos || !data.timestamp || data.version !== this.ENTRY_VERSION) {
                 console.warn('[PhotoSetCache] Invalid cache structure, clearing:', key);
-                this.invalidate(definition);
+                await this.invalidate(definition);
                 return null;
             }
 
@@ -58,54 +137,57 @@ class PhotoSetCache {
             const age = Date.now() - data.timestamp;
             if (age > this.CACHE_TTL) {
                 console.log('[PhotoSetCache] Cache expired:', key, 'age:', Math.round(age / 1000 / 60), 'minutes');
-                this.invalidate(definition);
+                await this.invalidate(definition);
                 return null;
             }
 
-            // Update LRU timestamp
+            // Update LRU timestamp (not awaited - the caller already has the data)
             data.lastAccessed = Date.now();
-            localStorage.setItem(key, JSON.stringify(data));
+            this._request('readwrite', (store, meta) => meta.put(this._metaOf(data))).catch(() => {});
 
-            console.log(`[PhotoSetCache] ✓ Cache hit for key: ${key.replace(this.CACHE_PREFIX, '')} (age: ${Math.round(age / 1000 / 60)}m)`);
+            console.log(`[PhotoSetCache] ✓ Cache hit for key: ${key} (age: ${Math.round(age / 1000 / 60)}m)`);
             return data;
 
         } catch (error) {
             console.error('[PhotoSetCache] Error reading cache:', error);
-            this.invalidate(definition);
             return null;
         }
     }
 
     /**
      * Store photoset in cache
+     * @returns {Promise<void>}
      */
-    set(definition, session, photos) {
+    async set(definition, session, photos) {
         const key = this._getCacheKey(definition);
+        const data = {
+            key: key,
+            version: this.ENTRY_VERSION,
+            context: definition.context,
+            timestamp: Date.now(),
+            lastAccessed: Date.now(),
+            session: session,
+            photos: photos,
+            photoIds: photos.map(p => p.id),
+            definition: definition,
+            bytes: this._measure(session, photos)
+        };
 
         try {
-            const data = {
-                version: 1,
-                timestamp: Date.now(),
-                lastAccessed: Date.now(),
-                session: session,
-                photos: photos,
-                definition: definition
-            };
-
-            localStorage.setItem(key, JSON.stringify(data));
-            console.log(`[PhotoSetCache] 💾 Stored ${photos.length} photos in key: ${key.replace(this.CACHE_PREFIX, '')}`);
+            await this._put(data);
+            console.log(`[PhotoSetCache] 💾 Stored ${photos.length} photos (${this._formatBytes(data.bytes)}) in key: ${key}`);
 
             // LRU cleanup
-            this._cleanupOldEntries();
+            await this._cleanupOldEntries();
 
         } catch (error) {
-            if (error.name === 'QuotaExceededError') {
+            if (error?.name === 'QuotaExceededError') {
                 console.warn('[PhotoSetCache] Storage quota exceeded, clearing old entries');
-                this._cleanupOldEntries(true); // Aggressive cleanup
+                await this._cleanupOldEntries(true); // Aggressive cleanup
 
                 // Retry once
                 try {
-                    localStorage.setItem(key, JSON.stringify(data));
+                    await this._put(data);
                 } catch (retryError) {
                     console.error('[PhotoSetCache] Failed to cache after cleanup:', retryError);
                 }
@@ -118,176 +200,377 @@ class PhotoSetCache {
     /**
      * Invalidate specific cache entry
      */
-    invalidate(definition) {
+    async invalidate(definition) {
         const key = this._getCacheKey(definition);
-        localStorage.removeItem(key);
-        console.log(`[PhotoSetCache] 🗑️ Invalidated key: ${key.replace(this.CACHE_PREFIX, '')}`);
+        await this._deleteKeys([key]);
+        console.log(`[PhotoSetCache] 🗑️ Invalidated key: ${key}`);
         this._notifyInvalidation(definition.context);
+        this._broadcast(definition.context);
     }
 
     /**
      * Invalidate all caches for a specific context
+     * @param {object} options - { broadcast: false } when every tab learns of the change anyway (server push)
      */
-    invalidateContext(context) {
-        const keys = this._getAllCacheKeys();
-        let count = 0;
-
-        for (const key of keys) {
-            if (key.includes(`:${context}:`)) {
-                localStorage.removeItem(key);
-                count++;
-            }
+    async invalidateContext(context, { broadcast = true } = {}) {
+        let keys = [];
+        try {
+            keys = await this._request('readonly', store => store.index('context').getAllKeys(context));
+        } catch (error) {
+            console.error('[PhotoSetCache] Error checking cache entries:', error);
         }
+        await this._deleteKeys(keys);
 
-        console.log(`[PhotoSetCache] 🗑️ Invalidated ${count} cache ${count === 1 ? 'entry' : 'entries'} for context: ${context}`);
+        console.log(`[PhotoSetCache] 🗑️ Invalidated ${keys.length} cache ${keys.length === 1 ? 'entry' : 'entries'} for context: ${context}`);
         this._notifyInvalidation(context);
+        if (broadcast) this._broadcast(context);
     }
 
     /**
-     * Invalidate all caches containing a specific photo ID
+     * Invalidate all caches containing a specific photo ID.
+     * With a patch (e.g. { isFavorite: true }) the photo changed rather than left: cached entries are
+     * patched in place and stay valid.
+     * @param {string} photoId
+     * @param {object} options - { patch, broadcast }
      */
-    invalidatePhoto(photoId) {
-        const keys = this._getAllCacheKeys();
-        let count = 0;
-
-        for (const key of keys) {
-            try {
-                const cached = localStorage.getItem(key);
-                if (!cached) continue;
+    async invalidatePhoto(photoId, { patch = null, broadcast = true } = {}) {
+        let keys = [];
+        try {
+            keys = await this._request('readonly', store => store.index('photoIds').getAllKeys(photoId));
+        } catch (error) {
+            console.error('[PhotoSetCache] Error checking cache entries:', error);
+        }
 
-                const data = JSON.parse(cached);
-                if (data.photos && data.photos.some(p => p.id === photoId)) {
-                    localStorage.removeItem(key);
-                    count++;
-                }
-            } catch (error) {
-                console.error('[PhotoSetCache] Error checking cache entry:', error);
-            }
+        if (patch) {
+            await this._patchEntries(keys, photoId, patch);
+            console.log(`[PhotoSetCache] ✏️ Patched photo ${photoId} in ${keys.length} cache ${keys.length === 1 ? 'entry' : 'entries'}`);
+        } else {
+            await this._deleteKeys(keys);
+            console.log(`[PhotoSetCache] 🗑️ Invalidated ${keys.length} cache ${keys.length === 1 ? 'entry' : 'entries'} containing photo: ${photoId}`);
         }
 
-        console.log(`[PhotoSetCache] 🗑️ Invalidated ${count} cache ${count === 1 ? 'entry' : 'entries'} containing photo: ${photoId}`);
-        this._notifyInvalidation('all');
+        const change = patch ? { photoId, patch } : { photoId, deleted: true };
+        this._notifyInvalidation('all', change);
+        if (broadcast) this._broadcast('all', change);
     }
 
     /**
      * Invalidate all caches
      */
-    invalidateAll() {
-        const keys = this._getAllCacheKeys();
-        for (const key of keys) {
-            localStorage.removeItem(key);
-        }
-        console.log('[PhotoSetCache] Cleared all cache entries:', keys.length);
+    async invalidateAll() {
+        await this._request('readwrite', (store, meta) => {
+            meta.clear();
+            return store.clear();
+        }).catch(() => {});
+        console.log('[PhotoSetCache] Cleared all cache entries');
         this._notifyInvalidation('all');
+        this._broadcast('all');
     }
 
     /**
-     * Get all cache keys
+     * Clean up old cache entries (LRU eviction) until the entry count, the byte budget and the
+     * origin's quota usage are all within limits. Aggressive cleanup halves the cache.
      */
-    _getAllCacheKeys() {
-        const keys = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(this.CACHE_PREFIX)) {
-                keys.push(key);
+    async _cleanupOldEntries(aggressive = false) {
+        // Least recently used first (the metadata store's lastAccessed index)
+        const entries = await this._entrySizes();
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+
+        let maxEntries = this.MAX_ENTRIES;
+        let maxBytes = this.MAX_BYTES;
+
+        if (aggressive) {
+            maxEntries = Math.floor(entries.length / 2);
+            maxBytes = Math.floor(totalBytes / 2);
+        } else {
+            const estimate = await this._estimate();
+            if (estimate && estimate.usage > estimate.quota * this.QUOTA_PRESSURE) {
+                // Free what the origin is over by, out of this cache (other stores are not ours to evict)
+                const excess = estimate.usage - estimate.quota * this.QUOTA_PRESSURE;
+                maxBytes = Math.min(maxBytes, Math.max(0, totalBytes - excess));
+                console.warn(`[PhotoSetCache] Origin storage at ${Math.round(estimate.usage / estimate.quota * 100)}% of quota, shrinking cache to ${this._formatBytes(maxBytes)}`);
             }
         }
-        return keys;
+
+        // The most recently used entry (usually the one just written) is kept unless aggressive
+        const candidates = aggressive ? entries : entries.slice(0, -1);
+        const toRemove = [];
+        let count = entries.length;
+        for (const entry of candidates) {
+            if (count <= maxEntries && totalBytes <= maxBytes) break;
+            toRemove.push(entry.key);
+            totalBytes -= entry.bytes;
+            count--;
+        }
+
+        if (toRemove.length > 0) {
+            await this._deleteKeys(toRemove);
+            toRemove.forEach(key => console.log('[PhotoSetCache] Evicted old entry:', key));
+        }
     }
 
     /**
-     * Clean up old cache entries (LRU eviction)
+     * Get cache statistics
+     * @returns {Promise<object>} entry count, real bytes held, and the origin's storage estimate
      */
-    _cleanupOldEntries(aggressive = false) {
-        const keys = this._getAllCacheKeys();
+    async getStats() {
+        const entries = await this._entrySizes();
+        const estimate = await this._estimate();
+        const totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+        const timestamps = entries.map(entry => entry.timestamp).filter(Boolean);
+        const now = Date.now();
 
-        if (keys.length <= this.MAX_ENTRIES && !aggressive) {
-            return; // No cleanup needed
-        }
+        return {
+            entryCount: entries.length,
+            totalBytes: totalBytes,
+            totalSizeKB: Math.round(totalBytes / 1024),
+            budgetBytes: this.MAX_BYTES,
+            originUsageBytes: estimate?.usage ?? null,
+            originQuotaBytes: estimate?.quota ?? null,
+            oldestAgeMinutes: timestamps.length ? Math.round((now - Math.min(...timestamps)) / 1000 / 60) : 0,
+            newestAgeMinutes: timestamps.length ? Math.round((now - Math.max(...timestamps)) / 1000 / 60) : 0
+        };
+    }
 
-        // Get all entries with timestamps
-        const entries = [];
-        for (const key of keys) {
+    /**
+     * Register listener for cache invalidation events
+     * Called with (context, detail); detail is { photoId, patch } or { photoId, deleted } for photo
+     * changes, and has `remote: true` when the invalidation came from another tab
+     */
+    onInvalidate(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify listeners of cache invalidation
+     */
+    _notifyInvalidation(context, detail = {}) {
+        for (const listener of this.listeners) {
             try {
-                const cached = localStorage.getItem(key);
-                if (!cached) continue;
-
-                const data = JSON.parse(cached);
-                entries.push({
-                    key: key,
-                    lastAccessed: data.lastAccessed || data.timestamp || 0
-                });
+                listener(context, detail);
             } catch (error) {
-                // Invalid entry, remove it
-                localStorage.removeItem(key);
+                console.error('[PhotoSetCache] Error in invalidation listener:', error);
             }
         }
+    }
+
+    _broadcast(context, detail = {}) {
+        try {
+            this.channel?.postMessage({ context, ...detail });
+        } catch (error) {
+            console.warn('[PhotoSetCache] Broadcast failed:', error);
+        }
+    }
+
+    _onRemoteInvalidation(message) {
+        if (!message?.context) return;
+        console.log('[PhotoSetCache] 📡 Invalidation from another tab:', message);
+        this._notifyInvalidation(message.context, { ...message, remote: true });
+    }
+
+    // ---------------------------------------------------------------------------
+    // Size accounting
+    // ---------------------------------------------------------------------------
+
+    /**
+     * UTF-8 size of the entry as JSON - a close, engine-independent stand-in for its on-disk size
+     */
+    _measure(session, photos) {
+        return new Blob([JSON.stringify(session), JSON.stringify(photos)]).size;
+    }
 
-        // Sort by last accessed (oldest first)
-        entries.sort((a, b) => a.lastAccessed - b.lastAccessed);
+    async _estimate() {
+        if (!navigator.storage?.estimate) return null;
+        try {
+            return await navigator.storage.estimate();
+        } catch {
+            return null;
+        }
+    }
 
-        // Remove oldest entries
-        const targetCount = aggressive ? Math.floor(this.MAX_ENTRIES / 2) : this.MAX_ENTRIES;
-        const toRemove = entries.length - targetCount;
+    _formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
 
-        for (let i = 0; i < toRemove; i++) {
-            localStorage.removeItem(entries[i].key);
-            console.log('[PhotoSetCache] Evicted old entry:', entries[i].key);
+    // ---------------------------------------------------------------------------
+    // IndexedDB
+    // ---------------------------------------------------------------------------
+
+    _db() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.MIGRATIONS.length);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    for (let version = event.oldVersion; version < this.MIGRATIONS.length; version++) {
+                        console.log(`[PhotoSetCache] Migrating schema to v${version + 1}`);
+                        this.MIGRATIONS[version](db, request.transaction);
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Another tab upgraded the schema: let it, and reopen on next use
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('[PhotoSetCache] Schema upgrade waiting for other tabs to close');
+            }).then(async (db) => {
+                await this._importLegacyEntries(db);
+                return db;
+            });
+
+            this.dbPromise.catch(error => {
+                console.warn('[PhotoSetCache] IndexedDB unavailable, caching disabled:', error);
+            });
         }
+        return this.dbPromise;
     }
 
     /**
-     * Get cache statistics
+     * One transaction over the entries and metadata stores; `fn(store, meta)` returns the request whose
+     * result to resolve with
      */
-    getStats() {
-        const keys = this._getAllCacheKeys();
-        let totalSize = 0;
-        let oldestTimestamp = Date.now();
-        let newestTimestamp = 0;
+    async _request(mode, fn) {
+        const db = await this._db();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([this.STORE, this.META_STORE], mode);
+            const request = fn(tx.objectStore(this.STORE), tx.objectStore(this.META_STORE));
+            tx.oncomplete = () => resolve(request?.result ?? null);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
 
-        for (const key of keys) {
-            try {
-                const cached = localStorage.getItem(key);
-                if (!cached) continue;
-
-                totalSize += cached.length;
-                const data = JSON.parse(cached);
-                if (data.timestamp) {
-                    oldestTimestamp = Math.min(oldestTimestamp, data.timestamp);
-                    newestTimestamp = Math.max(newestTimestamp, data.timestamp);
-                }
-            } catch (error) {
-                // Ignore invalid entries
-            }
+    /**
+     * Size metadata for every entry, least recently used first - a cursor over the metadata store, so
+     * no photo array is read
+     */
+    async _entrySizes() {
+        try {
+            const db = await this._db();
+            return await new Promise((resolve, reject) => {
+                const sizes = [];
+                const tx = db.transaction(this.META_STORE, 'readonly');
+                const request = tx.objectStore(this.META_STORE).index('lastAccessed').openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    const { key, bytes, timestamp } = cursor.value;
+                    sizes.push({ key, bytes: bytes || 0, timestamp });
+                    cursor.continue();
+                };
+                tx.oncomplete = () => resolve(sizes);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        } catch (error) {
+            console.error('[PhotoSetCache] Error reading cache entries:', error);
+            return [];
         }
+    }
 
+    _metaOf(entry) {
         return {
-            entryCount: keys.length,
-            totalSizeKB: Math.round(totalSize / 1024),
-            oldestAgeMinutes: Math.round((Date.now() - oldestTimestamp) / 1000 / 60),
-            newestAgeMinutes: Math.round((Date.now() - newestTimestamp) / 1000 / 60)
+            key: entry.key,
+            bytes: entry.bytes || 0,
+            timestamp: entry.timestamp,
+            lastAccessed: entry.lastAccessed || entry.timestamp
         };
     }
 
-    /**
-     * Register listener for cache invalidation events
-     */
-    onInvalidate(callback) {
-        this.listeners.add(callback);
-        return () => this.listeners.delete(callback);
+    async _put(entry) {
+        await this._request('readwrite', (store, meta) => {
+            meta.put(this._metaOf(entry));
+            return store.put(entry);
+        });
+    }
+
+    async _deleteKeys(keys) {
+        if (keys.length === 0) return;
+        await this._request('readwrite', (store, meta) => {
+            keys.forEach(key => {
+                store.delete(key);
+                meta.delete(key);
+            });
+            return null;
+        }).catch(error => console.error('[PhotoSetCache] Error deleting entries:', error));
+    }
+
+    async _patchEntries(keys, photoId, patch) {
+        if (keys.length === 0) return;
+        await this._request('readwrite', store => {
+            keys.forEach(key => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    const entry = request.result;
+                    const photo = entry?.photos.find(p => p.id === photoId);
+                    if (!photo) return;
+                    Object.assign(photo, patch);
+                    store.put(entry);
+                };
+            });
+            return null;
+        }).catch(error => console.error('[PhotoSetCache] Error patching entries:', error));
     }
 
     /**
-     * Notify listeners of cache invalidation
+     * One-time move of entries written by the localStorage cache (entry v1), freeing that space
      */
-    _notifyInvalidation(context) {
-        for (const listener of this.listeners) {
+    async _importLegacyEntries(db) {
+        const legacyKeys = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(this.LEGACY_PREFIX)) {
+                    legacyKeys.push(key);
+                }
+            }
+        } catch {
+            return; // localStorage blocked - nothing to import
+        }
+        if (legacyKeys.length === 0) return;
+
+        const imported = [];
+        for (const legacyKey of legacyKeys) {
             try {
-                listener(context);
-            } catch (error) {
-                console.error('[PhotoSetCache] Error in invalidation listener:', error);
+                const data = JSON.parse(localStorage.getItem(legacyKey));
+                if (data?.session && data.photos && data.definition && Date.now() - data.timestamp <= this.CACHE_TTL) {
+                    imported.push({
+                        ...data,
+                        key: legacyKey.slice(this.LEGACY_PREFIX.length),
+                        version: this.ENTRY_VERSION,
+                        context: data.definition.context,
+                        photoIds: data.photos.map(p => p.id),
+                        bytes: this._measure(data.session, data.photos)
+                    });
+                }
+            } catch {
+                // Unreadable legacy entry - dropped below
             }
         }
+
+        await new Promise((resolve) => {
+            const tx = db.transaction([this.STORE, this.META_STORE], 'readwrite');
+            imported.forEach(entry => {
+                tx.objectStore(this.STORE).put(entry);
+                tx.objectStore(this.META_STORE).put(this._metaOf(entry));
+            });
+            tx.oncomplete = resolve;
+            tx.onerror = () => resolve();
+            tx.onabort = () => resolve();
+        });
+
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+        console.log(`[PhotoSetCache] Moved ${imported.length} of ${legacyKeys.length} localStorage entries to IndexedDB`);
     }
 }
 
@@ -8,6 +8,8 @@
 
 import { SlidingWindow } from './SlidingWindow.js';
 import { ImagePreloader } from './ImagePreloader.js';
+import { API } from '../api.js';
+import { aspectOf } from '../utils/gridLayout.js';
 
 export class PhotoSetManager {
   constructor(definition, api) {
@@ -32,12 +34,19 @@ export class PhotoSetManager {
     // Session state
     this.sessionId = null;      // Server-assigned session ID
 
+    // Aborts every in-flight request when the set is cleared (view switched, search superseded)
+    this.abortController = new AbortController();
+
     // Current state
     this.currentIndex = -1;
     this.currentPhoto = null;
     this.totalCount = 0;
     this.isInitialized = false;
 
+    // Width / height of every photo in set order, for justified and masonry grids (loadAspectRatios)
+    this.aspectRatios = null;
+    this.aspectRatiosRequest = null;
+
     // Event listeners
     this.listeners = new Map();
 
@@ -110,17 +119,10 @@ export class PhotoSetManager {
 
     try {
       // Build definition for cache lookup
-      const cacheDefinition = {
-        context: this.definition.type,
-        searchQuery: this.definition.searchQuery,
-        searchAlpha: this.definition.searchAlpha,
-        collectionId: this.definition.id,
-        sortBy: this.definition.sortBy || 'capturedAt',
-        sortOrder: this.definition.sortOrder || 'desc'
-      };
+      const cacheDefinition = this.buildQueryDefinition();
 
       // Check cache first
-      const cached = window.photoSetCache?.get(cacheDefinition);
+      const cached = await window.photoSetCache?.get(cacheDefinition);
 
       if (cached) {
         const cacheAge = Date.now() - cached.timestamp;
@@ -187,7 +189,9 @@ export class PhotoSetManager {
 
       return true;
     } catch (error) {
-      console.error('[PhotoSet] Grid initialization failed:', error);
+      if (!API.isAbort(error)) {
+        console.error('[PhotoSet] Grid initialization failed:', error);
+      }
       throw error;
     }
   }
@@ -251,6 +255,7 @@ export class PhotoSetManager {
       }
 
     } catch (error) {
+      if (API.isAbort(error)) return; // set was cleared mid-refresh
       console.error('[PhotoSet] Background refresh error:', error);
       this.emit('refreshError', { error: error.message });
     }
@@ -471,6 +476,46 @@ export class PhotoSetManager {
     for (const range of missingRanges) {
       await this.loadWindow(range.start, range.end - range.start);
     }
+
+    this.emit('windowChanged', { start: newRange.start, end: newRange.end });
+  }
+
+  /**
+   * Make sure every photo in [start, end) is in the window (the grid's visible rows).
+   * Slides the window around the range, so only what's missing is fetched — never the photos
+   * in between the old and new positions. A range wider than the window widens it.
+   * @returns {boolean} whether anything was fetched
+   */
+  async ensureRange(start, end) {
+    start = Math.max(0, start);
+    end = Math.min(end, this.totalCount);
+    if (start >= end || this.window.getMissingRanges(start, end).length === 0) return false;
+
+    const size = Math.max(this.window.windowSize, end - start);
+    const newStart = Math.max(0, Math.min(start - Math.floor((size - (end - start)) / 2), this.totalCount - size));
+    const newEnd = Math.min(this.totalCount, newStart + size);
+
+    const missingRanges = this.window.slide(newStart, newEnd);
+    for (const range of missingRanges) {
+      await this.loadWindow(range.start, range.end - range.start);
+    }
+
+    this.emit('windowChanged', { start: newStart, end: newEnd });
+    return true;
+  }
+
+  /**
+   * Photo at an index, if it is in the window (no fetch, no hit/miss accounting)
+   */
+  photoAt(index) {
+    return this.window.cache.get(index);
+  }
+
+  /**
+   * Aspect ratio of the photo at an index: from the set's ratios, else from the photo if loaded; 0 when unknown
+   */
+  aspectAt(index) {
+    return this.aspectRatios?.[index] || aspectOf(this.photoAt(index));
   }
 
   /**
@@ -502,21 +547,14 @@ export class PhotoSetManager {
         console.log(`[DEBUG PhotoSet.loadWindow] Reusing session: ${this.sessionId}`);
       } else {
         // First request - include definition to create session
-        request.definition = {
-          context: this.definition.type,
-          searchQuery: this.definition.searchQuery,
-          searchAlpha: this.definition.searchAlpha,
-          collectionId: this.definition.id,
-          sortBy: this.definition.sortBy || 'capturedAt',
-          sortOrder: this.definition.sortOrder || 'desc'
-        };
+        request.definition = this.buildQueryDefinition();
         console.log(`[DEBUG PhotoSet.loadWindow] Creating new session with definition:`, request.definition);
       }
 
       console.log(`[DEBUG PhotoSet.loadWindow] Calling API: /api/photosets/query with request:`, request);
 
       // Use session-aware endpoint
-      const response = await this.api.post('/api/photosets/query', request);
+      const response = await this.api.post('/api/photosets/query', request, { signal: this.abortController.signal, idempotent: true });
       console.log(`[DEBUG PhotoSet.loadWindow] API Response:`, response);
 
       // Store session ID for subsequent requests
@@ -531,28 +569,89 @@ export class PhotoSetManager {
 
       return response;
     } catch (error) {
-      console.error('[DEBUG PhotoSet.loadWindow] ERROR:', error);
+      if (!API.isAbort(error)) {
+        console.error('[DEBUG PhotoSet.loadWindow] ERROR:', error);
+      }
       throw error;
     }
   }
 
   /**
-   * Get photo's index in the current set context
+   * Server-side photoset definition for this set: what a session is created from and what the
+   * cache is keyed on. Carries the grid's filters, so the window, next/previous and the index
+   * lookup all walk the same filtered set the grid shows - and the same folded bursts, when it is stacked.
    */
-  async getPhotoIndex(photoId) {
-    const response = await this.api.get(`/api/photos/${photoId}/index`, {
+  buildQueryDefinition() {
+    return {
       context: this.definition.type,
-      collectionId: this.definition.id,
       searchQuery: this.definition.searchQuery,
       searchAlpha: this.definition.searchAlpha,
+      collectionId: this.definition.id,
       sortBy: this.definition.sortBy || 'capturedAt',
       sortOrder: this.definition.sortOrder || 'desc',
-      filters: this.definition.filters ? JSON.stringify(this.definition.filters) : undefined
+      filters: this.definition.filters || null,
+      stacked: Boolean(this.definition.stacked),
+      expandedStacks: this.definition.expandedStacks || [],
+      revision: this.definition.revision || null // smart collections: cache key only, the server ignores it
+    };
+  }
+
+  /**
+   * Get photo's index in the current set context (a photo folded into a collapsed stack is at the stack's)
+   */
+  async getPhotoIndex(photoId) {
+    const response = await this.api.get(`/api/photos/${photoId}/index`, this.buildQueryParams(), {
+      signal: this.abortController.signal
     });
 
     return response;
   }
 
+  /**
+   * Month buckets of this set ({ year, month, count, startIndex }), for the grid's date rail.
+   * Empty when the set isn't in date order.
+   */
+  async getDateHistogram() {
+    return this.api.get('/api/photos/date-histogram', this.buildQueryParams(), { signal: this.abortController.signal });
+  }
+
+  /**
+   * Fetch the aspect ratio of every photo in the set, in order (once; concurrent callers share the request)
+   * @returns {Promise<number[]>} width / height per index, 0 where unknown
+   */
+  async loadAspectRatios() {
+    if (this.aspectRatios) return this.aspectRatios;
+
+    if (!this.aspectRatiosRequest) {
+      this.aspectRatiosRequest = this.api
+        .get('/api/photos/aspect-ratios', this.buildQueryParams(), { signal: this.abortController.signal })
+        .then(response => {
+          this.aspectRatios = response.ratios || [];
+          return this.aspectRatios;
+        })
+        .finally(() => {
+          this.aspectRatiosRequest = null;
+        });
+    }
+    return this.aspectRatiosRequest;
+  }
+
+  /**
+   * The query definition as GET parameters (the set-wide read endpoints): nulls dropped, filters as JSON,
+   * expanded stacks comma-separated
+   */
+  buildQueryParams() {
+    const { filters, expandedStacks, ...definition } = this.buildQueryDefinition();
+    const params = Object.fromEntries(Object.entries(definition).filter(([, value]) => value != null));
+    if (filters) {
+      params.filters = JSON.stringify(filters);
+    }
+    if (expandedStacks.length > 0) {
+      params.expandedStacks = expandedStacks.join(',');
+    }
+    return params;
+  }
+
   /**
    * Fetch a single photo at index (fallback for cache misses)
    * Uses session endpoint to ensure consistency
@@ -568,17 +667,10 @@ export class PhotoSetManager {
       request.sessionId = this.sessionId;
     } else {
       // Shouldn't happen (session created during initialization), but provide fallback
-      request.definition = {
-        context: this.definition.type,
-        searchQuery: this.definition.searchQuery,
-        searchAlpha: this.definition.searchAlpha,
-        collectionId: this.definition.id,
-        sortBy: this.definition.sortBy || 'capturedAt',
-        sortOrder: this.definition.sortOrder || 'desc'
-      };
+      request.definition = this.buildQueryDefinition();
     }
 
-    const response = await this.api.post('/api/photosets/query', request);
+    const response = await this.api.post('/api/photosets/query', request, { signal: this.abortController.signal, idempotent: true });
 
     // Store session ID if not already set
     if (response.sessionId && !this.sessionId) {
@@ -660,13 +752,103 @@ export class PhotoSetManager {
     this.preloader.imageCache.delete(photoId);
   }
 
+  /**
+   * Apply a change made elsewhere (another tab) to the photo in the window, in place.
+   * The grid and app state hold the same objects, so they see the change too.
+   * @returns {object|null} the patched photo, or null when it is not in the window
+   */
+  patchPhoto(photoId, patch) {
+    const index = this.window.findIndex(photoId);
+    if (index === -1) return null;
+
+    const photo = this.window.get(index);
+    Object.assign(photo, patch);
+    if (this.currentPhoto?.id === photoId && this.currentPhoto !== photo) {
+      Object.assign(this.currentPhoto, patch);
+    }
+    return photo;
+  }
+
+  /**
+   * Drop a photo deleted elsewhere (another tab); later photos move up one index.
+   * @returns {boolean} whether the photo was in the window
+   */
+  removePhoto(photoId) {
+    const index = this.window.findIndex(photoId);
+    if (index === -1) return false;
+
+    this.window.remove(index);
+    this.aspectRatios?.splice(index, 1);
+    this.preloader.imageCache.delete(photoId);
+    this.totalCount = Math.max(0, this.totalCount - 1);
+    if (this.currentIndex > index) {
+      this.currentIndex--;
+    }
+    return true;
+  }
+
+  /**
+   * Place a photo created elsewhere (pushed by the library change stream) at its sorted position.
+   * Only sorts the set can evaluate locally are placed; the caller decides the photo belongs to the set.
+   * @returns {number} the index it took, or -1 when it falls outside the loaded window (only the count changes)
+   */
+  insertPhoto(photo) {
+    if (this.window.findIndex(photo.id) !== -1) return -1;
+
+    const indices = Array.from(this.window.cache.keys()).sort((a, b) => a - b);
+    const before = indices.find(index => this.comparePhotos(photo, this.window.get(index)) < 0);
+    const loadedToEnd = indices.length === 0 || indices[indices.length - 1] === this.totalCount - 1;
+
+    this.totalCount++;
+
+    let index = -1;
+    if (before !== undefined) {
+      index = before;
+    } else if (loadedToEnd) {
+      index = indices.length === 0 ? 0 : indices[indices.length - 1] + 1;
+    }
+    if (index === -1) {
+      // Somewhere outside the window: the ratios after it are off by one until they're fetched again
+      this.aspectRatios = null;
+      return -1;
+    }
+
+    this.window.insert(index, photo);
+    this.aspectRatios?.splice(index, 0, aspectOf(photo));
+    if (this.currentIndex >= index) {
+      this.currentIndex++;
+    }
+    return index;
+  }
+
+  /**
+   * Compare two photos in the set's sort order (mirrors PhotoSetService.ApplySorting)
+   */
+  comparePhotos(a, b) {
+    const key = (photo) => {
+      switch (this.definition.sortBy) {
+        case 'createdAt': return Date.parse(photo.createdAt) || 0;
+        case 'rating': return photo.rating || 0;
+        case 'fileName': return photo.fileName || '';
+        default: return Date.parse(photo.capturedAt || photo.createdAt) || 0;
+      }
+    };
+
+    const [ka, kb] = [key(a), key(b)];
+    const order = ka < kb ? -1 : ka > kb ? 1 : 0;
+    return this.definition.sortOrder === 'asc' ? order : -order;
+  }
+
   /**
    * Clear all caches and session
    */
   clear() {
+    this.abortController.abort();
+    this.abortController = new AbortController();
     this.window.clear();
     this.preloader.clear();
     this.sessionId = null;
+    this.aspectRatios = null;
     this.currentIndex = -1;
     this.currentPhoto = null;
     this.isInitialized = false;
@@ -674,17 +856,30 @@ export class PhotoSetManager {
 
   /**
    * Invalidate photoset cache (called after mutations)
+   * Other open tabs receive the invalidation too (PhotoSetCache broadcasts it).
+   * @param {string|null} context - view whose membership changed ('favorites', 'collection', ...)
+   * @param {string|null} photoId - photo that changed
+   * @param {object|null} patch - the fields that changed (e.g. { rating: 4 }); without one the photo was deleted
    */
-  static invalidateCache(context, photoId = null) {
+  static invalidateCache(context, photoId = null, patch = null) {
     if (!window.photoSetCache) return;
 
     if (photoId) {
-      console.log(`%c[PhotoSet Cache] 🗑️ INVALIDATED (photo deleted)`, 'color: #e74c3c; font-weight: bold', {
+      console.log(`%c[PhotoSet Cache] 🗑️ INVALIDATED (photo ${patch ? 'changed' : 'deleted'})`, 'color: #e74c3c; font-weight: bold', {
         photoId,
-        reason: 'Photo was deleted'
+        patch,
+        reason: patch ? 'Photo was changed' : 'Photo was deleted'
       });
-      // Specific photo changed - invalidate all caches containing it
-      window.photoSetCache.invalidatePhoto(photoId);
+      // Specific photo changed - patch or invalidate all caches containing it
+      window.photoSetCache.invalidatePhoto(photoId, { patch });
+
+      // ...and a view it moved in or out of (favoriting changes the favorites set)
+      if (context) {
+        window.photoSetCache.invalidateContext(context);
+      }
+
+      // Smart collections match on photo fields (rating, favorite, tags): any change can move it in or out
+      window.photoSetCache.invalidateContext('smart');
     } else if (context) {
       console.log(`%c[PhotoSet Cache] 🗑️ INVALIDATED (${context})`, 'color: #e74c3c; font-weight: bold', {
         context,
@@ -692,6 +887,11 @@ export class PhotoSetManager {
       });
       // Context changed - invalidate all caches for that context
       window.photoSetCache.invalidateContext(context);
+
+      // Smart collections are drawn from the library: photos added, removed or favorited change them too
+      if (context === 'all-photos' || context === 'favorites') {
+        window.photoSetCache.invalidateContext('smart');
+      }
     } else {
       // Invalidate everything
       window.photoSetCache.invalidateAll();
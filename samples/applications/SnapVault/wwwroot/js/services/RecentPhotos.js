@@ -0,0 +1,59 @@
+/**
+ * Recent Photos
+ * The photos last shown in the lightbox, newest first. Kept in localStorage so the command palette can
+ * offer them after a reload.
+ */
+
+const STORAGE_KEY = 'snapvault-recent-photos';
+const MAX_RECENT = 20;
+
+export class RecentPhotos {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+    this.photos = this.load();
+  }
+
+  /**
+   * Record a photo as just viewed
+   * @param {Object} photo - needs id; originalFileName names it in the palette
+   */
+  add(photo) {
+    if (!photo?.id) return;
+
+    this.photos = [
+      { id: photo.id, fileName: photo.originalFileName || photo.id, viewedAt: Date.now() },
+      ...this.photos.filter(recent => recent.id !== photo.id)
+    ].slice(0, MAX_RECENT);
+    this.save();
+  }
+
+  remove(photoId) {
+    this.photos = this.photos.filter(recent => recent.id !== photoId);
+    this.save();
+  }
+
+  /**
+   * @returns {Array} [{ id, fileName, viewedAt }], newest first
+   */
+  list() {
+    return [...this.photos];
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? '[]');
+      return Array.isArray(saved) ? saved.filter(recent => recent?.id) : [];
+    } catch (error) {
+      console.warn('[RecentPhotos] Ignoring unreadable history:', error);
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.photos));
+    } catch (error) {
+      console.warn('[RecentPhotos] Could not save history:', error);
+    }
+  }
+}
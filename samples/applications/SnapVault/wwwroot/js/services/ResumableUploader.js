@@ -0,0 +1,467 @@
+/**
+ * Resumable Uploader
+ * Chunked, offset-based uploads against /api/uploads
+ *
+ * Protocol: POST declares the file and returns { uploadId, offset, chunkSize, batchId };
+ * PATCH appends one chunk at Upload-Offset; GET reports the offset to resume from.
+ * A 409 carries the server's offset, so a lost response realigns instead of duplicating bytes.
+ *
+ * In-flight uploads (including the File itself, when quota allows) are persisted in
+ * IndexedDB, so a reload or crash resumes from the last acknowledged chunk.
+ */
+
+import { ConflictError, NotFoundError, NetworkError } from '../utils/errors.js';
+import { API } from '../api.js';
+import { ArchiveEntryFile } from '../utils/fileImport.js';
+
+const DB_NAME = 'snapvault-uploads';
+const DB_VERSION = 1;
+const STORE = 'uploads';
+
+const MAX_CHUNK_ATTEMPTS = 5;
+const RETRY_BASE = 1000; // ms, doubled per failed attempt
+const CHUNK_TIMEOUT_BASE = 30000;          // ms allowed for any chunk…
+const CHUNK_MIN_BYTES_PER_SEC = 64 * 1024; // …plus its bytes at a crawl; slower counts as stalled and is retried
+
+/**
+ * Sleep that rejects with an AbortError when the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    // The signal outlives many backoffs — drop the listener once the timer wins
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class ResumableUploader {
+  /** Mirrors SnapVault:Uploads:MaxFileBytes (the server enforces the configured value). */
+  static MAX_FILE_BYTES = 200 * 1024 * 1024;
+
+  constructor(api) {
+    this.api = api;
+    this.uploads = new Map();      // local id → record
+    this.controllers = new Map();  // local id → AbortController of the running loop
+    this.listeners = new Map();
+    this.dbPromise = null;
+    this.throttle = null;          // optional { chunkSize(max), acquire(bytes, signal) } (UploadQueue sets one)
+  }
+
+  /**
+   * Queue a file. Nothing is sent until start().
+   * @param {File} file
+   * @param {object} options - { eventId, collectionId, batchId, replaces }
+   *   collectionId: collection the ingested photo joins; replaces: id of a library photo this file supersedes —
+   *   the server trashes it, carrying its metadata and collections over, once the file is ingested
+   * @returns {Promise<object>} upload record
+   */
+  async add(file, { eventId = null, collectionId = null, batchId = null, replaces = null } = {}) {
+    const record = {
+      id: crypto.randomUUID(),
+      uploadId: null,
+      file,
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      lastModified: file.lastModified,
+      eventId,
+      collectionId,
+      batchId,
+      replaces,
+      offset: 0,
+      chunkSize: null,
+      status: 'pending',
+      error: null,
+      createdAt: Date.now()
+    };
+
+    this.uploads.set(record.id, record);
+    await this._persist(record);
+    return record;
+  }
+
+  /**
+   * Load uploads interrupted by a reload. They come back paused; those whose File could not be
+   * stored come back as 'needs-file' until attachFile() supplies it again.
+   * @returns {Promise<object[]>}
+   */
+  async restore() {
+    const stored = await this._getAll();
+
+    for (const record of stored) {
+      if (this.uploads.has(record.id)) continue;
+      record.status = record.file ? 'paused' : 'needs-file';
+      this.uploads.set(record.id, record);
+    }
+
+    return this.list();
+  }
+
+  /**
+   * All known uploads that have not completed, oldest first.
+   * @returns {object[]}
+   */
+  list() {
+    return Array.from(this.uploads.values())
+      .filter(r => r.status !== 'complete')
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  get(id) {
+    return this.uploads.get(id);
+  }
+
+  /**
+   * Match a re-selected file to an upload that lost its File (same name, size and mtime).
+   * @param {File} file
+   * @returns {object|undefined}
+   */
+  findByFingerprint(file) {
+    return Array.from(this.uploads.values()).find(r =>
+      r.status === 'needs-file' &&
+      r.name === file.name &&
+      r.size === file.size &&
+      r.lastModified === file.lastModified
+    );
+  }
+
+  /**
+   * Supply the File for a 'needs-file' upload; it becomes resumable.
+   */
+  async attachFile(id, file) {
+    const record = this.uploads.get(id);
+    if (!record) return;
+
+    record.file = file;
+    this._setStatus(record, 'paused');
+    await this._persist(record);
+  }
+
+  /**
+   * Upload a file to completion (or until paused/failed). Resolves with the record in its
+   * final state; never rejects for upload failures — they land in record.status/error.
+   * @param {string} id
+   * @returns {Promise<object>}
+   */
+  async start(id) {
+    const record = this.uploads.get(id);
+    if (!record || !record.file || this.controllers.has(id) || record.status === 'complete') {
+      return record;
+    }
+
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    record.error = null;
+    this._setStatus(record, 'uploading');
+
+    try {
+      // A photo from a ZIP is inflated only now, when the queue starts it
+      if (record.file instanceof ArchiveEntryFile) {
+        record.file = await record.file.open();
+      }
+      await this._run(record, controller.signal);
+    } catch (error) {
+      if (API.isAbort(error)) {
+        // pause() or cancel() — status already set by the caller
+      } else {
+        console.error(`[ResumableUploader] ${record.name} failed:`, error);
+        record.error = error.message;
+        this._setStatus(record, 'error');
+      }
+    } finally {
+      this.controllers.delete(id);
+    }
+
+    if (record.status !== 'complete' && this.uploads.has(id)) {
+      await this._persist(record);
+    }
+    return record;
+  }
+
+  /**
+   * Stop after aborting the chunk in flight; the acknowledged offset is kept.
+   */
+  pause(id) {
+    const record = this.uploads.get(id);
+    if (!record || record.status !== 'uploading') return;
+
+    this._setStatus(record, 'paused');
+    this.controllers.get(id)?.abort();
+  }
+
+  resume(id) {
+    return this.start(id);
+  }
+
+  retry(id) {
+    return this.start(id);
+  }
+
+  /**
+   * Abandon an upload: stop it, discard the server session and forget it locally.
+   */
+  async cancel(id) {
+    const record = this.uploads.get(id);
+    if (!record) return;
+
+    this._setStatus(record, 'cancelled');
+    this.controllers.get(id)?.abort();
+    this.uploads.delete(id);
+    await this._remove(id);
+
+    if (record.uploadId) {
+      try {
+        await this.api.delete(`/api/uploads/${record.uploadId}`);
+      } catch (error) {
+        // Already gone or expired — the server sweeps sessions idle past their TTL, chunks and all
+        console.debug('[ResumableUploader] Cancel on server failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Open (or re-sync) the server session, then append chunks until the file is complete.
+   */
+  async _run(record, signal) {
+    await this._ensureSession(record, signal);
+
+    let attempts = 0;
+    while (record.offset < record.size) {
+      const start = record.offset;
+      const chunkSize = this.throttle ? this.throttle.chunkSize(record.chunkSize) : record.chunkSize;
+      const end = Math.min(start + chunkSize, record.size);
+      const chunk = record.file.slice(start, end);
+
+      try {
+        await this.throttle?.acquire(end - start, signal);
+
+        const response = await this.api.upload(`/api/uploads/${record.uploadId}`, chunk, (percent) => {
+          this._emitProgress(record, start + (end - start) * percent / 100);
+        }, {
+          method: 'PATCH',
+          headers: {
+            'Upload-Offset': String(start),
+            'Content-Type': 'application/offset+octet-stream'
+          },
+          signal,
+          timeout: CHUNK_TIMEOUT_BASE + Math.ceil((end - start) / CHUNK_MIN_BYTES_PER_SEC) * 1000
+        });
+
+        attempts = 0;
+        record.offset = response.offset;
+        this._emitProgress(record, record.offset);
+
+        if (response.completed) {
+          await this._complete(record, response);
+          return;
+        }
+
+        await this._persist(record);
+      } catch (error) {
+        if (API.isAbort(error)) throw error;
+
+        if (error instanceof ConflictError && typeof error.body?.offset === 'number') {
+          // Our view of the offset was stale (a response was lost) — adopt the server's
+          console.warn(`[ResumableUploader] ${record.name}: offset ${start} → ${error.body.offset}`);
+          record.offset = error.body.offset;
+          if (error.body.completed) {
+            await this._complete(record, error.body);
+            return;
+          }
+          continue;
+        }
+
+        if (error instanceof NotFoundError) {
+          // Session expired server-side — start over with a fresh one
+          record.uploadId = null;
+          record.offset = 0;
+          await this._ensureSession(record, signal);
+          continue;
+        }
+
+        const transient = error instanceof NetworkError || error.isServerError;
+        if (!transient || ++attempts >= MAX_CHUNK_ATTEMPTS) throw error;
+
+        const delay = RETRY_BASE * 2 ** (attempts - 1);
+        console.warn(`[ResumableUploader] ${record.name}: chunk at ${start} failed, retry ${attempts}/${MAX_CHUNK_ATTEMPTS - 1} in ${delay}ms`);
+        await wait(delay, signal);
+        // Re-sync before retrying: the chunk may have landed even though the response did not
+        await this._ensureSession(record, signal);
+      }
+    }
+
+    // Re-sync found the server already holding every byte (the completing response was lost)
+    await this._complete(record, {});
+  }
+
+  async _ensureSession(record, signal) {
+    if (record.uploadId) {
+      try {
+        const status = await this.api.get(`/api/uploads/${record.uploadId}`, {}, { signal });
+        record.offset = status.offset;
+        record.chunkSize = status.chunkSize;
+        return;
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+        record.uploadId = null;
+        record.offset = 0;
+      }
+    }
+
+    const session = await this.api.post('/api/uploads', {
+      fileName: record.name,
+      contentType: record.type,
+      length: record.size,
+      eventId: record.eventId,
+      collectionId: record.collectionId || null,
+      replacesPhotoId: record.replaces || null,
+      batchId: record.batchId
+    }, { signal });
+
+    record.uploadId = session.uploadId;
+    record.offset = session.offset;
+    record.chunkSize = session.chunkSize;
+    record.batchId = session.batchId;
+    await this._persist(record);
+  }
+
+  async _complete(record, response) {
+    record.offset = record.size;
+    record.jobId = response.jobId || null;
+    this._setStatus(record, 'complete');
+    this.uploads.delete(record.id);
+    await this._remove(record.id);
+    this.emit('complete', {
+      id: record.id,
+      name: record.name,
+      batchId: record.batchId,
+      jobId: record.jobId
+    });
+  }
+
+  _setStatus(record, status) {
+    record.status = status;
+    this.emit('statechange', { id: record.id, status, error: record.error });
+  }
+
+  _emitProgress(record, loaded) {
+    this.emit('progress', { id: record.id, loaded, total: record.size });
+  }
+
+  // ---------------------------------------------------------------------------
+  // IndexedDB persistence
+  // ---------------------------------------------------------------------------
+
+  _db() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        console.warn('[ResumableUploader] IndexedDB unavailable, uploads will not survive a reload:', error);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async _tx(mode, fn) {
+    const db = await this._db();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request?.result ?? null);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Store the record with its File; if the File does not fit the quota, store the metadata alone
+   * so the upload can still resume once the user re-selects the file.
+   */
+  async _persist(record) {
+    const { ...stored } = record;
+    stored.status = record.status === 'uploading' ? 'paused' : record.status;
+    // Not inflated yet — storing it would copy the whole archive; re-dropping the ZIP resumes it
+    if (stored.file instanceof ArchiveEntryFile) stored.file = null;
+
+    try {
+      await this._tx('readwrite', store => store.put(stored));
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') {
+        console.warn('[ResumableUploader] Persist failed:', error);
+        return;
+      }
+      try {
+        await this._tx('readwrite', store => store.put({ ...stored, file: null }));
+      } catch (fallbackError) {
+        console.warn('[ResumableUploader] Persist failed:', fallbackError);
+      }
+    }
+  }
+
+  async _remove(id) {
+    try {
+      await this._tx('readwrite', store => store.delete(id));
+    } catch (error) {
+      console.warn('[ResumableUploader] Remove failed:', error);
+    }
+  }
+
+  async _getAll() {
+    try {
+      return (await this._tx('readonly', store => store.getAll())) || [];
+    } catch (error) {
+      console.warn('[ResumableUploader] Restore failed:', error);
+      return [];
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (!this.listeners.has(event)) return;
+    const callbacks = this.listeners.get(event);
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  emit(event, data) {
+    if (!this.listeners.has(event)) return;
+    this.listeners.get(event).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[ResumableUploader] Event listener error (${event}):`, error);
+      }
+    });
+  }
+}
@@ -54,6 +54,44 @@ export class SlidingWindow {
     this.cache.set(index, metadata);
   }
 
+  /**
+   * Find the cached index of a photo
+   * @returns {number} index, or -1 when not in cache
+   */
+  findIndex(photoId) {
+    for (const [index, photo] of this.cache) {
+      if (photo?.id === photoId) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Remove a photo from the set: later cached photos shift down one index
+   */
+  remove(index) {
+    if (!this.cache.has(index)) return;
+
+    const shifted = new Map();
+    for (const [i, photo] of this.cache) {
+      if (i < index) shifted.set(i, photo);
+      else if (i > index) shifted.set(i - 1, photo);
+    }
+    // The window keeps its bounds; the slot freed at its end is fetched as a missing range
+    this.cache = shifted;
+  }
+
+  /**
+   * Insert a photo into the set: cached photos from index on shift up one index
+   */
+  insert(index, photo) {
+    const shifted = new Map();
+    for (const [i, cached] of this.cache) {
+      shifted.set(i < index ? i : i + 1, cached);
+    }
+    shifted.set(index, photo);
+    this.cache = shifted;
+  }
+
   /**
    * Get multiple photos from cache
    */
@@ -0,0 +1,403 @@
+/**
+ * Upload Queue
+ * Schedules ResumableUploader work: N uploads in parallel, an optional bandwidth cap, and priority order
+ *
+ * The queue owns *when* an upload runs; ResumableUploader owns *how* (chunks, offsets, retries).
+ * It keeps going through tab sleep: progress is persisted per chunk by the uploader, a watchdog
+ * restarts uploads that stop making progress (a frozen tab's requests can hang), and failures
+ * while offline are retried when the connection returns.
+ *
+ * Events: 'stats' (aggregate throughput/ETA, at most once a second) and 'idle' (queue drained).
+ */
+
+const STATS_INTERVAL = 1000;        // ms between 'stats' events
+const THROUGHPUT_WINDOW = 10000;    // ms of progress samples averaged for throughput
+const STALL_TIMEOUT = 60000;        // ms without progress before an upload is restarted
+const WATCHDOG_INTERVAL = 10000;
+const MIN_THROTTLED_CHUNK = 64 * 1024;
+const LOCK_NAME = 'snapvault-upload-queue';
+
+/**
+ * Token bucket shared by all running uploads. Refill is computed from wall-clock time, so timer
+ * throttling in a background tab delays a chunk but never lets the average rate exceed the cap.
+ */
+class BandwidthThrottle {
+  constructor(bytesPerSecond = 0) {
+    this.setRate(bytesPerSecond);
+    this.tail = Promise.resolve();
+  }
+
+  setRate(bytesPerSecond) {
+    this.rate = Math.max(0, bytesPerSecond || 0);
+    this.tokens = this.rate;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Chunk size to use under the cap: about one second of budget, so the bucket smooths the
+   * stream instead of letting whole server-sized chunks go out in bursts.
+   * @param {number} max - Server chunk size
+   */
+  chunkSize(max) {
+    if (!this.rate) return max;
+    return Math.min(max, Math.max(MIN_THROTTLED_CHUNK, Math.floor(this.rate)));
+  }
+
+  /**
+   * Wait until `bytes` may be sent. Callers are served in order.
+   * @param {number} bytes
+   * @param {AbortSignal} signal
+   */
+  acquire(bytes, signal) {
+    const turn = this.tail.then(() => this._take(bytes, signal));
+    this.tail = turn.catch(() => {});
+    return turn;
+  }
+
+  async _take(bytes, signal) {
+    while (this.rate) {
+      const now = Date.now();
+      this.tokens = Math.min(this.rate, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+      this.updatedAt = now;
+
+      // A chunk larger than the bucket may go once the bucket is full (it then runs a debt)
+      if (this.tokens >= Math.min(bytes, this.rate)) {
+        this.tokens -= bytes;
+        return;
+      }
+
+      const deficit = Math.min(bytes, this.rate) - this.tokens;
+      await sleep(Math.ceil(deficit / this.rate * 1000), signal);
+    }
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    // The signal outlives every throttled chunk of its upload - drop the listener once the timer wins
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class UploadQueue {
+  /** Orders for uploads of equal priority. */
+  static ORDERS = ['fifo', 'smallest-first', 'largest-first'];
+
+  /**
+   * @param {ResumableUploader} uploader
+   * @param {object} options - { concurrency, bandwidthLimit (bytes/s, 0 = unlimited), order }
+   */
+  constructor(uploader, { concurrency = 3, bandwidthLimit = 0, order = 'fifo' } = {}) {
+    this.uploader = uploader;
+    this.concurrency = concurrency;
+    this.order = order;
+    this.throttle = new BandwidthThrottle(bandwidthLimit);
+    this.uploader.throttle = this.throttle;
+
+    this.waiting = [];             // { id, priority, seq }
+    this.active = new Set();       // ids currently uploading
+    this.restarting = new Set();   // ids paused by the watchdog, to be re-queued
+    this.offlineFailures = new Set();   // ids that failed while offline, retried on 'online'
+    this.seq = 0;
+
+    // Aggregate progress for the current run (reset when the queue drains)
+    this.tracked = new Map();      // id → { size, loaded, lastProgressAt }
+    this.samples = [];             // { at, bytes }
+    this.lastStatsAt = 0;
+
+    this.listeners = new Map();
+    this.idleWaiters = [];
+    this.watchdog = null;
+    this.releaseLock = null;
+
+    this.uploader.on('progress', ({ id, loaded }) => this._onProgress(id, loaded));
+    this.uploader.on('complete', ({ id }) => {
+      const entry = this.tracked.get(id);
+      if (entry) this._onProgress(id, entry.size);
+    });
+
+    this.setupLifecycleListeners();
+  }
+
+  /**
+   * Change limits; takes effect for the next scheduling decision (running uploads are not interrupted).
+   * @param {object} options - { concurrency, bandwidthLimit, order }
+   */
+  configure({ concurrency, bandwidthLimit, order } = {}) {
+    if (concurrency != null) this.concurrency = Math.max(1, concurrency);
+    if (bandwidthLimit != null) this.throttle.setRate(bandwidthLimit);
+    if (order != null && UploadQueue.ORDERS.includes(order)) this.order = order;
+    this._pump();
+  }
+
+  /**
+   * Queue uploads (ResumableUploader record ids). Higher priority runs first.
+   * @param {string|string[]} ids
+   * @param {object} options - { priority }
+   */
+  enqueue(ids, { priority = 0 } = {}) {
+    for (const id of [].concat(ids)) {
+      if (this.active.has(id)) continue;
+
+      const existing = this.waiting.find(entry => entry.id === id);
+      if (existing) {
+        existing.priority = Math.max(existing.priority, priority);
+        continue;
+      }
+
+      const record = this.uploader.get(id);
+      if (!record) continue;
+
+      this.waiting.push({ id, priority, seq: ++this.seq });
+      if (!this.tracked.has(id)) {
+        this.tracked.set(id, { size: record.size, loaded: record.offset || 0, lastProgressAt: Date.now() });
+      }
+    }
+    this._pump();
+    this.emit('stats', this.stats);
+  }
+
+  /**
+   * Run this upload next.
+   */
+  prioritize(id) {
+    const top = Math.max(0, ...this.waiting.map(entry => entry.priority));
+    this.enqueue(id, { priority: top + 1 });
+  }
+
+  /**
+   * Drop a waiting upload from the queue (a running one is stopped through the uploader).
+   */
+  remove(id) {
+    this.waiting = this.waiting.filter(entry => entry.id !== id);
+    this.tracked.delete(id);
+    this._checkIdle();
+  }
+
+  isQueued(id) {
+    return this.waiting.some(entry => entry.id === id);
+  }
+
+  get isIdle() {
+    return this.active.size === 0 && this.waiting.length === 0;
+  }
+
+  /**
+   * Resolves when nothing is running or waiting.
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    if (this.isIdle) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Aggregate progress of the current run.
+   * @returns {{active: number, queued: number, completed: number, files: number, loaded: number, total: number, bytesPerSecond: number, etaSeconds: number|null}}
+   */
+  get stats() {
+    let loaded = 0;
+    let total = 0;
+    let completed = 0;
+    for (const [id, entry] of this.tracked) {
+      loaded += entry.loaded;
+      total += entry.size;
+      if (entry.loaded >= entry.size && !this.active.has(id) && !this.isQueued(id)) completed++;
+    }
+
+    const now = Date.now();
+    this.samples = this.samples.filter(sample => now - sample.at <= THROUGHPUT_WINDOW);
+    const windowBytes = this.samples.reduce((sum, sample) => sum + sample.bytes, 0);
+    const span = this.samples.length > 0 ? Math.max(1000, now - this.samples[0].at) : 0;
+    const bytesPerSecond = span > 0 ? windowBytes / (span / 1000) : 0;
+
+    return {
+      active: this.active.size,
+      queued: this.waiting.length,
+      completed,
+      files: this.tracked.size,
+      loaded,
+      total,
+      bytesPerSecond,
+      etaSeconds: bytesPerSecond > 0 ? Math.ceil((total - loaded) / bytesPerSecond) : null
+    };
+  }
+
+  /**
+   * Keep uploads moving across tab sleep and connection loss.
+   */
+  setupLifecycleListeners() {
+    const wake = () => {
+      this._checkStalls();
+      this._pump();
+    };
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') wake();
+    });
+    document.addEventListener('resume', wake);   // Page Lifecycle: the tab was frozen
+
+    window.addEventListener('online', () => {
+      // Uploads that gave up while offline get another go
+      const failed = [...this.offlineFailures].filter(id => this.uploader.get(id)?.status === 'error');
+      this.offlineFailures.clear();
+      if (failed.length > 0) {
+        console.log(`[UploadQueue] Back online, retrying ${failed.length} upload(s)`);
+        this.enqueue(failed);
+      }
+      this._pump();
+    });
+  }
+
+  _pump() {
+    // Offline nothing new starts ('online' resumes scheduling), but a batch that has stopped is still idle
+    while (navigator.onLine && this.active.size < this.concurrency && this.waiting.length > 0) {
+      this.waiting.sort((a, b) => this._compare(a, b));
+      const { id } = this.waiting.shift();
+      this._run(id);
+    }
+
+    if (this.active.size > 0) this._holdAwake();
+    this._checkIdle();
+  }
+
+  async _run(id) {
+    this.active.add(id);
+    const entry = this.tracked.get(id);
+    if (entry) entry.lastProgressAt = Date.now();
+
+    try {
+      const record = await this.uploader.start(id);
+
+      if (record?.status === 'error' && !navigator.onLine) {
+        this.offlineFailures.add(id);
+      }
+
+      if (this.restarting.delete(id) && record?.status === 'paused') {
+        // Watchdog restart: go again ahead of the rest (start() re-syncs the offset with the server)
+        this.waiting.unshift({ id, priority: Number.MAX_SAFE_INTEGER, seq: 0 });
+      }
+    } finally {
+      this.active.delete(id);
+      this._pump();
+    }
+  }
+
+  _compare(a, b) {
+    if (a.priority !== b.priority) return b.priority - a.priority;
+
+    if (this.order !== 'fifo') {
+      const sizeA = this.uploader.get(a.id)?.size ?? 0;
+      const sizeB = this.uploader.get(b.id)?.size ?? 0;
+      if (sizeA !== sizeB) return this.order === 'smallest-first' ? sizeA - sizeB : sizeB - sizeA;
+    }
+    return a.seq - b.seq;
+  }
+
+  _onProgress(id, loaded) {
+    const entry = this.tracked.get(id);
+    if (!entry) return;
+
+    const now = Date.now();
+    const delta = loaded - entry.loaded;
+    if (delta > 0) this.samples.push({ at: now, bytes: delta });
+    entry.loaded = Math.max(0, loaded);
+    entry.lastProgressAt = now;
+
+    if (now - this.lastStatsAt >= STATS_INTERVAL) {
+      this.lastStatsAt = now;
+      this.emit('stats', this.stats);
+    }
+  }
+
+  _checkStalls() {
+    const now = Date.now();
+    for (const id of this.active) {
+      const entry = this.tracked.get(id);
+      if (!entry || now - entry.lastProgressAt < STALL_TIMEOUT || this.restarting.has(id)) continue;
+
+      console.warn(`[UploadQueue] ${this.uploader.get(id)?.name} stalled, restarting`);
+      this.restarting.add(id);
+      this.uploader.pause(id);
+    }
+  }
+
+  /**
+   * While uploads run: a watchdog for stalls, and a Web Lock, which Chromium treats as a reason
+   * not to freeze or discard the tab.
+   */
+  _holdAwake() {
+    if (!this.watchdog) {
+      this.watchdog = setInterval(() => this._checkStalls(), WATCHDOG_INTERVAL);
+    }
+    if (!this.releaseLock && navigator.locks) {
+      const held = new Promise(resolve => { this.releaseLock = resolve; });
+      navigator.locks.request(LOCK_NAME, () => held).catch(error => {
+        console.debug('[UploadQueue] Web Lock unavailable:', error.message);
+      });
+    }
+  }
+
+  _checkIdle() {
+    if (!this.isIdle) return;
+
+    clearInterval(this.watchdog);
+    this.watchdog = null;
+    this.releaseLock?.();
+    this.releaseLock = null;
+
+    if (this.tracked.size > 0) {
+      this.emit('stats', this.stats);
+      this.tracked.clear();
+      this.samples = [];
+      this.emit('idle');
+    }
+
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (!this.listeners.has(event)) return;
+    const callbacks = this.listeners.get(event);
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  emit(event, data) {
+    if (!this.listeners.has(event)) return;
+    this.listeners.get(event).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[UploadQueue] Event listener error (${event}):`, error);
+      }
+    });
+  }
+}
@@ -2,14 +2,22 @@
  * Action Executor
  * Uniform execution engine for all user actions
  * Handles confirmation, feedback, refresh, and error handling
+ * Records reversible actions (those with an undo spec) for undo and redo
  */
 
 import { getAction } from './ActionRegistry.js';
+import { ActionHistory } from './ActionHistory.js';
 import { Button } from './Button.js';
+import { AuthError, NetworkError, describeError } from '../utils/errors.js';
+import { API } from '../api.js';
+
+// Long enough to reach the toast's Undo
+const UNDO_TOAST_DURATION = 6000;
 
 export class ActionExecutor {
   constructor(app) {
     this.app = app;
+    this.history = new ActionHistory();
   }
 
   /**
@@ -17,6 +25,8 @@ export class ActionExecutor {
    * @param {string} actionId - Action ID from registry
    * @param {any} context - Action context (photoId, photoIds, collection, etc.)
    * @param {object} options - Execution options
+   * @param {boolean} options.anyView - run it even where the view doesn't offer it (a toolbar that
+   *   always shows the action)
    * @returns {Promise<any>} Action result
    */
   async execute(actionId, context = null, options = {}) {
@@ -27,7 +37,7 @@ export class ActionExecutor {
     }
 
     // Check if action is available
-    if (!action.isAvailable(this.app, context)) {
+    if (!options.anyView && !action.isAvailable(this.app, context)) {
       console.warn(`[ActionExecutor] Action "${actionId}" not available in current context`);
       return null;
     }
@@ -44,44 +54,49 @@ export class ActionExecutor {
     }
 
     try {
-      let result;
       const isBulk = Array.isArray(context);
 
       // Execute action
-      if (isBulk && action.executeBulk) {
-        result = await action.executeBulk(this.app, context);
-      } else if (!isBulk && action.execute) {
-        result = await action.execute(this.app, context);
-      } else {
-        throw new Error(`Action "${actionId}" does not support ${isBulk ? 'bulk' : 'single'} execution`);
+      const result = await this.invoke(action, context);
+
+      const message = !action.feedback ? null : isBulk
+        ? (action.feedback.bulk ? action.feedback.bulk(context.length) : null)
+        : (action.feedback.single ? (typeof action.feedback.single === 'function' ? action.feedback.single(result) : action.feedback.single) : null);
+
+      // Record it for undo. A write queued offline hasn't happened yet: there is nothing to reverse.
+      const entry = action.undo && result && !result.queued
+        ? { actionId, context, result, label: message || action.label }
+        : null;
+      if (entry) {
+        this.history.record(entry);
       }
 
       // Show success feedback
-      if (action.feedback) {
-        const message = isBulk
-          ? (action.feedback.bulk ? action.feedback.bulk(context.length) : null)
-          : (action.feedback.single ? (typeof action.feedback.single === 'function' ? action.feedback.single(result) : action.feedback.single) : null);
-
-        if (message) {
-          this.app.components.toast.show(message, {
-            icon: action.feedback.icon || '✓',
-            duration: 2000
-          });
-        }
+      if (message) {
+        this.app.components.toast.show(result?.queued ? `${message} - will sync when online` : message, {
+          icon: action.feedback.icon || '✓',
+          duration: entry ? UNDO_TOAST_DURATION : 2000,
+          actions: entry ? [this.toastAction('Undo', () => this.undo(entry))] : []
+        });
       }
 
-      // Handle refresh strategies
+      // Handle refresh strategies. A write queued offline has nothing new to load yet.
       if (action.refresh) {
-        await this.handleRefresh(action.refresh);
+        await this.handleRefresh(result?.queued ? { clearSelection: action.refresh.clearSelection } : action.refresh);
       }
 
       return result;
     } catch (error) {
+      // Cancelled, not failed — nothing to tell the user
+      if (API.isAbort(error)) throw error;
+
       console.error(`[ActionExecutor] Action "${actionId}" failed:`, error);
 
-      // Show error feedback
-      if (action.feedback && action.feedback.error) {
-        this.app.components.toast.show(action.feedback.error, {
+      // Show error feedback. Auth and network failures are not action-specific, so they are
+      // reported even when the action declares no error message.
+      const fallback = action.feedback?.error;
+      if (fallback || error instanceof AuthError || error instanceof NetworkError) {
+        this.app.components.toast.show(describeError(error, fallback || `${action.label} failed`), {
           icon: '⚠️',
           duration: 3000
         });
@@ -91,6 +106,115 @@ export class ActionExecutor {
     }
   }
 
+  /**
+   * Run an action's execute (one item) or executeBulk (an array)
+   */
+  async invoke(action, context) {
+    const isBulk = Array.isArray(context);
+    if (isBulk && action.executeBulk) {
+      return await action.executeBulk(this.app, context);
+    }
+    if (!isBulk && action.execute) {
+      return await action.execute(this.app, context);
+    }
+    throw new Error(`Action "${action.id}" does not support ${isBulk ? 'bulk' : 'single'} execution`);
+  }
+
+  /**
+   * Undo the last reversible action, or a given one (its toast's Undo)
+   * @param {Object} entry - history entry (optional)
+   * @returns {Promise<Object|null>} The entry undone, null when there was nothing to undo or it failed
+   */
+  async undo(entry = null) {
+    const target = this.history.takeUndo(entry);
+    if (!target) {
+      if (!entry) {
+        this.app.components.toast.show('Nothing to undo', { icon: 'ℹ️', duration: 2000 });
+      }
+      return null;
+    }
+
+    const action = getAction(target.actionId);
+    try {
+      await action.undo.run(this.app, target.context, target.result);
+    } catch (error) {
+      // The entry is dropped: what it would reverse may have changed since
+      if (!API.isAbort(error)) {
+        console.error(`[ActionExecutor] Undo of "${target.actionId}" failed:`, error);
+        this.app.components.toast.show(describeError(error, `Couldn't undo: ${target.label}`), { icon: '⚠️', duration: 3000 });
+      }
+      return null;
+    }
+
+    this.history.undone(target);
+    this.app.components.toast.show(`Undone: ${target.label}`, {
+      icon: '↩️',
+      duration: UNDO_TOAST_DURATION,
+      actions: [this.toastAction('Redo', () => this.redo(target))]
+    });
+    await this.handleRefresh(action.undo.refresh ?? action.refresh);
+    return target;
+  }
+
+  /**
+   * Redo the last undone action, or a given one (its toast's Redo). Without confirmation - the user
+   * already confirmed it once.
+   * @param {Object} entry - history entry (optional)
+   * @returns {Promise<Object|null>} The entry redone, null when there was nothing to redo or it failed
+   */
+  async redo(entry = null) {
+    const target = this.history.takeRedo(entry);
+    if (!target) {
+      if (!entry) {
+        this.app.components.toast.show('Nothing to redo', { icon: 'ℹ️', duration: 2000 });
+      }
+      return null;
+    }
+
+    const action = getAction(target.actionId);
+    let result;
+    try {
+      result = action.undo.redo
+        ? await action.undo.redo(this.app, target.context, target.result)
+        : await this.invoke(action, target.context);
+    } catch (error) {
+      if (!API.isAbort(error)) {
+        console.error(`[ActionExecutor] Redo of "${target.actionId}" failed:`, error);
+        this.app.components.toast.show(describeError(error, `Couldn't redo: ${target.label}`), { icon: '⚠️', duration: 3000 });
+      }
+      return null;
+    }
+
+    // Its inverse needs the new result (what changed this time)
+    const redone = { ...target, result };
+    this.history.redone(redone);
+    this.app.components.toast.show(`Redone: ${target.label}`, {
+      icon: '↪️',
+      duration: UNDO_TOAST_DURATION,
+      actions: [this.toastAction('Undo', () => this.undo(redone))]
+    });
+    await this.handleRefresh(action.refresh);
+    return redone;
+  }
+
+  /**
+   * A toast's Undo or Redo button. The toast doesn't wait on its handler, so what gets past
+   * undo() and redo() - the view refresh after them - is reported here, not left unhandled.
+   * @param {string} label - Button label
+   * @param {Function} run - Returns the undo or redo promise
+   * @returns {Object} Toast action
+   */
+  toastAction(label, run) {
+    return {
+      label,
+      onClick: () => run().catch(error => {
+        if (API.isAbort(error)) return;
+        console.error(`[ActionExecutor] ${label} failed:`, error);
+        this.app.components.toast.show(describeError(error, `${label} failed`), { icon: '⚠️', duration: 3000 });
+      })
+    };
+  }
+
   /**
    * Execute action for selected photos
    * Automatically gets selected photo IDs from app state
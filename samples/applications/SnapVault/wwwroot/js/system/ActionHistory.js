@@ -0,0 +1,80 @@
+/**
+ * Action History
+ * The undo and redo stacks behind ActionExecutor: each entry is an action that ran, with the context it
+ * ran on and the result its inverse needs. Recording a new action drops what could be redone, as
+ * undo histories do.
+ */
+
+const MAX_ENTRIES = 50;
+
+export class ActionHistory {
+  constructor(limit = MAX_ENTRIES) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Record an action that just ran
+   * @param {Object} entry - { actionId, context, result, label }
+   */
+  record(entry) {
+    this.push(this.undoStack, entry);
+    this.redoStack = [];
+  }
+
+  /**
+   * Take an action off the undo stack: the last one, or a given one (a toast's Undo). Null when there is
+   * none, or the given one was already undone.
+   */
+  takeUndo(entry = null) {
+    if (!entry) return this.undoStack.pop() ?? null;
+
+    const index = this.undoStack.indexOf(entry);
+    return index < 0 ? null : this.undoStack.splice(index, 1)[0];
+  }
+
+  /**
+   * Take an action off the redo stack: the last one undone, or a given one (a toast's Redo)
+   */
+  takeRedo(entry = null) {
+    if (!entry) return this.redoStack.pop() ?? null;
+
+    const index = this.redoStack.indexOf(entry);
+    return index < 0 ? null : this.redoStack.splice(index, 1)[0];
+  }
+
+  /**
+   * An entry that was undone, so it can be redone
+   */
+  undone(entry) {
+    this.push(this.redoStack, entry);
+  }
+
+  /**
+   * An entry that was redone, so it can be undone again. Unlike record, the rest of the redo stack stays.
+   */
+  redone(entry) {
+    this.push(this.undoStack, entry);
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  push(stack, entry) {
+    stack.push(entry);
+    if (stack.length > this.limit) {
+      stack.shift();
+    }
+  }
+}
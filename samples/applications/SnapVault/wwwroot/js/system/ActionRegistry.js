@@ -2,8 +2,75 @@
  * Action Registry
  * Centralized action definitions for all user operations
  * Single source of truth for permissions, UI generation, and execution logic
+ *
+ * An action with an `undo` spec is reversible: ActionExecutor records it and offers Undo.
+ *   undo.run(app, context, result)  - reverse it, from what it returned
+ *   undo.redo(app, context, result) - do it again without re-reading the view (optional: by default the
+ *                                     action runs again); returns the new result
+ *   undo.refresh                    - refresh after undoing (optional: by default the action's)
  */
 
+import { PhotoSetManager } from '../services/PhotoSetManager.js';
+import { MIN_COMPARE, MAX_COMPARE } from '../components/lightboxCompare.js';
+
+/**
+ * Set photos' favorite state, on the server and in loaded state and cached sets
+ */
+async function setFavorites(app, photoIds, isFavorite) {
+  if (photoIds.length === 0) return { updated: 0, changed: [], isFavorite };
+
+  const response = await app.api.post('/api/photos/bulk/favorite', { photoIds, isFavorite });
+  app.state.photos?.forEach(photo => {
+    if (photoIds.includes(photo.id)) photo.isFavorite = isFavorite;
+  });
+  photoIds.forEach(photoId => PhotoSetManager.invalidateCache(null, photoId, { isFavorite }));
+  PhotoSetManager.invalidateCache('favorites');
+  return response;
+}
+
+/**
+ * Set photos' rejected state, on the server and in loaded state, the grid and cached sets
+ */
+async function setRejected(app, photoIds, isRejected, options = {}) {
+  if (photoIds.length === 0) return { updated: 0, changed: [], isRejected };
+
+  const result = await app.api.post('/api/photos/bulk/reject', { photoIds, isRejected }, options);
+  app.state.photos?.forEach(photo => {
+    if (!photoIds.includes(photo.id)) return;
+    photo.isRejected = isRejected;
+    app.components.grid.updatePhotoCard(photo.id, photo);
+  });
+  photoIds.forEach(photoId => PhotoSetManager.invalidateCache(null, photoId, { isRejected }));
+  return result?.queued ? { isRejected, changed: [], queued: true } : result;
+}
+
+/**
+ * The burst stack a photo is shown in: the lightbox's photo, or one loaded in the grid
+ */
+function stackOf(app, photoId) {
+  const { lightbox } = app.components;
+  const photo = lightbox?.currentPhoto?.id === photoId
+    ? lightbox.currentPhoto
+    : app.state.photos?.find(p => p.id === photoId);
+  return photo?.stack ?? null;
+}
+
+/**
+ * Make a photo its burst stack's pick, or clear the stack's pick; then rebuild the view in place (and the
+ * lightbox's set), since a collapsed stack now shows another cover
+ */
+async function setStackPick(app, photoId, isPick) {
+  const result = await app.api.post(`/api/photos/${photoId}/stack-pick`, { isPick });
+  PhotoSetManager.invalidateCache();
+
+  await app.components.collectionView.reloadInPlace();
+  const { lightbox } = app.components;
+  if (lightbox?.isOpen) {
+    await lightbox.followSet(lightbox.currentIndex);
+  }
+  return result;
+}
+
 export const ActionRegistry = {
   // ==================== Photo Actions ====================
 
@@ -12,7 +79,7 @@ export const ActionRegistry = {
     label: 'Add to Favorites',
     icon: 'star',
     hotkey: 'f',
-    contexts: ['grid', 'lightbox', 'selection'],
+    contexts: ['grid', 'lightbox', 'compare', 'selection'],
     variant: 'default',
 
     // Check if action is available in current context
@@ -22,14 +89,26 @@ export const ActionRegistry = {
 
     // Execute for single photo
     async execute(app, photoId) {
-      const response = await app.api.post(`/api/photos/${photoId}/favorite`);
+      const photo = app.state.photos?.find(p => p.id === photoId);
 
-      // Update photo state
-      if (app.state.photos) {
-        const photo = app.state.photos.find(p => p.id === photoId);
-        if (photo) photo.isFavorite = response.isFavorite;
+      // Unknown local state: let the server toggle (such a call cannot be queued offline)
+      if (!photo) {
+        return await app.api.post(`/api/photos/${photoId}/favorite`);
       }
 
+      const isFavorite = !photo.isFavorite;
+      const result = await app.api.post(`/api/photos/${photoId}/favorite`, { isFavorite }, {
+        offline: {
+          label: `${isFavorite ? 'Favorite' : 'Unfavorite'} ${photo.originalFileName || photoId}`,
+          precondition: { url: `/api/photos/${photoId}`, field: 'isFavorite', expected: photo.isFavorite, value: isFavorite }
+        }
+      });
+      const response = result?.queued ? { isFavorite, queued: true } : result;
+
+      // Update photo state
+      photo.isFavorite = response.isFavorite;
+      PhotoSetManager.invalidateCache('favorites', photoId, { isFavorite: response.isFavorite });
+
       return response;
     },
 
@@ -38,6 +117,8 @@ export const ActionRegistry = {
       const response = await app.api.post('/api/photos/bulk/favorite', {
         photoIds: photoIds,
         isFavorite: true
+      }, {
+        offline: { label: `Favorite ${photoIds.length} photo${photoIds.length !== 1 ? 's' : ''}` }
       });
 
       // Update photo state optimistically
@@ -47,6 +128,8 @@ export const ActionRegistry = {
           if (photo) photo.isFavorite = true;
         });
       }
+      photoIds.forEach(photoId => PhotoSetManager.invalidateCache(null, photoId, { isFavorite: true }));
+      PhotoSetManager.invalidateCache('favorites');
 
       return response;
     },
@@ -58,6 +141,18 @@ export const ActionRegistry = {
       icon: '⭐'
     },
 
+    // One photo was toggled; of a set, only the ones that weren't favorites already go back
+    undo: {
+      run: (app, context, result) => Array.isArray(context)
+        ? setFavorites(app, result.changed || [], false)
+        : setFavorites(app, [context], !result.isFavorite),
+      async redo(app, context, result) {
+        if (Array.isArray(context)) return await setFavorites(app, context, true);
+        await setFavorites(app, [context], result.isFavorite);
+        return { isFavorite: result.isFavorite };
+      }
+    },
+
     refresh: {
       clearSelection: true,
       // Refresh stats to update library badges
@@ -80,10 +175,17 @@ export const ActionRegistry = {
     },
 
     async executeBulk(app, photoIds) {
-      return await app.api.post('/api/photos/bulk/favorite', {
+      const response = await app.api.post('/api/photos/bulk/favorite', {
         photoIds: photoIds,
         isFavorite: false
+      }, {
+        offline: { label: `Unfavorite ${photoIds.length} photo${photoIds.length !== 1 ? 's' : ''}` }
       });
+
+      photoIds.forEach(photoId => PhotoSetManager.invalidateCache(null, photoId, { isFavorite: false }));
+      PhotoSetManager.invalidateCache('favorites');
+
+      return response;
     },
 
     feedback: {
@@ -92,12 +194,110 @@ export const ActionRegistry = {
       icon: '⭐'
     },
 
+    undo: {
+      run: (app, photoIds, result) => setFavorites(app, result.changed || [], true)
+    },
+
     refresh: {
       reloadView: true,
       clearSelection: true
     }
   },
 
+  'photo.reject': {
+    id: 'photo.reject',
+    label: 'Reject',
+    icon: 'x',
+    hotkey: 'x',
+    contexts: ['grid', 'lightbox', 'compare', 'selection'],
+    variant: 'default',
+
+    isAvailable: () => true,
+
+    // Execute for single photo: toggle (a rejected photo stays in the library, dimmed)
+    async execute(app, photoId) {
+      const photo = app.state.photos?.find(p => p.id === photoId) ?? await app.api.get(`/api/photos/${photoId}`);
+      const isRejected = !photo.isRejected;
+      return await setRejected(app, [photoId], isRejected, {
+        offline: { label: `${isRejected ? 'Reject' : 'Un-reject'} ${photo.originalFileName || photoId}` }
+      });
+    },
+
+    // Execute for multiple photos ("keep this, reject others" in compare mode)
+    async executeBulk(app, photoIds) {
+      return await setRejected(app, photoIds, true, {
+        offline: { label: `Reject ${photoIds.length} photo${photoIds.length !== 1 ? 's' : ''}` }
+      });
+    },
+
+    feedback: {
+      single: (result) => result.isRejected ? 'Rejected' : 'No longer rejected',
+      bulk: (count) => `Rejected ${count} ${count === 1 ? 'photo' : 'photos'}`,
+      error: 'Failed to update rejected photos',
+      icon: '✕'
+    },
+
+    // Only the photos this flipped go back
+    undo: {
+      run: (app, context, result) => setRejected(app, result.changed || [], !result.isRejected)
+    },
+
+    refresh: {}
+  },
+
+  'photo.compare': {
+    id: 'photo.compare',
+    label: 'Compare',
+    icon: 'columns',
+    hotkey: 'c',
+    contexts: ['grid', 'selection'],
+    variant: 'default',
+
+    isAvailable: (app, context) => {
+      const count = Array.isArray(context) ? context.length : app.state.selectedPhotos.size;
+      return count >= MIN_COMPARE && count <= MAX_COMPARE;
+    },
+
+    executeBulk: (app, photoIds) => app.components.compare.open(photoIds),
+
+    refresh: {}
+  },
+
+  'photo.stackPick': {
+    id: 'photo.stackPick',
+    label: 'Set as Stack Pick',
+    icon: 'check',
+    hotkey: 'p',
+    contexts: ['grid', 'lightbox', 'selection'],
+    variant: 'default',
+
+    // One photo, in a burst stack: the lightbox's, or a selection of one
+    isAvailable: (app, context) => {
+      const photoIds = Array.isArray(context) ? context : [context];
+      return photoIds.length === 1 && stackOf(app, photoIds[0]) !== null;
+    },
+
+    execute: (app, photoId) => setStackPick(app, photoId, true),
+
+    executeBulk: (app, photoIds) => setStackPick(app, photoIds[0], true),
+
+    feedback: {
+      single: 'Set as stack pick',
+      bulk: () => 'Set as stack pick',
+      error: 'Failed to set the stack pick',
+      icon: '✓'
+    },
+
+    // The pick it replaced comes back, or the stack has none again
+    undo: {
+      run: (app, context, result) => result.previousPickId
+        ? setStackPick(app, result.previousPickId, true)
+        : setStackPick(app, result.pickId, false)
+    },
+
+    refresh: {}
+  },
+
   'photo.download': {
     id: 'photo.download',
     label: 'Download',
@@ -140,31 +340,42 @@ export const ActionRegistry = {
     variant: 'destructive',
 
     isAvailable: (app, context) => {
-      // Not available in collection views (use remove instead)
+      // Not available in collection views (use remove instead) - except on the lightbox's photo
       const { viewState } = app.components.collectionView;
-      return viewState.type !== 'collection';
-    },
-
-    // Requires confirmation
-    requiresConfirmation: true,
-    getConfirmation: (count) => {
-      const message = count === 1
-        ? 'Delete this photo?'
-        : `Delete ${count} photos?`;
-      const detail = `This will delete the ${count === 1 ? 'photo' : 'photos'} and all thumbnails from storage.`;
-      return confirm(`${message}\n\n${detail}\n\nThis action cannot be undone.`);
+      return viewState.type !== 'collection' || app.components.lightbox?.isOpen === true;
     },
 
+    // No confirmation: deleted photos go to the trash, and Undo brings them back
     async executeBulk(app, photoIds) {
-      return await app.api.post('/api/photos/bulk/delete', { photoIds });
+      const response = await app.api.post('/api/photos/bulk/delete', { photoIds });
+      if (response.deleted === 0 && response.errors?.length > 0) {
+        throw new Error(response.errors[0]);
+      }
+      photoIds.forEach(photoId => PhotoSetManager.invalidateCache(null, photoId));
+      return response;
     },
 
     feedback: {
-      bulk: (count) => `Deleted ${count} ${count === 1 ? 'photo' : 'photos'}`,
+      bulk: (count) => `Moved ${count} ${count === 1 ? 'photo' : 'photos'} to Trash`,
       error: 'Failed to delete photos',
       icon: '🗑️'
     },
 
+    undo: {
+      async run(app, photoIds) {
+        const response = await app.api.post('/api/trash/restore', { photoIds });
+        if (response.restored === 0 && response.errors?.length > 0) {
+          throw new Error(response.errors[0]);
+        }
+        PhotoSetManager.invalidateCache();
+        return response;
+      },
+      refresh: {
+        reloadView: true,
+        reloadCollections: true
+      }
+    },
+
     refresh: {
       reloadView: true,
       clearSelection: true
@@ -224,6 +435,8 @@ export const ActionRegistry = {
 
       return await app.api.post(`/api/collections/${viewState.collection.id}/photos/remove`, {
         photoIds: photoIds
+      }, {
+        offline: { label: `Remove ${photoIds.length} photo${photoIds.length !== 1 ? 's' : ''} from "${viewState.collection.name}"` }
       });
     },
 
@@ -233,6 +446,15 @@ export const ActionRegistry = {
       icon: '✓'
     },
 
+    // Back where they were, in the collection they left (the view may have moved on since)
+    undo: {
+      run: (app, photoIds, result) => app.api.post(`/api/collections/${result.collectionId}/photos`, {
+        photoIds: result.positions.map(position => position.photoId),
+        positions: result.positions
+      }),
+      redo: (app, photoIds, result) => app.api.post(`/api/collections/${result.collectionId}/photos/remove`, { photoIds })
+    },
+
     refresh: {
       reloadView: true,
       reloadCollections: true,
@@ -364,15 +586,7 @@ export const ActionRegistry = {
       return app.components.collectionView?.viewState?.type === 'collection';
     },
 
-    requiresConfirmation: true,
-    getConfirmation: (collection) => {
-      const photoCount = collection.photoCount || 0;
-      const message = `Delete collection "${collection.name}"?`;
-      const detail = photoCount > 0
-        ? `This collection contains ${photoCount} ${photoCount === 1 ? 'photo' : 'photos'}. The photos will not be deleted, only the collection.`
-        : 'This collection is empty.';
-      return confirm(`${message}\n\n${detail}\n\nThis action cannot be undone.`);
-    },
+    // No confirmation: the collection goes to the trash (its photos stay), and Undo brings it back
 
     async execute(app, collection) {
       // Delegate to collectionsSidebar
@@ -389,10 +603,62 @@ export const ActionRegistry = {
       icon: '🗑️'
     },
 
+    // Restored and reopened
+    undo: {
+      async run(app, collection) {
+        await app.api.post(`/api/collections/${collection.id}/restore`);
+        PhotoSetManager.invalidateCache('collection');
+
+        const { collectionsSidebar } = app.components;
+        await collectionsSidebar.loadCollections();
+        collectionsSidebar.render();
+        collectionsSidebar.selectView(collection.id);
+      },
+      refresh: {}
+    },
+
     refresh: {
       reloadCollections: true,
       navigateToAllPhotos: true
     }
+  },
+
+  'smartCollection.delete': {
+    id: 'smartCollection.delete',
+    label: 'Delete Smart Collection',
+    icon: 'trash',
+    contexts: ['smart'],
+    variant: 'destructive',
+
+    // The sidebar offers it whatever the view
+    isAvailable: () => true,
+
+    // No confirmation: it goes to the trash (no photo is touched), and Undo brings it back
+    async execute(app, smartCollection) {
+      return await app.components.collectionsSidebar.deleteSmartCollection(smartCollection.id);
+    },
+
+    feedback: {
+      single: (result) => `Smart collection "${result.name}" deleted`,
+      error: 'Failed to delete smart collection',
+      icon: '🗑️'
+    },
+
+    // Restored and reopened
+    undo: {
+      async run(app, smartCollection) {
+        await app.api.post(`/api/smart-collections/${smartCollection.id}/restore`);
+        PhotoSetManager.invalidateCache('smart');
+
+        const { collectionsSidebar } = app.components;
+        await collectionsSidebar.loadSmartCollections();
+        collectionsSidebar.render();
+        collectionsSidebar.selectSmartView(smartCollection.id);
+      },
+      refresh: {}
+    },
+
+    refresh: {}
   }
 };
 
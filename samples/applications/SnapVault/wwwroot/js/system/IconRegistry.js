@@ -144,6 +144,15 @@ export const IconRegistry = {
     type: 'navigation'
   },
 
+  columns: {
+    viewBox: '0 0 24 24',
+    paths: [
+      'M3 3h7v18H3z',
+      'M14 3h7v18h-7z'
+    ],
+    type: 'navigation'
+  },
+
   calendar: {
     viewBox: '0 0 24 24',
     paths: [
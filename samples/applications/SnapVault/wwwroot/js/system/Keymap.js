@@ -0,0 +1,546 @@
+/**
+ * Keymap
+ * Every keyboard shortcut in the app: commands registered by the components that own them, bound to
+ * keys the user can change
+ *
+ * A command runs in one or more scopes. The grid is the base scope; the lightbox, compare mode and
+ * dialogs push theirs while they are open, and only the top scope's commands (and global ones) are
+ * live - so the lightbox's rating digits never reach the grid's view presets underneath it.
+ *
+ * A binding is a key combination ('f', 'Shift+1', 'Mod+k') or a chord of them ('g e'); Mod is Cmd on
+ * macOS and Ctrl elsewhere. Letters ignore Caps Lock, digits are read from the key's position (Shift+1
+ * is Shift+1 on every layout), and other characters are matched as typed ('?').
+ *
+ * Defaults come from the registering component (an ActionRegistry action's hotkey). The user's changes
+ * persist in localStorage with the other display preferences, and the whole keymap exports and
+ * imports as JSON:
+ *
+ *   { "version": 1, "bindings": { "photo.favorite": ["f"], "nav.gallery": ["g e"] } }
+ */
+
+export const SCOPES = ['global', 'grid', 'lightbox', 'compare', 'dialog'];
+
+const STORAGE_KEY = 'snapvault-keymap';
+const FORMAT_VERSION = 1;
+const CHORD_TIMEOUT = 1000;
+const MAX_CHORD = 3;
+
+const IS_MAC = /Mac|iPhone|iPad/.test(globalThis.navigator?.platform || globalThis.navigator?.userAgent || '');
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+const MODIFIER_NAMES = {
+  ctrl: 'Ctrl', control: 'Ctrl',
+  alt: 'Alt', option: 'Alt',
+  shift: 'Shift',
+  meta: 'Meta', cmd: 'Meta', command: 'Meta',
+  mod: IS_MAC ? 'Meta' : 'Ctrl'
+};
+const KEY_NAMES = {
+  esc: 'Escape', escape: 'Escape',
+  del: 'Delete', delete: 'Delete', backspace: 'Backspace',
+  enter: 'Enter', return: 'Enter', tab: 'Tab', space: 'Space',
+  left: 'ArrowLeft', arrowleft: 'ArrowLeft', right: 'ArrowRight', arrowright: 'ArrowRight',
+  up: 'ArrowUp', arrowup: 'ArrowUp', down: 'ArrowDown', arrowdown: 'ArrowDown',
+  home: 'Home', end: 'End', pageup: 'PageUp', pagedown: 'PageDown'
+};
+const KEY_LABELS = {
+  Ctrl: IS_MAC ? '⌃' : 'Ctrl',
+  Alt: IS_MAC ? '⌥' : 'Alt',
+  Shift: IS_MAC ? '⇧' : 'Shift',
+  Meta: IS_MAC ? '⌘' : 'Meta',
+  Escape: 'Esc',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+const IGNORED_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Dead', 'Unidentified'];
+
+function canonicalKey(key) {
+  if (key.length === 1) return key.toLowerCase();
+  return KEY_NAMES[key.toLowerCase()] ?? key;
+}
+
+function combine(modifiers, key) {
+  return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+/**
+ * One key combination in canonical form ('Ctrl+Shift+k'), null when it isn't one
+ */
+function parseCombo(text) {
+  const parts = text.endsWith('++') ? [...text.slice(0, -2).split('+').filter(Boolean), '+'] : text.split('+');
+  const key = parts.pop();
+  if (!key) return null;
+
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = MODIFIER_NAMES[part.toLowerCase()];
+    if (!modifier) return null;
+    modifiers.add(modifier);
+  }
+  return combine(modifiers, canonicalKey(key));
+}
+
+/**
+ * A binding in canonical form ('Mod+K' → 'Ctrl+k', 'G E' → 'g e'), null when it isn't one
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function parseBinding(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const combos = text.trim().split(/\s+/).map(parseCombo);
+  return combos.length <= MAX_CHORD && combos.every(Boolean) ? combos.join(' ') : null;
+}
+
+/**
+ * The key combination a keydown is, in canonical form; null for a lone modifier
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+export function eventCombo(event) {
+  if (!event.key || IGNORED_KEYS.includes(event.key)) return null;
+
+  const modifiers = new Set();
+  if (event.ctrlKey) modifiers.add('Ctrl');
+  if (event.altKey) modifiers.add('Alt');
+  if (event.shiftKey) modifiers.add('Shift');
+  if (event.metaKey) modifiers.add('Meta');
+
+  let key = event.key;
+  if (/^Digit\d$/.test(event.code)) {
+    key = event.code.slice(5);                // Shift+1 types '!' on one layout and '1' on another
+  } else if (event.altKey && /^Key[A-Z]$/.test(event.code)) {
+    key = event.code.slice(3);                // Option+letter types a symbol on macOS
+  } else if (key === ' ') {
+    key = 'Space';
+  } else if (key.length === 1 && key.toLowerCase() === key.toUpperCase()) {
+    modifiers.delete('Shift');                // a typed character already says Shift was held ('?')
+  }
+  return combine(modifiers, canonicalKey(key));
+}
+
+/**
+ * Display labels for a binding: one array of keys per combination ('Ctrl+k' → [['Ctrl', 'K']])
+ * @param {string} binding - canonical binding
+ * @returns {string[][]}
+ */
+export function formatBinding(binding) {
+  return binding.split(' ').map(combo => {
+    const parts = combo.endsWith('++') ? [...combo.slice(0, -2).split('+').filter(Boolean), '+'] : combo.split('+');
+    return parts.map(part => KEY_LABELS[part] ?? (part.length === 1 ? part.toUpperCase() : part));
+  });
+}
+
+function sameBindings(a, b) {
+  return a.length === b.length && a.every((binding, i) => binding === b[i]);
+}
+
+/**
+ * Do two bindings collide? (the same keys, or one a chord's first keys - it would never wait for the rest)
+ */
+function collides(a, b) {
+  return a === b || a.startsWith(`${b} `) || b.startsWith(`${a} `);
+}
+
+/**
+ * A scope two commands can both be live in, null when they never are at the same time
+ */
+function sharedScope(a, b) {
+  const same = a.find(scope => b.includes(scope));
+  if (same) return same;
+  if (a.includes('global')) return b[0];
+  if (b.includes('global')) return a[0];
+  return null;
+}
+
+export class Keymap {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+    this.commands = new Map();
+    this.overrides = this.load();
+    this.scopes = [{ scope: 'grid', owner: null }];
+    this.pending = [];
+    this.pendingTimer = null;
+    this.recording = null;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Dispatch a document's keydowns to the live commands
+   */
+  attach(target = document) {
+    target.addEventListener('keydown', (event) => this.handleKeyDown(event));
+  }
+
+  /**
+   * Register a command (again, to replace it)
+   * @param {Object} command
+   * @param {string} command.id - stable id, the key of the user's bindings ('lightbox.zoom.fit')
+   * @param {string} command.label - what it does, for the help overlay
+   * @param {string} command.group - help overlay section
+   * @param {string|string[]} command.scope - SCOPES it runs in
+   * @param {string[]} command.keys - default bindings
+   * @param {Function} command.run - ({ scope, owner, event }); returning false passes the key on
+   * @param {boolean} command.inInputs - also while the user is typing in a field
+   */
+  register({ id, label, group = 'General', scope = 'global', keys = [], run, inInputs = false }) {
+    const scopes = [scope].flat();
+    const unknown = scopes.find(name => !SCOPES.includes(name));
+    if (unknown) {
+      throw new Error(`[Keymap] Unknown scope "${unknown}" for ${id}`);
+    }
+
+    const defaults = keys.map(parseBinding).filter(Boolean);
+    if (defaults.length !== keys.length) {
+      console.warn(`[Keymap] Ignoring unrecognized keys for ${id}:`, keys);
+    }
+
+    this.commands.set(id, { id, label, group, scopes, defaults, run, inInputs });
+    this.emit('change');
+  }
+
+  unregister(id) {
+    if (this.commands.delete(id)) {
+      this.emit('change');
+    }
+  }
+
+  /**
+   * A command's bindings: the user's, else its defaults
+   */
+  bindingsFor(id) {
+    return this.overrides[id] ?? this.commands.get(id)?.defaults ?? [];
+  }
+
+  /**
+   * Registered commands with their bindings, in registration order
+   * @returns {Array} [{ id, label, group, scopes, keys, defaults, customized }]
+   */
+  list() {
+    return [...this.commands.values()].map(({ id, label, group, scopes, defaults }) => ({
+      id,
+      label,
+      group,
+      scopes,
+      keys: this.bindingsFor(id),
+      defaults,
+      customized: id in this.overrides
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scopes
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Make a scope live over the current one (a lightbox or dialog opening)
+   * @param {string} scope
+   * @param {any} owner - what's open, handed to its commands
+   * @returns {Object} entry for popScope
+   */
+  pushScope(scope, owner = null) {
+    const entry = { scope, owner };
+    this.scopes.push(entry);
+    this.resetChord();
+    return entry;
+  }
+
+  /**
+   * Remove a pushed scope (wherever it is - dialogs don't always close in order)
+   */
+  popScope(entry) {
+    const index = this.scopes.lastIndexOf(entry);
+    if (index > 0) {
+      this.scopes.splice(index, 1);
+      this.resetChord();
+    }
+  }
+
+  get activeScope() {
+    return this.scopes[this.scopes.length - 1].scope;
+  }
+
+  /**
+   * Commands that can run now, with what they run on: the top scope's, then global ones
+   */
+  live() {
+    const top = this.scopes[this.scopes.length - 1];
+    const commands = [...this.commands.values()];
+
+    return [
+      ...commands.filter(command => command.scopes.includes(top.scope)).map(command => ({ command, context: top })),
+      ...commands.filter(command => command.scopes.includes('global') && !command.scopes.includes(top.scope))
+        .map(command => ({ command, context: { scope: 'global', owner: null } }))
+    ];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dispatch
+  // ---------------------------------------------------------------------------
+
+  handleKeyDown(event) {
+    if (event.defaultPrevented || this.recording) return;
+
+    const key = eventCombo(event);
+    if (!key) return;
+
+    const typing = event.target.matches?.('input, textarea, select') || event.target.isContentEditable;
+    const sequence = [...this.pending, key].join(' ');
+    const live = this.live().filter(({ command }) => !typing || command.inInputs);
+
+    const match = live.find(({ command }) => this.bindingsFor(command.id).includes(sequence));
+    if (match) {
+      this.resetChord();
+      const result = match.command.run({ ...match.context, event });
+      if (result !== false) {
+        event.preventDefault();
+      }
+      return;
+    }
+
+    // The start of a chord: wait for the rest
+    if (live.some(({ command }) => this.bindingsFor(command.id).some(binding => binding.startsWith(`${sequence} `)))) {
+      event.preventDefault();
+      this.pending.push(key);
+      clearTimeout(this.pendingTimer);
+      this.pendingTimer = setTimeout(() => this.resetChord(), CHORD_TIMEOUT);
+      return;
+    }
+
+    // A chord that went nowhere: the key on its own
+    if (this.pending.length > 0) {
+      this.resetChord();
+      this.handleKeyDown(event);
+      return;
+    }
+
+    // Escape leaves a field
+    if (typing && key === 'Escape') {
+      event.target.blur();
+    }
+  }
+
+  resetChord() {
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+    this.pending = [];
+  }
+
+  /**
+   * Capture the next combination or chord the user types instead of running it (to rebind a command).
+   * A chord ends after a pause; Escape on its own cancels.
+   * @returns {Promise<string|null>} the binding, null when cancelled
+   */
+  record() {
+    this.cancelRecording();
+
+    return new Promise(resolve => {
+      const combos = [];
+      let timer = null;
+
+      const finish = (binding) => {
+        clearTimeout(timer);
+        document.removeEventListener('keydown', onKeyDown, { capture: true });
+        this.recording = null;
+        resolve(binding);
+      };
+
+      const onKeyDown = (event) => {
+        const key = eventCombo(event);
+        if (!key) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        if (key === 'Escape' && combos.length === 0) {
+          finish(null);
+          return;
+        }
+
+        combos.push(key);
+        clearTimeout(timer);
+        if (combos.length === MAX_CHORD) {
+          finish(combos.join(' '));
+        } else {
+          timer = setTimeout(() => finish(combos.join(' ')), CHORD_TIMEOUT);
+        }
+      };
+
+      this.recording = { cancel: () => finish(null) };
+      document.addEventListener('keydown', onKeyDown, { capture: true });
+    });
+  }
+
+  cancelRecording() {
+    this.recording?.cancel();
+  }
+
+  // ---------------------------------------------------------------------------
+  // User keymap
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Bindings that collide: the same keys (or one the start of the other's chord) on two commands
+   * live at the same time - in one scope, or one of them global
+   * @returns {Array} [{ scope, keys: [a, b], commands: [idA, idB] }]
+   */
+  conflicts() {
+    const entries = [];
+    for (const command of this.commands.values()) {
+      for (const keys of this.bindingsFor(command.id)) {
+        entries.push({ command, keys });
+      }
+    }
+
+    const conflicts = [];
+    entries.forEach((a, i) => {
+      for (const b of entries.slice(i + 1)) {
+        if (a.command === b.command || !collides(a.keys, b.keys)) continue;
+
+        const scope = sharedScope(a.command.scopes, b.command.scopes);
+        if (scope) {
+          conflicts.push({ scope, keys: [a.keys, b.keys], commands: [a.command.id, b.command.id] });
+        }
+      }
+    });
+    return conflicts;
+  }
+
+  /**
+   * Rebind a command
+   * @param {string} id
+   * @param {string[]} keys - its new bindings ([] unbinds it)
+   * @returns {Array} the conflicts it is now part of
+   */
+  remap(id, keys) {
+    const command = this.commands.get(id);
+    if (!command) {
+      throw new Error(`Unknown command "${id}"`);
+    }
+
+    const bindings = keys.map(parseBinding);
+    const invalid = keys.find((_, i) => !bindings[i]);
+    if (invalid !== undefined) {
+      throw new Error(`Unrecognized keys "${invalid}"`);
+    }
+
+    if (sameBindings(bindings, command.defaults)) {
+      delete this.overrides[id];
+    } else {
+      this.overrides[id] = bindings;
+    }
+    this.save();
+    this.emit('change');
+
+    return this.conflicts().filter(conflict => conflict.commands.includes(id));
+  }
+
+  /**
+   * Back to the defaults: one command's, or all of them
+   */
+  reset(id = null) {
+    if (id) {
+      delete this.overrides[id];
+    } else {
+      this.overrides = {};
+    }
+    this.save();
+    this.emit('change');
+  }
+
+  /**
+   * The whole keymap as JSON-ready data: every command's bindings
+   */
+  export() {
+    return {
+      version: FORMAT_VERSION,
+      bindings: Object.fromEntries(this.list().map(command => [command.id, command.keys]))
+    };
+  }
+
+  /**
+   * Replace the user's keymap with an exported one. Bindings for commands not registered on this page
+   * are kept for when they are.
+   * @param {Object} keymap - export() data
+   * @returns {Array} conflicts in the imported keymap
+   */
+  import(keymap) {
+    const bindings = keymap?.version === FORMAT_VERSION ? keymap.bindings : null;
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+      throw new Error('Not a SnapVault keymap');
+    }
+
+    const overrides = {};
+    for (const [id, keys] of Object.entries(bindings)) {
+      const parsed = Array.isArray(keys) ? keys.map(parseBinding) : [];
+      if (!Array.isArray(keys) || parsed.some(binding => !binding)) {
+        throw new Error(`Unrecognized keys for "${id}"`);
+      }
+
+      const command = this.commands.get(id);
+      if (!command || !sameBindings(parsed, command.defaults)) {
+        overrides[id] = parsed;
+      }
+    }
+
+    this.overrides = overrides;
+    this.save();
+    this.emit('change');
+    return this.conflicts();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? 'null');
+      if (saved?.version !== FORMAT_VERSION || !saved.bindings) return {};
+
+      // Drop anything this version can't read rather than fail every keypress on it
+      return Object.fromEntries(Object.entries(saved.bindings)
+        .filter(([, keys]) => Array.isArray(keys))
+        .map(([id, keys]) => [id, keys.map(parseBinding).filter(Boolean)]));
+    } catch (error) {
+      console.warn('[Keymap] Ignoring unreadable saved keymap:', error);
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, bindings: this.overrides }));
+    } catch (error) {
+      console.warn('[Keymap] Could not save keymap:', error);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (!this.listeners.has(event)) return;
+    const callbacks = this.listeners.get(event);
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  emit(event, data) {
+    if (!this.listeners.has(event)) return;
+    this.listeners.get(event).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[Keymap] Event listener error (${event}):`, error);
+      }
+    });
+  }
+}
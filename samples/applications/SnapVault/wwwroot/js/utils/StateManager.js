@@ -9,21 +9,21 @@ export class StateManager {
       // Photo Management
       photos: [],
       selectedPhotos: new Set(),
-      hasMorePages: false,
       totalPhotosCount: 0,
-      loadingMore: false,
 
       // Collections
       collections: [],
 
       // View State - Single source of truth
       activeView: {
-        type: 'all-photos', // 'all-photos' | 'favorites' | 'collection'
-        id: null            // null for all-photos/favorites, collectionId for collections
+        type: 'all-photos', // 'all-photos' | 'favorites' | 'collection' | 'smart' | 'search' | 'event'
+        id: null            // null for all-photos/favorites/search, else the collection, smart collection or event id
       },
 
       // UI State
       viewPreset: 'comfortable',
+      gridLayout: 'grid',
+      stackBursts: true,
 
       // Events
       events: []
@@ -165,7 +165,6 @@ export class StateManager {
   reset() {
     this.set('photos', []);
     this.clearSelection();
-    this.set('hasMorePages', false);
     this.set('totalPhotosCount', 0);
   }
 }
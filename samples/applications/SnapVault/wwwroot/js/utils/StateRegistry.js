@@ -30,9 +30,6 @@ export class StateRegistry {
       photos: [],
       loadedPhotosCount: 0,
 
-      // Infinite scroll state
-      hasMorePages: true,
-
       // Selection state
       selectedPhotos: new Set()
     };
@@ -0,0 +1,140 @@
+/**
+ * BlurHash Placeholders
+ * Decodes the photo metadata's blurHash (Media/BlurHash.cs) into a tiny image: a blurred, correctly
+ * coloured preview painted under a tile or the lightbox while the real rendition loads.
+ *
+ * Decoded at 32×32 and stretched by CSS - the hash only holds low frequencies, so a larger decode
+ * would look the same. Data URLs are cached by hash: a recycled grid card rebinding a photo it
+ * showed before costs a Map lookup, not a decode.
+ */
+
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+const DECODE_SIZE = 32;
+const MAX_CACHED = 1000;
+
+const urlCache = new Map();
+let canvas = null;
+
+function decode83(text) {
+  let value = 0;
+  for (const char of text) {
+    const digit = ALPHABET.indexOf(char);
+    if (digit < 0) return NaN;
+    value = value * 83 + digit;
+  }
+  return value;
+}
+
+function srgbToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.round(v * 12.92 * 255)
+    : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255);
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+/**
+ * Is this a well-formed hash (size flag agreeing with the length)?
+ */
+export function isBlurhash(hash) {
+  if (typeof hash !== 'string' || hash.length < 6) return false;
+
+  const sizeFlag = decode83(hash[0]);
+  const componentsX = (sizeFlag % 9) + 1;
+  const componentsY = Math.floor(sizeFlag / 9) + 1;
+  return hash.length === 4 + 2 * componentsX * componentsY && !Number.isNaN(decode83(hash));
+}
+
+/**
+ * Decode a hash to RGBA pixels
+ * @param {string} hash
+ * @param {number} width
+ * @param {number} height
+ * @param {number} punch - contrast of the components (1 = as encoded)
+ * @returns {Uint8ClampedArray} width × height × 4
+ */
+export function decodeBlurhash(hash, width, height, punch = 1) {
+  const sizeFlag = decode83(hash[0]);
+  const componentsX = (sizeFlag % 9) + 1;
+  const componentsY = Math.floor(sizeFlag / 9) + 1;
+  const maximum = (decode83(hash[1]) + 1) / 166;
+
+  const colors = new Array(componentsX * componentsY);
+  const dc = decode83(hash.substring(2, 6));
+  colors[0] = [srgbToLinear(dc >> 16), srgbToLinear((dc >> 8) & 255), srgbToLinear(dc & 255)];
+
+  for (let i = 1; i < colors.length; i++) {
+    const ac = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+    colors[i] = [
+      Math.floor(ac / (19 * 19)),
+      Math.floor(ac / 19) % 19,
+      ac % 19
+    ].map(quantised => signPow((quantised - 9) / 9, 2) * maximum * punch);
+  }
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let j = 0; j < componentsY; j++) {
+        const basisY = Math.cos((Math.PI * y * j) / height);
+        for (let i = 0; i < componentsX; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * basisY;
+          const color = colors[i + j * componentsX];
+          r += color[0] * basis;
+          g += color[1] * basis;
+          b += color[2] * basis;
+        }
+      }
+
+      const offset = 4 * (x + y * width);
+      pixels[offset] = linearToSrgb(r);
+      pixels[offset + 1] = linearToSrgb(g);
+      pixels[offset + 2] = linearToSrgb(b);
+      pixels[offset + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Placeholder image for a hash, as a data URL (null for a missing or malformed hash)
+ */
+export function blurhashToDataUrl(hash) {
+  if (!isBlurhash(hash)) return null;
+
+  let url = urlCache.get(hash);
+  if (url) return url;
+
+  canvas ||= Object.assign(document.createElement('canvas'), { width: DECODE_SIZE, height: DECODE_SIZE });
+  const context = canvas.getContext('2d');
+  context.putImageData(new ImageData(decodeBlurhash(hash, DECODE_SIZE, DECODE_SIZE), DECODE_SIZE, DECODE_SIZE), 0, 0);
+  url = canvas.toDataURL();
+
+  // Oldest first out
+  if (urlCache.size >= MAX_CACHED) {
+    urlCache.delete(urlCache.keys().next().value);
+  }
+  urlCache.set(hash, url);
+  return url;
+}
+
+/**
+ * CSS background-image value for a photo's placeholder ('' without one)
+ */
+export function placeholderBackground(photo) {
+  const url = blurhashToDataUrl(photo?.blurHash);
+  return url ? `url("${url}")` : '';
+}
@@ -0,0 +1,165 @@
+/**
+ * Error Types
+ * Structured API failures so callers branch on kind (instanceof) instead of grepping messages
+ *
+ * Every failed API call rejects with an HttpError subclass, except cancellation, which stays a
+ * DOMException named 'AbortError' (see API.isAbort) because a cancelled call is not a failure.
+ */
+
+/**
+ * Base class for API failures. Carries the HTTP status plus the RFC 7807 problem fields when the
+ * server sent them; `body` keeps the full parsed payload so extension members (e.g. the collection
+ * cap's `limit`) stay reachable.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - User-presentable message (server error/detail, or the status line)
+   * @param {object} fields
+   * @param {number} fields.status - HTTP status (0 when no response arrived)
+   * @param {string} [fields.type] - RFC 7807 problem type URI
+   * @param {string} [fields.title] - RFC 7807 short summary
+   * @param {string} [fields.detail] - RFC 7807 occurrence-specific explanation
+   * @param {object} [fields.errors] - Validation errors keyed by field ({ field: [messages] })
+   * @param {string} [fields.requestId] - Server request/trace id, for support correlation
+   * @param {object} [fields.body] - Full parsed response body
+   * @param {Error} [fields.cause] - Underlying error
+   */
+  constructor(message, { status = 0, type = null, title = null, detail = null, errors = null, requestId = null, body = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.type = type;
+    this.title = title;
+    this.detail = detail;
+    this.errors = errors;
+    this.requestId = requestId;
+    this.body = body;
+  }
+
+  get isServerError() {
+    return this.status >= 500;
+  }
+}
+
+/** 400 / 422 — the request was understood but refused (bad input, business rule such as a cap). */
+export class ValidationError extends HttpError {
+  /**
+   * Flatten field errors into "field: message" lines (empty when the server sent none).
+   * @returns {string[]}
+   */
+  get fieldMessages() {
+    if (!this.errors) return [];
+    return Object.entries(this.errors).flatMap(([field, messages]) =>
+      (Array.isArray(messages) ? messages : [messages]).map(m => field ? `${field}: ${m}` : m)
+    );
+  }
+}
+
+/** 404 / 410 — the target no longer exists (deleted elsewhere, stale view). */
+export class NotFoundError extends HttpError {}
+
+/** 409 / 412 — the target changed underneath the request. */
+export class ConflictError extends HttpError {}
+
+/** 401 / 403 — not signed in, or not allowed. */
+export class AuthError extends HttpError {
+  get isForbidden() {
+    return this.status === 403;
+  }
+}
+
+/** No usable response: connection failure or timeout. */
+export class NetworkError extends HttpError {
+  /**
+   * @param {string} message
+   * @param {object} fields - HttpError fields plus `timedOut`
+   */
+  constructor(message, { timedOut = false, ...fields } = {}) {
+    super(message, fields);
+    this.timedOut = timedOut;
+  }
+}
+
+/**
+ * Pick the error class for an HTTP status.
+ * @param {number} status
+ * @returns {typeof HttpError}
+ */
+export function errorClassFor(status) {
+  switch (status) {
+    case 400:
+    case 422:
+      return ValidationError;
+    case 401:
+    case 403:
+      return AuthError;
+    case 404:
+    case 410:
+      return NotFoundError;
+    case 409:
+    case 412:
+      return ConflictError;
+    default:
+      return HttpError;
+  }
+}
+
+/**
+ * Build a typed error from a failed response's status and raw body text.
+ * Understands RFC 7807 problem+json ({ type, title, detail, errors, traceId }) and the backend's
+ * { error: "..." } shape; a non-JSON body falls back to "HTTP <status>: <statusText>".
+ * @param {number} status
+ * @param {string} statusText
+ * @param {string} text - Raw response body
+ * @param {string|null} requestId - Request id header, when present
+ * @returns {HttpError}
+ */
+export function errorFromBody(status, statusText, text, requestId = null) {
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    // Non-JSON body — keep the status line.
+  }
+
+  const problem = body && typeof body === 'object' ? body : {};
+  const message = problem.error || problem.detail || problem.message || problem.title
+    || `HTTP ${status}: ${statusText}`;
+
+  const ErrorClass = errorClassFor(status);
+  return new ErrorClass(message, {
+    status,
+    type: problem.type ?? null,
+    title: problem.title ?? null,
+    detail: problem.detail ?? null,
+    errors: problem.errors ?? null,
+    requestId: requestId || problem.traceId || problem.requestId || null,
+    body
+  });
+}
+
+/**
+ * User-facing toast text for a failed operation, chosen by error kind.
+ * @param {Error} error
+ * @param {string} fallback - Operation-specific message (e.g. 'Failed to delete photos')
+ * @returns {string}
+ */
+export function describeError(error, fallback) {
+  if (error instanceof ValidationError) {
+    // Validation messages are written for the user (e.g. "Collection limit reached (2048 photos maximum).")
+    return error.detail || error.message || fallback;
+  }
+  if (error instanceof NotFoundError) {
+    return `${fallback} — it no longer exists`;
+  }
+  if (error instanceof ConflictError) {
+    return `${fallback} — it was changed elsewhere, refresh and try again`;
+  }
+  if (error instanceof AuthError) {
+    return error.isForbidden ? `${fallback} — you don't have permission` : 'Your session has expired — sign in again';
+  }
+  if (error instanceof NetworkError) {
+    return error.timedOut ? `${fallback} — the server took too long to respond` : `${fallback} — check your connection`;
+  }
+  return fallback;
+}
@@ -0,0 +1,85 @@
+/**
+ * EXIF Utilities
+ * Read a photo's capture date in the browser, for previewing how auto-organize will group an upload
+ *
+ * Only the start of the file is read (JPEG keeps EXIF in the APP1 segment near the top). The server
+ * remains authoritative: it reads EXIF again during ingest and files the photo by that date.
+ */
+
+/** How much of the start of a file readCaptureDate looks at */
+export const HEAD_BYTES = 128 * 1024;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_DATETIME = 0x0132;
+
+/**
+ * Capture date from EXIF DateTimeOriginal (falling back to DateTime), or null when the file has none.
+ * EXIF dates carry no time zone; they are interpreted as local time.
+ * @param {Blob} file
+ * @returns {Promise<Date|null>}
+ */
+export async function readCaptureDate(file) {
+  try {
+    const view = new DataView(await file.slice(0, HEAD_BYTES).arrayBuffer());
+    const tiff = findTiffHeader(view);
+    if (tiff < 0) return null;
+
+    const little = view.getUint16(tiff) === 0x4949;   // 'II'
+    const ifd0 = tiff + view.getUint32(tiff + 4, little);
+
+    const exifIfd = readTag(view, tiff, ifd0, TAG_EXIF_IFD, little);
+    const original = exifIfd != null ? readTag(view, tiff, tiff + exifIfd, TAG_DATETIME_ORIGINAL, little) : null;
+    return parseExifDate(original ?? readTag(view, tiff, ifd0, TAG_DATETIME, little));
+  } catch {
+    // Truncated or malformed EXIF — treat as undated
+    return null;
+  }
+}
+
+// Offset of the TIFF header inside the JPEG APP1 "Exif\0\0" segment, or -1
+function findTiffHeader(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return -1;   // not a JPEG
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return -1;   // start of scan: no EXIF before the image data
+
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {   // 'Exif'
+      return offset + 10;
+    }
+    offset += 2 + length;
+  }
+  return -1;
+}
+
+// Value of one IFD entry: the offset for IFD pointers, the string for ASCII tags
+function readTag(view, tiff, ifd, tag, little) {
+  const count = view.getUint16(ifd, little);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (view.getUint16(entry, little) !== tag) continue;
+
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+    if (type === 4) return view.getUint32(entry + 8, little);   // LONG (IFD pointer)
+    if (type !== 2) return null;                                 // only ASCII is expected here
+
+    const start = length > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+    let text = '';
+    for (let j = 0; j < length - 1; j++) text += String.fromCharCode(view.getUint8(start + j));
+    return text;
+  }
+  return null;
+}
+
+// 'YYYY:MM:DD HH:MM:SS' → Date
+function parseExifDate(text) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  if (y === 0) return null;   // '0000:00:00 00:00:00' placeholder
+  return new Date(y, mo - 1, d, h, mi, s);
+}
@@ -0,0 +1,226 @@
+/**
+ * File Import Utilities
+ * Turn drops, folder picks and ZIP archives into a flat list of files with their folder paths
+ *
+ * Every scan resolves to { files: [{ file, path }], skipped: [{ name, path, reason }] } where `path`
+ * is the folder the file came from, relative to what the user picked ('' for loose files). Archives
+ * are expanded in place: photos inside "Trip.zip/Day 1/" get the path "Trip/Day 1". Their photos are
+ * ArchiveEntryFiles, inflated only when something needs their bytes (see openFile and readHead).
+ */
+
+import { isZip, readZipEntries } from './zip.js';
+
+const MIME_BY_EXTENSION = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+/**
+ * A photo inside a ZIP, standing in for a File until its bytes are needed. It has a File's name, size,
+ * type and lastModified, but inflates only when opened — the upload queue opens each entry as it starts
+ * uploading it, so a dropped multi-GB archive is never held in memory whole.
+ */
+export class ArchiveEntryFile {
+  constructor(entry, type) {
+    this.entry = entry;
+    this.name = entry.name;
+    this.size = entry.size;
+    this.type = type;
+    this.lastModified = entry.lastModified;
+  }
+
+  /**
+   * Inflate the entry into a File
+   * @returns {Promise<File>}
+   */
+  async open() {
+    const blob = await this.entry.blob();
+    return new File([blob], this.name, { type: this.type, lastModified: this.lastModified });
+  }
+
+  /**
+   * Inflate only the first bytes of the entry
+   * @param {number} bytes
+   * @returns {Promise<Blob>}
+   */
+  async head(bytes) {
+    const reader = (await this.entry.stream()).getReader();
+    const chunks = [];
+    let read = 0;
+    try {
+      while (read < bytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        read += value.byteLength;
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+    return new Blob(chunks).slice(0, bytes);
+  }
+}
+
+/**
+ * The bytes behind a scanned file: the File itself, or an archive entry inflated.
+ * @param {File|ArchiveEntryFile} file
+ * @returns {Promise<File>}
+ */
+export function openFile(file) {
+  return file instanceof ArchiveEntryFile ? file.open() : Promise.resolve(file);
+}
+
+/**
+ * The first bytes of a scanned file, without inflating the rest of an archive entry.
+ * @param {File|ArchiveEntryFile} file
+ * @param {number} bytes
+ * @returns {Promise<Blob>}
+ */
+export function readHead(file, bytes) {
+  return file instanceof ArchiveEntryFile ? file.head(bytes) : Promise.resolve(file.slice(0, bytes));
+}
+
+/**
+ * Does the browser offer a folder picker (File System Access API, or the webkitdirectory input)?
+ * @returns {boolean}
+ */
+export function supportsFolderPicker() {
+  return typeof window.showDirectoryPicker === 'function' || 'webkitdirectory' in document.createElement('input');
+}
+
+/**
+ * Scan a drop. Must be called synchronously from the drop handler: DataTransfer items are only
+ * readable during the event, so the entries are captured before the first await.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<{files: Array, skipped: Array}>}
+ */
+export async function scanDataTransfer(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  // No entry API (or nothing resolvable) — fall back to the flat file list
+  if (entries.length === 0) {
+    return scanFileList(dataTransfer.files);
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    await walkEntry(entry, '', files);
+  }
+  return expandArchives(files);
+}
+
+/**
+ * Scan a directory chosen with window.showDirectoryPicker().
+ * @param {FileSystemDirectoryHandle} handle
+ * @returns {Promise<{files: Array, skipped: Array}>}
+ */
+export async function scanDirectoryHandle(handle) {
+  const files = [];
+  await walkHandle(handle, handle.name, files);
+  return expandArchives(files);
+}
+
+/**
+ * Scan an <input type="file"> selection (with or without webkitdirectory).
+ * @param {FileList|File[]} fileList
+ * @returns {Promise<{files: Array, skipped: Array}>}
+ */
+export async function scanFileList(fileList) {
+  const files = Array.from(fileList || []).map(file => ({
+    file,
+    path: parentPath(file.webkitRelativePath || '')
+  }));
+  return expandArchives(files);
+}
+
+/**
+ * Replace each ZIP in the list with the photos it contains, as ArchiveEntryFiles: only the central
+ * directory is read here, nothing is inflated. Unreadable archives and entries go to `skipped`.
+ * @param {Array<{file: File, path: string}>} items
+ * @returns {Promise<{files: Array, skipped: Array}>}
+ */
+export async function expandArchives(items) {
+  const files = [];
+  const skipped = [];
+
+  for (const item of items) {
+    if (!isZip(item.file)) {
+      files.push(item);
+      continue;
+    }
+
+    const archivePath = joinPath(item.path, item.file.name.replace(/\.zip$/i, ''));
+    try {
+      for (const entry of await readZipEntries(item.file)) {
+        const path = joinPath(archivePath, entry.path);
+        if (entry.unsupported) {
+          skipped.push({ name: entry.name, path, reason: entry.unsupported });
+          continue;
+        }
+
+        const extension = entry.name.split('.').pop().toLowerCase();
+        const type = MIME_BY_EXTENSION[extension];
+        if (!type) {
+          // Not an image
+          skipped.push({ name: entry.name, path, reason: 'Unsupported file type' });
+          continue;
+        }
+
+        files.push({ file: new ArchiveEntryFile(entry, type), path });
+      }
+    } catch (error) {
+      console.warn(`[fileImport] Could not read ${item.file.name}:`, error);
+      skipped.push({ name: item.file.name, path: item.path, reason: error.message });
+    }
+  }
+
+  return { files, skipped };
+}
+
+async function walkEntry(entry, path, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ file, path });
+    return;
+  }
+
+  if (entry.isDirectory) {
+    const childPath = joinPath(path, entry.name);
+    const reader = entry.createReader();
+
+    // readEntries returns the directory in batches (100 in Chromium) until it yields an empty one
+    let batch;
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      for (const child of batch) {
+        if (child.name.startsWith('.')) continue;
+        await walkEntry(child, childPath, out);
+      }
+    } while (batch.length > 0);
+  }
+}
+
+async function walkHandle(handle, path, out) {
+  for await (const child of handle.values()) {
+    if (child.name.startsWith('.')) continue;
+
+    if (child.kind === 'file') {
+      out.push({ file: await child.getFile(), path });
+    } else if (child.kind === 'directory') {
+      await walkHandle(child, joinPath(path, child.name), out);
+    }
+  }
+}
+
+function parentPath(relativePath) {
+  const slash = relativePath.lastIndexOf('/');
+  return slash >= 0 ? relativePath.slice(0, slash) : '';
+}
+
+function joinPath(a, b) {
+  return [a, b].filter(Boolean).join('/');
+}
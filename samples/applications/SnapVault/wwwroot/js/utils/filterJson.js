@@ -0,0 +1,109 @@
+/**
+ * Filter JSON
+ * Builds EntityController's JSON filter (GET /api/photos?filter=…) from a filter state - the shape
+ * Filters.state holds and the search bar's query language parses to:
+ * { cameras, excludedCameras, dateRange, rating, includeUnrated, tags, tagMatchMode, excludedTags, favorites, rejected, eventId }
+ */
+
+/**
+ * @param {Object} state - filter state
+ * @returns {Object|null} the JSON filter, null when nothing is filtered
+ */
+export function buildFilterJson(state) {
+  const conditions = [];
+
+  // Camera filter
+  if (state.cameras.length > 0) {
+    conditions.push({
+      CameraModel: { $in: state.cameras }
+    });
+  }
+
+  // Excluded cameras (query language: -camera:)
+  if (state.excludedCameras?.length > 0) {
+    conditions.push({
+      CameraModel: { $nin: state.excludedCameras }
+    });
+  }
+
+  // Date range filter
+  if (state.dateRange) {
+    conditions.push({
+      CapturedAt: {
+        $gte: state.dateRange.from,
+        $lte: state.dateRange.to
+      }
+    });
+  }
+
+  // Rating filter
+  if (state.rating !== null) {
+    const ratings = [];
+    for (let i = state.rating; i <= 5; i++) {
+      ratings.push(i);
+    }
+
+    if (state.includeUnrated) {
+      conditions.push({
+        $or: [
+          { Rating: { $in: ratings } },
+          { Rating: { $in: [0, null] } }
+        ]
+      });
+    } else {
+      conditions.push({
+        Rating: { $in: ratings }
+      });
+    }
+  }
+
+  // Tag filter
+  if (state.tags.length > 0) {
+    if (state.tagMatchMode === 'all') {
+      conditions.push({
+        AutoTags: { $all: state.tags }
+      });
+    } else {
+      const tagConditions = state.tags.map(tag => ({
+        AutoTags: tag
+      }));
+
+      if (tagConditions.length > 1) {
+        conditions.push({ $or: tagConditions });
+      } else {
+        conditions.push(tagConditions[0]);
+      }
+    }
+  }
+
+  // Excluded tags (query language: -tag:)
+  if (state.excludedTags?.length > 0) {
+    conditions.push({
+      AutoTags: { $nin: state.excludedTags }
+    });
+  }
+
+  // Favorites filter
+  if (state.favorites) {
+    conditions.push({ IsFavorite: true });
+  }
+
+  // Rejected filter (culled photos)
+  if (state.rejected) {
+    conditions.push({ IsRejected: true });
+  }
+
+  // Event filter
+  if (state.eventId) {
+    conditions.push({ EventId: state.eventId });
+  }
+
+  // Combine conditions
+  if (conditions.length === 0) {
+    return null;
+  } else if (conditions.length === 1) {
+    return conditions[0];
+  } else {
+    return { $and: conditions };
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Fuzzy Matching
+ * How well a typed query matches a label, for pickers like the command palette: the query's characters
+ * in order anywhere in the label ("adfav" finds "Add to Favorites"), scoring runs of characters, word
+ * starts and prefixes higher. Spaces in the query are ignored.
+ */
+
+const WORD_START_BONUS = 4;
+const RUN_BONUS = 3;
+const PREFIX_BONUS = 8;
+const SUBSTRING_BONUS = 5;
+const GAP_PENALTY = 0.1;
+
+function isWordStart(text, index) {
+  if (index === 0) return true;
+  const previous = text[index - 1];
+  const current = text[index];
+  return !/[a-z0-9]/i.test(previous) || (previous === previous.toLowerCase() && current !== current.toLowerCase());
+}
+
+function hasSubsequence(lower, needle, from) {
+  for (const char of needle) {
+    from = lower.indexOf(char, from) + 1;
+    if (from === 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Index of the next occurrence of a character: one that starts a word when the rest still matches after it
+ */
+function nextMatch(text, lower, needle, n, from) {
+  const first = lower.indexOf(needle[n], from);
+  if (first < 0) return -1;
+
+  for (let i = first; i >= 0; i = lower.indexOf(needle[n], i + 1)) {
+    if (isWordStart(text, i) && hasSubsequence(lower, needle.slice(n + 1), i + 1)) return i;
+  }
+  return first;
+}
+
+/**
+ * Score a label against a query
+ * @param {string} query - what the user typed
+ * @param {string} text - the label
+ * @returns {Object|null} { score, indices } - higher scores match better; indices are the label's matched
+ *   characters (for highlighting); null when the label doesn't match. An empty query matches with score 0.
+ */
+export function fuzzyMatch(query, text) {
+  const needle = (query || '').toLowerCase().replace(/\s+/g, '');
+  if (!needle) return { score: 0, indices: [] };
+
+  const lower = text.toLowerCase();
+
+  // A contiguous match is the best there is: take it at a word start when there is one
+  let at = lower.indexOf(needle);
+  if (at >= 0) {
+    for (let i = at; i >= 0; i = lower.indexOf(needle, i + 1)) {
+      if (isWordStart(text, i)) {
+        at = i;
+        break;
+      }
+    }
+    const indices = Array.from(needle, (_, i) => at + i);
+    const score = needle.length * (1 + RUN_BONUS) + (at === 0 ? PREFIX_BONUS : isWordStart(text, at) ? WORD_START_BONUS : 0) + SUBSTRING_BONUS;
+    return { score, indices };
+  }
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (let n = 0; n < needle.length; n++) {
+    const index = nextMatch(text, lower, needle, n, from);
+    if (index < 0) return null;
+
+    const previous = indices[indices.length - 1];
+    score += 1;
+    if (previous !== undefined && index === previous + 1) score += RUN_BONUS;
+    if (isWordStart(text, index)) score += WORD_START_BONUS;
+    score -= (index - from) * GAP_PENALTY;
+
+    indices.push(index);
+    from = index + 1;
+  }
+  return { score, indices };
+}
+
+/**
+ * A label as HTML with its matched characters in <mark>
+ * @param {string} text
+ * @param {number[]} indices - from fuzzyMatch
+ * @param {Function} escape - HTML escaping (escapeHtml)
+ */
+export function highlightMatch(text, indices, escape) {
+  if (!indices?.length) return escape(text);
+
+  const matched = new Set(indices);
+  let html = '';
+  let run = '';
+  let inRun = false;
+  for (let i = 0; i <= text.length; i++) {
+    const isMatch = i < text.length && matched.has(i);
+    if (isMatch !== inRun || i === text.length) {
+      html += inRun ? `<mark>${escape(run)}</mark>` : escape(run);
+      run = '';
+      inRun = isMatch;
+    }
+    if (i < text.length) run += text[i];
+  }
+  return html;
+}
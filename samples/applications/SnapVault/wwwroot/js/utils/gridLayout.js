@@ -0,0 +1,212 @@
+/**
+ * Grid Layout Engine
+ * Tile positions for a whole photo set: uniform rows, justified rows or masonry columns
+ *
+ * Computed from the photos' aspect ratios rather than left to CSS masonry (still experimental, and
+ * not something a windowed grid can measure): every tile has a position before its photo is fetched,
+ * so the grid's height covers the set and the windowed PhotoGrid can bind just the tiles on screen.
+ * Each layout is a pure function of the ratios, the width and the preset's columns - a resize re-flows
+ * the set the same way every time, and loading a window never moves a tile.
+ *
+ * All three place tiles in index order with non-decreasing tops (masonry always fills the shortest
+ * column, and the shortest column never gets shorter), so the range lookups binary-search the tops.
+ */
+
+// Uniform tiles, and the fallback shape for a photo whose dimensions aren't known
+export const TILE_ASPECT = 3 / 2;
+
+// Panoramas and slivers are cropped to these shapes, so no tile is a hairline or a tower
+const MIN_ASPECT = 0.5;
+const MAX_ASPECT = 3;
+
+/**
+ * Aspect ratio (width / height) of a photo from its metadata; 0 when unknown
+ */
+export function aspectOf(photo) {
+  return photo?.width > 0 && photo?.height > 0 ? photo.width / photo.height : 0;
+}
+
+function clampAspect(aspect) {
+  return aspect > 0 ? Math.min(MAX_ASPECT, Math.max(MIN_ASPECT, aspect)) : TILE_ASPECT;
+}
+
+/**
+ * Lay out a set
+ * @param {string} mode - 'grid' · 'justified' · 'masonry' (see GRID_LAYOUTS)
+ * @param {Object} options
+ * @param {number} options.count - tiles in the set
+ * @param {Function} options.aspectAt - index → width / height (0 when unknown)
+ * @param {number} options.width - inner width to fill
+ * @param {number} options.columns - the preset's columns: uniform and masonry columns, and the justified row height
+ * @param {number} options.gap - horizontal gap between tiles
+ * @param {number} options.rowGap - vertical gap between tiles
+ * @returns {Object} { mode, count, x, y, w, h, height, maxTileHeight } - per-tile arrays, relative to the content box
+ */
+export function computeLayout(mode, { count, aspectAt, width, columns, gap, rowGap }) {
+  const layout = {
+    mode,
+    count,
+    x: new Float64Array(count),
+    y: new Float64Array(count),
+    w: new Float64Array(count),
+    h: new Float64Array(count),
+    height: 0,
+    maxTileHeight: 0
+  };
+
+  const tileWidth = Math.max(1, (width - gap * (columns - 1)) / columns);
+
+  switch (mode) {
+    case 'justified':
+      layoutJustified(layout, aspectAt, width, tileWidth / TILE_ASPECT, gap, rowGap);
+      break;
+    case 'masonry':
+      layoutMasonry(layout, aspectAt, columns, tileWidth, gap, rowGap);
+      break;
+    default:
+      layoutUniform(layout, columns, tileWidth, gap, rowGap);
+  }
+
+  return layout;
+}
+
+function layoutUniform(layout, columns, tileWidth, gap, rowGap) {
+  const tileHeight = tileWidth / TILE_ASPECT;
+
+  for (let i = 0; i < layout.count; i++) {
+    layout.x[i] = (i % columns) * (tileWidth + gap);
+    layout.y[i] = Math.floor(i / columns) * (tileHeight + rowGap);
+    layout.w[i] = tileWidth;
+    layout.h[i] = tileHeight;
+  }
+
+  const rows = Math.ceil(layout.count / columns);
+  layout.height = Math.max(0, rows * (tileHeight + rowGap) - rowGap);
+  layout.maxTileHeight = tileHeight;
+}
+
+/**
+ * Rows of photos at their own shapes, scaled to fill the width exactly (Flickr / Google Photos).
+ * A row closes with or without its last photo, whichever keeps its height nearer the target; the
+ * last row keeps the target height instead of stretching.
+ */
+function layoutJustified(layout, aspectAt, width, targetHeight, gap, rowGap) {
+  let y = 0;
+  let start = 0;
+
+  // Tiles [start, end) at one height; a full row's last tile absorbs rounding, so it ends flush
+  const placeRow = (end, height, fill) => {
+    let x = 0;
+    for (let i = start; i < end; i++) {
+      const tileWidth = fill && i === end - 1 ? Math.max(1, width - x) : clampAspect(aspectAt(i)) * height;
+      layout.x[i] = x;
+      layout.y[i] = y;
+      layout.w[i] = tileWidth;
+      layout.h[i] = height;
+      x += tileWidth + gap;
+    }
+    layout.maxTileHeight = Math.max(layout.maxTileHeight, height);
+    y += height + rowGap;
+    start = end;
+  };
+
+  // Height at which tiles [start, end) fill the width
+  const fitHeight = (end, aspects) => (width - gap * (end - start - 1)) / aspects;
+
+  let aspects = 0;
+  let i = 0;
+  while (i < layout.count) {
+    const aspect = clampAspect(aspectAt(i));
+    const height = fitHeight(i + 1, aspects + aspect);
+
+    if (height > targetHeight) {
+      aspects += aspect;
+      i++;
+      continue;
+    }
+
+    // Full: close the row with this photo, or before it when that lands nearer the target
+    // (then this photo opens the next row)
+    if (i > start) {
+      const without = fitHeight(i, aspects);
+      if (without - targetHeight < targetHeight - height) {
+        placeRow(i, without, true);
+        aspects = 0;
+        continue;
+      }
+    }
+
+    placeRow(i + 1, height, true);
+    aspects = 0;
+    i++;
+  }
+
+  // Last row: target height, left-aligned
+  if (start < layout.count) {
+    placeRow(layout.count, targetHeight, false);
+  }
+
+  layout.height = Math.max(0, y - rowGap);
+}
+
+/**
+ * Fixed-width columns, each photo at its own height, placed in the shortest column (leftmost on ties)
+ */
+function layoutMasonry(layout, aspectAt, columns, tileWidth, gap, rowGap) {
+  const heights = new Array(columns).fill(0);
+
+  for (let i = 0; i < layout.count; i++) {
+    let column = 0;
+    for (let c = 1; c < columns; c++) {
+      if (heights[c] < heights[column]) column = c;
+    }
+
+    const tileHeight = tileWidth / clampAspect(aspectAt(i));
+    layout.x[i] = column * (tileWidth + gap);
+    layout.y[i] = heights[column];
+    layout.w[i] = tileWidth;
+    layout.h[i] = tileHeight;
+    heights[column] += tileHeight + rowGap;
+    layout.maxTileHeight = Math.max(layout.maxTileHeight, tileHeight);
+  }
+
+  layout.height = Math.max(0, Math.max(...heights) - rowGap);
+}
+
+/**
+ * First index whose top is at or below y (count when none)
+ */
+function firstTopFrom(layout, y) {
+  let low = 0;
+  let high = layout.count;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (layout.y[mid] < y) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Indices of the tiles that may overlap [top, bottom) - a contiguous range, since tops only grow
+ * @returns {Object} { start, end } - end exclusive
+ */
+export function rangeBetween(layout, top, bottom) {
+  let start = firstTopFrom(layout, top - layout.maxTileHeight);
+  while (start < layout.count && layout.y[start] + layout.h[start] <= top) {
+    start++;
+  }
+  const end = Math.max(start, firstTopFrom(layout, bottom));
+  return { start, end };
+}
+
+/**
+ * First tile reaching below y - the one to keep in view across a re-flow
+ */
+export function indexAt(layout, y) {
+  if (layout.count === 0) return 0;
+  return Math.min(layout.count - 1, rangeBetween(layout, y, y).start);
+}
@@ -3,6 +3,9 @@
  * Common operation patterns with UI feedback and data reloading
  */
 
+import { ConflictError, NotFoundError, describeError } from './errors.js';
+import { API } from '../api.js';
+
 /**
  * Execute operation with toast feedback and optional data reload
  * Standardizes the pattern: try operation → show success → reload data → clear selection
@@ -73,11 +76,24 @@ export async function executeWithFeedback(operation, options = {}) {
 
     return result;
   } catch (error) {
+    // Cancelled, not failed — nothing to tell the user
+    if (API.isAbort(error)) throw error;
+
     console.error('[Operation Failed]', error);
 
-    // Show error message
+    // Show error message, specialised by error kind
     if (toast) {
-      toast.show(errorMessage, { icon: errorIcon, duration: errorDuration });
+      toast.show(describeError(error, errorMessage), { icon: errorIcon, duration: errorDuration });
+    }
+
+    // The view is stale (target deleted or changed elsewhere) — resync it
+    if ((error instanceof NotFoundError || error instanceof ConflictError) && app?.components.collectionView) {
+      try {
+        await app.components.collectionView.loadPhotos();
+      } catch (reloadError) {
+        // The operation's error is the one to surface; a failed resync only gets logged
+        if (!API.isAbort(reloadError)) console.error('[Operation Failed] Resync failed:', reloadError);
+      }
     }
 
     throw error;
@@ -0,0 +1,308 @@
+/**
+ * Search Query Language
+ * Parses the search bar's structured syntax into free text (the semantic/exact search) and a filter
+ * state - the shape Filters.state holds - so typed clauses narrow the set exactly as the filter panel does:
+ *
+ *   sunset camera:"X-T4" rating>=4 tag:beach -tag:blurry taken:2023-06..2023-08 is:favorite
+ *
+ * camera:NAME    camera model (repeat for any of); -camera: leaves one out
+ * tag:NAME       auto tag (repeat: every one); -tag: leaves out photos that have it
+ * rating>=N      N+ stars, like the panel (also rating>N, rating:N)
+ * taken:PERIOD   capture date: 2023, 2023-06, 2023-06-15, or a range 2023-06..2023-08 (either end may be open)
+ * is:favorite    favorites only
+ * is:rejected    photos rejected while culling
+ *
+ * Values with spaces are quoted. Everything else is free text. A malformed clause is reported with its
+ * position (for the search bar's hint and highlighting) and left out; the rest of the query still applies.
+ */
+
+import { buildFilterJson } from './filterJson.js';
+
+export const FIELDS = {
+  camera: { description: 'Camera model', negatable: true },
+  tag: { description: 'Auto tag', negatable: true },
+  rating: { description: 'Minimum stars' },
+  taken: { description: 'Capture date or range' },
+  is: { description: 'is:favorite or is:rejected' }
+};
+
+const CLAUSE = /^([a-z]+)(>=|<=|>|<|=|:)/i;
+const PERIOD = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+const OPEN_START = '1900-01-01T00:00:00.000Z';
+const OPEN_END = '9999-12-31T23:59:59.999Z';
+const MAX_SUGGESTIONS = 8;
+
+function emptyFilters() {
+  return {
+    cameras: [],
+    excludedCameras: [],
+    dateRange: null,
+    rating: null,
+    includeUnrated: false,
+    tags: [],
+    tagMatchMode: 'all',
+    excludedTags: [],
+    favorites: false,
+    rejected: false,
+    eventId: null
+  };
+}
+
+/**
+ * Split a query into terms: a free-text word or phrase, or a clause (field, operator, value)
+ */
+function scan(input) {
+  const terms = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const term = { start: i, negated: false, field: null, operator: null, quoted: false, unterminated: false };
+    let j = i;
+
+    const clause = CLAUSE.exec(input.slice(input[j] === '-' ? j + 1 : j));
+    if (clause) {
+      term.negated = input[j] === '-';
+      term.field = clause[1].toLowerCase();
+      term.operator = clause[2];
+      j += clause[0].length + (term.negated ? 1 : 0);
+    }
+
+    term.valueStart = j;
+    if (input[j] === '"') {
+      const close = input.indexOf('"', j + 1);
+      term.quoted = true;
+      term.unterminated = close < 0;
+      term.value = input.slice(j + 1, term.unterminated ? input.length : close);
+      j = term.unterminated ? input.length : close + 1;
+    } else {
+      while (j < input.length && !/\s/.test(input[j])) j++;
+      term.value = input.slice(term.valueStart, j);
+    }
+
+    term.end = j;
+    terms.push(term);
+    i = j;
+  }
+
+  return terms;
+}
+
+/**
+ * First and last instant of a period (2023, 2023-06 or 2023-06-15), null when it isn't one
+ */
+function parsePeriod(text) {
+  const match = PERIOD.exec(text);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+
+  const start = new Date(Date.UTC(year, month ?? 0, day ?? 1));
+  if (start.getUTCMonth() !== (month ?? 0) || start.getUTCDate() !== (day ?? 1)) return null;   // 2023-02-30
+
+  const end = new Date(Date.UTC(
+    month === null ? year + 1 : year,
+    month === null ? 0 : day === null ? month + 1 : month,
+    day === null ? 1 : day + 1
+  ) - 1);
+
+  return { from: start.toISOString(), to: end.toISOString() };
+}
+
+/**
+ * A taken: value as a date range, null when malformed
+ */
+function parseDateRange(value) {
+  const separator = value.indexOf('..');
+  if (separator < 0) return parsePeriod(value);
+
+  const fromText = value.slice(0, separator);
+  const toText = value.slice(separator + 2);
+  if (!fromText && !toText) return null;
+
+  const from = fromText ? parsePeriod(fromText)?.from : OPEN_START;
+  const to = toText ? parsePeriod(toText)?.to : OPEN_END;
+  if (!from || !to || from > to) return null;
+
+  return { from, to };
+}
+
+/**
+ * The library's spelling of a value (cameras and tags match exactly server-side)
+ */
+function canonical(value, known = []) {
+  const lower = value.toLowerCase();
+  return known.find(candidate => candidate.toLowerCase() === lower) ?? value;
+}
+
+function addOnce(list, value) {
+  if (!list.includes(value)) list.push(value);
+}
+
+/**
+ * Apply one clause to the filter state
+ * @returns {string|null} what's wrong with it, null when applied
+ */
+function applyClause(term, filters, metadata) {
+  const { field, operator, negated } = term;
+  const value = term.value.trim();
+  const spec = FIELDS[field];
+
+  if (!spec) return `Unknown field "${field}" - use ${Object.keys(FIELDS).map(name => `${name}:`).join(' ')}`;
+  if (term.unterminated) return `${field}: is missing its closing quote`;
+  if (!value) return `${field}: needs a value`;
+  if (negated && !spec.negatable) return 'Only camera: and tag: can be negated';
+  if (field !== 'rating' && operator !== ':') return `Use ${field}:${value}`;
+
+  switch (field) {
+    case 'camera':
+      addOnce(negated ? filters.excludedCameras : filters.cameras, canonical(value, metadata.cameraModels));
+      return null;
+
+    case 'tag':
+      addOnce(negated ? filters.excludedTags : filters.tags, canonical(value, metadata.tags?.map(t => t.tag)));
+      return null;
+
+    case 'rating': {
+      if (!/^[0-5]$/.test(value)) return 'rating: needs a number of stars, 1-5';
+      if (!['>=', '>', ':'].includes(operator)) return `Ratings filter from a minimum - use rating>=${value}`;
+
+      const stars = Number(value) + (operator === '>' ? 1 : 0);
+      if (stars < 1 || stars > 5) return 'rating: needs a number of stars, 1-5';
+      filters.rating = stars;
+      return null;
+    }
+
+    case 'taken': {
+      if (filters.dateRange) return 'Only one taken: range applies';
+      const range = parseDateRange(value);
+      if (!range) return 'taken: needs a date (2023, 2023-06, 2023-06-15) or a range (2023-06..2023-08)';
+      filters.dateRange = range;
+      return null;
+    }
+
+    case 'is':
+      switch (value.toLowerCase()) {
+        case 'favorite': filters.favorites = true; return null;
+        case 'rejected': filters.rejected = true; return null;
+        default: return 'Use is:favorite or is:rejected';
+      }
+  }
+  return null;
+}
+
+/**
+ * Parse a search bar query
+ * @param {string} input
+ * @param {Object} metadata - /api/photos/filter-metadata, to spell cameras and tags as the library does
+ * @returns {Object} {
+ *   text:       the free text, for the semantic/exact search ('' when the query is only clauses),
+ *   filters:    filter state from the clauses, null when there are none,
+ *   filterJson: EntityController's JSON filter for those clauses (as Filters builds it),
+ *   tokens:     [{ start, end, kind: 'text' | 'clause' | 'error', valueStart, negated, message }],
+ *   errors:     [{ start, end, message }]
+ * }
+ */
+export function parseSearchQuery(input, metadata = {}) {
+  const text = [];
+  const filters = emptyFilters();
+  const tokens = [];
+  const errors = [];
+  let filtered = false;
+
+  for (const term of scan(input || '')) {
+    const { start, end, valueStart, negated } = term;
+
+    if (!term.field) {
+      text.push(term.quoted ? term.value : input.slice(start, end));
+      tokens.push({ start, end, kind: 'text' });
+      continue;
+    }
+
+    const message = applyClause(term, filters, metadata);
+    if (message) {
+      errors.push({ start, end, message });
+      tokens.push({ start, end, kind: 'error', valueStart, negated, message });
+    } else {
+      filtered = true;
+      tokens.push({ start, end, kind: 'clause', valueStart, negated });
+    }
+  }
+
+  return {
+    text: text.join(' ').trim(),
+    filters: filtered ? filters : null,
+    filterJson: filtered ? buildFilterJson(filters) : null,
+    tokens,
+    errors
+  };
+}
+
+/**
+ * Combine the filter panel's state with a query's (the query narrows further; its rating and dates win)
+ */
+export function mergeFilters(panel, query) {
+  if (!panel || !query) return panel || query || null;
+
+  const merged = { ...panel };
+  for (const key of ['cameras', 'excludedCameras', 'tags', 'excludedTags']) {
+    merged[key] = [...new Set([...(panel[key] || []), ...query[key]])];
+  }
+  merged.rating = query.rating ?? panel.rating;
+  merged.dateRange = query.dateRange ?? panel.dateRange;
+  merged.favorites = panel.favorites || query.favorites;
+  merged.rejected = panel.rejected || query.rejected;
+  return merged;
+}
+
+function quote(value) {
+  return /[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+function valuesFor(field, metadata) {
+  switch (field) {
+    case 'camera': return metadata.cameraModels || [];
+    case 'tag': return (metadata.tags || []).map(t => t.tag);
+    case 'taken': return (metadata.years || []).map(String);
+    case 'is': return ['favorite', 'rejected'];
+    default: return [];
+  }
+}
+
+/**
+ * Completions for the term at the caret: field names while typing one, then the library's values for it
+ * @param {string} input
+ * @param {number} caret - cursor position in input
+ * @param {Object} metadata - /api/photos/filter-metadata
+ * @returns {Object|null} { start, end, items: [{ label, detail, insert, field }] } - the span the chosen insert replaces
+ */
+export function suggestCompletions(input, caret, metadata = {}) {
+  const term = scan(input).find(t => t.start < caret && caret <= t.end);
+  if (!term) return null;
+
+  if (!term.field) {
+    const negated = input[term.start] === '-';
+    const start = term.start + (negated ? 1 : 0);
+    const typed = input.slice(start, caret).toLowerCase();
+    if (!/^[a-z]+$/.test(typed) || caret !== term.end) return null;
+
+    const items = Object.entries(FIELDS)
+      .filter(([name, spec]) => name.startsWith(typed) && (!negated || spec.negatable))
+      .map(([name, spec]) => ({ label: `${name}:`, detail: spec.description, insert: `${name}:`, field: true }));
+    return items.length ? { start, end: term.end, items } : null;
+  }
+
+  if (term.operator !== ':') return null;
+  const typed = term.value.toLowerCase();
+  const items = valuesFor(term.field, metadata)
+    .filter(value => value.toLowerCase().startsWith(typed) && value.toLowerCase() !== typed)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(value => ({ label: value, insert: quote(value) }));
+  return items.length ? { start: term.valueStart, end: term.end, items } : null;
+}
@@ -0,0 +1,126 @@
+/**
+ * ZIP Utilities
+ * Minimal ZIP reader for importing photo archives in the browser
+ *
+ * Reads the central directory with Blob.slice() and inflates one entry at a time through
+ * DecompressionStream('deflate-raw'), so an archive is never loaded into memory whole.
+ * Supports stored (0) and deflated (8) entries; ZIP64 and encrypted archives are reported, not read.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const EOCD_SEARCH = EOCD_MIN_SIZE + 0xffff;   // EOCD + the longest possible archive comment
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Is this file a ZIP archive (by extension or MIME type)?
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isZip(file) {
+  return /\.zip$/i.test(file.name) ||
+    file.type === 'application/zip' ||
+    file.type === 'application/x-zip-compressed';
+}
+
+/**
+ * List the file entries of a ZIP archive (directories and macOS resource forks are left out).
+ * @param {Blob} archive
+ * @returns {Promise<Array<{path: string, name: string, size: number, lastModified: number, unsupported: string|null, blob: Function, stream: Function}>>}
+ *   `path` is the entry's directory inside the archive ('' at the root); `blob()` inflates the entry,
+ *   `stream()` resolves to a ReadableStream of its inflated bytes;
+ *   `unsupported` explains why an entry cannot be read (encrypted, unknown compression)
+ * @throws {Error} When the archive is not a readable ZIP (corrupt, or ZIP64)
+ */
+export async function readZipEntries(archive) {
+  const tailStart = Math.max(0, archive.size - EOCD_SEARCH);
+  const tail = new DataView(await archive.slice(tailStart).arrayBuffer());
+
+  let eocd = -1;
+  for (let i = tail.byteLength - EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const entryCount = tail.getUint16(eocd + 10, true);
+  const directorySize = tail.getUint32(eocd + 12, true);
+  const directoryOffset = tail.getUint32(eocd + 16, true);
+  if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const directory = new DataView(await archive.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+  const entries = [];
+  let p = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(p, true) !== CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP central directory');
+
+    const flags = directory.getUint16(p + 8, true);
+    const method = directory.getUint16(p + 10, true);
+    const time = directory.getUint16(p + 12, true);
+    const date = directory.getUint16(p + 14, true);
+    const compressedSize = directory.getUint32(p + 20, true);
+    const size = directory.getUint32(p + 24, true);
+    const nameLength = directory.getUint16(p + 28, true);
+    const extraLength = directory.getUint16(p + 30, true);
+    const commentLength = directory.getUint16(p + 32, true);
+    const localOffset = directory.getUint32(p + 42, true);
+    const fullName = new TextDecoder().decode(new Uint8Array(directory.buffer, directory.byteOffset + p + 46, nameLength));
+    p += 46 + nameLength + extraLength + commentLength;
+
+    if (fullName.endsWith('/') || fullName.startsWith('__MACOSX/')) continue;
+
+    const slash = fullName.lastIndexOf('/');
+    const name = fullName.slice(slash + 1);
+    if (name.startsWith('._')) continue;
+
+    let unsupported = null;
+    if (flags & 0x1) unsupported = 'Encrypted archive entry';
+    else if (method !== METHOD_STORED && method !== METHOD_DEFLATED) unsupported = `Unsupported compression (method ${method})`;
+
+    entries.push({
+      path: slash >= 0 ? fullName.slice(0, slash) : '',
+      name,
+      size,
+      lastModified: dosDateTime(date, time),
+      unsupported,
+      blob: async () => new Response(await entryStream(archive, localOffset, compressedSize, method)).blob(),
+      stream: () => entryStream(archive, localOffset, compressedSize, method)
+    });
+  }
+
+  return entries;
+}
+
+async function entryStream(archive, localOffset, compressedSize, method) {
+  const header = new DataView(await archive.slice(localOffset, localOffset + 30).arrayBuffer());
+  if (header.getUint32(0, true) !== LOCAL_SIGNATURE) throw new Error('Corrupt ZIP entry');
+
+  // The local header repeats name/extra with its own lengths (the extra field may differ from the central one)
+  const dataStart = localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = archive.slice(dataStart, dataStart + compressedSize);
+
+  return method === METHOD_STORED
+    ? data.stream()
+    : data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+}
+
+// MS-DOS date/time (local time, 2-second resolution) → epoch ms
+function dosDateTime(date, time) {
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  ).getTime();
+}
@@ -73,6 +73,33 @@ export const VIEW_PRESETS = {
   }
 };
 
+/**
+ * Grid layouts - how tiles are shaped (the preset decides how big)
+ * Laid out by utils/gridLayout.js from each photo's aspect ratio
+ */
+export const GRID_LAYOUTS = {
+  grid: {
+    id: 'grid',
+    label: 'Grid',
+    description: 'Uniform tiles, cropped to 3:2',
+    order: 1
+  },
+
+  justified: {
+    id: 'justified',
+    label: 'Justified',
+    description: 'Rows of uncropped photos, filling the width',
+    order: 2
+  },
+
+  masonry: {
+    id: 'masonry',
+    label: 'Masonry',
+    description: 'Columns of uncropped photos',
+    order: 3
+  }
+};
+
 /**
  * Get responsive column count based on viewport width
  */
@@ -114,6 +141,67 @@ export function selectOptimalImageTier(preset, viewportWidth, devicePixelRatio =
   return 'masonry';
 }
 
+/**
+ * Image tiers: recipe name → longest edge in px (Media/PhotoRecipes.cs), smallest first.
+ * Each recipe fits the photo inside that box without upscaling, and the server negotiates its
+ * format (AVIF, WebP, else JPEG) from the browser's Accept header - the URL is the same for all.
+ */
+export const IMAGE_TIERS = {
+  masonry: 300,
+  retina: 600,
+  gallery: 1200,
+  display: 2400
+};
+
+/**
+ * Tiers a preset offers the grid: all grid tiers for 'auto' presets, else the pinned one
+ */
+export function getGridTiers(preset) {
+  return preset.imageTier === 'auto' ? ['masonry', 'retina', 'gallery'] : [preset.imageTier];
+}
+
+/**
+ * srcset over a photo's tiers, with each rendition's actual pixel width as its descriptor,
+ * so the browser picks by the rendered size × devicePixelRatio
+ * @param {Object} photo - { id, width, height }
+ * @param {string[]} tiers - IMAGE_TIERS names, smallest first
+ */
+export function buildSrcset(photo, tiers) {
+  const candidates = new Map();
+
+  for (const tier of tiers) {
+    const edge = IMAGE_TIERS[tier];
+    // Unknown dimensions: assume landscape, so the edge is the width
+    const width = photo.width > 0 && photo.height > 0
+      ? Math.max(1, Math.round(photo.width * Math.min(1, edge / Math.max(photo.width, photo.height))))
+      : edge;
+
+    // A small original renders the same at every larger tier: keep the smallest
+    if (!candidates.has(width)) {
+      candidates.set(width, `/media/${photo.id}/${tier} ${width}w`);
+    }
+  }
+
+  return Array.from(candidates.values()).join(', ');
+}
+
+/**
+ * Call back whenever devicePixelRatio changes (a window moved to another monitor, browser zoom)
+ * A resolution media query matches only the current ratio, so it is re-armed after each change.
+ * @param {Function} callback - (devicePixelRatio) => void
+ */
+export function watchDevicePixelRatio(callback) {
+  const listen = () => {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', () => {
+      listen();
+      callback(window.devicePixelRatio || 1);
+    }, { once: true });
+  };
+
+  listen();
+}
+
 /**
  * Migration: Map old numeric density to new preset
  */
@@ -0,0 +1,63 @@
+/**
+ * File Hash Worker
+ * SHA-256 and perceptual hash of upload candidates, off the main thread
+ *
+ * Message in:  { id, file }
+ * Message out: { id, sha256, phash }  (phash null when the browser cannot decode the image, e.g. HEIC)
+ *          or  { id, error }
+ *
+ * The perceptual hash is a 64-bit dHash matching SnapVault.Media.PerceptualHash on the server: the image is
+ * shrunk to 9×8 luminance (BT.709) and each bit records whether a pixel is brighter than its right-hand
+ * neighbour, row-major, most significant bit first, as 16 lowercase hex digits.
+ */
+
+self.onmessage = async (event) => {
+  const { id, file } = event.data;
+
+  try {
+    const [sha256, phash] = await Promise.all([sha256Hex(file), perceptualHash(file)]);
+    self.postMessage({ id, sha256, phash });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+
+async function sha256Hex(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function perceptualHash(file) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, {
+      resizeWidth: 9,
+      resizeHeight: 8,
+      resizeQuality: 'high',
+      imageOrientation: 'from-image'
+    });
+  } catch {
+    return null;
+  }
+
+  const canvas = new OffscreenCanvas(9, 8);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+
+  const luma = new Array(72);
+  for (let i = 0; i < 72; i++) {
+    const p = i * 4;
+    luma[i] = Math.round(0.2126 * data[p] + 0.7152 * data[p + 1] + 0.0722 * data[p + 2]);
+  }
+
+  let bits = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits = (bits << 1n) | (luma[y * 9 + x] > luma[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+
+  return bits.toString(16).padStart(16, '0');
+}
@@ -0,0 +1,209 @@
+/**
+ * SnapVault Service Worker
+ * Offline app shell, cached thumbnails and recently viewed gallery renders, and Background Sync replay
+ * of the mutations queued while offline (js/services/OfflineQueue.js)
+ *
+ * Strategies:
+ *   - Navigations:              network first, falling back to the cached page
+ *   - /js, /css:                network first (revalidated), falling back to the cached copy. Never
+ *                               cache first: a page must not run last deploy's modules against this one's
+ *   - /media/{id}/masonry|retina: cache first (thumbnails, capped at MAX_THUMBNAILS)
+ *   - /media/{id}/gallery:      cache first, most recently viewed kept (capped at MAX_GALLERY)
+ *   - Everything else (the API, originals, SSE) goes straight to the network
+ *
+ * Registered as a module worker by OfflineSync. A deploy needs no VERSION bump: the shell revalidates on
+ * every load. Bump it only to drop every cache (thumbnails too) on the next activation.
+ */
+
+import { OfflineQueue, SYNC_TAG } from '/js/services/OfflineQueue.js';
+
+const VERSION = 'v1';
+const SHELL_CACHE = `snapvault-shell-${VERSION}`;
+const THUMBNAIL_CACHE = `snapvault-thumbnails-${VERSION}`;
+const GALLERY_CACHE = `snapvault-gallery-${VERSION}`;
+
+const MAX_THUMBNAILS = 2000;
+const MAX_GALLERY = 150;
+
+const THUMBNAIL_TIERS = ['masonry', 'retina'];
+const GALLERY_TIERS = ['gallery'];
+
+// Pages and styles known up front; the page sends the module graph it actually loaded ('cache-urls')
+const SHELL = [
+  '/',
+  '/index.html',
+  '/guest.html',
+  '/css/design-tokens.css',
+  '/css/components.css',
+  '/css/app.css',
+  '/css/context-panel.css',
+  '/css/lightbox.css',
+  '/css/lightbox-panel.css',
+  '/css/lightbox-zoom.css',
+  '/css/sidebar-redesign.css',
+  '/js/services/PhotoSetCache.js',
+  '/js/app.js',
+  '/js/guest.js'
+];
+
+const queue = new OfflineQueue();
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, THUMBNAIL_CACHE, GALLERY_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('snapvault-') && !current.includes(key)).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'cache-urls') {
+    event.waitUntil(cacheShellUrls(event.data.urls || []));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayMutations());
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (url.pathname.startsWith('/js/') || url.pathname.startsWith('/css/')) {
+    event.respondWith(appFile(request));
+    return;
+  }
+
+  const media = /^\/media\/[^/]+\/([^/]+)$/.exec(url.pathname);
+  if (media && THUMBNAIL_TIERS.includes(media[1])) {
+    event.respondWith(cacheFirst(request, THUMBNAIL_CACHE, MAX_THUMBNAILS, false));
+  } else if (media && GALLERY_TIERS.includes(media[1])) {
+    event.respondWith(cacheFirst(request, GALLERY_CACHE, MAX_GALLERY, true));
+  }
+});
+
+/**
+ * Replay queued mutations and tell open pages. Rejecting keeps the sync registered, so the browser
+ * retries (with its own backoff) while mutations are still waiting for the server.
+ */
+async function replayMutations() {
+  const result = await queue.replay();
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'offline-replayed', result }));
+
+  if (result.remaining > 0) {
+    throw new Error(`${result.remaining} offline change(s) still waiting for the server`);
+  }
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const page = new URL(request.url).pathname.startsWith('/guest') ? '/guest.html' : '/index.html';
+    return (await cache.match(request, { ignoreSearch: true })) || (await cache.match(page)) || Response.error();
+  }
+}
+
+/**
+ * A module or stylesheet from the server, revalidated past the HTTP cache (a 304 is cheap), so every
+ * file a page loads comes from the same deploy. The cached copy is only for when the server can't be
+ * reached.
+ */
+async function appFile(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (!cached) throw error;
+    return cached;
+  }
+}
+
+/**
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {number} maxEntries - oldest entries are evicted beyond this
+ * @param {boolean} touchOnHit - re-insert hits so eviction follows recent use rather than first fetch
+ */
+async function cacheFirst(request, cacheName, maxEntries, touchOnHit) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  if (cached) {
+    if (touchOnHit) {
+      await cache.delete(request);
+      await cache.put(request, cached.clone());
+    }
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    trimCache(cache, maxEntries);
+  }
+  return response;
+}
+
+// Cache keys come back in insertion order, so the oldest go first
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - maxEntries; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+async function cacheShellUrls(urls) {
+  const cache = await caches.open(SHELL_CACHE);
+  const missing = [];
+
+  for (const href of urls) {
+    const url = new URL(href, self.location.origin);
+    if (url.origin !== self.location.origin) continue;
+    if (!url.pathname.startsWith('/js/') && !url.pathname.startsWith('/css/')) continue;
+    if (!(await cache.match(url.href))) missing.push(url.href);
+  }
+
+  // One at a time: a single missing file must not fail the rest (addAll is all-or-nothing)
+  for (const href of missing) {
+    try {
+      await cache.add(href);
+    } catch (error) {
+      console.warn(`[ServiceWorker] Could not cache ${href}:`, error);
+    }
+  }
+}
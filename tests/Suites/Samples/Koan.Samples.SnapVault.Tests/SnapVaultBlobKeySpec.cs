@@ -4,6 +4,7 @@ using System.Threading;
 using System.Threading.Tasks;
 using AwesomeAssertions;
 using Koan.Data.Core;
+using Koan.Data.SoftDelete;
 using Koan.Tenancy;
 using Microsoft.Extensions.DependencyInjection;
 using SnapVault.Models;
@@ -76,8 +77,8 @@ public sealed class SnapVaultBlobKeySpec
             (await ReadBlob(a)).Should().Equal(bytesA);
             (await ReadBlob(b)).Should().Equal(bytesB);
 
-            // Partial delete is sibling-safe: removing A reclaims A's blob (structural AfterRemove hook) but leaves B's.
-            await a.Remove(CancellationToken.None);
+            // Partial delete is sibling-safe: purging A reclaims A's blob (structural AfterRemove hook) but leaves B's.
+            await a.HardDelete(CancellationToken.None);
             (await PhotoAsset.Head(a.Key, CancellationToken.None)).Should().BeNull("deleting a photo reclaims its own blob");
             (await PhotoAsset.Head(b.Key, CancellationToken.None)).Should().NotBeNull("a sibling's blob must survive a same-named peer's delete");
             (await ReadBlob(b)).Should().Equal(bytesB, "the surviving sibling still serves its own bytes");
@@ -0,0 +1,137 @@
+using System;
+using System.IO;
+using System.Linq;
+using System.Threading.Tasks;
+using AwesomeAssertions;
+using Koan.Tenancy;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.DependencyInjection;
+using SnapVault.Controllers;
+using SnapVault.Media;
+using SnapVault.Models;
+using SnapVault.Services;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using SixLabors.ImageSharp.Processing;
+using Xunit;
+
+namespace Koan.Samples.SnapVault.Tests;
+
+/// <summary>
+/// SnapVault duplicate detection — the server half of the upload modal's pre-upload check. Proves the perceptual hash
+/// survives a resize + re-encode (same picture, distance within the threshold) while a different picture lands far
+/// away, and that <c>POST /api/photos/duplicates</c> reports a SHA-256 hit as exact, a close perceptual hash as near
+/// (naming the library photo), and leaves unrelated files out. Controllers are exercised directly.
+/// </summary>
+[Collection("snapvault")]
+public sealed class SnapVaultDuplicateSpec
+{
+    private readonly SnapVaultHostFixture _fx;
+    public SnapVaultDuplicateSpec(SnapVaultHostFixture fx) => _fx = fx;
+
+    private T Svc<T>() where T : notnull => _fx.Host.Services.GetRequiredService<T>();
+    private static string Stamp() => Guid.NewGuid().ToString("n").Substring(0, 8);
+
+    private PhotosController Photos() => new(Svc<PhotoSetService>(), Svc<PhotoProcessingService>(), Svc<TrashService>(), Svc<PhotoHashIndex>());
+
+    // A horizontal gradient with a dark block — enough structure for a stable dHash.
+    private static Image<Rgba32> Picture(int width, int height, bool mirrored = false)
+    {
+        var img = new Image<Rgba32>(width, height);
+        img.ProcessPixelRows(rows =>
+        {
+            for (var y = 0; y < rows.Height; y++)
+            {
+                var row = rows.GetRowSpan(y);
+                for (var x = 0; x < row.Length; x++)
+                {
+                    var u = mirrored ? width - 1 - x : x;
+                    var v = (byte)(255 * u / (width - 1));
+                    row[x] = u < width / 3 && y < height / 2 ? new Rgba32(20, 20, 20) : new Rgba32(v, v, v);
+                }
+            }
+        });
+        return img;
+    }
+
+    private static async Task<string> HashOf(Image<Rgba32> img)
+    {
+        using var ms = new MemoryStream();
+        await img.SaveAsJpegAsync(ms);
+        ms.Position = 0;
+        return await PerceptualHash.Compute(ms);
+    }
+
+    [Fact(DisplayName = "duplicates: the perceptual hash survives resize + re-encode and separates different pictures")]
+    public async Task Perceptual_hash_matches_reencodes_and_separates_pictures()
+    {
+        using var original = Picture(640, 480);
+        using var smaller = original.Clone(x => x.Resize(320, 240));
+        using var other = Picture(640, 480, mirrored: true);
+
+        var a = await HashOf(original);
+        var b = await HashOf(smaller);
+        var c = await HashOf(other);
+
+        a.Should().MatchRegex("^[0-9a-f]{16}$");
+        PerceptualHash.Distance(a, b).Should().BeLessThanOrEqualTo(PerceptualHash.NearThreshold);
+        PerceptualHash.Distance(a, c).Should().BeGreaterThan(PerceptualHash.NearThreshold);
+        PerceptualHash.Distance(a, "not-a-hash").Should().BeNull();
+    }
+
+    [Fact(DisplayName = "duplicates: a SHA-256 hit is exact, a close perceptual hash is near, unrelated files are omitted")]
+    public async Task Check_reports_exact_and_near_matches()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var exact = new PhotoAsset { EventId = ev.Id, OriginalFileName = "IMG_0001.jpg", ContentHash = new string('a', 64), PerceptualHash = "f0f0f0f0f0f0f0f0" };
+            await exact.Save();
+            var similar = new PhotoAsset { EventId = ev.Id, OriginalFileName = "IMG_0002.jpg", ContentHash = new string('b', 64), PerceptualHash = "0123456789abcdef" };
+            await similar.Save();
+
+            var result = await Photos().CheckDuplicates(new DuplicateCheckRequest
+            {
+                Files =
+                {
+                    new FileFingerprint { Key = "0", Sha256 = new string('A', 64), PerceptualHash = null },          // same bytes (case-insensitive hex)
+                    new FileFingerprint { Key = "1", Sha256 = new string('c', 64), PerceptualHash = "0123456789abcdec" }, // 2 bits from IMG_0002
+                    new FileFingerprint { Key = "2", Sha256 = new string('d', 64), PerceptualHash = "fedcba9876543210" }, // unrelated
+                },
+            });
+
+            var response = result.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeOfType<DuplicateCheckResponse>().Subject;
+            response.Matches.Should().HaveCount(2);
+
+            var hit = response.Matches.Single(m => m.Key == "0");
+            hit.Kind.Should().Be("exact");
+            hit.PhotoId.Should().Be(exact.Id);
+
+            var near = response.Matches.Single(m => m.Key == "1");
+            near.Kind.Should().Be("near");
+            near.Distance.Should().Be(2);
+            near.FileName.Should().Be("IMG_0002.jpg");
+
+            // Near matches come from the hash index: a photo ingest adds is found, a trashed one is not.
+            var later = new PhotoAsset { EventId = ev.Id, OriginalFileName = "IMG_0003.jpg", PerceptualHash = "fedcba9876543211" };
+            await later.Save();
+            Svc<PhotoHashIndex>().Add(later);
+            await Photos().BulkDelete(new BulkPhotoRequest { PhotoIds = { similar.Id } });
+
+            var again = await Photos().CheckDuplicates(new DuplicateCheckRequest
+            {
+                Files =
+                {
+                    new FileFingerprint { Key = "1", PerceptualHash = "0123456789abcdec" },
+                    new FileFingerprint { Key = "2", PerceptualHash = "fedcba9876543210" },
+                },
+            });
+            var matches = again.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeOfType<DuplicateCheckResponse>().Subject.Matches;
+            matches.Should().ContainSingle().Which.PhotoId.Should().Be(later.Id);
+
+            var empty = await Photos().CheckDuplicates(new DuplicateCheckRequest());
+            empty.Result.Should().BeOfType<BadRequestObjectResult>();
+        }
+    }
+}
@@ -71,6 +71,14 @@ public sealed class SnapVaultGoldenPathSpec(SnapVaultHostFixture fixture)
         gallery.StatusCode.Should().Be(HttpStatusCode.OK);
         gallery.Content.Headers.ContentType!.MediaType.Should().Be("image/jpeg");
 
+        // A browser's Accept picks the tier's format: AVIF isn't producible yet, so WebP.
+        using var tileRequest = new HttpRequestMessage(HttpMethod.Get, $"/media/{photo.Id}/masonry");
+        tileRequest.Headers.Accept.ParseAdd("image/avif,image/webp,image/*;q=0.8");
+        var tile = await client.SendAsync(tileRequest, ct);
+        tile.StatusCode.Should().Be(HttpStatusCode.OK);
+        tile.Content.Headers.ContentType!.MediaType.Should().Be("image/webp");
+        tile.Headers.Vary.Should().Contain("Accept");
+
         (await client.GetAsync("/health/ready", ct)).StatusCode.Should().Be(HttpStatusCode.OK);
         var facts = fixture.Host.Services.GetRequiredService<IKoanRuntimeFacts>().Current;
         facts.Complete.Should().BeTrue();
@@ -1,6 +1,7 @@
 using System;
 using System.IO;
 using System.Linq;
+using System.Security.Cryptography;
 using System.Threading;
 using System.Threading.Tasks;
 using AwesomeAssertions;
@@ -84,6 +85,9 @@ public sealed class SnapVaultIngestSpec
             var photo = photos.Single(p => p.OriginalFileName == "sunset.jpg");
             photo.Width.Should().Be(8);
             photo.Height.Should().Be(6);
+            photo.ContentHash.Should().Be(Convert.ToHexStringLower(SHA256.HashData(jpeg)));   // fingerprint for duplicate detection
+            photo.PerceptualHash.Should().MatchRegex("^[0-9a-f]{16}$");
+            photo.BlurHash.Should().StartWith("L").And.HaveLength(28);   // 4×3 placeholder for a landscape
             photo.EventId.Should().NotBeNullOrEmpty();
 
             var evt = await Event.Get(photo.EventId, CancellationToken.None);
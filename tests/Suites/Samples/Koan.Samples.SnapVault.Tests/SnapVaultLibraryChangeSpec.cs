@@ -0,0 +1,120 @@
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using AwesomeAssertions;
+using Koan.Tenancy;
+using Koan.Web.Sse;
+using Newtonsoft.Json.Linq;
+using SnapVault.Models;
+using SnapVault.Progress;
+using Xunit;
+
+namespace Koan.Samples.SnapVault.Tests;
+
+/// <summary>
+/// The live library change stream as a read-projection of the <see cref="LibraryChange"/> log. A real <c>AddKoan()</c>
+/// boot (ARCH-0079, in-memory) proves the two halves: the lifecycle hooks record every photo/collection write with no
+/// controller involvement, and <see cref="LibraryChangeProjection"/> coalesces them per entity, joins the current grid
+/// shape, and stays inside the studio's tenant. The stream leg proves a stale cursor is answered with a reset.
+/// </summary>
+[Collection("snapvault")]
+public sealed class SnapVaultLibraryChangeSpec
+{
+    private readonly SnapVaultHostFixture _fx;
+    public SnapVaultLibraryChangeSpec(SnapVaultHostFixture fx) => _fx = fx;
+
+    private static string Stamp() => Guid.NewGuid().ToString("n").Substring(0, 8);
+
+    [Fact(DisplayName = "change log: writes are recorded by hooks and coalesced per entity with their current shape")]
+    public async Task Changes_are_recorded_and_coalesced()
+    {
+        var studio = "studio-" + Stamp();
+        var since = DateTime.UtcNow.AddSeconds(-1);
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+
+            // Created then updated before anyone read it → one 'created' frame carrying the latest state.
+            var kept = new PhotoAsset { EventId = ev.Id, OriginalFileName = "kept.jpg" }; await kept.Save();
+            kept.Rating = 3; await kept.Save();
+
+            var gone = new PhotoAsset { EventId = ev.Id, OriginalFileName = "gone.jpg" }; await gone.Save();
+            await gone.Remove();
+
+            var col = new Collection { Name = "Picks", PhotoIds = { kept.Id } }; await col.Save();
+
+            var snap = await LibraryChangeProjection.SnapshotAsync(since);
+
+            var photo = snap.Changes.Single(c => c.Kind == LibraryChangeKinds.Photo && c.Id == kept.Id);
+            photo.Action.Should().Be(LibraryChangeActions.Created);
+            photo.Photo!.FileName.Should().Be("kept.jpg");
+            photo.Photo.Rating.Should().Be(3);
+
+            var deleted = snap.Changes.Single(c => c.Id == gone.Id);
+            deleted.Action.Should().Be(LibraryChangeActions.Deleted);
+            deleted.Photo.Should().BeNull();
+
+            var collection = snap.Changes.Single(c => c.Kind == LibraryChangeKinds.Collection && c.Id == col.Id);
+            collection.Collection!.Name.Should().Be("Picks");
+            collection.Collection.PhotoCount.Should().Be(1);
+
+            // Oldest first, and the cursor moves past everything read: nothing repeats, later writes show as updates.
+            snap.Changes.Select(c => c.At).Should().BeInAscendingOrder();
+            (await LibraryChangeProjection.SnapshotAsync(snap.Cursor, snap.Seen)).Changes.Should().BeEmpty();
+
+            kept.IsFavorite = true; await kept.Save();
+            var next = await LibraryChangeProjection.SnapshotAsync(snap.Cursor, snap.Seen);
+            next.Changes.Should().ContainSingle()
+                .Which.Should().Match<LibraryChangeEvent>(c => c.Action == LibraryChangeActions.Updated && c.Photo!.IsFavorite);
+        }
+
+        // Another studio's stream sees none of it.
+        using (Tenant.Use("studio-" + Stamp()))
+        {
+            (await LibraryChangeProjection.SnapshotAsync(since)).Changes.Should().BeEmpty();
+        }
+    }
+
+    [Fact(DisplayName = "change log: a row committed after the cursor passed its stamp is still read, once")]
+    public async Task Late_commits_are_not_missed()
+    {
+        using (Tenant.Use("studio-" + Stamp()))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var early = new PhotoAsset { EventId = ev.Id, OriginalFileName = "early.jpg" };
+            var stampedAt = DateTime.UtcNow;   // stamped now, committed after a later write
+            var later = new PhotoAsset { EventId = ev.Id, OriginalFileName = "later.jpg" }; await later.Save();
+
+            var snap = await LibraryChangeProjection.SnapshotAsync(stampedAt.AddSeconds(-1));
+            snap.Changes.Select(c => c.Id).Should().Contain(later.Id);
+
+            await early.Save(CancellationToken.None);
+            var row = (await LibraryChange.Query(c => c.EntityId == early.Id, CancellationToken.None)).Single();
+            row.At = stampedAt; await row.Save();
+
+            var next = await LibraryChangeProjection.SnapshotAsync(snap.Cursor, snap.Seen);
+            next.Changes.Select(c => c.Id).Should().Equal(early.Id);
+            (await LibraryChangeProjection.SnapshotAsync(next.Cursor, next.Seen)).Changes.Should().BeEmpty();
+        }
+    }
+
+    [Fact(DisplayName = "stream: a cursor older than the retained log is answered with LibraryReset")]
+    public async Task Stale_cursor_resets()
+    {
+        using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(10));
+        var stale = DateTime.UtcNow - LibraryChangeProjection.Retention - TimeSpan.FromMinutes(5);
+
+        SseEnvelope first;
+        using (Tenant.Use("studio-" + Stamp()))
+        {
+            await using var frames = LibraryChangeProjection.StreamAsync(stale.Ticks.ToString(), cts.Token).GetAsyncEnumerator(cts.Token);
+            (await frames.MoveNextAsync()).Should().BeTrue();
+            first = frames.Current;
+        }
+
+        first.EventName.Should().Be("LibraryReset");
+        JObject.Parse(first.Data)["reason"]!.ToString().Should().NotBeEmpty();
+        long.Parse(first.Id!).Should().BeGreaterThan(stale.Ticks);
+    }
+}
@@ -1,9 +1,11 @@
 using System;
+using System.Collections.Generic;
 using System.Linq;
 using System.Threading;
 using System.Threading.Tasks;
 using AwesomeAssertions;
 using Koan.Data.Core;
+using Koan.Data.SoftDelete;
 using Koan.Media.Web.Routing;
 using Koan.Tenancy;
 using Microsoft.AspNetCore.Mvc;
@@ -35,9 +37,9 @@ public sealed class SnapVaultMutationSpec
     private T Svc<T>() where T : notnull => _fx.Host.Services.GetRequiredService<T>();
     private static string Stamp() => Guid.NewGuid().ToString("n").Substring(0, 8);
 
-    private PhotosController Photos() => new(Svc<PhotoSetService>(), Svc<PhotoProcessingService>());
+    private PhotosController Photos() => new(Svc<PhotoSetService>(), Svc<PhotoProcessingService>(), Svc<TrashService>(), Svc<PhotoHashIndex>());
 
-    [Fact(DisplayName = "delete cleanup: removing a photo evicts its cached renders and prunes it from collections")]
+    [Fact(DisplayName = "delete cleanup: purging a photo evicts its cached renders and prunes it from collections")]
     public async Task Delete_evicts_renders_and_prunes_collections()
     {
         var studio = "studio-" + Stamp();
@@ -61,8 +63,8 @@ public sealed class SnapVaultMutationSpec
             // A collection referencing all three in a deliberate order.
             var col = new Collection { Name = "Picks", PhotoIds = { p2.Id, p0.Id, p1.Id } }; await col.Save();
 
-            // Act — the ONE delete. The AfterRemove hook (PhotoAssetCleanup) does the rest.
-            await p0.Remove();
+            // Act — the ONE purge (a plain Remove only trashes it). The AfterRemove hook (PhotoAssetCleanup) does the rest.
+            await p0.HardDelete();
 
             // 1. p0's cached render is gone (targeted eviction by SourceMediaId).
             (await MediaDerivation.Query(d => d.SourceMediaId == p0.Id)).Should().BeEmpty();
@@ -91,6 +93,51 @@ public sealed class SnapVaultMutationSpec
         }
     }
 
+    [Fact(DisplayName = "favorite: no body toggles; an explicit state is idempotent (offline replay)")]
+    public async Task Favorite_toggles_or_sets_explicitly()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var photo = new PhotoAsset { EventId = ev.Id, OriginalFileName = "f.jpg" }; await photo.Save();
+            var ctrl = Photos();
+
+            await ctrl.ToggleFavorite(photo.Id);
+            (await PhotoAsset.Get(photo.Id, CancellationToken.None))!.IsFavorite.Should().BeTrue();
+
+            // Replaying the same explicit change twice leaves it set — a toggle would have flipped it back.
+            await ctrl.ToggleFavorite(photo.Id, new FavoriteRequest { IsFavorite = false });
+            await ctrl.ToggleFavorite(photo.Id, new FavoriteRequest { IsFavorite = false });
+            (await PhotoAsset.Get(photo.Id, CancellationToken.None))!.IsFavorite.Should().BeFalse();
+        }
+    }
+
+    [Fact(DisplayName = "reject: bulk reject sets one state, reports what flipped, and keeps photos in the library")]
+    public async Task Bulk_reject_sets_state_and_reports_changes()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var keeper = new PhotoAsset { EventId = ev.Id, OriginalFileName = "keep.jpg" }; await keeper.Save();
+            var blink = new PhotoAsset { EventId = ev.Id, OriginalFileName = "blink.jpg", IsRejected = true }; await blink.Save();
+            var blur = new PhotoAsset { EventId = ev.Id, OriginalFileName = "blur.jpg" }; await blur.Save();
+
+            var ok = (await Photos().BulkReject(new BulkRejectRequest { PhotoIds = { blink.Id, blur.Id }, IsRejected = true }))
+                .Should().BeOfType<OkObjectResult>().Subject.Value!;
+            ok.GetType().GetProperty("updated")!.GetValue(ok).Should().Be(2);
+            ((List<string>)ok.GetType().GetProperty("changed")!.GetValue(ok)!).Should().Equal(blur.Id);
+
+            var rejected = (await PhotoAsset.Get(blur.Id, CancellationToken.None))!;
+            rejected.IsRejected.Should().BeTrue();
+            new PhotoSetFilters { Rejected = true }.Matches(rejected).Should().BeTrue();
+            new PhotoSetFilters { Rejected = true }.Matches(keeper).Should().BeFalse();
+
+            (await Photos().BulkReject(new BulkRejectRequest())).Should().BeOfType<BadRequestObjectResult>();
+        }
+    }
+
     [Fact(DisplayName = "fact lock: the fact key is normalized to lowercase (INV-1) regardless of request casing")]
     public async Task Fact_lock_normalizes_key_to_lowercase()
     {
@@ -126,7 +173,7 @@ public sealed class SnapVaultMutationSpec
             var col = new Collection { Name = "Tiny" }; await col.Save();
 
             // A cap of 1 with two new (existing) photos → breach.
-            var ctrl = new CollectionsController(Options.Create(new CollectionOptions { MaxPhotosPerCollection = 1 }));
+            var ctrl = new CollectionsController(Options.Create(new CollectionOptions { MaxPhotosPerCollection = 1 }), Svc<TrashService>());
             var result = await ctrl.AddPhotos(col.Id, new CollectionPhotosRequest { PhotoIds = { p0.Id, p1.Id } });
 
             var bad = result.Should().BeOfType<BadRequestObjectResult>().Subject;
@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 using System.Linq;
 using System.Threading.Tasks;
 using AwesomeAssertions;
@@ -103,4 +104,162 @@ public sealed class SnapVaultPhotoSetSpec
             window.Should().OnlyContain(p => p.EventId == evA.Id);
         }
     }
+
+    [Fact(DisplayName = "filters: the filter panel state narrows the session, its windows and the index basis alike")]
+    public async Task Filters_narrow_session_window_and_index()
+    {
+        var studio = "studio-" + Stamp();
+        var svc = Svc<PhotoSetService>();
+        var baseDate = new DateTime(2026, 3, 1, 0, 0, 0, DateTimeKind.Utc);
+
+        PhotoAsset p0, p1, p2, p3;
+        Collection col;
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            p0 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "0.jpg", CapturedAt = baseDate.AddDays(0), Rating = 5, CameraModel = "X100" }; await p0.Save();
+            p1 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "1.jpg", CapturedAt = baseDate.AddDays(1), Rating = 2, CameraModel = "X100" }; await p1.Save();
+            p2 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "2.jpg", CapturedAt = baseDate.AddDays(2), Rating = 4, CameraModel = "R5" }; await p2.Save();
+            p3 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "3.jpg", CapturedAt = baseDate.AddDays(3), Rating = 4, CameraModel = "X100" }; await p3.Save();
+            col = new Collection { Name = "Picks", PhotoIds = { p1.Id, p3.Id, p0.Id } }; await col.Save();
+        }
+
+        var filters = new PhotoSetFilters { Rating = 4, Cameras = { "X100" } };
+        using (Tenant.Use(studio))
+        {
+            // all-photos: only the X100 shots rated 4+, still newest-first; the count is the filtered count.
+            var def = new PhotoSetDefinition { Context = "all-photos", SortBy = "capturedAt", SortOrder = "desc", Filters = filters };
+            var session = await svc.CreateSession(def);
+            session.TotalCount.Should().Be(2);
+            (await svc.ExecuteQuery(session, 0, 10)).Select(p => p.Id).Should().Equal(p3.Id, p0.Id);
+            (await svc.ExecuteQuery(session, 1, 1)).Select(p => p.Id).Should().Equal(p0.Id);
+
+            // The index basis walks the same filtered set, so lightbox position and grid agree.
+            (await svc.MaterializeContext(def)).FindIndex(p => p.Id == p0.Id).Should().Be(1);
+
+            // collection: filtered within the manual order, windowed after filtering.
+            var collection = await svc.CreateSession(new PhotoSetDefinition { Context = "collection", CollectionId = col.Id, Filters = filters });
+            collection.TotalCount.Should().Be(2);
+            (await svc.ExecuteQuery(collection, 0, 10)).Select(p => p.Id).Should().Equal(p3.Id, p0.Id);
+
+            // An empty filter state is the whole context.
+            (await svc.CreateSession(new PhotoSetDefinition { Context = "all-photos", Filters = new PhotoSetFilters() })).TotalCount.Should().Be(4);
+        }
+    }
+
+    [Fact(DisplayName = "filters: the search bar's exclusions (-camera:, -tag:) leave photos out, untagged and unknown cameras kept")]
+    public async Task Exclusions_leave_photos_out()
+    {
+        var studio = "studio-" + Stamp();
+        var svc = Svc<PhotoSetService>();
+        var baseDate = new DateTime(2026, 4, 1, 0, 0, 0, DateTimeKind.Utc);
+
+        PhotoAsset sharp, blurry, phone, unknown;
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            sharp = new PhotoAsset { EventId = ev.Id, OriginalFileName = "0.jpg", CapturedAt = baseDate.AddDays(0), CameraModel = "X-T4", AutoTags = { "beach" } }; await sharp.Save();
+            blurry = new PhotoAsset { EventId = ev.Id, OriginalFileName = "1.jpg", CapturedAt = baseDate.AddDays(1), CameraModel = "X-T4", AutoTags = { "beach", "blurry" } }; await blurry.Save();
+            phone = new PhotoAsset { EventId = ev.Id, OriginalFileName = "2.jpg", CapturedAt = baseDate.AddDays(2), CameraModel = "Pixel 8" }; await phone.Save();
+            unknown = new PhotoAsset { EventId = ev.Id, OriginalFileName = "3.jpg", CapturedAt = baseDate.AddDays(3) }; await unknown.Save();
+        }
+
+        using (Tenant.Use(studio))
+        {
+            // tag:beach -tag:blurry
+            var def = new PhotoSetDefinition { Context = "all-photos", Filters = new PhotoSetFilters { Tags = { "beach" }, ExcludedTags = { "blurry" } } };
+            (await svc.MaterializeContext(def)).Select(p => p.Id).Should().Equal(sharp.Id);
+
+            // -camera:"Pixel 8" alone is an active filter: the untagged photo and the one without a camera stay
+            var noPhone = await svc.CreateSession(new PhotoSetDefinition { Context = "all-photos", Filters = new PhotoSetFilters { ExcludedCameras = { "Pixel 8" } } });
+            noPhone.TotalCount.Should().Be(3);
+            (await svc.ExecuteQuery(noPhone, 0, 10)).Select(p => p.Id).Should().Equal(unknown.Id, blurry.Id, sharp.Id);
+        }
+    }
+
+    [Fact(DisplayName = "date histogram: month buckets tile the date-sorted set, each with the index of its first photo")]
+    public async Task Date_histogram_tiles_the_set()
+    {
+        var studio = "studio-" + Stamp();
+        var svc = Svc<PhotoSetService>();
+
+        Collection col;
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var dates = new[]
+            {
+                new DateTime(2019, 3, 2, 0, 0, 0, DateTimeKind.Utc), new DateTime(2019, 3, 20, 0, 0, 0, DateTimeKind.Utc),
+                new DateTime(2019, 5, 1, 0, 0, 0, DateTimeKind.Utc), new DateTime(2021, 1, 9, 0, 0, 0, DateTimeKind.Utc),
+                new DateTime(2021, 1, 30, 0, 0, 0, DateTimeKind.Utc), new DateTime(2021, 1, 31, 0, 0, 0, DateTimeKind.Utc),
+            };
+            var ids = new List<string>();
+            foreach (var (date, i) in dates.Select((d, i) => (d, i)))
+            {
+                var photo = new PhotoAsset { EventId = ev.Id, OriginalFileName = $"{i}.jpg", CapturedAt = date };
+                await photo.Save();
+                ids.Add(photo.Id);
+            }
+            col = new Collection { Name = "Picks", PhotoIds = { ids[0], ids[3] } }; await col.Save();
+        }
+
+        using (Tenant.Use(studio))
+        {
+            // Newest first: Jan 2021 (3) · May 2019 (1) · Mar 2019 (2), start indices accumulate.
+            var desc = await svc.DateHistogram(new PhotoSetDefinition { Context = "all-photos", SortBy = "capturedAt", SortOrder = "desc" });
+            desc.TotalCount.Should().Be(6);
+            desc.Buckets.Should().Equal(
+                new DateBucket(2021, 1, 3, 0),
+                new DateBucket(2019, 5, 1, 3),
+                new DateBucket(2019, 3, 2, 4));
+
+            // Oldest first walks the same months the other way.
+            var asc = await svc.DateHistogram(new PhotoSetDefinition { Context = "all-photos", SortBy = "capturedAt", SortOrder = "asc" });
+            asc.Buckets.Select(b => (b.Year, b.Month, b.StartIndex)).Should().Equal((2019, 3, 0), (2019, 5, 2), (2021, 1, 3));
+
+            // Filters narrow the buckets exactly as they narrow the grid.
+            var filtered = await svc.DateHistogram(new PhotoSetDefinition
+            {
+                Context = "all-photos",
+                Filters = new PhotoSetFilters { DateRange = new DateRangeFilter { From = new DateTime(2019, 1, 1, 0, 0, 0, DateTimeKind.Utc), To = new DateTime(2019, 12, 31, 0, 0, 0, DateTimeKind.Utc) } },
+            });
+            filtered.Buckets.Should().Equal(new DateBucket(2019, 5, 1, 0), new DateBucket(2019, 3, 2, 1));
+
+            // Not in date order: no rail (a collection keeps its manual order; a rating sort isn't by date).
+            (await svc.DateHistogram(new PhotoSetDefinition { Context = "collection", CollectionId = col.Id })).Buckets.Should().BeEmpty();
+            (await svc.DateHistogram(new PhotoSetDefinition { Context = "all-photos", SortBy = "rating" })).Buckets.Should().BeEmpty();
+        }
+    }
+
+    [Fact]
+    public async Task Aspect_ratios_follow_set_order()
+    {
+        var studio = "studio-" + Stamp();
+        var svc = Svc<PhotoSetService>();
+
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var shapes = new[] { (3000, 2000), (2000, 3000), (0, 0) };
+            foreach (var ((width, height), i) in shapes.Select((s, i) => (s, i)))
+            {
+                await new PhotoAsset
+                {
+                    EventId = ev.Id, OriginalFileName = $"{i}.jpg", Width = width, Height = height,
+                    CapturedAt = new DateTime(2020, 1, 1 + i, 0, 0, 0, DateTimeKind.Utc),
+                }.Save();
+            }
+        }
+
+        using (Tenant.Use(studio))
+        {
+            // Oldest first: landscape, portrait, then the photo whose dimensions aren't known yet.
+            var asc = await svc.AspectRatios(new PhotoSetDefinition { Context = "all-photos", SortOrder = "asc" });
+            asc.TotalCount.Should().Be(3);
+            asc.Ratios.Should().Equal(1.5, 0.667, 0);
+
+            var desc = await svc.AspectRatios(new PhotoSetDefinition { Context = "all-photos", SortOrder = "desc" });
+            desc.Ratios.Should().Equal(0, 0.667, 1.5);
+        }
+    }
 }
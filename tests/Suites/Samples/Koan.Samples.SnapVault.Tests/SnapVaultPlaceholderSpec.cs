@@ -0,0 +1,87 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading.Tasks;
+using AwesomeAssertions;
+using Koan.Tenancy;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Options;
+using SnapVault.Configuration;
+using SnapVault.Controllers;
+using SnapVault.Media;
+using SnapVault.Models;
+using SnapVault.Services;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using Xunit;
+
+namespace Koan.Samples.SnapVault.Tests;
+
+/// <summary>
+/// SnapVault placeholders — the blurhash painted under a tile while its recipe loads. Proves the encoding (component
+/// layout follows orientation; a flat picture is its own colour with no detail) and that the sidebar's collection
+/// covers carry the cover photo's hash, falling back to the first photo when the chosen cover is gone.
+/// </summary>
+[Collection("snapvault")]
+public sealed class SnapVaultPlaceholderSpec
+{
+    private readonly SnapVaultHostFixture _fx;
+    public SnapVaultPlaceholderSpec(SnapVaultHostFixture fx) => _fx = fx;
+
+    private T Svc<T>() where T : notnull => _fx.Host.Services.GetRequiredService<T>();
+    private static string Stamp() => Guid.NewGuid().ToString("n").Substring(0, 8);
+
+    private static async Task<string> HashOf(int width, int height, Rgba32 color)
+    {
+        using var img = new Image<Rgba32>(width, height, color);
+        using var ms = new MemoryStream();
+        await img.SaveAsPngAsync(ms);
+        ms.Position = 0;
+        return await BlurHash.Compute(ms);
+    }
+
+    [Fact(DisplayName = "placeholders: blurhash components follow orientation, and a flat picture hashes to its colour alone")]
+    public async Task Blurhash_encodes_orientation_and_colour()
+    {
+        var color = new Rgba32(200, 100, 50);
+
+        // 'L' = 4×3 components, '0' = no detail, 'M|T9' = rgb(200, 100, 50), 'fQ' = a zero component
+        (await HashOf(40, 30, color)).Should().Be("L0M|T9" + string.Concat(Enumerable.Repeat("fQ", 11)));
+
+        // 'T' = 3×4 components for a portrait
+        var portrait = await HashOf(30, 40, color);
+        portrait.Should().StartWith("T0M|T9");
+        portrait.Should().HaveLength(4 + 2 * 12);
+    }
+
+    [Fact(DisplayName = "placeholders: collection covers carry the cover photo's blurhash, else the first photo's")]
+    public async Task Collection_covers_carry_blurhash()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var first = new PhotoAsset { EventId = ev.Id, OriginalFileName = "a.jpg", BlurHash = "L0M|T9" + string.Concat(Enumerable.Repeat("fQ", 11)) };
+            await first.Save();
+            var chosen = new PhotoAsset { EventId = ev.Id, OriginalFileName = "b.jpg" };
+            await chosen.Save();
+
+            var withCover = new Collection { Name = "Chosen", PhotoIds = new List<string> { first.Id, chosen.Id }, CoverPhotoId = chosen.Id };
+            await withCover.Save();
+            var staleCover = new Collection { Name = "Stale", PhotoIds = new List<string> { first.Id }, CoverPhotoId = "deleted-photo" };
+            await staleCover.Save();
+            var empty = new Collection { Name = "Empty" };
+            await empty.Save();
+
+            var ctrl = new CollectionsController(Options.Create(new CollectionOptions()), Svc<TrashService>());
+            var result = await ctrl.Covers();
+            var covers = result.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeAssignableTo<IReadOnlyList<CollectionCover>>().Subject;
+
+            covers.Should().HaveCount(2);
+            covers.Single(c => c.CollectionId == withCover.Id).Should().Be(new CollectionCover(withCover.Id, chosen.Id, null));
+            covers.Single(c => c.CollectionId == staleCover.Id).Should().Be(new CollectionCover(staleCover.Id, first.Id, first.BlurHash));
+        }
+    }
+}
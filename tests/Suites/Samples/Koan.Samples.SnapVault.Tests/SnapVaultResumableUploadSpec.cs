@@ -0,0 +1,199 @@
+using System;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using AwesomeAssertions;
+using Koan.Data.Core;
+using Koan.Tenancy;
+using Microsoft.Extensions.DependencyInjection;
+using SnapVault.Models;
+using SnapVault.Services;
+using Xunit;
+
+namespace Koan.Samples.SnapVault.Tests;
+
+/// <summary>
+/// SnapVault resumable uploads — the offset protocol behind <c>/api/uploads</c>. A real <c>AddKoan()</c> boot proves
+/// the service's contract: chunks append only at the session offset (a stale offset is refused, never duplicated), a
+/// chunk that overruns the declared length is dropped, and the completing append assembles the chunks into one staged
+/// file whose bytes are exactly the original, submits the ingest work-item on the declared batch, and clears the
+/// chunk list. Files of one upload share a batch id so the progress stream sees them together; a folder mapped to a
+/// collection rides the session into the ingest job.
+/// </summary>
+[Collection("snapvault")]
+public sealed class SnapVaultResumableUploadSpec
+{
+    private readonly SnapVaultHostFixture _fx;
+    public SnapVaultResumableUploadSpec(SnapVaultHostFixture fx) => _fx = fx;
+
+    private ResumableUploadService Uploads() => _fx.Host.Services.GetRequiredService<ResumableUploadService>();
+    private static string Stamp() => Guid.NewGuid().ToString("n").Substring(0, 8);
+
+    private static byte[] Bytes(int length)
+    {
+        var bytes = new byte[length];
+        new Random(42).NextBytes(bytes);
+        return bytes;
+    }
+
+    [Fact(DisplayName = "resumable: chunks append at the offset; completion stages the exact bytes and submits ingest on the batch")]
+    public async Task Chunks_append_in_order_and_complete_into_an_ingest_job()
+    {
+        var studio = "studio-" + Stamp();
+        var file = Bytes(3000);
+        var uploads = Uploads();
+
+        using (Tenant.Use(studio))
+        {
+            var session = await uploads.Begin("wedding.jpg", "image/jpeg", file.Length, eventId: "auto", batchId: null);
+            session.BatchId.Should().NotBeNullOrEmpty();
+            session.EventId.Should().BeNull();   // "auto" → organize by capture date
+
+            session = (await uploads.Append(session.Id, 0, new MemoryStream(file, 0, 1000)))!;
+            session.Offset.Should().Be(1000);
+            session.CompletedAt.Should().BeNull();
+
+            // A client that lost the last response replays offset 0 — refused, the offset is unchanged.
+            var replay = async () => await uploads.Append(session.Id, 0, new MemoryStream(file, 0, 1000));
+            await replay.Should().ThrowAsync<UploadOffsetException>();
+            (await uploads.Find(session.Id))!.Offset.Should().Be(1000);
+
+            session = (await uploads.Append(session.Id, 1000, new MemoryStream(file, 1000, 2000)))!;
+            session.Offset.Should().Be(3000);
+            session.CompletedAt.Should().NotBeNull();
+            session.ChunkKeys.Should().BeEmpty();
+
+            var job = await PhotoProcessingJob.Get(session.JobId!, CancellationToken.None);
+            job!.BatchJobId.Should().Be(session.BatchId);
+            job.OriginalFileName.Should().Be("wedding.jpg");
+
+            await using var staged = await UploadStaging.OpenRead(job.StagingKey);
+            using var copy = new MemoryStream();
+            await staged.CopyToAsync(copy);
+            copy.ToArray().Should().Equal(file);
+        }
+    }
+
+    [Fact(DisplayName = "resumable: a re-sent final chunk racing the original completes the upload once")]
+    public async Task Racing_final_chunks_complete_once()
+    {
+        var studio = "studio-" + Stamp();
+        var file = Bytes(1000);
+        var uploads = Uploads();
+
+        using (Tenant.Use(studio))
+        {
+            var session = await uploads.Begin("race.jpg", "image/jpeg", file.Length, null, null);
+
+            async Task<UploadSession?> Send()
+            {
+                try { return await uploads.Append(session.Id, 0, new MemoryStream(file)); }
+                catch (UploadOffsetException ex) { ex.Completed.Should().BeTrue(); return null; }
+            }
+            var results = await Task.WhenAll(Send(), Send());
+
+            results.Count(r => r is not null).Should().Be(1, "only one append lands; the other finds the upload complete");
+            var jobs = await PhotoProcessingJob.Query(j => j.BatchJobId == session.BatchId, CancellationToken.None);
+            jobs.Should().ContainSingle();
+        }
+    }
+
+    [Fact(DisplayName = "resumable: the sweep discards idle sessions with their chunks, never a live one")]
+    public async Task Sweep_discards_idle_sessions()
+    {
+        var studio = "studio-" + Stamp();
+        var uploads = Uploads();
+
+        using (Tenant.Use(studio))
+        {
+            var chunk = await UploadStaging.Onboard($"uploads/idle-{Stamp()}/000000", new MemoryStream(Bytes(10)), "application/offset+octet-stream");
+            var idle = new UploadSession
+            {
+                FileName = "idle.jpg", Length = 100, Offset = 10, ChunkKeys = { chunk.Key },
+                UpdatedAt = DateTimeOffset.UtcNow - uploads.Limits.SessionTtl - TimeSpan.FromHours(1),
+            };
+            await idle.Save();
+            var live = new UploadSession { FileName = "live.jpg", Length = 100 }; await live.Save();
+
+            await uploads.SweepExpired();
+
+            (await UploadSession.Get(idle.Id, CancellationToken.None)).Should().BeNull();
+            (await UploadSession.Get(live.Id, CancellationToken.None)).Should().NotBeNull();
+            var read = async () => { await using var _ = await UploadStaging.OpenRead(chunk.Key); };
+            await read.Should().ThrowAsync<Exception>("the idle session's chunk is deleted");
+        }
+    }
+
+    [Fact(DisplayName = "resumable: an overrunning chunk is refused and an unsupported or oversized file never opens")]
+    public async Task Overrun_and_invalid_declarations_are_refused()
+    {
+        var studio = "studio-" + Stamp();
+        var uploads = Uploads();
+
+        using (Tenant.Use(studio))
+        {
+            var session = await uploads.Begin("small.png", "image/png", 100, eventId: null, batchId: "batch-" + Stamp());
+
+            var overrun = async () => await uploads.Append(session.Id, 0, new MemoryStream(Bytes(150)));
+            await overrun.Should().ThrowAsync<ArgumentException>();
+            (await uploads.Find(session.Id))!.Offset.Should().Be(0);
+
+            var raw = async () => await uploads.Begin("shot.cr2", "image/x-canon-cr2", 100, null, null);
+            await raw.Should().ThrowAsync<ArgumentException>();
+
+            var huge = async () => await uploads.Begin("huge.jpg", "image/jpeg", uploads.Limits.MaxFileBytes + 1, null, null);
+            await huge.Should().ThrowAsync<ArgumentException>();
+
+            await uploads.Discard(session);
+            (await uploads.Find(session.Id)).Should().BeNull();
+        }
+    }
+
+    [Fact(DisplayName = "resumable: a folder-mapped upload carries its collection to ingest, which adds the photo once")]
+    public async Task Collection_mapping_reaches_the_job_and_is_idempotent()
+    {
+        var studio = "studio-" + Stamp();
+        var uploads = Uploads();
+        var processing = _fx.Host.Services.GetRequiredService<PhotoProcessingService>();
+
+        using (Tenant.Use(studio))
+        {
+            var unknown = async () => await uploads.Begin("a.jpg", "image/jpeg", 10, null, null, collectionId: "missing-" + Stamp());
+            await unknown.Should().ThrowAsync<ArgumentException>();
+
+            var col = new Collection { Name = "Wedding / Ceremony" }; await col.Save();
+            var session = await uploads.Begin("a.jpg", "image/jpeg", 10, null, null, collectionId: col.Id);
+            session = (await uploads.Append(session.Id, 0, new MemoryStream(Bytes(10))))!;
+
+            var job = await PhotoProcessingJob.Get(session.JobId!, CancellationToken.None);
+            job!.CollectionId.Should().Be(col.Id);
+
+            // Ingest retries re-run the membership step; the photo joins once.
+            var photo = new PhotoAsset { OriginalFileName = "a.jpg" }; await photo.Save();
+            await processing.AddToCollection(photo.Id, col.Id);
+            await processing.AddToCollection(photo.Id, col.Id);
+            (await Collection.Get(col.Id, CancellationToken.None))!.PhotoIds.Should().Equal(photo.Id);
+        }
+    }
+
+    [Fact(DisplayName = "resumable: a replacing upload names its original on the ingest job, not before")]
+    public async Task Replacement_reaches_the_job()
+    {
+        var studio = "studio-" + Stamp();
+        var uploads = Uploads();
+
+        using (Tenant.Use(studio))
+        {
+            var unknown = async () => await uploads.Begin("a.jpg", "image/jpeg", 10, null, null, replacesPhotoId: "missing-" + Stamp());
+            await unknown.Should().ThrowAsync<ArgumentException>();
+
+            var original = new PhotoAsset { OriginalFileName = "a.jpg" }; await original.Save();
+            var session = await uploads.Begin("a.jpg", "image/jpeg", 10, null, null, replacesPhotoId: original.Id);
+            session = (await uploads.Append(session.Id, 0, new MemoryStream(Bytes(10))))!;
+
+            (await PhotoProcessingJob.Get(session.JobId!, CancellationToken.None))!.ReplacesPhotoId.Should().Be(original.Id);
+            (await PhotoAsset.Get(original.Id, CancellationToken.None)).Should().NotBeNull("the original stays until the ingest succeeds");
+        }
+    }
+}
@@ -0,0 +1,122 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using AwesomeAssertions;
+using Koan.Tenancy;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.DependencyInjection;
+using SnapVault.Controllers;
+using SnapVault.Models;
+using SnapVault.Services;
+using Xunit;
+
+namespace Koan.Samples.SnapVault.Tests;
+
+/// <summary>
+/// SnapVault smart collections — a saved search/filter definition browsed as photo-set context <c>smart</c>. Proves
+/// membership is resolved at query time (a photo rated after the save joins it), that the filter panel narrows it like
+/// any other context, that the sidebar's counts endpoint reports each one's live size, and that a delete is undoable.
+/// </summary>
+[Collection("snapvault")]
+public sealed class SnapVaultSmartCollectionSpec
+{
+    private readonly SnapVaultHostFixture _fx;
+    public SnapVaultSmartCollectionSpec(SnapVaultHostFixture fx) => _fx = fx;
+
+    private T Svc<T>() where T : notnull => _fx.Host.Services.GetRequiredService<T>();
+    private static string Stamp() => Guid.NewGuid().ToString("n").Substring(0, 8);
+
+    [Fact(DisplayName = "smart collections: the saved filters resolve live, sorted, and the panel's filters narrow them")]
+    public async Task Smart_context_resolves_saved_definition_live()
+    {
+        var studio = "studio-" + Stamp();
+        var svc = Svc<PhotoSetService>();
+        var baseDate = new DateTime(2026, 5, 1, 0, 0, 0, DateTimeKind.Utc);
+
+        PhotoAsset p0, p1, p2, p3;
+        SmartCollection bestOfX100;
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            p0 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "0.jpg", CapturedAt = baseDate.AddDays(0), Rating = 5, CameraModel = "X100" }; await p0.Save();
+            p1 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "1.jpg", CapturedAt = baseDate.AddDays(1), Rating = 2, CameraModel = "X100" }; await p1.Save();
+            p2 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "2.jpg", CapturedAt = baseDate.AddDays(2), Rating = 4, CameraModel = "R5" }; await p2.Save();
+            p3 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "3.jpg", CapturedAt = baseDate.AddDays(3), Rating = 4, CameraModel = "X100", IsFavorite = true }; await p3.Save();
+            bestOfX100 = new SmartCollection { Name = "Best of X100", Filters = new PhotoSetFilters { Rating = 4, Cameras = { "X100" } } };
+            await bestOfX100.Save();
+        }
+
+        using (Tenant.Use(studio))
+        {
+            // The saved filters over the library, newest-first like all-photos.
+            var def = new PhotoSetDefinition { Context = "smart", CollectionId = bestOfX100.Id };
+            var session = await svc.CreateSession(def);
+            session.TotalCount.Should().Be(2);
+            (await svc.ExecuteQuery(session, 0, 10)).Select(p => p.Id).Should().Equal(p3.Id, p0.Id);
+
+            // The filter panel narrows the smart set further.
+            var favorites = await svc.CreateSession(def with { Filters = new PhotoSetFilters { Favorites = true } });
+            favorites.TotalCount.Should().Be(1);
+            (await svc.ExecuteQuery(favorites, 0, 10)).Select(p => p.Id).Should().Equal(p3.Id);
+
+            // Membership is not an id snapshot: re-rating a photo moves it in.
+            p1.Rating = 4;
+            await p1.Save();
+            (await svc.MaterializeContext(def)).Select(p => p.Id).Should().Equal(p3.Id, p1.Id, p0.Id);
+
+            // Date-sorted without a search, so it has a date rail.
+            (await svc.DateHistogram(def)).Buckets.Should().NotBeEmpty();
+        }
+    }
+
+    [Fact(DisplayName = "smart collections: the counts endpoint reports every smart collection's live size")]
+    public async Task Counts_report_live_sizes()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            await new PhotoAsset { EventId = ev.Id, OriginalFileName = "a.jpg", IsFavorite = true, AutoTags = { "beach" } }.Save();
+            await new PhotoAsset { EventId = ev.Id, OriginalFileName = "b.jpg", AutoTags = { "beach", "sunset" } }.Save();
+            await new PhotoAsset { EventId = ev.Id, OriginalFileName = "c.jpg" }.Save();
+
+            var beach = new SmartCollection { Name = "Beach", Filters = new PhotoSetFilters { Tags = { "beach" } } }; await beach.Save();
+            var sunsets = new SmartCollection { Name = "Sunsets", Filters = new PhotoSetFilters { Tags = { "beach", "sunset" } } }; await sunsets.Save();
+            var loved = new SmartCollection { Name = "Loved", Filters = new PhotoSetFilters { Favorites = true, Tags = { "sunset" } } }; await loved.Save();
+
+            var ctrl = new SmartCollectionsController(Svc<PhotoSetService>(), Svc<TrashService>());
+            var result = await ctrl.Counts();
+            var counts = result.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeAssignableTo<IReadOnlyList<SmartCollectionCount>>().Subject;
+
+            counts.Should().BeEquivalentTo(new[]
+            {
+                new SmartCollectionCount(beach.Id, 2),
+                new SmartCollectionCount(sunsets.Id, 1),
+                new SmartCollectionCount(loved.Id, 0),
+            });
+        }
+    }
+
+    [Fact(DisplayName = "smart collections: a delete goes to the trash and restores with a new revision")]
+    public async Task Delete_and_restore()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var beach = new SmartCollection { Name = "Beach", Filters = new PhotoSetFilters { Tags = { "beach" } } }; await beach.Save();
+            var savedAt = beach.UpdatedAt;
+            var ctrl = new SmartCollectionsController(Svc<PhotoSetService>(), Svc<TrashService>());
+
+            (await ctrl.Delete(beach.Id, CancellationToken.None)).Should().BeOfType<OkObjectResult>();
+            (await SmartCollection.Get(beach.Id, CancellationToken.None)).Should().BeNull();
+
+            (await ctrl.Restore(beach.Id)).Should().BeOfType<OkObjectResult>();
+            var restored = await SmartCollection.Get(beach.Id, CancellationToken.None);
+            restored!.Name.Should().Be("Beach");
+            restored.UpdatedAt.Should().BeAfter(savedAt);
+            (await ctrl.Restore(beach.Id)).Should().BeOfType<NotFoundObjectResult>("it is no longer in the trash");
+        }
+    }
+}
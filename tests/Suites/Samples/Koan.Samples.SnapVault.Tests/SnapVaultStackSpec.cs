@@ -0,0 +1,153 @@
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using AwesomeAssertions;
+using Koan.Data.Core;
+using Koan.Tenancy;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.DependencyInjection;
+using SnapVault.Controllers;
+using SnapVault.Models;
+using SnapVault.Services;
+using Xunit;
+
+namespace Koan.Samples.SnapVault.Tests;
+
+/// <summary>
+/// SnapVault burst stacking — a stacked, capture-sorted set folds photos shot seconds apart on one camera that look
+/// alike into one entry, and every index the grid and lightbox share (session count, windows, the index lookup) counts
+/// the folded set. Also proves the stack pick: the member a collapsed stack shows, and what an undo of it needs.
+/// </summary>
+[Collection("snapvault")]
+public sealed class SnapVaultStackSpec
+{
+    private readonly SnapVaultHostFixture _fx;
+    public SnapVaultStackSpec(SnapVaultHostFixture fx) => _fx = fx;
+
+    private T Svc<T>() where T : notnull => _fx.Host.Services.GetRequiredService<T>();
+    private static string Stamp() => Guid.NewGuid().ToString("n").Substring(0, 8);
+
+    private PhotosController Photos() => new(Svc<PhotoSetService>(), Svc<PhotoProcessingService>(), Svc<TrashService>(), Svc<PhotoHashIndex>());
+
+    private static T Prop<T>(IActionResult result, string name)
+    {
+        var value = result.Should().BeOfType<OkObjectResult>().Subject.Value!;
+        return (T)value.GetType().GetProperty(name)!.GetValue(value)!;
+    }
+
+    private static readonly DateTime Shot = new(2026, 6, 1, 12, 0, 0, DateTimeKind.Utc);
+
+    /// <summary>A burst frame: one camera, a second apart, hashes a bit or two from each other.</summary>
+    private static async Task<PhotoAsset> Frame(string eventId, int second, string hash, string camera = "X-T4")
+    {
+        var photo = new PhotoAsset
+        {
+            EventId = eventId, OriginalFileName = $"{second}.jpg", CameraModel = camera,
+            CapturedAt = Shot.AddSeconds(second), PerceptualHash = hash,
+        };
+        await photo.Save();
+        return photo;
+    }
+
+    [Fact(DisplayName = "stacks: a burst folds into its cover; expanding it puts every frame back in place")]
+    public async Task Bursts_fold_into_stacks()
+    {
+        var studio = "studio-" + Stamp();
+        var svc = Svc<PhotoSetService>();
+
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var b0 = await Frame(ev.Id, 0, "f0f0f0f0f0f0f0f0");
+            var b1 = await Frame(ev.Id, 1, "f0f0f0f0f0f0f0f1");
+            var b2 = await Frame(ev.Id, 2, "f0f0f0f0f0f0f0f3");
+            var other = await Frame(ev.Id, 3, "0f0f0f0f0f0f0f0f");               // seconds later, but another picture
+            var phone = await Frame(ev.Id, 4, "0f0f0f0f0f0f0f0e", "Pixel 8");    // alike, but another camera
+            var later = await Frame(ev.Id, 60, "0f0f0f0f0f0f0f0e", "Pixel 8");   // alike, but a minute on
+
+            var def = new PhotoSetDefinition { Context = "all-photos", SortBy = "capturedAt", SortOrder = "desc", Stacked = true };
+            var session = await svc.CreateSession(def);
+            session.TotalCount.Should().Be(4);
+
+            // Newest first; the burst sits at its newest frame's place and shows its first-captured frame.
+            var entries = await svc.ExecuteEntries(session, 0, 10);
+            entries.Select(e => e.Photo.Id).Should().Equal(later.Id, phone.Id, other.Id, b0.Id);
+            var stack = entries[3].Stack!;
+            stack.Id.Should().Be(b0.Id);
+            stack.MemberIds.Should().Equal(b2.Id, b1.Id, b0.Id);
+            entries[3].Expanded.Should().BeFalse();
+
+            // A frame folded into the collapsed stack is found at the stack's place.
+            var index = await Photos().GetPhotoIndex(b1.Id, stacked: true);
+            index.Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeOfType<PhotoIndexResponse>().Which.Index.Should().Be(3);
+
+            // Expanded: every frame back, in set order, each carrying the stack.
+            var expanded = await svc.MaterializeEntries(def with { ExpandedStacks = [b0.Id] });
+            expanded.Select(e => e.Photo.Id).Should().Equal(later.Id, phone.Id, other.Id, b2.Id, b1.Id, b0.Id);
+            expanded.Skip(3).Should().OnlyContain(e => e.Expanded && e.Stack!.Id == b0.Id);
+
+            // Not asked for, or not in capture order: nothing folds.
+            (await svc.CreateSession(def with { Stacked = false })).TotalCount.Should().Be(6);
+            (await svc.CreateSession(def with { SortBy = "fileName" })).TotalCount.Should().Be(6);
+        }
+    }
+
+    [Fact(DisplayName = "stacks: a session's windows share one fold, folded again once the library changes")]
+    public async Task Windows_share_the_fold_until_the_library_changes()
+    {
+        var studio = "studio-" + Stamp();
+        var svc = Svc<PhotoSetService>();
+
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var b0 = await Frame(ev.Id, 0, "f0f0f0f0f0f0f0f0");
+            var b1 = await Frame(ev.Id, 1, "f0f0f0f0f0f0f0f1");
+            var other = await Frame(ev.Id, 30, "0f0f0f0f0f0f0f0f");
+
+            var session = await svc.CreateSession(new PhotoSetDefinition { Context = "all-photos", SortBy = "capturedAt", SortOrder = "desc", Stacked = true });
+            (await svc.ExecuteEntries(session, 0, 1)).Select(e => e.Photo.Id).Should().Equal(other.Id);
+            (await svc.ExecuteEntries(session, 1, 1)).Select(e => e.Photo.Id).Should().Equal(b0.Id);
+
+            // A new photo lands: the next window is read from a fresh fold, not the held one.
+            var later = await Frame(ev.Id, 90, "00ff00ff00ff00ff");
+            (await svc.ExecuteEntries(session, 0, 10)).Select(e => e.Photo.Id).Should().Equal(later.Id, other.Id, b0.Id);
+        }
+    }
+
+    [Fact(DisplayName = "stacks: the pick covers its stack, and reports the pick an undo restores")]
+    public async Task Pick_sets_the_cover()
+    {
+        var studio = "studio-" + Stamp();
+        var svc = Svc<PhotoSetService>();
+
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var b0 = await Frame(ev.Id, 0, "f0f0f0f0f0f0f0f0");
+            var b1 = await Frame(ev.Id, 1, "f0f0f0f0f0f0f0f1");
+            var b2 = await Frame(ev.Id, 2, "f0f0f0f0f0f0f0f3");
+            var single = await Frame(ev.Id, 600, "0f0f0f0f0f0f0f0f");
+            var def = new PhotoSetDefinition { Context = "all-photos", Stacked = true };
+
+            var first = await Photos().SetStackPick(b2.Id);
+            Prop<string>(first, "StackId").Should().Be(b0.Id);
+            Prop<string>(first, "PickId").Should().Be(b2.Id);
+            Prop<string?>(first, "PreviousPickId").Should().BeNull();
+            (await svc.MaterializeContext(def)).Select(p => p.Id).Should().Equal(single.Id, b2.Id);
+
+            // Picking another member moves the pick; the one it replaced is reported.
+            var second = await Photos().SetStackPick(b1.Id);
+            Prop<string>(second, "PreviousPickId").Should().Be(b2.Id);
+            (await PhotoAsset.Get(b2.Id, CancellationToken.None))!.IsStackPick.Should().BeFalse();
+            (await svc.MaterializeContext(def)).Select(p => p.Id).Should().Equal(single.Id, b1.Id);
+
+            // Clearing it: the first-captured frame covers the stack again.
+            await Photos().SetStackPick(b1.Id, new StackPickRequest { IsPick = false });
+            (await svc.MaterializeContext(def)).Select(p => p.Id).Should().Equal(single.Id, b0.Id);
+
+            (await Photos().SetStackPick(single.Id)).Should().BeOfType<BadRequestObjectResult>("a lone photo has no stack");
+        }
+    }
+}
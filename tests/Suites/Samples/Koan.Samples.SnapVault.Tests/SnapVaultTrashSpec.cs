@@ -0,0 +1,228 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using AwesomeAssertions;
+using Koan.Data.Core;
+using Koan.Data.SoftDelete;
+using Koan.Media.Web.Routing;
+using Koan.Tenancy;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Options;
+using SnapVault.Configuration;
+using SnapVault.Controllers;
+using SnapVault.Models;
+using SnapVault.Services;
+using Xunit;
+
+namespace Koan.Samples.SnapVault.Tests;
+
+/// <summary>
+/// SnapVault trash — the server half of undo. A studio delete hides a photo (or collection) instead of removing it:
+/// the photo leaves its collections but keeps its original and renders, a restore puts it back where it was, and only
+/// a purge (explicit, or the retention window running out) reclaims it. Also proves the mutation responses the SPA
+/// builds its inverse operations from: bulk favorite's <c>changed</c> and collection removal's <c>positions</c>.
+/// </summary>
+[Collection("snapvault")]
+public sealed class SnapVaultTrashSpec
+{
+    private readonly SnapVaultHostFixture _fx;
+    public SnapVaultTrashSpec(SnapVaultHostFixture fx) => _fx = fx;
+
+    private T Svc<T>() where T : notnull => _fx.Host.Services.GetRequiredService<T>();
+    private static string Stamp() => Guid.NewGuid().ToString("n").Substring(0, 8);
+
+    private PhotosController Photos() => new(Svc<PhotoSetService>(), Svc<PhotoProcessingService>(), Svc<TrashService>(), Svc<PhotoHashIndex>());
+    private CollectionsController Collections() => new(Options.Create(new CollectionOptions()), Svc<TrashService>());
+    private TrashController Trash() => new(Svc<TrashService>());
+
+    private static T Prop<T>(IActionResult result, string name)
+    {
+        var value = result.Should().BeOfType<OkObjectResult>().Subject.Value!;
+        return (T)value.GetType().GetProperty(name)!.GetValue(value)!;
+    }
+
+    private static async Task<MediaDerivation> RenderOf(PhotoAsset photo)
+    {
+        var render = new MediaDerivation
+        {
+            Id = MediaDerivation.KeyFor(photo.Id, "fingerprint-1"),
+            Key = "render-blob-" + Stamp(),
+            SourceMediaId = photo.Id,
+            DerivationKey = "fingerprint-1",
+        };
+        await render.Save();
+        return render;
+    }
+
+    [Fact(DisplayName = "trash: a delete hides the photo and prunes it from collections but keeps its renders")]
+    public async Task Delete_moves_photo_to_trash()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var p0 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "0.jpg" }; await p0.Save();
+            var p1 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "1.jpg" }; await p1.Save();
+            await RenderOf(p0);
+            var col = new Collection { Name = "Picks", PhotoIds = { p1.Id, p0.Id } }; await col.Save();
+
+            Prop<int>(await Photos().BulkDelete(new BulkPhotoRequest { PhotoIds = { p0.Id } }), "deleted").Should().Be(1);
+
+            (await PhotoAsset.Get(p0.Id, CancellationToken.None)).Should().BeNull("a trashed photo is hidden from library reads");
+            (await Collection.Get(col.Id, CancellationToken.None))!.PhotoIds.Should().Equal(p1.Id);
+            (await MediaDerivation.Query(d => d.SourceMediaId == p0.Id)).Should().ContainSingle("only a purge evicts renders");
+
+            var trash = (await Trash().List()).Result.Should().BeOfType<OkObjectResult>().Subject.Value.Should().BeOfType<TrashResponse>().Subject;
+            var trashed = trash.Photos.Should().ContainSingle().Subject;
+            trashed.Id.Should().Be(p0.Id);
+            trashed.FileName.Should().Be("0.jpg");
+            (trashed.PurgesAt - trashed.DeletedAt).Should().Be(Svc<TrashService>().Retention);
+        }
+    }
+
+    [Fact(DisplayName = "trash: restoring a batch puts every photo back at its old collection position")]
+    public async Task Restore_returns_photos_to_their_positions()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var photos = new List<PhotoAsset>();
+            for (var i = 0; i < 4; i++)
+            {
+                var photo = new PhotoAsset { EventId = ev.Id, OriginalFileName = $"{i}.jpg" }; await photo.Save();
+                photos.Add(photo);
+            }
+            var order = photos.Select(p => p.Id).ToList();
+            var col = new Collection { Name = "Picks", PhotoIds = order.ToList() }; await col.Save();
+
+            await Photos().BulkDelete(new BulkPhotoRequest { PhotoIds = { order[1], order[2] } });
+            (await Collection.Get(col.Id, CancellationToken.None))!.PhotoIds.Should().Equal(order[0], order[3]);
+
+            Prop<int>(await Trash().Restore(new BulkPhotoRequest { PhotoIds = { order[1], order[2] } }), "restored").Should().Be(2);
+
+            (await PhotoAsset.Get(order[1], CancellationToken.None))!.DeletedAt.Should().BeNull();
+            (await Collection.Get(col.Id, CancellationToken.None))!.PhotoIds.Should().Equal(order);
+            (await Svc<TrashService>().TrashedPhotos()).Should().BeEmpty();
+
+            // A photo that isn't in the trash is reported, not restored.
+            Prop<int>(await Trash().Restore(new BulkPhotoRequest { PhotoIds = { order[0] } }), "failed").Should().Be(1);
+        }
+    }
+
+    [Fact(DisplayName = "trash: a purge, explicit or by retention, reclaims the photo and its renders")]
+    public async Task Purge_reclaims_trashed_photos()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var live = new PhotoAsset { EventId = ev.Id, OriginalFileName = "live.jpg" }; await live.Save();
+            var purged = new PhotoAsset { EventId = ev.Id, OriginalFileName = "purged.jpg" }; await purged.Save();
+            var expired = new PhotoAsset { EventId = ev.Id, OriginalFileName = "expired.jpg" }; await expired.Save();
+            await RenderOf(purged);
+            await Photos().BulkDelete(new BulkPhotoRequest { PhotoIds = { purged.Id, expired.Id } });
+
+            // Purge only touches the trash: a live photo is refused.
+            var result = await Trash().Purge(new BulkPhotoRequest { PhotoIds = { purged.Id, live.Id } });
+            Prop<int>(result, "purged").Should().Be(1);
+            Prop<int>(result, "failed").Should().Be(1);
+            (await PhotoAsset.Get(live.Id, CancellationToken.None)).Should().NotBeNull();
+            (await MediaDerivation.Query(d => d.SourceMediaId == purged.Id)).Should().BeEmpty();
+            using (PhotoAsset.WithDeleted())
+                (await PhotoAsset.Get(purged.Id, CancellationToken.None)).Should().BeNull();
+
+            // The retention sweep purges whatever was deleted before the cutoff.
+            (await Svc<TrashService>().PurgeDeletedBefore(DateTime.UtcNow.AddMinutes(1))).Should().Be(1);
+            using (PhotoAsset.WithDeleted())
+                (await PhotoAsset.Get(expired.Id, CancellationToken.None)).Should().BeNull();
+        }
+    }
+
+    [Fact(DisplayName = "trash: a replaced photo hands its metadata and collection places to its replacement, and restores beside it")]
+    public async Task Replace_supersedes_the_original()
+    {
+        var studio = "studio-" + Stamp();
+        var trash = Svc<TrashService>();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var other = new PhotoAsset { EventId = ev.Id, OriginalFileName = "other.jpg" }; await other.Save();
+            var original = new PhotoAsset
+            {
+                EventId = ev.Id, OriginalFileName = "a.jpg", Rating = 4, IsFavorite = true, AutoTags = { "beach" },
+            };
+            await original.Save();
+            var replacement = new PhotoAsset { EventId = ev.Id, OriginalFileName = "a.jpg", AutoTags = { "sunset" } };
+            await replacement.Save();
+            var col = new Collection { Name = "Picks", PhotoIds = { other.Id, original.Id } }; await col.Save();
+
+            await trash.Supersede(original.Id, replacement.Id);
+
+            var kept = (await PhotoAsset.Get(replacement.Id, CancellationToken.None))!;
+            kept.Rating.Should().Be(4);
+            kept.IsFavorite.Should().BeTrue();
+            kept.AutoTags.Should().BeEquivalentTo("sunset", "beach");
+            (await PhotoAsset.Get(original.Id, CancellationToken.None)).Should().BeNull("the original is in the trash");
+            (await Collection.Get(col.Id, CancellationToken.None))!.PhotoIds.Should().Equal(other.Id, replacement.Id);
+
+            // A retried ingest job supersedes again: nothing left to do.
+            await trash.Supersede(original.Id, replacement.Id);
+
+            await Trash().Restore(new BulkPhotoRequest { PhotoIds = { original.Id } });
+            (await Collection.Get(col.Id, CancellationToken.None))!.PhotoIds.Should().Equal(other.Id, replacement.Id, original.Id);
+        }
+    }
+
+    [Fact(DisplayName = "trash: a deleted collection restores without the photos deleted meanwhile")]
+    public async Task Collection_delete_and_restore()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var p0 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "0.jpg" }; await p0.Save();
+            var p1 = new PhotoAsset { EventId = ev.Id, OriginalFileName = "1.jpg" }; await p1.Save();
+            var col = new Collection { Name = "Picks", PhotoIds = { p0.Id, p1.Id } }; await col.Save();
+
+            (await Collections().Delete(col.Id, CancellationToken.None)).Should().BeOfType<OkObjectResult>();
+            (await Collection.Get(col.Id, CancellationToken.None)).Should().BeNull();
+            (await PhotoAsset.Get(p0.Id, CancellationToken.None)).Should().NotBeNull("deleting a collection keeps its photos");
+
+            await Photos().BulkDelete(new BulkPhotoRequest { PhotoIds = { p1.Id } });
+
+            Prop<int>(await Collections().Restore(col.Id), "photoCount").Should().Be(1);
+            (await Collection.Get(col.Id, CancellationToken.None))!.PhotoIds.Should().Equal(p0.Id);
+            (await Collections().Restore(col.Id)).Should().BeOfType<NotFoundObjectResult>("it is no longer in the trash");
+        }
+    }
+
+    [Fact(DisplayName = "undo inputs: bulk favorite reports what flipped; collection removal reports where photos were")]
+    public async Task Mutations_report_what_an_undo_needs()
+    {
+        var studio = "studio-" + Stamp();
+        using (Tenant.Use(studio))
+        {
+            var ev = new Event { Name = "Shoot" }; await ev.Save();
+            var faved = new PhotoAsset { EventId = ev.Id, OriginalFileName = "faved.jpg", IsFavorite = true }; await faved.Save();
+            var plain = new PhotoAsset { EventId = ev.Id, OriginalFileName = "plain.jpg" }; await plain.Save();
+            var other = new PhotoAsset { EventId = ev.Id, OriginalFileName = "other.jpg" }; await other.Save();
+
+            var favorite = await Photos().BulkFavorite(new BulkPhotoRequest { PhotoIds = { faved.Id, plain.Id }, IsFavorite = true });
+            Prop<int>(favorite, "updated").Should().Be(2);
+            Prop<List<string>>(favorite, "changed").Should().Equal(plain.Id);
+
+            var col = new Collection { Name = "Picks", PhotoIds = { faved.Id, plain.Id, other.Id } }; await col.Save();
+            var removal = await Collections().RemovePhotos(col.Id, new CollectionPhotosRequest { PhotoIds = { other.Id, faved.Id } });
+            var positions = Prop<List<PhotoPosition>>(removal, "positions");
+            positions.Select(p => (p.PhotoId, p.Position)).Should().Equal((faved.Id, 0), (other.Id, 2));
+
+            // Adding them back at those positions restores the original order.
+            await Collections().AddPhotos(col.Id, new CollectionPhotosRequest { PhotoIds = { other.Id, faved.Id }, Positions = positions });
+            (await Collection.Get(col.Id, CancellationToken.None))!.PhotoIds.Should().Equal(faved.Id, plain.Id, other.Id);
+        }
+    }
+}